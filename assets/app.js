@@ -1,8 +1,8 @@
 (function () {
   'use strict';
 
-  const MAX_YEARS = 5;
-  const DEFAULT_YEARS = 5;
+  const MAX_YEARS = 50;
+  const FALLBACK_YEARS = 5;
   const SECTION_ORDER = ['U.S.', 'World', 'Business', 'Technology', 'AI', 'Arts', 'Lifestyle', 'Opinion'];
   const SECTION_ALL = 'All';
   const EDITION_CACHE_KEY = 'future-times-edition-cache-v18';
@@ -38,14 +38,31 @@
   let topLoadingTicker = null;
   let editionAutoRefreshTimer = null;
   const editionDaysMetaByYears = new Map();
+  // The editions the server builds and the one it opens on (/api/edition-horizons). init waits for
+  // them so a page never opens on an edition that was not built; if the call fails, any horizon
+  // goes and the fallback is the default.
+  const editionHorizons = { horizons: [], defaultYears: FALLBACK_YEARS };
 
   const api = {
     edition: (years, day) => `/api/edition?years=${years}${day ? `&day=${encodeURIComponent(day)}` : ''}`,
     articleStatus: (id, years, day) => `/api/article/${encodeURIComponent(id)}?years=${years}${day ? `&day=${encodeURIComponent(day)}` : ''}`,
-    editionDays: (years = DEFAULT_YEARS, limit = 365) => `/api/edition-days?years=${encodeURIComponent(String(clampYears(years)))}&limit=${encodeURIComponent(String(limit))}`
+    editionHorizons: () => '/api/edition-horizons',
+    editionDays: (years, limit = 365) => `/api/edition-days?years=${encodeURIComponent(String(clampYears(years)))}&limit=${encodeURIComponent(String(limit))}`
   };
 
-  init();
+  loadEditionHorizons().then(init);
+
+  async function loadEditionHorizons() {
+    try {
+      const payload = await fetchJSON(api.editionHorizons());
+      const horizons = Array.isArray(payload?.horizons) ? payload.horizons.map(Number).filter(Number.isFinite) : [];
+      if (horizons.length) editionHorizons.horizons = horizons;
+      const defaultYears = Number(payload?.defaultYears);
+      if (Number.isFinite(defaultYears)) editionHorizons.defaultYears = defaultYears;
+    } catch {
+      // Keep the fallback.
+    }
+  }
 
   function init() {
     const years = getYearsFromQuery();
@@ -140,12 +157,15 @@
     }, 45000);
   }
 
+  // A missing or unbuilt horizon falls back to the server's default; 0 (today's edition) is valid.
   function clampYears(raw) {
-    const parsed = Number(raw);
-    if (!Number.isFinite(parsed) || parsed <= 0) {
-      return DEFAULT_YEARS;
+    const parsed = raw === null || raw === undefined || String(raw).trim() === '' ? NaN : Number(raw);
+    if (!Number.isFinite(parsed)) {
+      return editionHorizons.defaultYears;
     }
-    return Math.max(DEFAULT_YEARS, Math.min(MAX_YEARS, Math.round(parsed)));
+    const years = Math.max(0, Math.min(MAX_YEARS, Math.round(parsed)));
+    const { horizons } = editionHorizons;
+    return horizons.length && !horizons.includes(years) ? editionHorizons.defaultYears : years;
   }
 
   function getYearsFromQuery() {
@@ -258,7 +278,7 @@
     if (!offsetYears) {
       return;
     }
-    offsetYears.textContent = `+${years} years`;
+    offsetYears.textContent = formatYearsLabel(years);
   }
 
   function wireEditionControls(years) {
@@ -272,13 +292,7 @@
     }
     select.dataset.futurenewsBound = '1';
 
-    // Only +5y edition for now
-    const option = document.createElement('option');
-    option.value = '5';
-    option.textContent = '+5 years';
-    select.appendChild(option);
-
-    select.value = String(years);
+    setEditionYearOptions(select, editionHorizons.horizons, years);
     setEditionBadge(years);
 
     select.addEventListener('change', () => {
@@ -303,6 +317,24 @@
     });
   }
 
+  function formatYearsLabel(years) {
+    if (Number(years) === 0) return 'Today';
+    return `+${years} ${Number(years) === 1 ? 'year' : 'years'}`;
+  }
+
+  function setEditionYearOptions(select, horizons, years) {
+    const values = Array.from(new Set([...horizons, clampYears(years)])).sort((a, b) => a - b);
+    select.innerHTML = '';
+    for (const value of values) {
+      const option = document.createElement('option');
+      option.value = String(value);
+      option.textContent = formatYearsLabel(value);
+      select.appendChild(option);
+    }
+    select.value = String(clampYears(years));
+    if (values.length > 1) select.style.display = '';
+  }
+
   function formatEditionDayLabel(day) {
     const normalized = normalizeDay(day);
     if (!normalized) return '';
@@ -318,7 +350,7 @@
     return normalizeDay(meta?.latestDay || days[0] || '');
   }
 
-  async function fetchEditionDaysMeta(years = DEFAULT_YEARS) {
+  async function fetchEditionDaysMeta(years) {
     const clampedYears = clampYears(years);
     const cacheKey = String(clampedYears);
     if (editionDaysMetaByYears.has(cacheKey)) return editionDaysMetaByYears.get(cacheKey);
@@ -413,7 +445,7 @@
     location.href = next;
   }
 
-  function wireEditionDayControls({ years = DEFAULT_YEARS, day = '' } = {}) {
+  function wireEditionDayControls({ years, day = '' } = {}) {
     const input = document.getElementById('editionDay');
     const latestBtn = document.getElementById('editionDayLatest');
     if (!input) return;
@@ -1064,7 +1096,10 @@
 
         const meta = document.createElement('div');
         meta.className = 'small';
-        meta.textContent = article.meta || '';
+        const threadDays = Number(article.thread?.dayCount) || 0;
+        meta.textContent = threadDays > 1
+          ? `${article.meta || ''} • Developing story, day ${threadDays}`
+          : article.meta || '';
 
         item.appendChild(badge);
         item.appendChild(titleEl);
@@ -1286,6 +1321,9 @@
         finishTopLoad();
         return statusPayload.article;
       }
+      if (statusPayload.status === 'renderable') {
+        return streamArticle(articleId, statusPayload, { years: clampedYears, day: normalizeDay(day) || normalizedDay, setProgress });
+      }
       throw new Error(statusPayload.error || 'Article not published yet');
     })();
 
@@ -1376,7 +1414,151 @@
     }
   }
 
-  // WebSocket rendering removed — all article rendering is HTTP-based
+  // Stories that were not prewritten are rendered on open: the server queues the job and streams
+  // progress and body chunks over /ws, or over server-sent events where there is no socket (Vercel)
+  // or it fails to connect; the decorated article is fetched once it is stored.
+  function streamArticle(articleId, statusPayload, { years, day, setProgress }) {
+    const seed = statusPayload.article || {};
+    const render = statusPayload.render || {};
+    setTextElement(document.getElementById('aSection'), seed.section || '—');
+    setTextElement(document.getElementById('aTitle'), seed.title || '—');
+    setTextElement(document.getElementById('aDek'), seed.dek || '');
+    setTextElement(document.getElementById('aMeta'), seed.meta || '—');
+    renderPreviously(seed.thread);
+    const md = document.getElementById('md');
+    setProgress('Queued for rendering…', 10);
+
+    return new Promise((resolve, reject) => {
+      let body = '';
+      let settled = false;
+      let completing = false;
+      let close = () => {};
+      const finish = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        try {
+          close();
+        } catch {
+          // ignore
+        }
+        fn(value);
+      };
+
+      const handle = async (message) => {
+        // A reconnecting EventSource can replay the final event while the first is still fetching
+        // the decorated article; only the first one finishes the render.
+        if (settled || completing || !message) return;
+        if (message.type === 'render.queued') {
+          setProgress(`Waiting to render (position ${message.position} in queue)…`, 10);
+        } else if (message.type === 'render.progress') {
+          // A fallback renderer starts the body over.
+          if (message.reset) {
+            body = '';
+            if (md) md.innerHTML = '';
+          }
+          setProgress(message.phase || 'Rendering…', Number(message.percent) || 0);
+        } else if (message.type === 'render.chunk') {
+          body += String(message.delta || '');
+          if (md) md.innerHTML = markdownToHtml(stripBlockDirectives(body));
+        } else if (message.type === 'render.complete') {
+          completing = true;
+          let article = message.article;
+          try {
+            const ready = await fetchJSON(api.articleStatus(articleId, years, day));
+            if (ready.status === 'ready' && ready.article) article = ready.article;
+          } catch {
+            // The streamed article is enough; decoration is best effort.
+          }
+          setCachedArticle(articleId, years, day, article);
+          renderArticlePayload(article, { cached: false });
+          finishTopLoad();
+          finish(resolve, article);
+        } else if (message.type === 'render.error') {
+          const error = message.error === 'rate_limited'
+            ? 'Too many articles are being rendered for you right now. Try again in a minute.'
+            : message.error === 'render_queue_full'
+              ? 'The newsroom is busy. Try again shortly.'
+              : message.error;
+          const err = new Error(error || 'Render failed');
+          if (message.error === 'story_not_future_aligned') {
+            err.httpStatus = 410;
+            err.api = { status: 'filtered', error: message.error };
+          }
+          finish(reject, err);
+        }
+      };
+
+      const streamOverSse = () => {
+        if (!render.stream || typeof EventSource === 'undefined') {
+          finish(reject, new Error('live rendering unavailable'));
+          return;
+        }
+        const source = new EventSource(render.stream);
+        close = () => source.close();
+        // Event ids are "<job>-<seq>"; a reconnect that lands on a different job replays from the start.
+        let job = '';
+        const onEvent = (event) => {
+          const eventJob = String(event.lastEventId || '').split('-')[0];
+          if (eventJob && job && eventJob !== job) body = '';
+          if (eventJob) job = eventJob;
+          let message;
+          try {
+            message = JSON.parse(event.data);
+          } catch {
+            return;
+          }
+          handle(message);
+        };
+        ['render.queued', 'render.progress', 'render.chunk', 'render.complete', 'render.error'].forEach((type) =>
+          source.addEventListener(type, onEvent)
+        );
+        source.addEventListener('error', () => {
+          // EventSource retries on its own (sending Last-Event-ID); give up only once it stops.
+          if (source.readyState === EventSource.CLOSED) finish(reject, new Error('live rendering connection closed'));
+        });
+      };
+
+      const streamOverSocket = () => {
+        const requestId = `req-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        let socket;
+        try {
+          socket = new WebSocket(`${protocol}//${location.host}${render.socket}`);
+        } catch {
+          streamOverSse();
+          return;
+        }
+        close = () => socket.close();
+        let opened = false;
+        socket.addEventListener('open', () => {
+          opened = true;
+          socket.send(JSON.stringify({ type: 'render.article', requestId, articleId, years, day }));
+        });
+        socket.addEventListener('message', (event) => {
+          let message;
+          try {
+            message = JSON.parse(event.data);
+          } catch {
+            return;
+          }
+          if (message.requestId && message.requestId !== requestId) return;
+          handle(message);
+        });
+        socket.addEventListener('error', () => {
+          if (!opened && !settled) {
+            close = () => {};
+            streamOverSse();
+          }
+        });
+        socket.addEventListener('close', () => {
+          if (opened) finish(reject, new Error('live rendering connection closed'));
+        });
+      };
+
+      if (render.socket && typeof WebSocket !== 'undefined') streamOverSocket();
+      else streamOverSse();
+    });
+  }
 
   function setEditionTagFromPayload(payload) {
     const tag = document.getElementById('editionTag');
@@ -1431,6 +1613,7 @@
     }
 
     if (prompt) setTextElement(prompt, article.prompt || '');
+    renderPreviously(article.thread);
 
     if (options.cached) {
       if (status) status.textContent = 'Loaded from cache';
@@ -1444,7 +1627,9 @@
 
     // Origin signals/markets hidden from user view (kept internally)
     if (md) {
-      md.innerHTML = markdownToHtml(article.body || '');
+      md.innerHTML = Array.isArray(article.blocks) && article.blocks.length
+        ? articleBlocksToHtml(article.blocks)
+        : markdownToHtml(article.body || '');
     }
 
     const statusBlock = document.getElementById('renderStatus');
@@ -1453,6 +1638,46 @@
     }
   }
 
+  // "Previously in The Future Times" — earlier stories from the same multi-day thread.
+  function renderPreviously(thread) {
+    const container = document.getElementById('aPreviously');
+    if (!container) return;
+    container.innerHTML = '';
+    const entries = Array.isArray(thread?.previously) ? thread.previously.filter((p) => p && p.title) : [];
+    if (!entries.length) {
+      container.style.display = 'none';
+      return;
+    }
+    const heading = document.createElement('div');
+    heading.className = 'aPreviouslyTitle';
+    heading.textContent = 'Previously in The Future Times';
+    container.appendChild(heading);
+    const list = document.createElement('ul');
+    const years = getYearsFromQuery();
+    entries.forEach((entry) => {
+      const li = document.createElement('li');
+      const label = entry.editionDate || entry.day || '';
+      if (entry.storyId) {
+        const link = document.createElement('a');
+        link.className = 'article-link';
+        link.href = getArticleUrl(entry.storyId, years, entry.day);
+        link.textContent = entry.title;
+        li.appendChild(link);
+      } else {
+        li.appendChild(document.createTextNode(entry.title));
+      }
+      if (label) {
+        const when = document.createElement('span');
+        when.className = 'small';
+        when.textContent = ` — ${label}`;
+        li.appendChild(when);
+      }
+      list.appendChild(li);
+    });
+    container.appendChild(list);
+    container.style.display = '';
+  }
+
   function renderSignalRows(containerId, entries) {
     const container = document.getElementById(containerId);
     if (!container) return;
@@ -1506,6 +1731,70 @@
     }
   }
 
+  // Block directives ("::pullquote ...") stream as text and only become blocks once the render
+  // is stored, so they are hidden until then.
+  function stripBlockDirectives(text) {
+    return String(text || '').split('\n').filter((line) => !/^::[a-z]/i.test(line.trim())).join('\n');
+  }
+
+  // Structured bodies from server/article-blocks.js; consecutive key figures share a row.
+  function articleBlocksToHtml(blocks) {
+    const output = [];
+    let figures = [];
+    const flushFigures = () => {
+      if (figures.length) output.push(`<div class="keyFigures">${figures.join('')}</div>`);
+      figures = [];
+    };
+    blocks.forEach((block) => {
+      if (!block || !block.type) return;
+      if (block.type !== 'keyfigure') flushFigures();
+      if (block.type === 'paragraph') {
+        output.push(`<p>${linkify(inlineMarkdown(escapeHtml(block.text || '')))}</p>`);
+      } else if (block.type === 'pullquote') {
+        output.push(`<blockquote class="pullQuote">${escapeHtml(block.text || '')}${block.attribution ? `<cite>${escapeHtml(block.attribution)}</cite>` : ''}</blockquote>`);
+      } else if (block.type === 'keyfigure') {
+        figures.push(`<div class="keyFigure"><strong>${escapeHtml(block.value || '')}</strong><span>${escapeHtml(block.label || '')}</span>${block.context ? `<small>${escapeHtml(block.context)}</small>` : ''}</div>`);
+      } else if (block.type === 'chart') {
+        output.push(chartToHtml(block));
+      } else if (block.type === 'timeline') {
+        const items = (block.entries || []).map((e) => `<li><strong>${escapeHtml(e.when || '')}</strong>${escapeHtml(e.event || '')}</li>`);
+        output.push(`<ol class="timeline">${items.join('')}</ol>`);
+      }
+    });
+    flushFigures();
+    return output.join('\n');
+  }
+
+  function chartToHtml(block) {
+    const points = (block.points || []).filter((p) => Number.isFinite(Number(p.value)));
+    if (points.length < 2) return '';
+    const width = 600;
+    const height = 160;
+    const pad = 8;
+    const values = points.map((p) => Number(p.value));
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || 1;
+    const coords = points.map((p, i) => {
+      const x = pad + (i / (points.length - 1)) * (width - 2 * pad);
+      const y = pad + (1 - (Number(p.value) - min) / span) * (height - 2 * pad);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    const unit = block.unit || '';
+    const first = points[0];
+    const last = points[points.length - 1];
+    const source = block.source === 'fred' ? `FRED ${block.series}` : 'Polymarket';
+    return [
+      '<figure class="inlineChart">',
+      `<figcaption>${escapeHtml(block.title || block.series || '')}</figcaption>`,
+      `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(block.title || '')}">`,
+      `<polyline fill="none" stroke="#111" stroke-width="2" points="${coords.join(' ')}"/>`,
+      '</svg>',
+      `<div class="small">${escapeHtml(`${first.date}: ${first.value}${unit} → ${last.date}: ${last.value}${unit} · ${source}`)}</div>`,
+      '</figure>'
+    ].join('');
+  }
+
   function markdownToHtml(raw) {
     const text = String(raw || '').replace(/\r/g, '');
     const lines = text.split('\n');
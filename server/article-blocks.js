@@ -0,0 +1,143 @@
+// Structured article bodies. Renderers write plain paragraphs with optional one-line directives
+// between them, which stream as text and are parsed into typed blocks once the render finishes:
+//
+//   ::pullquote The quote itself | Who said it
+//   ::keyfigure 4.7% | U.S. unemployment rate, June 2031 | optional context
+//   ::chart fred:UNRATE | Chart title            (or polymarket:<market slug>)
+//   ::timeline 2027: First step | 2029: Second step | 2031: Where things stand
+//
+// Articles store `blocks` next to a plain-text `body` built from them, which is what email and
+// readers of older cache entries (no `blocks`) get.
+
+export const ARTICLE_BLOCK_TYPES = ['paragraph', 'pullquote', 'keyfigure', 'chart', 'timeline'];
+export const CHART_SOURCES = ['fred', 'polymarket'];
+
+const MAX_BLOCKS_OF_TYPE = { pullquote: 2, keyfigure: 4, chart: 2, timeline: 1 };
+const MAX_CHART_POINTS = 60;
+
+function fields(text) {
+  return String(text || '').split('|').map((f) => f.trim());
+}
+
+function parseDirective(type, rest) {
+  const parts = fields(rest);
+  if (type === 'pullquote') {
+    const text = parts[0].replace(/^["“]|["”]$/g, '').trim();
+    return text ? { type, text, attribution: parts[1] || '' } : null;
+  }
+  if (type === 'keyfigure') {
+    return parts[0] && parts[1] ? { type, value: parts[0], label: parts[1], context: parts[2] || '' } : null;
+  }
+  if (type === 'chart') {
+    const m = parts[0].match(/^([a-z]+):(\S+)$/i);
+    if (!m || !CHART_SOURCES.includes(m[1].toLowerCase())) return null;
+    return { type, source: m[1].toLowerCase(), series: m[2], title: parts[1] || '' };
+  }
+  if (type === 'timeline') {
+    const entries = parts
+      .map((p) => p.match(/^([^:]{1,24}):\s*(.+)$/))
+      .filter(Boolean)
+      .map((m) => ({ when: m[1].trim(), event: m[2].trim() }));
+    return entries.length >= 2 ? { type, entries } : null;
+  }
+  return null;
+}
+
+// Text with directives → blocks. Unknown or malformed directives are dropped, as are blocks
+// past the per-type caps; everything else is a paragraph per blank-line-separated run.
+export function parseArticleBlocks(text) {
+  const blocks = [];
+  const counts = {};
+  let paragraph = [];
+  const flush = () => {
+    const joined = paragraph.join(' ').replace(/\s+/g, ' ').trim();
+    if (joined) blocks.push({ type: 'paragraph', text: joined });
+    paragraph = [];
+  };
+  for (const raw of String(text || '').replace(/\r/g, '').split('\n')) {
+    const line = raw.trim();
+    const directive = line.match(/^::([a-z]+)\s*(.*)$/i);
+    if (directive) {
+      flush();
+      const type = directive[1].toLowerCase();
+      const block = parseDirective(type, directive[2]);
+      if (block && (counts[type] || 0) < MAX_BLOCKS_OF_TYPE[type]) {
+        counts[type] = (counts[type] || 0) + 1;
+        blocks.push(block);
+      }
+    } else if (!line) {
+      flush();
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+export function hasStructuredBlocks(blocks) {
+  return Array.isArray(blocks) && blocks.some((b) => b?.type && b.type !== 'paragraph');
+}
+
+// Plain-text body for email and pre-block readers. Charts have no text form and are left out.
+export function blocksToPlainText(blocks) {
+  const out = [];
+  for (const block of Array.isArray(blocks) ? blocks : []) {
+    if (block.type === 'paragraph') out.push(block.text);
+    else if (block.type === 'pullquote') out.push(`“${block.text}”${block.attribution ? ` — ${block.attribution}` : ''}`);
+    else if (block.type === 'keyfigure') out.push(`${block.label}: ${block.value}${block.context ? ` (${block.context})` : ''}`);
+    else if (block.type === 'timeline') out.push(block.entries.map((e) => `${e.when}: ${e.event}`).join('\n'));
+  }
+  return out.join('\n\n');
+}
+
+function downsample(points, max = MAX_CHART_POINTS) {
+  if (points.length <= max) return points;
+  const step = (points.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+}
+
+/**
+ * Attaches data to chart blocks. `lookup({ source, series })` returns
+ * { label, unit, points: [{ date, value }] } or null; charts without data are dropped.
+ */
+export function resolveChartBlocks(blocks, lookup) {
+  const out = [];
+  for (const block of Array.isArray(blocks) ? blocks : []) {
+    if (block.type !== 'chart') {
+      out.push(block);
+      continue;
+    }
+    let data = null;
+    try {
+      data = lookup({ source: block.source, series: block.series });
+    } catch {
+      data = null;
+    }
+    const points = (Array.isArray(data?.points) ? data.points : []).filter((p) => p && Number.isFinite(Number(p.value)));
+    if (points.length < 2) continue;
+    out.push({
+      ...block,
+      title: block.title || data.label || block.series,
+      unit: data.unit || '',
+      points: downsample(points.map((p) => ({ date: String(p.date).slice(0, 10), value: Number(p.value) })))
+    });
+  }
+  return out;
+}
+
+// Prompt lines describing the directives; `charts` lists { ref, label } the renderer may chart.
+export function articleBlocksPromptLines(charts = []) {
+  const lines = [
+    'You may add up to two pull quotes, four key figures, one timeline and two charts, each on its own line between paragraphs:',
+    '::pullquote <quote from someone in the story> | <speaker, role>',
+    '::keyfigure <number with unit> | <what it measures> | <optional short context>',
+    '::timeline <year>: <event> | <year>: <event> | <year>: <event>'
+  ];
+  if (charts.length) {
+    lines.push('::chart <series> | <chart title>   — series must be one of:');
+    for (const c of charts) lines.push(`  ${c.ref} (${c.label})`);
+  }
+  lines.push('Use them only where they add something the prose does not; most paragraphs stay plain prose.');
+  return lines;
+}
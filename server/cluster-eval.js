@@ -0,0 +1,112 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { clusterSignals, loadClusteringConfig, scoreClustering } from './pipeline/clustering.js';
+
+// Offline clustering evaluation against a labeled fixture day (see data/fixtures/cluster-day.json).
+//
+//   node server/cluster-eval.js                       compare jaccard, tfidf and hashed variants
+//   node server/cluster-eval.js --strategy agglomerative --vectorizer hashed --threshold 0.25
+//   node server/cluster-eval.js --strategy agglomerative --sweep     F1 across thresholds
+//   node server/cluster-eval.js --fixture path/to/day.json --json
+
+const ROOT_DIR = process.cwd();
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function evaluate(fixture, config) {
+  const bySection = new Map();
+  for (const signal of fixture.signals) {
+    const section = signal.section || 'World';
+    if (!bySection.has(section)) bySection.set(section, []);
+    bySection.get(section).push({
+      signal_id: signal.id,
+      title: signal.title,
+      summary: signal.summary || '',
+      entities: signal.entities || [],
+      score: signal.score ?? null
+    });
+  }
+  const predicted = [];
+  for (const signals of bySection.values()) {
+    for (const cluster of clusterSignals(signals, config)) predicted.push(cluster.signals.map((s) => s.signal_id));
+  }
+  const gold = Object.fromEntries(fixture.signals.map((s) => [s.id, s.story]));
+  return { metrics: scoreClustering(predicted, gold), clusters: predicted };
+}
+
+function variantName(config) {
+  if (config.strategy !== 'agglomerative') return `${config.strategy} (${config.jaccard.threshold}/${config.jaccard.entityThreshold})`;
+  const a = config.agglomerative;
+  return `agglomerative ${a.vectorizer}/${a.linkage} @${a.threshold}`;
+}
+
+function printTable(rows) {
+  const cols = ['variant', 'items', 'predictedClusters', 'goldClusters', 'precision', 'recall', 'f1', 'purity', 'ari'];
+  const widths = cols.map((c) => Math.max(c.length, ...rows.map((r) => String(r[c]).length)));
+  const line = (values) => values.map((v, i) => String(v).padEnd(widths[i])).join('  ');
+  console.log(line(cols));
+  console.log(line(widths.map((w) => '-'.repeat(w))));
+  for (const row of rows) console.log(line(cols.map((c) => row[c])));
+}
+
+const args = parseArgs(process.argv.slice(2));
+const fixtureFile = path.resolve(ROOT_DIR, String(args.fixture || path.join('data', 'fixtures', 'cluster-day.json')));
+const fixture = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+if (!Array.isArray(fixture?.signals) || !fixture.signals.length) {
+  console.error(`No signals in ${fixtureFile}`);
+  process.exit(1);
+}
+
+const agglomerative = {};
+if (args.vectorizer) agglomerative.vectorizer = String(args.vectorizer);
+if (args.linkage) agglomerative.linkage = String(args.linkage);
+const base = loadClusteringConfig(ROOT_DIR, { agglomerative });
+
+const variants = [];
+if (args.strategy) {
+  const strategy = String(args.strategy);
+  const thresholds = args.sweep
+    ? Array.from({ length: 11 }, (_, i) => Number((0.1 + i * 0.05).toFixed(2)))
+    : [args.threshold !== undefined ? Number(args.threshold) : null];
+  for (const threshold of thresholds) {
+    const overrides = { ...base, strategy };
+    if (threshold !== null) {
+      if (strategy === 'agglomerative') overrides.agglomerative = { ...base.agglomerative, threshold };
+      else overrides.jaccard = { ...base.jaccard, threshold };
+    }
+    variants.push(overrides);
+  }
+} else {
+  variants.push({ ...base, strategy: 'jaccard' });
+  for (const vectorizer of ['tfidf', 'hashed']) {
+    variants.push({ ...base, strategy: 'agglomerative', agglomerative: { ...base.agglomerative, vectorizer } });
+  }
+}
+
+const results = variants.map((config) => {
+  const { metrics, clusters } = evaluate(fixture, config);
+  return { variant: variantName(config), ...metrics, clusters };
+});
+
+if (args.json) {
+  console.log(JSON.stringify({ fixture: fixtureFile, day: fixture.day || null, results }, null, 2));
+} else {
+  console.log(`Fixture: ${path.relative(ROOT_DIR, fixtureFile)} (${fixture.signals.length} signals, day ${fixture.day || '?'})\n`);
+  printTable(results);
+}
@@ -1,3 +1,5 @@
+import { modelCandidates } from '../pipeline/llm.js';
+
 function readBool(value, fallback = false) {
   const raw = String(value ?? '').trim().toLowerCase();
   if (!raw) return fallback;
@@ -39,21 +41,11 @@ export function getAnthropicApiKey() {
 }
 
 export function getIdeasModelCandidates() {
-  const primary = String(process.env.IDEAS_MODEL || 'claude-sonnet-4-6').trim();
-  return [
-    primary,
-    'claude-sonnet-4-6',
-    'claude-haiku-4-5-20251001'
-  ].filter(Boolean);
+  return modelCandidates(String(process.env.IDEAS_MODEL || '').trim());
 }
 
 export function getPromptModelCandidates() {
-  const primary = String(process.env.IMAGE_PROMPT_MODEL || 'claude-sonnet-4-6').trim();
-  return [
-    primary,
-    'claude-sonnet-4-6',
-    'claude-haiku-4-5-20251001'
-  ].filter(Boolean);
+  return modelCandidates(String(process.env.IMAGE_PROMPT_MODEL || '').trim());
 }
 
 export function getNanoBananaConfig() {
@@ -1,3 +1,4 @@
+import { getEditionHorizons } from '../pipeline/utils.js';
 import { getFutureImagesFlags } from './config.js';
 import { ensureFutureImagesSchema, pgQuery } from './postgres.js';
 
@@ -102,7 +103,7 @@ export async function decorateEditionPayload(payload, { day, yearsForward } = {}
 
   const flags = getFutureImagesFlags();
   if (!flags.imagesEnabled) return basePayload;
-  if (Number(yearsForward) !== 5) return basePayload;
+  if (!getEditionHorizons().includes(Number(yearsForward))) return basePayload;
 
   if (!baseArticles.length) return basePayload;
 
@@ -132,7 +133,7 @@ export async function decorateArticlePayload(article, { day, yearsForward, story
 
   const flags = getFutureImagesFlags();
   if (!flags.imagesEnabled) return baseArticle;
-  if (Number(yearsForward) !== 5) return baseArticle;
+  if (!getEditionHorizons().includes(Number(yearsForward))) return baseArticle;
 
   const schema = await ensureFutureImagesSchema();
   if (!schema.ok) return baseArticle;
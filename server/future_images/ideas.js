@@ -1,4 +1,4 @@
-import { formatDay, normalizeDay } from '../pipeline/utils.js';
+import { formatDay, getDefaultHorizon, normalizeDay } from '../pipeline/utils.js';
 
 import { callAnthropicJson } from './anthropic.js';
 import { getFutureImagesFlags, getIdeasModelCandidates } from './config.js';
@@ -223,7 +223,7 @@ function buildIdeasPrompt({ day, yearsForward, edition, snapshot, storyCurations
   ].join('\n');
 }
 
-export async function refreshIdeas({ day, pipeline, yearsForward = 5, count = 50, force = false } = {}) {
+export async function refreshIdeas({ day, pipeline, yearsForward = getDefaultHorizon(), count = 50, force = false } = {}) {
   const flags = getFutureImagesFlags();
   if (!flags.imagesEnabled || !flags.ideasEnabled) {
     return { ok: false, error: 'disabled', detail: 'Set FT_IMAGES_ENABLED=true and FT_IDEAS_ENABLED=true' };
@@ -261,7 +261,8 @@ export async function refreshIdeas({ day, pipeline, yearsForward = 5, count = 50
         maxTokens,
         temperature: 0.4,
         timeoutMs,
-        tool: IDEAS_TOOL
+        tool: IDEAS_TOOL,
+        stage: 'images.ideas'
       });
     } catch (err) {
       if (String(err?.code || '') === 'anthropic_timeout' && fallbackModels.length) {
@@ -272,7 +273,8 @@ export async function refreshIdeas({ day, pipeline, yearsForward = 5, count = 50
           maxTokens,
           temperature: 0.4,
           timeoutMs: Math.min(75000, Math.max(25000, timeoutMs - 15000)),
-          tool: IDEAS_TOOL
+          tool: IDEAS_TOOL,
+          stage: 'images.ideas'
         });
       } else {
         throw err;
@@ -359,7 +361,7 @@ export async function refreshIdeas({ day, pipeline, yearsForward = 5, count = 50
 
   // Persist ideas (stable IDs per day+rank so on-demand images stay attached across refreshes).
   const generatedAt = new Date().toISOString();
-  const providerModel = String(model || '').trim() || 'claude-sonnet-4-6';
+  const providerModel = String(model || '').trim() || primaryModel;
 
   // Best-effort: clear out existing ranks for this day.
   await pgQuery(`DELETE FROM ft_future_ideas WHERE day=$1 AND years_forward=$2;`, [builtDay, yearsForward]);
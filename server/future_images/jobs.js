@@ -1,6 +1,6 @@
 import { createHash, randomUUID } from 'node:crypto';
 
-import { formatDay, normalizeDay, SECTION_ORDER } from '../pipeline/utils.js';
+import { formatDay, getDefaultHorizon, normalizeDay, SECTION_ORDER } from '../pipeline/utils.js';
 
 import { getFutureImagesFlags, getGeminiConfig, getNanoBananaConfig, hasBlobConfig } from './config.js';
 import { stableStringify } from './json.js';
@@ -8,6 +8,7 @@ import { ensureFutureImagesSchema, pgQuery } from './postgres.js';
 import { putImageBlob } from './blob.js';
 import { extractImagePromptFromArticle, parseSize } from './prompts.js';
 import { generateWithDalle, generateWithGemini, generateWithNanoBanana } from './providers.js';
+import { reportUsage } from '../pipeline/llm.js';
 
 function isoNow() {
   return new Date().toISOString();
@@ -49,7 +50,7 @@ export async function enqueueJob(params) {
 
   const kind = String(params?.kind || '').trim();
   const day = normalizeDay(params?.day) || formatDay();
-  const yearsForward = Number(params?.yearsForward ?? params?.years_forward ?? 5) || 5;
+  const yearsForward = Number(params?.yearsForward ?? params?.years_forward ?? getDefaultHorizon());
   const storyId = params?.storyId != null ? String(params.storyId || '').trim() : '';
   const section = params?.section != null ? String(params.section || '').trim() : '';
   const ideaId = params?.ideaId != null ? String(params.ideaId || '').trim() : '';
@@ -136,7 +137,7 @@ function resolveStoryArticleText(pipeline, storyId, story) {
   return draftBody || renderedBody || '';
 }
 
-export async function enqueueSectionHeroJobs({ day, pipeline, yearsForward = 5, force = false, includeGlobalHero = true } = {}) {
+export async function enqueueSectionHeroJobs({ day, pipeline, yearsForward = getDefaultHorizon(), force = false, includeGlobalHero = true } = {}) {
   const flags = getFutureImagesFlags();
   if (!flags.imagesEnabled || !flags.storyHeroEnabled) {
     return { ok: false, error: 'disabled', detail: 'Set FT_IMAGES_ENABLED=true and FT_IMAGES_STORY_HERO_ENABLED=true' };
@@ -327,7 +328,7 @@ async function insertAsset({ job, blobUrl, mimeType, width, height, altText }) {
 
 function buildBlobPath(job) {
   const day = sanitizePathSegment(job.day);
-  const yearsForward = Number(job.years_forward) || 5;
+  const yearsForward = Number(job.years_forward ?? getDefaultHorizon());
   const promptHash = sanitizePathSegment(job.prompt_hash);
   if (job.kind === 'story_section_hero') {
     const section = sanitizePathSegment(job.section || 'section');
@@ -338,14 +339,13 @@ function buildBlobPath(job) {
   return `ft/${day}/y${yearsForward}/ideas/${ideaId}/${promptHash}.png`;
 }
 
-async function generateImageForJob(job) {
-  let promptJson = {};
-  try {
-    promptJson = JSON.parse(job.prompt_json || '{}');
-  } catch {
-    promptJson = {};
-  }
+const IMAGE_PROVIDERS = {
+  nano_banana: { generate: generateWithNanoBanana, model: 'nano-banana' },
+  gemini: { generate: generateWithGemini, model: 'gemini' },
+  dalle: { generate: generateWithDalle, model: 'dall-e-3' }
+};
 
+function pickImageProvider(job) {
   const providerRequested = String(job?.provider || '').trim().toLowerCase();
   const nano = getNanoBananaConfig();
   const hasNano = Boolean(nano.apiUrl && nano.apiKey);
@@ -356,19 +356,42 @@ async function generateImageForJob(job) {
   // Explicit provider if configured, otherwise fail over in a fixed order.
   // nano_banana can be either a direct Nano Banana endpoint or Gemini image models.
   if (providerRequested === 'nano_banana') {
-    if (hasNano) return generateWithNanoBanana(promptJson);
-    if (hasGemini) return generateWithGemini(promptJson);
+    if (hasNano) return 'nano_banana';
+    if (hasGemini) return 'gemini';
   }
-  if (providerRequested === 'gemini' && hasGemini) return generateWithGemini(promptJson);
-  if (providerRequested === 'dalle' && hasOpenAi) return generateWithDalle(promptJson);
+  if (providerRequested === 'gemini' && hasGemini) return 'gemini';
+  if (providerRequested === 'dalle' && hasOpenAi) return 'dalle';
 
-  if (hasNano) return generateWithNanoBanana(promptJson);
-  if (hasGemini) return generateWithGemini(promptJson);
-  if (hasOpenAi) return generateWithDalle(promptJson);
+  if (hasNano) return 'nano_banana';
+  if (hasGemini) return 'gemini';
+  if (hasOpenAi) return 'dalle';
   throw new Error('No configured image provider (need Nano Banana, Gemini, or OpenAI)');
 }
 
-export async function runImageWorker({ limit = 3, maxMs = 220000, day = null } = {}) {
+// Every generation attempt lands in the model_usage ledger under the job's day.
+async function generateImageForJob(job) {
+  let promptJson = {};
+  try {
+    promptJson = JSON.parse(job.prompt_json || '{}');
+  } catch {
+    promptJson = {};
+  }
+
+  const provider = pickImageProvider(job);
+  const { generate, model } = IMAGE_PROVIDERS[provider];
+  const usage = { day: job.day, backend: provider, stage: `images.${job.kind || 'job'}`, model };
+  const startedAtMs = Date.now();
+  try {
+    const img = await generate(promptJson);
+    reportUsage({ ...usage, model: img.modelUsed || model, images: 1, latencyMs: Date.now() - startedAtMs });
+    return img;
+  } catch (err) {
+    reportUsage({ ...usage, ok: false, latencyMs: Date.now() - startedAtMs, error: String(err?.message || err) });
+    throw err;
+  }
+}
+
+export async function runImageWorker({ limit = 3, maxMs = 220000, day = null, pipeline = null } = {}) {
   const flags = getFutureImagesFlags();
   if (!flags.imagesEnabled) {
     return { ok: false, error: 'disabled', detail: 'Set FT_IMAGES_ENABLED=true' };
@@ -392,6 +415,12 @@ export async function runImageWorker({ limit = 3, maxMs = 220000, day = null } =
     };
   }
 
+  // Images are optional: once the day's model budget is spent the queue waits for the next day.
+  const budget = pipeline ? pipeline.getBudgetStatus(day || formatDay()) : null;
+  if (budget?.state === 'exceeded') {
+    return { ok: false, error: 'budget_exceeded', detail: `Spent $${budget.spentUsd.toFixed(2)} of the $${budget.capUsd.toFixed(2)} daily budget.` };
+  }
+
   const allowedKinds = getWorkerAllowedKinds(flags);
   if (!allowedKinds.length) {
     return { ok: false, error: 'disabled', detail: 'No image job kinds are enabled.' };
@@ -458,7 +487,7 @@ export async function runImageWorker({ limit = 3, maxMs = 220000, day = null } =
   return { ok: true, processed, succeeded, failed, jobs };
 }
 
-export async function enqueueSingleStoryHeroJob({ day, pipeline, storyId, section, yearsForward = 5, force = false, priority = 10 } = {}) {
+export async function enqueueSingleStoryHeroJob({ day, pipeline, storyId, section, yearsForward = getDefaultHorizon(), force = false, priority = 10 } = {}) {
   const flags = getFutureImagesFlags();
   if (!flags.imagesEnabled || !flags.storyHeroEnabled) {
     return { ok: false, error: 'disabled', detail: 'Set FT_IMAGES_ENABLED=true and FT_IMAGES_STORY_HERO_ENABLED=true' };
@@ -540,7 +569,7 @@ export async function enqueueSingleIdeaJob({ ideaId, force = false } = {}) {
   const enq = await enqueueJob({
     kind: 'idea_image',
     day: found.day,
-    yearsForward: Number(found.years_forward) || 5,
+    yearsForward: Number(found.years_forward ?? getDefaultHorizon()),
     ideaId: found.idea_id,
     promptJson,
     priority: 40
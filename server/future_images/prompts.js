@@ -60,7 +60,8 @@ export async function extractImagePromptFromArticle(input) {
     user,
     maxTokens: 900,
     temperature: 0.3,
-    timeoutMs: 65000
+    timeoutMs: 65000,
+    stage: 'images.prompt'
   })) || { parsed: null, model: null };
 
   const out = parsed && typeof parsed === 'object' ? parsed : {};
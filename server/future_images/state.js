@@ -1,4 +1,4 @@
-import { formatDay, normalizeDay, SECTION_ORDER } from '../pipeline/utils.js';
+import { formatDay, getDefaultHorizon, normalizeDay, SECTION_ORDER } from '../pipeline/utils.js';
 
 import { getFutureImagesFlags, getGeminiConfig, getNanoBananaConfig, hasBlobConfig, hasPostgresConfig } from './config.js';
 import { ensureFutureImagesSchema, getPoolInitError, pgQuery } from './postgres.js';
@@ -111,7 +111,7 @@ async function getRecentFailures(day) {
   }));
 }
 
-export async function getImagesAdminState({ day, pipeline, yearsForward = 5 } = {}) {
+export async function getImagesAdminState({ day, pipeline, yearsForward = getDefaultHorizon() } = {}) {
   const flags = getFutureImagesFlags();
   const normalized = normalizeDay(day) || pipeline.getLatestDay?.() || formatDay();
   const builtDay = await pipeline.ensureDayBuilt(normalized);
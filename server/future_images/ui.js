@@ -1,6 +1,8 @@
-export function renderImagesAdminHtml({ day, yearsForward = 5 } = {}) {
+import { getDefaultHorizon } from '../pipeline/utils.js';
+
+export function renderImagesAdminHtml({ day, yearsForward = getDefaultHorizon() } = {}) {
   const dayParam = encodeURIComponent(String(day || ''));
-  const yearsParam = encodeURIComponent(String(yearsForward || 5));
+  const yearsParam = encodeURIComponent(String(yearsForward ?? getDefaultHorizon()));
   const stateUrl = `/api/admin/images/state?day=${dayParam}&years=${yearsParam}`;
   // Default to a conservative count so the LLM call reliably fits within serverless timeouts.
   const refreshIdeasUrl = `/api/admin/images/ideas/refresh?day=${dayParam}&years=${yearsParam}&count=30`;
@@ -192,7 +194,7 @@ export function renderImagesAdminHtml({ day, yearsForward = 5 } = {}) {
             (h.lastError ? '<div class=\"kicker danger\">' + esc(h.lastError) + '</div>' : '') +
             '<div class=\"row\" style=\"margin-top:8px\">' +
               btn +
-              (h.storyId ? ('<a class=\"pill\" href=\"/article.html?id=' + esc(h.storyId) + '&years=5&day=' + esc(state.day) + '\" target=\"_blank\">Open story</a>') : '') +
+              (h.storyId ? ('<a class=\"pill\" href=\"/article.html?id=' + esc(h.storyId) + '&years=${yearsParam}&day=' + esc(state.day) + '\" target=\"_blank\">Open story</a>') : '') +
             '</div>' +
           '</div>' +
         '</div>';
@@ -0,0 +1,192 @@
+import http from 'node:http';
+
+import { LLM_CONTEXT_HEADER, LLM_STAGE_HEADER, completeText, fixtureKey, getFixtureDir } from './pipeline/llm.js';
+// Registers the stage fixture responders (curation.plan, curation.backfill, editor.*, canon.extract).
+import './pipeline/curation.js';
+import './pipeline/future-editor.js';
+import './pipeline/world-state.js';
+
+// Local stand-in for the Anthropic Messages and OpenAI chat completions APIs, answered by the
+// fixture backend (recorded responses in LLM_FIXTURE_DIR, else deterministic placeholders).
+// Point the network backends at it to exercise HTTP, retries and streaming with no network:
+//
+//   node server/llm-mock-server.js --port 8787
+//   ANTHROPIC_BASE_URL=http://127.0.0.1:8787/v1/messages npm start
+//   LLM_BACKEND=openai OPENAI_API_KEY=x OPENAI_BASE_URL=http://127.0.0.1:8787/v1 npm start
+//
+// The client sends the stage in the x-llm-stage header, so each stage gets its own responder;
+// add LLM_MOCK_CONTEXT=1 to the app's env to also send the context those responders build from.
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+  }
+  return args;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  return (Array.isArray(content) ? content : []).map((part) => part?.text || '').join('');
+}
+
+function sendJson(res, payload, status = 200) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+function writeEvent(res, event, data) {
+  if (event) res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+function chunks(text) {
+  const out = [];
+  for (let i = 0; i < text.length; i += 120) out.push(text.slice(i, i + 120));
+  return out;
+}
+
+// Stage and fixture context from the client's headers; requests from other clients are 'mock-server'.
+function requestStage(req) {
+  const stage = String(req.headers[LLM_STAGE_HEADER] || '').trim() || 'mock-server';
+  let context;
+  const raw = String(req.headers[LLM_CONTEXT_HEADER] || '').trim();
+  if (raw) {
+    try {
+      context = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+    } catch {
+      context = undefined;
+    }
+  }
+  return { stage, context };
+}
+
+async function answer(req, { system, prompt, model, tool }) {
+  const { stage, context } = requestStage(req);
+  const result = await completeText({ backend: 'fixture', stage, context, system, prompt, model, tool, retries: 0 });
+  const text = tool ? JSON.stringify(result.toolInput ?? {}) : result.text;
+  return { text, toolInput: result.toolInput, usage: result.usage, key: fixtureKey({ system, prompt }) };
+}
+
+async function handleAnthropic(req, res) {
+  const body = await readBody(req);
+  const userMessages = (body.messages || []).filter((m) => m?.role === 'user');
+  const prompt = messageText(userMessages[userMessages.length - 1]?.content);
+  const system = messageText(body.system);
+  const toolDef = Array.isArray(body.tools) && body.tool_choice?.type === 'tool' ? body.tools.find((t) => t.name === body.tool_choice.name) : null;
+  const tool = toolDef ? { name: toolDef.name, inputSchema: toolDef.input_schema } : null;
+  const model = String(body.model || 'mock');
+  const { text, toolInput, usage, key } = await answer(req, { system, prompt, model, tool });
+  const id = `msg_mock_${key}`;
+  const usageOut = { input_tokens: usage.inputTokens, output_tokens: usage.outputTokens };
+
+  if (!body.stream) {
+    const content = tool
+      ? [{ type: 'tool_use', id: `toolu_mock_${key}`, name: tool.name, input: toolInput ?? {} }]
+      : [{ type: 'text', text }];
+    sendJson(res, { id, type: 'message', role: 'assistant', model, content, stop_reason: tool ? 'tool_use' : 'end_turn', usage: usageOut });
+    return;
+  }
+
+  res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache' });
+  writeEvent(res, 'message_start', { type: 'message_start', message: { id, type: 'message', role: 'assistant', model, content: [], usage: { input_tokens: usage.inputTokens, output_tokens: 0 } } });
+  if (tool) {
+    writeEvent(res, 'content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: `toolu_mock_${key}`, name: tool.name, input: {} } });
+    for (const part of chunks(JSON.stringify(toolInput ?? {}))) {
+      writeEvent(res, 'content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: part } });
+    }
+  } else {
+    writeEvent(res, 'content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } });
+    for (const part of chunks(text)) {
+      writeEvent(res, 'content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: part } });
+    }
+  }
+  writeEvent(res, 'content_block_stop', { type: 'content_block_stop', index: 0 });
+  writeEvent(res, 'message_delta', { type: 'message_delta', delta: { stop_reason: tool ? 'tool_use' : 'end_turn' }, usage: { output_tokens: usage.outputTokens } });
+  writeEvent(res, 'message_stop', { type: 'message_stop' });
+  res.end();
+}
+
+async function handleOpenAi(req, res) {
+  const body = await readBody(req);
+  const messages = Array.isArray(body.messages) ? body.messages : [];
+  const system = messages.filter((m) => m?.role === 'system').map((m) => messageText(m.content)).join('\n');
+  const userMessages = messages.filter((m) => m?.role === 'user');
+  const prompt = messageText(userMessages[userMessages.length - 1]?.content);
+  const fn = body.tool_choice?.function?.name
+    ? (body.tools || []).find((t) => t?.function?.name === body.tool_choice.function.name)?.function
+    : null;
+  const tool = fn ? { name: fn.name, inputSchema: fn.parameters } : null;
+  const model = String(body.model || 'mock');
+  const { text, usage, key } = await answer(req, { system, prompt, model, tool });
+  const id = `chatcmpl-mock-${key}`;
+  const usageOut = { prompt_tokens: usage.inputTokens, completion_tokens: usage.outputTokens, total_tokens: usage.inputTokens + usage.outputTokens };
+
+  if (!body.stream) {
+    const message = tool
+      ? { role: 'assistant', content: null, tool_calls: [{ id: `call_${key}`, type: 'function', function: { name: tool.name, arguments: text } }] }
+      : { role: 'assistant', content: text };
+    sendJson(res, { id, object: 'chat.completion', model, choices: [{ index: 0, message, finish_reason: tool ? 'tool_calls' : 'stop' }], usage: usageOut });
+    return;
+  }
+
+  res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache' });
+  for (const part of chunks(text)) {
+    writeEvent(res, null, { id, object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: { content: part }, finish_reason: null }] });
+  }
+  writeEvent(res, null, { id, object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+  writeEvent(res, null, { id, object: 'chat.completion.chunk', model, choices: [], usage: usageOut });
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+const args = parseArgs(process.argv.slice(2));
+const port = Number(args.port || process.env.LLM_MOCK_PORT || 8787);
+const host = String(args.host || '127.0.0.1');
+
+// Fixture context headers can be large (a day's candidates), so allow more than Node's 16 KB.
+const server = http.createServer({ maxHeaderSize: 4 * 1024 * 1024 }, async (req, res) => {
+  const pathname = new URL(req.url || '/', 'http://localhost').pathname;
+  try {
+    if (req.method === 'GET' && pathname === '/health') {
+      sendJson(res, { ok: true, fixtureDir: getFixtureDir() });
+      return;
+    }
+    if (req.method === 'POST' && pathname.endsWith('/messages')) {
+      await handleAnthropic(req, res);
+      return;
+    }
+    if (req.method === 'POST' && pathname.endsWith('/chat/completions')) {
+      await handleOpenAi(req, res);
+      return;
+    }
+    sendJson(res, { type: 'error', error: { type: 'not_found_error', message: `No mock route for ${req.method} ${pathname}` } }, 404);
+  } catch (err) {
+    sendJson(res, { type: 'error', error: { type: 'invalid_request_error', message: String(err?.message || err) } }, 400);
+  }
+});
+
+server.listen(port, host, () => {
+  console.log(`LLM mock server on http://${host}:${port} (fixtures: ${getFixtureDir()})`);
+  console.log(`  Anthropic: ANTHROPIC_BASE_URL=http://${host}:${port}/v1/messages`);
+  console.log(`  OpenAI:    OPENAI_BASE_URL=http://${host}:${port}/v1`);
+});
@@ -0,0 +1,189 @@
+import { extractClaims } from './consistency.js';
+
+// Forecast calibration. Each published story implies predictions that can be checked later:
+// the prediction markets in its evidence pack (the story reports the side the market leans to,
+// with the curator's confidence) and economic figures it states for a period FRED will publish.
+// Once those resolve, Brier scores show how well the paper's implied forecasts hold up; the
+// market's own price at publication is scored alongside as a baseline.
+
+// Metric ids from consistency.js that map to a stored FRED series. Claims without a region are
+// read as U.S. figures, the paper's default frame.
+export const FRED_TARGETS = {
+  unemployment_rate: { seriesId: 'UNRATE', transform: 'level', tolerance: 0.3, label: 'U.S. unemployment rate' },
+  policy_rate: { seriesId: 'FEDFUNDS', transform: 'level', tolerance: 0.25, label: 'Effective fed funds rate' },
+  ten_year_yield: { seriesId: 'DGS10', transform: 'level', tolerance: 0.3, label: '10-year Treasury yield' },
+  inflation: { seriesId: 'CPIAUCSL', transform: 'yoy', tolerance: 0.5, label: 'CPI inflation, year over year' }
+};
+
+// Markets count as resolved once the exchange reports a result, or when a price observed after
+// their close date sits this close to 0 or 1; a market that has not settled this long after its
+// close date is voided.
+const SETTLED_PROB = 0.02;
+const MARKET_VOID_AFTER_DAYS = 45;
+const DEFAULT_CONFIDENCE = 0.7;
+
+function clampProb(p) {
+  return Math.round(Math.max(0.01, Math.min(0.99, p)) * 10000) / 10000;
+}
+
+function parsePercent(text) {
+  const m = String(text || '').match(/(\d+(?:\.\d+)?)\s*%/);
+  return m ? Number(m[1]) / 100 : null;
+}
+
+function lastDayOfMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// 'YYYY-MM', 'YYYY-Qn', 'YYYY' or 'current' (the edition's month) → inclusive date range.
+export function periodRange(period, editionMonth) {
+  const value = period === 'current' ? editionMonth : period;
+  let m = String(value || '').match(/^(\d{4})-(\d{2})$/);
+  if (m) {
+    const year = Number(m[1]);
+    const month = Number(m[2]);
+    return { start: `${m[1]}-${m[2]}-01`, end: `${m[1]}-${m[2]}-${String(lastDayOfMonth(year, month)).padStart(2, '0')}` };
+  }
+  m = String(value || '').match(/^(\d{4})-Q([1-4])$/);
+  if (m) {
+    const endMonth = Number(m[2]) * 3;
+    return {
+      start: `${m[1]}-${String(endMonth - 2).padStart(2, '0')}-01`,
+      end: `${m[1]}-${String(endMonth).padStart(2, '0')}-${String(lastDayOfMonth(Number(m[1]), endMonth)).padStart(2, '0')}`
+    };
+  }
+  m = String(value || '').match(/^(\d{4})$/);
+  if (m) return { start: `${m[1]}-01-01`, end: `${m[1]}-12-31` };
+  return null;
+}
+
+/**
+ * Predictions implied by one published story. `story` is { storyId, title, dek, body },
+ * `pack` its evidence pack and `confidence` the curator's 0-100 score. `marketCloseDate(url)`
+ * looks up the close date of a cited market. Returns rows ready for forecast_predictions.
+ */
+export function extractStoryPredictions({ story, pack, confidence, editionMonth, marketCloseDate }) {
+  const conf = Number.isFinite(Number(confidence)) && Number(confidence) > 0 ? Number(confidence) / 100 : DEFAULT_CONFIDENCE;
+  const predictions = [];
+
+  for (const market of Array.isArray(pack?.markets) ? pack.markets : []) {
+    const quote = (market.exchanges || []).find((q) => q.url) || {};
+    const url = String(market.url || quote.url || '').trim();
+    const baseline = parsePercent(market.consensus) ?? parsePercent(quote.prob);
+    if (!url || baseline === null) continue;
+    const closeDate = typeof marketCloseDate === 'function' ? marketCloseDate(url) : null;
+    predictions.push({
+      kind: 'market',
+      event: String(market.label || '').trim().slice(0, 300),
+      targetRef: url,
+      targetValue: null,
+      tolerance: null,
+      probability: clampProb(baseline >= 0.5 ? conf : 1 - conf),
+      baselineProb: baseline,
+      resolutionDate: closeDate || null
+    });
+  }
+
+  const seen = new Set();
+  for (const claim of extractClaims(story)) {
+    if (claim.kind !== 'metric') continue;
+    const [metric, region, period] = claim.key.split('|');
+    const target = FRED_TARGETS[metric];
+    if (!target || (region && region !== 'us')) continue;
+    const range = periodRange(period, editionMonth);
+    if (!range || seen.has(`${metric}|${range.end}`)) continue;
+    seen.add(`${metric}|${range.end}`);
+    predictions.push({
+      kind: 'econ',
+      event: `${target.label} ${period === 'current' ? editionMonth : period}: ${claim.value}% (±${target.tolerance})`,
+      targetRef: `${target.seriesId}:${target.transform}:${range.start}:${range.end}`,
+      targetValue: claim.value,
+      tolerance: target.tolerance,
+      probability: clampProb(conf),
+      baselineProb: null,
+      resolutionDate: range.end
+    });
+  }
+  return predictions;
+}
+
+/**
+ * Market outcome: { outcome: 1|0 } once the exchange reports it settled (`settlement`, from
+ * market-settlement.js) or a tick observed after the close date shows a settled price,
+ * { void: true } when it never settled well after closing, else null (still open). A pinned price
+ * before the close is not an outcome: a 98% market can still resolve NO.
+ */
+export function resolveMarketPrediction(prediction, tick, today, settlement = null) {
+  if (settlement?.settled) return { outcome: settlement.outcome, value: settlement.value ?? settlement.outcome };
+  const close = String(prediction.resolutionDate || tick?.close_date || '').slice(0, 10);
+  if (!close) return null;
+  const observed = String(tick?.observed_at ?? tick?.observedAt ?? '').slice(0, 10);
+  const prob = Number(tick?.yes_prob ?? tick?.yesProb);
+  if (observed > close && Number.isFinite(prob)) {
+    if (prob >= 1 - SETTLED_PROB) return { outcome: 1, value: prob };
+    if (prob <= SETTLED_PROB) return { outcome: 0, value: prob };
+  }
+  const voidAfter = new Date(`${close}T00:00:00Z`);
+  voidAfter.setUTCDate(voidAfter.getUTCDate() + MARKET_VOID_AFTER_DAYS);
+  if (voidAfter.toISOString().slice(0, 10) < today) return { void: true };
+  return null;
+}
+
+function meanInRange(observations, start, end) {
+  const values = observations.filter((o) => o.date >= start && o.date <= end).map((o) => o.value);
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function shiftYear(date, years) {
+  return `${Number(date.slice(0, 4)) + years}${date.slice(4)}`;
+}
+
+/**
+ * Econ outcome once FRED has published the period: 1 when the period's mean (or its
+ * year-over-year change for 'yoy' targets) is within tolerance of the stated value.
+ * `observations` is the series as [{ date, value }] ascending; null while still open.
+ */
+export function resolveEconPrediction(prediction, observations, today) {
+  const [, transform, start, end] = String(prediction.targetRef || '').split(':');
+  const list = Array.isArray(observations) ? observations : [];
+  // Monthly series date an observation to the 1st, so data dated in the final month is enough.
+  if (!end || today <= end || !list.length || list[list.length - 1].date < `${end.slice(0, 8)}01`) return null;
+  let value = meanInRange(list, start, end);
+  if (value === null) return null;
+  if (transform === 'yoy') {
+    const prior = meanInRange(list, shiftYear(start, -1), shiftYear(end, -1));
+    if (!prior) return null;
+    value = (value / prior - 1) * 100;
+  }
+  const rounded = Math.round(value * 100) / 100;
+  return { outcome: Math.abs(value - Number(prediction.targetValue)) <= Number(prediction.tolerance) ? 1 : 0, value: rounded };
+}
+
+export function brierScore(probability, outcome) {
+  return (Number(probability) - Number(outcome)) ** 2;
+}
+
+/**
+ * Aggregate resolved rows ({ probability, baselineProb, outcome }) into a Brier score, the
+ * market baseline's Brier score where available, and ten reliability buckets.
+ */
+export function summarizeCalibration(rows) {
+  const list = Array.isArray(rows) ? rows : [];
+  const round = (n) => Math.round(n * 10000) / 10000;
+  const withBaseline = list.filter((r) => Number.isFinite(r.baselineProb));
+  const buckets = Array.from({ length: 10 }, (_, i) => ({ from: i / 10, to: (i + 1) / 10, count: 0, meanProb: 0, observed: 0 }));
+  for (const r of list) {
+    const b = buckets[Math.min(9, Math.floor(Number(r.probability) * 10))];
+    b.count++;
+    b.meanProb += Number(r.probability);
+    b.observed += Number(r.outcome);
+  }
+  return {
+    count: list.length,
+    brier: list.length ? round(list.reduce((sum, r) => sum + brierScore(r.probability, r.outcome), 0) / list.length) : null,
+    baselineCount: withBaseline.length,
+    baselineBrier: withBaseline.length ? round(withBaseline.reduce((sum, r) => sum + brierScore(r.baselineProb, r.outcome), 0) / withBaseline.length) : null,
+    hitRate: list.length ? round(list.reduce((sum, r) => sum + Number(r.outcome), 0) / list.length) : null,
+    buckets: buckets.filter((b) => b.count).map((b) => ({ from: b.from, to: b.to, count: b.count, meanProb: round(b.meanProb / b.count), observed: round(b.observed / b.count) }))
+  };
+}
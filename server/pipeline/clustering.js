@@ -0,0 +1,226 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { cosineSimilarity, vectorizeDocuments } from './embeddings.js';
+import { jaccard, tokenize } from './utils.js';
+
+// Topic clustering strategies for buildTopicsForDay. Each strategy takes one section's signals,
+// sorted by score descending ({ signal_id, title, summary, entities, score }), and returns
+// clusters in topic order: [{ label, signals, score }]. Settings live in config/clustering.json;
+// PIPELINE_CLUSTER_STRATEGY overrides the strategy name.
+
+export const DEFAULT_CLUSTERING = {
+  strategy: 'jaccard',
+  maxSignals: 60,
+  maxTopics: 24,
+  jaccard: { threshold: 0.36, entityThreshold: 0.18 },
+  agglomerative: { vectorizer: 'hashed', linkage: 'average', threshold: 0.2, entityBonus: 0.08, ngram: 2, dims: 1024, charNgram: 4 }
+};
+
+const STRATEGIES = new Map();
+
+export function registerClusteringStrategy(name, fn) {
+  const key = String(name || '').trim();
+  if (!key || typeof fn !== 'function') throw new Error('Clustering strategy requires a name and a function');
+  STRATEGIES.set(key, fn);
+}
+
+export function listClusteringStrategies() {
+  return Array.from(STRATEGIES.keys()).sort();
+}
+
+function mergeConfig(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    out[key] = value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object'
+      ? { ...base[key], ...value }
+      : value;
+  }
+  return out;
+}
+
+export function loadClusteringConfig(rootDir, overrides = {}) {
+  let fileConfig = {};
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(path.resolve(rootDir || process.cwd(), 'config', 'clustering.json'), 'utf8')) || {};
+  } catch {
+    fileConfig = {};
+  }
+  const config = mergeConfig(mergeConfig(DEFAULT_CLUSTERING, fileConfig), overrides);
+  const envStrategy = String(process.env.PIPELINE_CLUSTER_STRATEGY || '').trim();
+  if (envStrategy && !overrides.strategy) config.strategy = envStrategy;
+  return config;
+}
+
+// The original greedy pass: each signal joins the most title-similar topic so far, or starts one.
+function greedyJaccard(signals, config) {
+  const { threshold, entityThreshold } = config.jaccard;
+  const topics = [];
+  for (const signal of signals) {
+    const tokens = tokenize(signal.title);
+    const entities = signal.entities || [];
+    let bestIdx = -1;
+    let bestSim = 0;
+    let bestSharedEntity = false;
+    for (let i = 0; i < topics.length; i++) {
+      const candidate = topics[i];
+      const sim = jaccard(tokens, candidate.tokens);
+      const sharedEntity = entities.some((e) => candidate.entities.has(e));
+      if (sim > bestSim) {
+        bestSim = sim;
+        bestIdx = i;
+        bestSharedEntity = sharedEntity;
+      }
+    }
+
+    const shouldMerge = bestIdx >= 0 && (bestSim >= threshold || (bestSharedEntity && bestSim >= entityThreshold));
+    if (shouldMerge) {
+      const t = topics[bestIdx];
+      t.signals.push(signal);
+      for (const e of entities) t.entities.add(e);
+      for (const w of tokens) t.tokens.add(w);
+      t.score = Math.max(t.score, signal.score || 0);
+      continue;
+    }
+
+    topics.push({
+      label: signal.title,
+      signals: [signal],
+      tokens: new Set(tokens),
+      entities: new Set(entities),
+      score: signal.score || 0
+    });
+    if (topics.length >= config.maxTopics) break;
+  }
+  return topics.map(({ label, signals: members, score }) => ({ label, signals: members, score }));
+}
+
+// Bottom-up merging on cosine similarity of local vectors until no pair of clusters is at least
+// `threshold` similar. Linkage is how cluster-to-cluster similarity is derived from member pairs.
+function agglomerative(signals, config) {
+  const opts = config.agglomerative;
+  const n = signals.length;
+  if (!n) return [];
+  const vectors = vectorizeDocuments(signals, opts.vectorizer, opts);
+  const entitySets = signals.map((s) => new Set(s.entities || []));
+  const sim = Array.from({ length: n }, () => new Float64Array(n));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      let value = cosineSimilarity(vectors[i], vectors[j]);
+      if (opts.entityBonus && value > 0 && [...entitySets[i]].some((e) => entitySets[j].has(e))) value += Number(opts.entityBonus);
+      sim[i][j] = value;
+      sim[j][i] = value;
+    }
+  }
+
+  const members = signals.map((_, i) => [i]);
+  const active = new Set(members.keys());
+  const linkage = String(opts.linkage || 'average');
+  const threshold = Number(opts.threshold);
+  while (active.size > 1) {
+    let bestA = -1;
+    let bestB = -1;
+    let best = -Infinity;
+    for (const a of active) {
+      for (const b of active) {
+        if (b <= a) continue;
+        if (sim[a][b] > best) {
+          best = sim[a][b];
+          bestA = a;
+          bestB = b;
+        }
+      }
+    }
+    if (best < threshold) break;
+    // Lance–Williams update: fold cluster B into A.
+    const na = members[bestA].length;
+    const nb = members[bestB].length;
+    for (const k of active) {
+      if (k === bestA || k === bestB) continue;
+      const value = linkage === 'single'
+        ? Math.max(sim[bestA][k], sim[bestB][k])
+        : linkage === 'complete'
+          ? Math.min(sim[bestA][k], sim[bestB][k])
+          : (na * sim[bestA][k] + nb * sim[bestB][k]) / (na + nb);
+      sim[bestA][k] = value;
+      sim[k][bestA] = value;
+    }
+    members[bestA].push(...members[bestB]);
+    active.delete(bestB);
+  }
+
+  // Topic order and labels follow the strongest signal in each cluster, as the greedy pass does.
+  return Array.from(active)
+    .map((idx) => members[idx].sort((a, b) => a - b).map((i) => signals[i]))
+    .sort((a, b) => signals.indexOf(a[0]) - signals.indexOf(b[0]))
+    .slice(0, config.maxTopics)
+    .map((group) => ({
+      label: group[0].title,
+      signals: group,
+      score: Math.max(...group.map((s) => s.score || 0))
+    }));
+}
+
+registerClusteringStrategy('jaccard', greedyJaccard);
+registerClusteringStrategy('agglomerative', agglomerative);
+
+export function clusterSignals(signals, config = DEFAULT_CLUSTERING) {
+  const resolved = mergeConfig(DEFAULT_CLUSTERING, config);
+  const strategy = STRATEGIES.get(String(resolved.strategy || '').trim());
+  if (!strategy) throw new Error(`Unknown clustering strategy "${resolved.strategy}"`);
+  return strategy((signals || []).slice(0, resolved.maxSignals), resolved);
+}
+
+function pairs(count) {
+  return (count * (count - 1)) / 2;
+}
+
+/**
+ * Compare predicted clusters (arrays of item ids) with gold labels ({ id: label }). Items
+ * without a gold label are ignored. Reports pairwise precision/recall/F1 (do items that share a
+ * story end up together, and only those), purity, and the adjusted Rand index.
+ */
+export function scoreClustering(predicted, goldById) {
+  const gold = new Map(Object.entries(goldById || {}).map(([id, label]) => [String(id), String(label)]));
+  const clusters = predicted
+    .map((cluster) => cluster.map(String).filter((id) => gold.has(id)))
+    .filter((cluster) => cluster.length);
+  const total = clusters.reduce((sum, c) => sum + c.length, 0);
+  if (!total) return { items: 0, predictedClusters: 0, goldClusters: 0, precision: 0, recall: 0, f1: 0, purity: 0, ari: 0 };
+
+  const goldSizes = new Map();
+  let purityHits = 0;
+  let samePredicted = 0;
+  let sameBoth = 0;
+  for (const cluster of clusters) {
+    const counts = new Map();
+    for (const id of cluster) {
+      const label = gold.get(id);
+      counts.set(label, (counts.get(label) || 0) + 1);
+      goldSizes.set(label, (goldSizes.get(label) || 0) + 1);
+    }
+    purityHits += Math.max(...counts.values());
+    samePredicted += pairs(cluster.length);
+    for (const count of counts.values()) sameBoth += pairs(count);
+  }
+  const sameGold = Array.from(goldSizes.values()).reduce((sum, c) => sum + pairs(c), 0);
+
+  const precision = samePredicted ? sameBoth / samePredicted : 1;
+  const recall = sameGold ? sameBoth / sameGold : 1;
+  const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+  const expected = (samePredicted * sameGold) / (pairs(total) || 1);
+  const maxIndex = (samePredicted + sameGold) / 2;
+  const ari = maxIndex - expected ? (sameBoth - expected) / (maxIndex - expected) : 1;
+
+  const round = (value) => Number(value.toFixed(4));
+  return {
+    items: total,
+    predictedClusters: clusters.length,
+    goldClusters: goldSizes.size,
+    precision: round(precision),
+    recall: round(recall),
+    f1: round(f1),
+    purity: round(purityHits / total),
+    ari: round(ari)
+  };
+}
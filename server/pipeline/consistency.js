@@ -0,0 +1,202 @@
+// Cross-story consistency checks for one edition. Claims are pulled out of story copy with
+// deterministic rules (no model call), so the check costs nothing and behaves the same in mock
+// mode; conflicts are then routed to the future editor or flagged on the curation admin page.
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Metric phrases worth comparing across stories, keyed by a stable metric id.
+const METRIC_PATTERNS = [
+  ['unemployment_rate', /\b(?:unemployment|jobless)(?: rate)?\b/i],
+  ['inflation', /\b(?:inflation|consumer prices|cpi)\b/i],
+  ['core_inflation', /\bcore (?:inflation|pce|cpi)\b/i],
+  ['gdp_growth', /\b(?:gdp|economic growth|economy grew|economy expanded|output grew)\b/i],
+  ['policy_rate', /\b(?:federal funds rate|fed funds rate|policy rate|benchmark rate|interest rates?)\b/i],
+  ['mortgage_rate', /\bmortgage rates?\b/i],
+  ['ten_year_yield', /\b10-year (?:treasury )?yields?\b/i],
+  ['approval_rating', /\bapproval rating\b/i],
+  ['ev_share', /\b(?:ev|electric[- ]vehicle) (?:share|sales share|market share)\b/i]
+];
+
+// Abbreviations end in a period, so they cannot take a trailing \b.
+const REGION_PATTERNS = [
+  ['us', /(?:\bu\.s\.|\b(?:us|united states|american|fed|federal reserve)\b)/i],
+  ['euro', /\b(?:euro ?zone|euro area|european|ecb)\b/i],
+  ['uk', /(?:\bu\.k\.|\b(?:uk|britain|british|bank of england)\b)/i],
+  ['china', /\b(?:china|chinese|beijing)\b/i],
+  ['japan', /\b(?:japan|japanese|boj)\b/i],
+  ['india', /\b(?:india|indian)\b/i],
+  ['global', /\b(?:global|worldwide|world)\b/i]
+];
+
+const ROLE_TITLE = '(?:CEO|chief executive|chairman|chairwoman|chair|president|prime minister|chancellor|governor|minister|secretary|founder)';
+// Departure words only count when attached to the name: up to three words before it ("former
+// Acme chairman Bob Smith", "the resignation of CEO Jane Doe"), or the verb right after it,
+// past an optional appositive or "who" ("Jane Doe, the CEO, resigned", "Doe was fired").
+const DEPARTED_BEFORE_RE = /\b(?:former|late|ousted|fired|jailed|(?:resignation|death|firing|ouster|arrest|indictment|impeachment|dismissal) of)\s+(?:[\w&.'-]+\s+){0,3}$/i;
+const DEPARTED_AFTER_RE = /^(?:,[^,]{1,80},)?,?\s+(?:who\s+)?(?:(?:has|had|was|is|were|will|be|been|just|abruptly|formally|officially|quietly|later|then)\s+){0,3}(?:fired|ousted|resigned|resigns|resign|stepped down|steps down|step down|dismissed|removed|died|dies|arrested|indicted|jailed|impeached)\b/i;
+const EVENT_RE = /\b(launch|ipo|election|summit|vote|referendum|merger|deadline|rollout|opening|ceremony|hearing|trial|landing)\b/i;
+const NAME_RE = /\b([A-Z][a-z]+(?:[- ][A-Z][a-z]+){1,2})\b/g;
+const NAME_STOPWORDS = new Set(['The', 'A', 'An', 'In', 'On', 'At', 'By', 'For', 'But', 'And', 'Its', 'This', 'That', 'When', 'After', 'Before', 'New', 'Future', 'Times', ...MONTHS.map((m) => m[0].toUpperCase() + m.slice(1))]);
+
+function splitSentences(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+(?=[A-Z"“])/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function regionOf(sentence) {
+  for (const [id, re] of REGION_PATTERNS) if (re.test(sentence)) return id;
+  return '';
+}
+
+// "March 2031", "Q3 2031", "in 2031"; falls back to 'current' (the edition's own present).
+function periodOf(sentence) {
+  const month = sentence.match(new RegExp(`\\b(${MONTHS.join('|')})(?: \\d{1,2},?)? (20\\d\\d)\\b`, 'i'));
+  if (month) return `${month[2]}-${String(MONTHS.indexOf(month[1].toLowerCase()) + 1).padStart(2, '0')}`;
+  const quarter = sentence.match(/\b(?:Q([1-4])|(first|second|third|fourth) quarter)(?: of)? (20\d\d)\b/i);
+  if (quarter) {
+    const q = quarter[1] || String(['first', 'second', 'third', 'fourth'].indexOf(quarter[2].toLowerCase()) + 1);
+    return `${quarter[3]}-Q${q}`;
+  }
+  const year = sentence.match(/\b(?:in|for|during|by end of|through) (20\d\d)\b/i);
+  return year ? year[1] : 'current';
+}
+
+// Exact calendar date in a sentence, if any ("March 3, 2031" -> 2031-03-03, "March 2031" -> 2031-03).
+function dateOf(sentence) {
+  const m = sentence.match(new RegExp(`\\b(${MONTHS.join('|')})(?: (\\d{1,2}),?)? (20\\d\\d)\\b`, 'i'));
+  if (!m) return '';
+  const month = String(MONTHS.indexOf(m[1].toLowerCase()) + 1).padStart(2, '0');
+  return m[2] ? `${m[3]}-${month}-${String(m[2]).padStart(2, '0')}` : `${m[3]}-${month}`;
+}
+
+function namesIn(sentence) {
+  const out = [];
+  for (const match of sentence.matchAll(NAME_RE)) {
+    const words = match[1].split(' ');
+    while (words.length && NAME_STOPWORDS.has(words[0])) words.shift();
+    if (words.length >= 2) out.push(words.join(' '));
+  }
+  return out;
+}
+
+function departedNear(sentence, start, end) {
+  return DEPARTED_BEFORE_RE.test(sentence.slice(Math.max(0, start - 80), start)) || DEPARTED_AFTER_RE.test(sentence.slice(end, end + 160));
+}
+
+// People named next to a role title ("CEO Jane Doe", "Jane Doe, the chief executive"), each
+// with whether the words around that name put them out of the role: [{ name, departed }].
+function peopleWithRoles(sentence) {
+  const out = new Map();
+  const after = new RegExp(`\\b${ROLE_TITLE}(?: of [A-Z][\\w&.-]*(?: [A-Z][\\w&.-]*)*)?,? ([A-Z][a-z]+(?:[- ][A-Z][a-z]+){1,2})\\b`, 'g');
+  const before = new RegExp(`\\b([A-Z][a-z]+(?:[- ][A-Z][a-z]+){1,2}), (?:the |its |a |[A-Z][\\w&.-]* )*((?:former |ousted |outgoing )?)${ROLE_TITLE}\\b`, 'g');
+  for (const re of [after, before]) {
+    for (const match of sentence.matchAll(re)) {
+      const name = match[1];
+      if (NAME_STOPWORDS.has(name.split(/[- ]/)[0])) continue;
+      const start = re === after ? match.index + match[0].length - name.length : match.index;
+      const departed = /former|ousted/.test(match[2] || '') || departedNear(sentence, start, start + name.length);
+      out.set(name, Boolean(out.get(name)) || departed);
+    }
+  }
+  return [...out].map(([name, departed]) => ({ name, departed }));
+}
+
+function clip(text, maxLen = 220) {
+  const s = String(text || '').trim();
+  return s.length <= maxLen ? s : `${s.slice(0, maxLen - 1).trim()}…`;
+}
+
+/**
+ * Claims in one story: metric values ({ kind:'metric', key, value }), person status
+ * ({ kind:'status', entity, status:'departed'|'active' }) and scheduled events
+ * ({ kind:'event', key, date }). Each claim keeps the sentence it came from.
+ */
+export function extractClaims(story) {
+  const storyId = String(story?.storyId || '').trim();
+  const text = [story?.title, story?.dek, story?.body].map((t) => String(t || '').trim()).filter(Boolean).join('. ');
+  const claims = [];
+  for (const sentence of splitSentences(text)) {
+    const numbers = [...sentence.matchAll(/(-?\d+(?:\.\d+)?)\s*(?:%|percent|per cent)/gi)];
+    if (numbers.length === 1) {
+      // Sentences with several percentages ("from 4.1% to 4.6%") are ambiguous; skip them.
+      const metric = METRIC_PATTERNS.filter(([, re]) => re.test(sentence)).map(([id]) => id);
+      if (metric.length === 1) {
+        const key = [metric[0], regionOf(sentence), periodOf(sentence)].join('|');
+        claims.push({ storyId, kind: 'metric', key, value: Number(numbers[0][1]), sentence: clip(sentence) });
+      }
+    }
+
+    // A named officeholder is either out of the role (fired, resigned, former...) or acting in
+    // it; the same person cannot be both within one edition.
+    for (const { name, departed } of peopleWithRoles(sentence)) {
+      claims.push({ storyId, kind: 'status', entity: name, status: departed ? 'departed' : 'active', sentence: clip(sentence) });
+    }
+
+    const names = namesIn(sentence);
+    if (names.length) {
+      const event = sentence.match(EVENT_RE);
+      const date = dateOf(sentence);
+      if (event && date) {
+        claims.push({ storyId, kind: 'event', key: `${names[0]}|${event[1].toLowerCase()}`, date, sentence: clip(sentence) });
+      }
+    }
+  }
+  return claims;
+}
+
+function metricsDisagree(a, b) {
+  const diff = Math.abs(a - b);
+  return diff > Math.max(0.1, Math.abs(a) * 0.02);
+}
+
+// Dates agree when one is a prefix of the other ("2031-03" vs "2031-03-14").
+function datesDisagree(a, b) {
+  return !a.startsWith(b) && !b.startsWith(a);
+}
+
+/**
+ * Conflicts between different stories of one edition. Each conflict names the stories involved
+ * and the clashing claims: { id, kind, summary, storyIds, claims }.
+ */
+export function findConflicts(stories) {
+  const claims = (Array.isArray(stories) ? stories : []).flatMap((story) => extractClaims(story));
+  const conflicts = [];
+  const seen = new Set();
+  const push = (kind, key, a, b, summary) => {
+    const storyIds = [a.storyId, b.storyId].sort();
+    const id = `${kind}:${key}:${storyIds.join('+')}`;
+    if (seen.has(id)) return;
+    seen.add(id);
+    conflicts.push({ id, kind, summary, storyIds, claims: [a, b] });
+  };
+
+  for (let i = 0; i < claims.length; i++) {
+    const a = claims[i];
+    for (let j = i + 1; j < claims.length; j++) {
+      const b = claims[j];
+      if (a.storyId === b.storyId || a.kind !== b.kind) continue;
+      if (a.kind === 'metric' && a.key === b.key && metricsDisagree(a.value, b.value)) {
+        const [metric, region, period] = a.key.split('|');
+        const label = [region.toUpperCase(), metric.replace(/_/g, ' '), period === 'current' ? '' : `(${period})`].filter(Boolean).join(' ');
+        push('metric', a.key, a, b, `${label}: ${a.value}% vs ${b.value}%`);
+      } else if (a.kind === 'status' && a.entity === b.entity && a.status !== b.status) {
+        push('status', a.entity, a, b, `${a.entity} is out of their role in one story but active in another`);
+      } else if (a.kind === 'event' && a.key === b.key && datesDisagree(a.date, b.date)) {
+        const [entity, event] = a.key.split('|');
+        push('event', a.key, a, b, `${entity} ${event}: ${a.date} vs ${b.date}`);
+      }
+    }
+  }
+  return conflicts;
+}
+
+// Prompt lines handed to the future editor so it can reconcile the stories involved.
+export function formatConflictsForEditor(conflicts, max = 20) {
+  return (Array.isArray(conflicts) ? conflicts : []).slice(0, max).map((c, idx) => [
+    `${idx + 1}. ${c.summary}`,
+    ...c.claims.map((claim) => `   - storyId ${claim.storyId}: "${claim.sentence}"`)
+  ].join('\n')).join('\n');
+}
@@ -0,0 +1,123 @@
+import { getPostgresPool, pgQuery } from '../future_images/postgres.js';
+
+// Durable copy of curation progress. On Vercel the SQLite file is a per-instance copy in /tmp
+// that a cold start throws away, so a later cron call could not resume an earlier one. With
+// POSTGRES_URL set, every checkpoint and each edition's story_curations rows are written
+// through to Postgres and restored before a run resumes; without it these calls do nothing and
+// SQLite alone is the record.
+
+let _schemaPromise = null;
+
+export function isCurationStoreEnabled() {
+  return Boolean(getPostgresPool());
+}
+
+function ensureCurationSchema() {
+  if (_schemaPromise) return _schemaPromise;
+  _schemaPromise = (async () => {
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS ft_curation_checkpoints (
+        day TEXT NOT NULL,
+        years_forward INTEGER NOT NULL,
+        stage TEXT NOT NULL,
+        chunk TEXT NOT NULL DEFAULT '',
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        started_at TEXT,
+        finished_at TEXT,
+        error TEXT,
+        result_json TEXT,
+        PRIMARY KEY(day, years_forward, stage, chunk)
+      );
+    `);
+    await pgQuery(`
+      CREATE TABLE IF NOT EXISTS ft_story_curations (
+        story_id TEXT PRIMARY KEY,
+        day TEXT NOT NULL,
+        years_forward INTEGER NOT NULL,
+        row_json TEXT NOT NULL
+      );
+    `);
+    await pgQuery(`CREATE INDEX IF NOT EXISTS idx_ft_story_curations_day ON ft_story_curations(day, years_forward);`);
+  })().catch((err) => {
+    _schemaPromise = null;
+    throw err;
+  });
+  return _schemaPromise;
+}
+
+// One curation_checkpoints row (snake_case columns, as SQLite returns it).
+export async function saveCurationCheckpoint(row) {
+  if (!isCurationStoreEnabled()) return false;
+  await ensureCurationSchema();
+  await pgQuery(
+    `
+      INSERT INTO ft_curation_checkpoints(day, years_forward, stage, chunk, status, attempts, started_at, finished_at, error, result_json)
+      VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT(day, years_forward, stage, chunk) DO UPDATE SET
+        status=EXCLUDED.status, attempts=EXCLUDED.attempts, started_at=EXCLUDED.started_at,
+        finished_at=EXCLUDED.finished_at, error=EXCLUDED.error, result_json=EXCLUDED.result_json;
+    `,
+    [row.day, row.years_forward, row.stage, row.chunk, row.status, row.attempts, row.started_at, row.finished_at, row.error, row.result_json]
+  );
+  return true;
+}
+
+// Delete a day's checkpoints: all of them, one edition's, or only the listed stages.
+export async function deleteCurationCheckpoints(day, { yearsForward = null, stages = null } = {}) {
+  if (!isCurationStoreEnabled()) return false;
+  await ensureCurationSchema();
+  const params = [day];
+  let where = 'day=$1';
+  if (yearsForward !== null) {
+    params.push(yearsForward);
+    where += ` AND years_forward=$${params.length}`;
+  }
+  if (Array.isArray(stages)) {
+    params.push(stages);
+    where += ` AND stage = ANY($${params.length})`;
+  }
+  await pgQuery(`DELETE FROM ft_curation_checkpoints WHERE ${where};`, params);
+  if (yearsForward === null && !Array.isArray(stages)) await pgQuery('DELETE FROM ft_story_curations WHERE day=$1;', [day]);
+  return true;
+}
+
+// Replace an edition's stored story_curations rows with `rows` (full SQLite rows).
+export async function saveStoryCurations(day, yearsForward, rows) {
+  if (!isCurationStoreEnabled()) return false;
+  await ensureCurationSchema();
+  await pgQuery('DELETE FROM ft_story_curations WHERE day=$1 AND years_forward=$2;', [day, yearsForward]);
+  for (const row of rows) {
+    await pgQuery(
+      `
+        INSERT INTO ft_story_curations(story_id, day, years_forward, row_json) VALUES($1, $2, $3, $4)
+        ON CONFLICT(story_id) DO UPDATE SET day=EXCLUDED.day, years_forward=EXCLUDED.years_forward, row_json=EXCLUDED.row_json;
+      `,
+      [row.story_id, day, yearsForward, JSON.stringify(row)]
+    );
+  }
+  return true;
+}
+
+// { checkpoints, storyRows } for a day, or null when Postgres is not configured.
+export async function loadCurationState(day) {
+  if (!isCurationStoreEnabled()) return null;
+  await ensureCurationSchema();
+  const checkpoints = await pgQuery(
+    `
+      SELECT day, years_forward, stage, chunk, status, attempts, started_at, finished_at, error, result_json
+      FROM ft_curation_checkpoints WHERE day=$1;
+    `,
+    [day]
+  );
+  const stories = await pgQuery('SELECT row_json FROM ft_story_curations WHERE day=$1;', [day]);
+  const storyRows = [];
+  for (const r of stories.rows) {
+    try {
+      storyRows.push(JSON.parse(r.row_json));
+    } catch {
+      // Skip a corrupt row.
+    }
+  }
+  return { checkpoints: checkpoints.rows, storyRows };
+}
@@ -1,10 +1,14 @@
-import { isoNow } from './utils.js';
+import { getDefaultHorizon, getEditionHorizons, isoNow, parseHorizonList } from './utils.js';
+import { getLlmBackendName, hasLlmCredentials, registerFixtureResponder, resolveModelAlias } from './llm.js';
+import { MOCK_CURATION_MODEL, buildMockArticleBodies, buildMockEditionPlan, pickKeyStoryIds } from './mock-curation.js';
 import { readSonnetRuntimeConfig } from './runtimeConfig.js';
+import { BACKFILL_TOOL, CURATION_PLAN_TOOL, KEY_STORIES_TOOL, completeStructured } from './structured-output.js';
+import { formatCanonForPrompt } from './world-state.js';
+import { describeTrend } from './topic-trends.js';
+import { promptHashOf } from './revisions.js';
 
 export const DEFAULT_SONNET_SYSTEM_PROMPT =
   'You are Sonnet 4.6 acting as a high-quality daily trend curator. Return JSON only. If unsure, pick the most plausible editorial framing.';
-export const DEFAULT_FUTURE_EDITOR_SYSTEM_PROMPT =
-  'You are Sonnet 4.6 acting as the final standards editor for The Future Times. Return strict JSON only.';
 
 function clampInt(value, fallback, min, max) {
   const n = Number(value);
@@ -23,60 +27,62 @@ export function getSonnetCurationConfigFromEnv() {
   const modeRaw = String(process.env.SONNET_MODE || stored.mode || '').trim();
   const apiKeyEnv = String(process.env.SONNET_API_KEY || process.env.ANTHROPIC_API_KEY || '').trim();
   const apiKeyStored = String(stored.apiKey || '').trim();
-  const hasKey = Boolean(apiKeyEnv || apiKeyStored);
-  const requestedMode = normalizeMode(modeRaw || 'anthropic');
-  const mode = 'anthropic';
-  // Story writing is Sonnet-only.
-  const model = 'claude-sonnet-4-6';
+  const backend = getLlmBackendName();
+  const requestedMode = normalizeMode(modeRaw);
+  // "mock" curates offline with templates and must be asked for explicitly; anything else goes to
+  // the model. Missing credentials are reported (credentialsMissing) rather than quietly publishing
+  // template articles.
+  const mode = requestedMode === 'mock' || requestedMode === 'offline' ? 'mock' : 'anthropic';
+  const credentialsMissing = mode !== 'mock' && !hasLlmCredentials({ backend, apiKey: apiKeyEnv || apiKeyStored });
+  // Story writing defaults to Sonnet; SONNET_MODEL (or LLM_MODEL) picks another model.
+  const model = mode === 'mock' ? MOCK_CURATION_MODEL : resolveModelAlias(process.env.SONNET_MODEL || stored.model || '');
 
   const keyStoriesPerEdition = clampInt(process.env.SONNET_KEY_STORIES_PER_EDITION || stored.keyStoriesPerEdition, 3, 0, 7);
+  // Prewrites (key-story drafts plus the body backfill pass) are the expensive part of curation,
+  // so only these horizons get them; the rest are curated for titles/deks only.
+  const prewriteRaw = String(process.env.SONNET_PREWRITE_HORIZONS || stored.prewriteHorizons || '').trim().toLowerCase();
+  const prewriteHorizons = prewriteRaw === 'all'
+    ? getEditionHorizons()
+    : prewriteRaw === 'none'
+      ? []
+      : parseHorizonList(prewriteRaw, [getDefaultHorizon()]);
+  const backfillLimit = clampInt(process.env.SONNET_BACKFILL_LIMIT || stored.backfillLimit, 20, 0, 40);
   const maxTokens = clampInt(process.env.SONNET_MAX_TOKENS || stored.maxTokens, 55000, 4000, 64000);
   // On Vercel: 250s to fit within 300s limit. Locally: allow more time.
   const isVercel = Boolean(process.env.VERCEL);
   const defaultTimeout = isVercel ? 250000 : 500000;
   const timeoutMs = clampInt(process.env.SONNET_TIMEOUT_MS || stored.timeoutMs, defaultTimeout, 10000, 600000);
+  // Wall-clock budget for one curateDay invocation; stages not started in time resume on the
+  // next call (0 = no limit). Vercel stops at 300s, so leave room for the stage in flight.
+  const runBudgetMs = clampInt(process.env.SONNET_RUN_BUDGET_MS || stored.runBudgetMs, isVercel ? 150000 : 0, 0, 3600000);
   const apiKey = apiKeyEnv || apiKeyStored;
   const apiUrl = String(process.env.SONNET_API_URL || stored.apiUrl || '').trim();
   const systemPrompt =
     String(process.env.SONNET_SYSTEM_PROMPT || stored.systemPrompt || '').trim() || DEFAULT_SONNET_SYSTEM_PROMPT;
 
   return {
-    mode, // Sonnet-only via Anthropic
+    mode, // 'anthropic' (via the LLM client) or 'mock'
     model,
+    backend,
+    credentialsMissing,
     keyStoriesPerEdition,
+    prewriteHorizons,
+    backfillLimit,
     maxTokens,
     timeoutMs,
+    runBudgetMs,
     apiKey,
     apiUrl,
     systemPrompt
   };
 }
 
-function safeParseJson(text) {
-  const raw = String(text || '').trim();
-  if (!raw) return null;
-  try {
-    return JSON.parse(raw);
-  } catch {
-    // Try to recover from "json surrounded by text" responses.
-    const start = raw.indexOf('{');
-    const end = raw.lastIndexOf('}');
-    if (start >= 0 && end > start) {
-      try {
-        return JSON.parse(raw.slice(start, end + 1));
-      } catch {
-        return null;
-      }
-    }
-    return null;
-  }
-}
-
-export function buildEditionCurationPrompt({ day, yearsForward, editionDate, candidates, keyCount, snapshot }) {
+export function buildEditionCurationPrompt({ day, yearsForward, editionDate, candidates, keyCount, snapshot, canon }) {
   const sections = snapshot?.topicsBySection || {};
   const topSignals = Array.isArray(snapshot?.topSignals) ? snapshot.topSignals : [];
   const marketSignals = Array.isArray(snapshot?.marketSignals) ? snapshot.marketSignals : [];
   const econSignals = Array.isArray(snapshot?.econSignals) ? snapshot.econSignals : [];
+  const econIndicators = Array.isArray(snapshot?.econIndicators) ? snapshot.econIndicators : [];
 
   const topicsBySection = Object.entries(sections)
     .map(([section, topics]) => {
@@ -102,6 +108,10 @@ export function buildEditionCurationPrompt({ day, yearsForward, editionDate, can
       const topic = c.topic || {};
       const pack = c.evidencePack || {};
       const citations = Array.isArray(pack.citations) ? pack.citations.slice(0, 2) : [];
+      // Publisher categories from the evidence feeds (RSS/Atom), a cheap hint at what the story is about.
+      const feedTags = Array.from(new Set(
+        (Array.isArray(pack.citations) ? pack.citations : []).flatMap((x) => (Array.isArray(x?.categories) ? x.categories : []))
+      )).slice(0, 5);
       const citeLines = citations
         .map((x) => {
           const title = String(x?.title || '').replace(/\s+/g, ' ').trim().slice(0, 100);
@@ -113,52 +123,102 @@ export function buildEditionCurationPrompt({ day, yearsForward, editionDate, can
         `- storyId: ${c.storyId}`,
         `  section: ${c.section} rank: ${c.rank}`,
         `  topic: ${String(topic.label || c.topicLabel || '').slice(0, 100)}`,
-        `  brief: ${String(topic.brief || '').replace(/\s+/g, ' ').slice(0, 120)}`
+        `  brief: ${String(topic.brief || '').replace(/\s+/g, ' ').slice(0, 120)}`,
+        feedTags.length ? `  feed tags: ${feedTags.join(', ')}` : ''
       ].filter(Boolean).join('\n');
     })
     .join('\n\n');
 
-  // Detect AI section candidates with standing topic enrichments
-  const aiCandidates = (candidates || []).filter((c) => c.section === 'AI' && c.evidencePack?.standingTopic);
-  let aiExtrapolationBlock = '';
-  if (aiCandidates.length) {
-    const aiLines = aiCandidates.map((c) => {
-      const st = c.evidencePack.standingTopic;
+  // Candidates carrying standing-topic enrichments: every AI story, plus other sections' stories
+  // whose evidence matched one of that section's standing topics. Stories sharing a topic share
+  // one entry.
+  const standingGroups = new Map();
+  for (const c of candidates || []) {
+    const st = c.evidencePack?.standingTopic;
+    if (!st) continue;
+    const key = st.key || `${c.section}|${st.label}`;
+    if (!standingGroups.has(key)) standingGroups.set(key, { st, section: st.section || c.section, pack: c.evidencePack, storyIds: [] });
+    standingGroups.get(key).storyIds.push(c.storyId);
+  }
+  let standingTopicBlock = '';
+  if (standingGroups.size) {
+    const topicLines = [...standingGroups.values()].map(({ st, section, pack, storyIds }) => {
       const axes = Array.isArray(st.extrapolationAxes) ? st.extrapolationAxes : [];
       const milestones = Array.isArray(st.milestones) ? st.milestones : [];
-      const axesStr = axes.map((a) => `  - ${a.axis}: ${a.description}`).join('\n');
+      const trend = st.trend || null;
+      const axisTrend = new Map((trend?.axes || []).map((a) => [a.axis, a]));
+      const axesStr = axes.map((a) => {
+        const t = axisTrend.get(a.axis);
+        return `  - ${a.axis}: ${a.description}${t ? ` [evidence ${t.momentum}, ${t.last7} in 7d]` : ''}`;
+      }).join('\n');
       const msStr = milestones.map((m) => `  - ${m.year}: ${m.event}`).join('\n');
+      const progressStr = (trend?.milestones || [])
+        .filter((m) => m.status !== 'due')
+        .map((m) => `  - ${m.year}: ${m.event} — ${m.status.replace('_', ' ')} (${m.observedPerMonth}/mo matching signals vs ${m.expectedPerMonth} expected)`)
+        .join('\n');
       return [
-        `### ${st.label} (${st.category || 'AI'})`,
+        `### ${section} — ${st.label} (${st.category || section})`,
+        `Stories: ${storyIds.join(', ')}`,
         st.description ? `${st.description}` : '',
         axes.length ? `Extrapolation axes:\n${axesStr}` : '',
         milestones.length ? `Projected milestones:\n${msStr}` : '',
-        `Evidence today: ${c.evidencePack.evidenceCount || 0} signals matched`
+        progressStr ? `Milestone progress from accumulated evidence:\n${progressStr}` : '',
+        `Evidence today: ${st.evidenceToday ?? pack.evidenceCount ?? 0} signals matched`,
+        trend?.evidence ? `Evidence trend: ${describeTrend(trend)}` : ''
       ].filter(Boolean).join('\n');
     }).join('\n\n');
 
-    aiExtrapolationBlock = [
+    standingTopicBlock = [
       ``,
-      `## AI SECTION — STRUCTURED EXTRAPOLATION CONTEXT`,
-      `For AI section stories, use the extrapolation axes and milestones below as scaffolding.`,
-      `Your headlines and articles should be SPECIFIC about capabilities, numbers, and outcomes — not vague "AI advances" fluff.`,
+      `## STANDING TOPICS — STRUCTURED EXTRAPOLATION CONTEXT`,
+      `For the stories listed under each standing topic, use its extrapolation axes and milestones as scaffolding.`,
+      `Milestones marked "ahead" can land earlier or bigger than projected; "behind" ones should read as delayed or scaled back. Lean on axes whose evidence is accelerating.`,
+      `Your headlines and articles should be SPECIFIC about capabilities, numbers, and outcomes — not vague "AI advances" or "tensions rise" fluff.`,
       `Example good headline: "Humanoid Robots Now Staff 40% of Amazon Warehouses" (specific, declarative, future-as-fact)`,
       `Example bad headline: "AI Continues to Advance in Robotics" (vague, present-tense-y)`,
       ``,
-      aiLines,
+      topicLines,
       ``
     ].join('\n');
   }
 
+  const econBlock = econIndicators.length
+    ? [
+        ``,
+        `## ECONOMIC BASELINE (computed from FRED data as of ${day})`,
+        `Use these real numbers as the starting point for any economic extrapolation; do not contradict them.`,
+        ...econIndicators.slice(0, 12).map((i) => `- ${i.label}: ${i.value}${i.asOf ? ` (as of ${i.asOf})` : ''}`),
+        ``
+      ].join('\n')
+    : '';
+
+  const canonLines = formatCanonForPrompt(canon);
+  const canonBlock = canonLines
+    ? [
+        ``,
+        `## ESTABLISHED FUTURE CANON (from earlier editions)`,
+        `These facts are already true in this world. Do not contradict them; build on them where relevant (a law passed earlier is in force, an executive who left is gone).`,
+        canonLines,
+        ``
+      ].join('\n')
+    : '';
+
   return [
     `You are an expert editorial planner for "The Future Times".`,
     `You are curating the edition published on ${editionDate} (yearsForward=${yearsForward}) based on baseline signals from ${day}.`,
     ``,
     `Task: produce a curation plan for the *existing* story candidates list below (do not invent new storyIds).`,
-    `- Pick exactly ${keyCount} key stories (the most click-worthy). At least one key story should be from the AI section if AI candidates are present.`,
-    `- For EVERY story: propose a sharper headline + dek that describes an ORIGINAL future event, plus concise "sparkDirections" (writing directions for the article).`,
-    `- For KEY stories (max ${keyCount}): write a full draftArticle with title, dek, body (3-4 paragraphs, NYT-style).`,
-    `- For NON-KEY stories: set draftArticle to null. Keep sparkDirections detailed. A second pass generates bodies.`,
+    ...(keyCount > 0
+      ? [
+        `- Pick exactly ${keyCount} key stories (the most click-worthy). At least one key story should be from the AI section if AI candidates are present.`,
+        `- For EVERY story: propose a sharper headline + dek that describes an ORIGINAL future event, plus concise "sparkDirections" (writing directions for the article).`,
+        `- For KEY stories (max ${keyCount}): write a full draftArticle with title, dek, body (3-4 paragraphs, NYT-style).`,
+        `- For NON-KEY stories: set draftArticle to null. Keep sparkDirections detailed. A second pass generates bodies.`
+      ]
+      : [
+        `- Do not pick key stories or a hero: set key:false, hero:false and draftArticle:null for every story. Key stories are chosen and drafted in a later pass.`,
+        `- For EVERY story: propose a sharper headline + dek that describes an ORIGINAL future event, plus detailed "sparkDirections" (writing directions for the article).`
+      ]),
     `- For EVERY story: assign a "confidence" score (0-100) rating how plausible/likely this prediction is. 90+ = near-certain extrapolation, 70-89 = highly likely, 50-69 = plausible, below 50 = speculative.`,
     ``,
     `CRITICAL — ANALYZE EACH STORY AND EXTRAPOLATE:`,
@@ -187,7 +247,7 @@ export function buildEditionCurationPrompt({ day, yearsForward, editionDate, can
     `RULES:`,
     `- curatedTitle/curatedDek must describe an ORIGINAL future event/outcome in the target year. Be specific: use numbers, company names, policy names, concrete outcomes.`,
     `- Prediction markets are inputs: infer the most likely outcome and report that outcome as what happened (do not pose the story as a question).`,
-    `- Set exactly ONE hero story by setting hero:true for a single storyId (usually one of the keyStoryIds).`,
+    ...(keyCount > 0 ? [`- Set exactly ONE hero story by setting hero:true for a single storyId (usually one of the keyStoryIds).`] : []),
     `- Do not output question headlines.`,
     `- topicTitle should be a short stable tag (2-6 words) that captures the underlying DOMAIN/TREND (not the specific baseline event).`,
     `- futureEventSeed must be a single declarative sentence describing what happened in ${editionDate} (usable as the lede). It should read like real news from that date.`,
@@ -195,7 +255,9 @@ export function buildEditionCurationPrompt({ day, yearsForward, editionDate, can
     `- For AI section stories: use the extrapolation axes to make specific, quantitative predictions. Mention speed/capability numbers, adoption percentages, cost figures where plausible.`,
     `- For draftArticle.body: narrative paragraphs only (NYT-style), no section headings, written as real journalism from ${editionDate}. Do NOT include a Sources section — that is handled separately. Do NOT reference or link to the original baseline news articles.`,
     `- confidence: integer 0-100 rating the plausibility of this prediction.`,
-    aiExtrapolationBlock,
+    standingTopicBlock,
+    econBlock,
+    canonBlock,
     `JSON schema:`,
     `{"schema":1,"day":"${day}","yearsForward":${yearsForward},"editionDate":"${editionDate}","keyStoryIds":["id"],"stories":[{"storyId":"id","curatedTitle":"string","curatedDek":"string","sparkDirections":"string","key":true,"hero":false,"futureEventSeed":"string","confidence":75,"draftArticle":null}]}`,
     `Non-key stories MUST have draftArticle: null. Only key stories get full articles in this pass.`,
@@ -206,377 +268,134 @@ export function buildEditionCurationPrompt({ day, yearsForward, editionDate, can
   ].join('\n');
 }
 
-function uniqueStrings(list) {
-  const out = [];
-  const seen = new Set();
-  for (const item of list || []) {
-    const s = String(item || '').trim();
-    if (!s || seen.has(s)) continue;
-    seen.add(s);
-    out.push(s);
-  }
-  return out;
-}
-
-function trimText(value, maxLen = 1200) {
-  const text = String(value || '').replace(/\s+/g, ' ').trim();
-  if (!text) return '';
-  return text.length <= maxLen ? text : text.slice(0, maxLen).trim();
-}
-
-function normalizeEditorDecision(value) {
-  const raw = String(value || '').trim().toLowerCase();
-  if (raw === 'reject' || raw === 'rejected' || raw === 'drop') return 'reject';
-  if (raw === 'revise' || raw === 'rewrite' || raw === 'fix') return 'revise';
-  return 'approve';
-}
-
-export function buildFutureEditorPrompt({ day, yearsForward, editionDate, stories }) {
-  const storyLines = (Array.isArray(stories) ? stories : [])
-    .slice(0, 48)
-    .map((story, idx) => {
-      const evidence = Array.isArray(story?.evidence) ? story.evidence : [];
-      const evidenceLines = evidence
-        .slice(0, 2)
-        .map((line) => `    - ${trimText(line, 140)}`)
-        .join('\n');
-
-      return [
-        `${idx + 1}. storyId: ${String(story?.storyId || '').trim()}`,
-        `   section: ${String(story?.section || '').trim() || 'World'} rank: ${Number.isFinite(Number(story?.rank)) ? Number(story.rank) : 9999}`,
-        `   topic: ${trimText(story?.topicLabel || '', 120) || '(none)'}`,
-        `   title: ${trimText(story?.title || '', 220)}`,
-        `   dek: ${trimText(story?.dek || '', 260)}`,
-        `   body_excerpt: ${trimText(story?.body || '', 900)}`,
-        evidenceLines ? `   evidence:\n${evidenceLines}` : ''
-      ].filter(Boolean).join('\n');
-    })
-    .join('\n\n');
-
-  return [
-    `You are the final editorial standards gate for The Future Times.`,
-    `Edition date: ${editionDate} (yearsForward=${yearsForward}, baseline day=${day}).`,
-    ``,
-    `Task: For EVERY story below, decide whether it makes sense as a real newspaper story from ${editionDate}.`,
-    `Allowed decisions: approve, revise, reject.`,
-    ``,
-    `Decision policy:`,
-    `- approve: coherent, plausible, and properly future-anchored.`,
-    `- revise: salvageable but needs corrected headline/dek/body wording to fit ${editionDate}.`,
-    `- reject: does not make sense from a ${editionDate} lens, is timeline-incoherent, contradictory, or fundamentally weak.`,
-    ``,
-    `Reject examples: impossible age/time math, memorialized "legacy" framing with no concrete future development, nonspecific filler, obvious present-day recaps pretending to be future news.`,
-    `For revise: provide corrected title and dek. Body is optional, but include a replacement body excerpt if the current copy is materially wrong.`,
-    ``,
-    `Output STRICT JSON only (no markdown fences).`,
-    `Schema:`,
-    `{"schema":1,"day":"${day}","yearsForward":${yearsForward},"editionDate":"${editionDate}","stories":[{"storyId":"id","decision":"approve|revise|reject","reason":"string","title":"string","dek":"string","body":"string"}]}`,
-    ``,
-    `Stories:`,
-    storyLines || '- (none)'
-  ].join('\n');
-}
-
-function resolveAnthropicModelAlias(model) {
-  const raw = String(model || '').trim();
-  const lower = raw.toLowerCase();
-  if (!raw) return 'claude-sonnet-4-6';
-
-  // If the user typed the exact API model name, pass it through unchanged.
-  if (lower.startsWith('claude-sonnet-') || lower.startsWith('claude-haiku-')) {
-    return raw;
-  }
-
-  // User-facing shortcuts → current-gen API model names.
-  if (lower === 'sonnet-4.6' || lower === 'sonnet' || lower === 'sonnet-4' || lower.startsWith('sonnet-') || lower === 'sonnet-4.6' || lower.startsWith('sonnet-')) {
-    return 'claude-sonnet-4-6';
-  }
-  if (lower === 'haiku' || lower.startsWith('haiku')) {
-    return 'claude-haiku-4-5-20251001';
-  }
-  return 'claude-sonnet-4-6';
-}
-
-async function fetchJsonWithTimeout(url, options, timeoutMs) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const resp = await fetch(url, { ...options, signal: controller.signal });
-    const text = await resp.text();
-    let parsedBody = null;
-    try {
-      parsedBody = JSON.parse(text);
-    } catch {
-      parsedBody = null;
-    }
-    if (!resp.ok) {
-      const err = new Error(`LLM HTTP ${resp.status}: ${text.slice(0, 220)}`);
-      err.status = resp.status;
-      err.body = parsedBody;
-      throw err;
-    }
-    const parsed = parsedBody || safeParseJson(text);
-    if (!parsed) {
-      throw new Error(`LLM returned non-JSON response (first 220 chars): ${text.slice(0, 220)}`);
-    }
-    return parsed;
-  } finally {
-    clearTimeout(timeout);
-  }
+// Every curation-stage call goes through the shared LLM client with the stage's tool forced, so
+// the reply is schema-validated and invalid entries get one repair pass (structured-output.js).
+// `context` is only read by the fixture backend's responders; the parsed JSON carries the model.
+async function callCurationModel(stage, prompt, config, context = null, structured = {}) {
+  const { parsed, model } = await completeStructured({
+    stage,
+    prompt,
+    context,
+    system: String(config.systemPrompt || DEFAULT_SONNET_SYSTEM_PROMPT),
+    model: config.model,
+    backend: config.backend,
+    apiKey: config.apiKey,
+    apiUrl: config.apiUrl,
+    maxTokens: config.maxTokens,
+    timeoutMs: config.timeoutMs,
+    temperature: 0.4
+  }, structured);
+  if (parsed && typeof parsed === 'object' && !parsed.model) parsed.model = model;
+  return parsed;
 }
 
-async function callAnthropicJson(prompt, config) {
-  const url = config.apiUrl || 'https://api.anthropic.com/v1/messages';
-  if (!config.apiKey) throw new Error('SONNET_API_KEY is required for SONNET_MODE=anthropic');
-
-  const requested = String(config.model || '').trim();
-  const resolved = resolveAnthropicModelAlias(requested);
-  // Use Sonnet first, then fall back to Haiku.
-  const modelsToTry = uniqueStrings([
-    resolved,
-    'claude-sonnet-4-6',
-    'claude-haiku-4-5-20251001'
-  ]);
-
-  let lastErr = null;
-  for (const model of modelsToTry) {
-    const body = {
-      model,
-      max_tokens: config.maxTokens,
-      temperature: 0.4,
-      system: String(config.systemPrompt || DEFAULT_SONNET_SYSTEM_PROMPT),
-      messages: [{ role: 'user', content: prompt }]
-    };
-
-    try {
-      const resp = await fetchJsonWithTimeout(
-        url,
-        {
-          method: 'POST',
-          headers: {
-            'content-type': 'application/json',
-            'x-api-key': config.apiKey,
-            'anthropic-version': '2023-06-01'
-          },
-          body: JSON.stringify(body)
-        },
-        config.timeoutMs
-      );
-
-      // Anthropic returns { content: [{type:'text', text:'...'}], ... }.
-      let text = '';
-      if (Array.isArray(resp?.content)) {
-        for (const block of resp.content) {
-          if (block && block.type === 'text' && block.text) {
-            text += String(block.text);
-          }
-        }
-      }
-      if (!text) text = '';
-
-      // Strip markdown code fences if present
-      const stripped = text
-        .replace(/^[\s\S]*?```(?:json)?\s*\n?/i, '')
-        .replace(/\n?\s*```[\s\S]*$/i, '')
-        .trim();
-
-      // Check if response was truncated (stop_reason !== 'end_turn')
-      const stopReason = resp?.stop_reason || '';
-      const wasTruncated = stopReason === 'max_tokens';
-
-      let parsed = safeParseJson(stripped) || safeParseJson(text);
-
-      // If truncated, try to close unclosed JSON structures
-      if (!parsed && wasTruncated) {
-        let attempt = stripped || text;
-        // Try adding closing brackets/braces
-        for (const suffix of [']}', '"}]}', '"}]]}', '"}}]}']) {
-          const fixed = attempt + suffix;
-          parsed = safeParseJson(fixed);
-          if (parsed) break;
-        }
-      }
-
-      if (!parsed) parsed = safeParseJson(resp);
-
-      if (!parsed) {
-        const preview = text.slice(0, 400).replace(/\n/g, '\\n');
-        throw new Error(`Anthropic response parse failed (truncated=${wasTruncated}). Preview: ${preview}`);
-      }
-      // Stash the actual provider model used for downstream visibility.
-      if (parsed && typeof parsed === 'object' && !parsed.model) {
-        parsed.model = model;
-      }
-      return parsed;
-    } catch (err) {
-      lastErr = err;
-      const status = err && typeof err === 'object' ? err.status : null;
-      const bodyErr = err && typeof err === 'object' ? err.body : null;
-      const modelNotFound =
-        status === 404 &&
-        bodyErr &&
-        bodyErr.error &&
-        (bodyErr.error.type === 'not_found_error' || bodyErr.error.type === 'not_found') &&
-        String(bodyErr.error.message || '').includes('model:');
-
-      if (modelNotFound) {
-        // Try the next fallback model.
-        continue;
-      }
-      // Any other error: fail fast (auth, rate limit, etc.)
-      throw err;
-    }
+// Rules the schema cannot express: ids must come from the candidate list, and key stories need
+// the full draft the prompt asks for (plans requested with keyCount 0 have no key stories).
+function checkPlanEntry(entry, plan, candidateIds, keyCount) {
+  const errors = [];
+  const storyId = String(entry.storyId || '').trim();
+  if (candidateIds.size && !candidateIds.has(storyId)) errors.push({ field: 'storyId', message: 'is not one of the story candidates' });
+  const key = Boolean(entry.key) || (Array.isArray(plan?.keyStoryIds) && plan.keyStoryIds.includes(storyId));
+  if (keyCount > 0 && key && String(entry.draftArticle?.body || '').trim().length < 200) {
+    errors.push({ field: 'draftArticle.body', message: 'key stories need a full draft body (3-4 paragraphs)' });
   }
-
-  throw lastErr || new Error('Anthropic model resolution failed');
+  return errors;
 }
 
-async function callOpenAiJson(prompt, config) {
-  const url = config.apiUrl || 'https://api.openai.com/v1/responses';
-  if (!config.apiKey) throw new Error('SONNET_API_KEY is required for SONNET_MODE=openai');
-
-  const body = {
-    model: config.model,
-    temperature: 0.4,
-    max_output_tokens: config.maxTokens,
-    input: [
-      {
-        role: 'system',
-        content: [
-          {
-            type: 'text',
-            text: String(config.systemPrompt || DEFAULT_SONNET_SYSTEM_PROMPT)
-          }
-        ]
-      },
-      { role: 'user', content: [{ type: 'text', text: prompt }] }
-    ]
-  };
-
-  const resp = await fetchJsonWithTimeout(
-    url,
-    {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json',
-        authorization: `Bearer ${config.apiKey}`
-      },
-      body: JSON.stringify(body)
-    },
-    config.timeoutMs
-  );
-
-  const text = String(resp?.output_text || '');
-  const parsed = safeParseJson(text) || safeParseJson(resp);
-  if (!parsed) throw new Error('OpenAI response parse failed');
-  return parsed;
+export function missingCredentialsMessage(config) {
+  return `No credentials for the "${config.backend}" LLM backend (set ANTHROPIC_API_KEY / SONNET_API_KEY, or SONNET_MODE=mock to curate offline with templates).`;
 }
 
-// No mock curation — all curation must go through LLM
-
 export async function generateEditionCurationPlan(input) {
   const config = input?.config || getSonnetCurationConfigFromEnv();
   const mode = normalizeMode(config.mode);
   if (mode === 'off' || mode === 'disabled') {
-    throw new Error('Curation is Sonnet-only. SONNET_MODE cannot be off/disabled.');
+    throw new Error('SONNET_MODE cannot be off/disabled; use SONNET_MODE=mock to curate offline.');
   }
 
   const keyCount = clampInt(input?.keyCount ?? config.keyStoriesPerEdition, 1, 0, 7);
+  if (mode === 'mock') {
+    return buildMockEditionPlan({
+      day: input?.day,
+      yearsForward: input?.yearsForward,
+      editionDate: input?.editionDate,
+      candidates: input?.candidates || [],
+      keyCount
+    });
+  }
   if (mode !== 'anthropic') {
-    throw new Error(`SONNET_MODE="${mode}" is not allowed. Story writing is Sonnet-only via Anthropic.`);
+    throw new Error(`SONNET_MODE="${mode}" is not supported. Use "anthropic" or "mock".`);
   }
 
   const prompt = String(input?.prompt || '').trim() || buildEditionCurationPrompt({ ...input, keyCount });
-  const parsed = await callAnthropicJson(prompt, { ...config, model: 'claude-sonnet-4-6' });
-  if (!parsed) throw new Error('Anthropic curation returned no parseable JSON — no fallback.');
-  return parsed;
-}
-
-export async function reviewEditionWithFutureEditor(input) {
-  const config = input?.config || getSonnetCurationConfigFromEnv();
-  const mode = normalizeMode(config.mode);
-  const stories = Array.isArray(input?.stories) ? input.stories : [];
-  if (mode !== 'anthropic' || !stories.length) {
-    return {
-      schema: 1,
-      day: String(input?.day || '').trim(),
-      yearsForward: Number(input?.yearsForward) || 5,
-      editionDate: String(input?.editionDate || '').trim(),
-      stories: [],
-      skipped: true,
-      reason: !stories.length ? 'no_stories' : 'mode_not_supported'
-    };
-  }
-  if (!String(config.apiKey || '').trim()) {
-    return {
-      schema: 1,
-      day: String(input?.day || '').trim(),
-      yearsForward: Number(input?.yearsForward) || 5,
-      editionDate: String(input?.editionDate || '').trim(),
-      stories: [],
-      skipped: true,
-      reason: 'missing_api_key'
-    };
-  }
-
-  const prompt = String(input?.prompt || '').trim() || buildFutureEditorPrompt({
+  const candidateIds = new Set((input?.candidates || []).map((c) => String(c?.storyId || '').trim()).filter(Boolean));
+  const parsed = await callCurationModel('curation.plan', prompt, config, {
     day: input?.day,
     yearsForward: input?.yearsForward,
     editionDate: input?.editionDate,
-    stories
+    candidates: input?.candidates || [],
+    keyCount
+  }, {
+    tool: CURATION_PLAN_TOOL,
+    listKey: 'stories',
+    checkEntry: (entry, plan) => checkPlanEntry(entry, plan, candidateIds, keyCount),
+    onValidation: input?.onValidation
   });
+  if (!parsed) throw new Error('Curation model returned no parseable JSON — no fallback.');
+  return parsed;
+}
 
-  const reviewConfig = {
-    ...config,
-    model: 'claude-sonnet-4-6',
-    maxTokens: Math.min(Number(config.maxTokens) || 24000, 32000),
-    timeoutMs: Math.min(Number(config.timeoutMs) || 180000, 240000),
-    systemPrompt: String(config.editorSystemPrompt || DEFAULT_FUTURE_EDITOR_SYSTEM_PROMPT)
-  };
-
-  const parsed = await callAnthropicJson(prompt, reviewConfig);
-  const rawStories = Array.isArray(parsed?.stories)
-    ? parsed.stories
-    : Array.isArray(parsed?.decisions)
-      ? parsed.decisions
-      : [];
-
-  const out = [];
-  const seen = new Set();
-  for (const entry of rawStories) {
-    const storyId = String(entry?.storyId || '').trim();
-    if (!storyId || seen.has(storyId)) continue;
-    seen.add(storyId);
-    out.push({
-      storyId,
-      decision: normalizeEditorDecision(entry?.decision || entry?.status || 'approve'),
-      reason: trimText(entry?.reason || entry?.why || '', 320),
-      title: trimText(entry?.title || entry?.revisedTitle || '', 220),
-      dek: trimText(entry?.dek || entry?.revisedDek || '', 320),
-      body: trimText(entry?.body || entry?.revisedBody || '', 2400)
-    });
-  }
+export function buildKeyStoriesPrompt({ editionDate, stories, keyCount }) {
+  const storyLines = (Array.isArray(stories) ? stories : [])
+    .map((s, i) => `${i + 1}. storyId: ${s.storyId}\n   section: ${s.section}\n   title: ${s.title}\n   dek: ${s.dek}`)
+    .join('\n');
+  return [
+    `You are the front-page editor of "The Future Times" for ${editionDate}.`,
+    `Pick the ${keyCount} stories readers will most want to open: real stakes, surprise, and broad interest.`,
+    `Plausibility is already settled; do not favour a story just because it is the safest forecast.`,
+    `Include at least one AI story when the list has one. Order your picks by pull: the first becomes the front-page hero.`,
+    `For each pick give a one-sentence reason.`,
+    ``,
+    `Stories:`,
+    storyLines || '- (none)'
+  ].join('\n');
+}
 
-  return {
-    schema: 1,
-    day: String(input?.day || '').trim(),
-    yearsForward: Number(input?.yearsForward) || 5,
-    editionDate: String(input?.editionDate || '').trim(),
-    model: String(parsed?.model || reviewConfig.model || '').trim() || 'claude-sonnet-4-6',
-    stories: out
-  };
+/**
+ * Choose an edition's key stories from its planned stories ({ storyId, section, title, dek,
+ * rank }): a dedicated call ranking them by reader pull. Returns storyIds in lead order (the
+ * first is the hero), at most keyCount; mock mode keeps the edition builder's ranking.
+ */
+export async function selectKeyStories(input) {
+  const config = input?.config || getSonnetCurationConfigFromEnv();
+  const stories = Array.isArray(input?.stories) ? input.stories : [];
+  const keyCount = clampInt(input?.keyCount, 0, 0, 7);
+  if (!stories.length || keyCount <= 0) return [];
+  if (normalizeMode(config.mode) === 'mock') return pickKeyStoryIds(stories, keyCount);
+
+  const storyIds = new Set(stories.map((s) => String(s.storyId || '').trim()));
+  const prompt = buildKeyStoriesPrompt({ editionDate: input?.editionDate, stories, keyCount });
+  const parsed = await callCurationModel('curation.keys', prompt, config, { stories, keyCount }, {
+    tool: KEY_STORIES_TOOL,
+    listKey: 'stories',
+    checkEntry: (entry) => (storyIds.has(String(entry.storyId || '').trim()) ? [] : [{ field: 'storyId', message: 'is not one of the planned stories' }]),
+    onValidation: input?.onValidation
+  });
+  const picked = (Array.isArray(parsed?.stories) ? parsed.stories : []).map((s) => String(s?.storyId || '').trim());
+  return Array.from(new Set(picked)).slice(0, keyCount);
 }
 
 /**
  * Generate full article bodies for stories that are missing them.
  * Takes an array of { storyId, title, dek, sparkDirections, editionDate, section }
  * Processes in batches to stay within timeout limits.
- * Returns a Map<storyId, { title, dek, body }>.
+ * Returns a Map<storyId, { title, dek, body }>. options.onValidation receives schema-validation events.
  */
-export async function generateMissingArticleBodies(stories, configOverride) {
+export async function generateMissingArticleBodies(stories, configOverride, options = {}) {
   if (!stories || !stories.length) return new Map();
   const config = configOverride || getSonnetCurationConfigFromEnv();
   const mode = normalizeMode(config.mode);
+  if (mode === 'mock') return buildMockArticleBodies(stories);
   if (mode !== 'anthropic') return new Map();
 
   const isVercel = Boolean(process.env.VERCEL);
@@ -611,12 +430,17 @@ export async function generateMissingArticleBodies(stories, configOverride) {
     const backfillConfig = {
       ...config,
       maxTokens: Math.min(config.maxTokens, 24000),
-      timeoutMs: isVercel ? 120000 : 240000,
-      model: 'claude-sonnet-4-6'
+      timeoutMs: isVercel ? 120000 : 240000
     };
 
     try {
-      const parsed = await callAnthropicJson(prompt, backfillConfig);
+      const batchIds = new Set(batch.map((s) => String(s.storyId || '').trim()));
+      const parsed = await callCurationModel('curation.backfill', prompt, backfillConfig, { stories: batch }, {
+        tool: BACKFILL_TOOL,
+        listKey: 'articles',
+        checkEntry: (entry) => (batchIds.has(String(entry.storyId || '').trim()) ? [] : [{ field: 'storyId', message: 'was not requested' }]),
+        onValidation: options.onValidation
+      });
       const articles = Array.isArray(parsed?.articles) ? parsed.articles : [];
       for (const a of articles) {
         const id = String(a?.storyId || '').trim();
@@ -625,7 +449,8 @@ export async function generateMissingArticleBodies(stories, configOverride) {
           result.set(id, {
             title: String(a.title || '').trim(),
             dek: String(a.dek || '').trim(),
-            body
+            body,
+            promptHash: promptHashOf(prompt)
           });
         }
       }
@@ -638,3 +463,15 @@ export async function generateMissingArticleBodies(stories, configOverride) {
 
   return result;
 }
+
+// Fixture-backend answers for offline runs (LLM_BACKEND=fixture) reuse the mock curation
+// templates, so the fixture path exercises the LLM client with realistic plans.
+registerFixtureResponder('curation.plan', ({ context }) => buildMockEditionPlan({ ...context }));
+
+registerFixtureResponder('curation.keys', ({ context }) => ({
+  stories: pickKeyStoryIds(context?.stories || [], context?.keyCount || 0).map((storyId) => ({ storyId, reason: 'fixture pick' }))
+}));
+
+registerFixtureResponder('curation.backfill', ({ context }) => ({
+  articles: Array.from(buildMockArticleBodies(context?.stories)).map(([storyId, article]) => ({ storyId, ...article }))
+}));
@@ -136,6 +136,83 @@ export function migrate(db) {
     // ignore if already present
   }
 
+  // Conditional GET validators and bandwidth counters per source.
+  for (const column of [
+    'http_etag TEXT',
+    'http_last_modified TEXT',
+    'last_body_bytes INTEGER',
+    'bytes_fetched INTEGER NOT NULL DEFAULT 0',
+    'bytes_saved INTEGER NOT NULL DEFAULT 0',
+    'not_modified_count INTEGER NOT NULL DEFAULT 0',
+    'consecutive_failures INTEGER NOT NULL DEFAULT 0',
+    'quarantined_at TEXT',
+    'quarantine_reason TEXT'
+  ]) {
+    try {
+      db.exec(`ALTER TABLE sources ADD COLUMN ${column};`);
+    } catch {
+      // ignore if already present
+    }
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS source_fetch_log (
+      log_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_id TEXT NOT NULL,
+      fetched_at TEXT NOT NULL,
+      ok INTEGER NOT NULL,
+      status INTEGER,
+      item_count INTEGER,
+      elapsed_ms INTEGER,
+      error TEXT
+    );
+  `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_source_fetch_log_source ON source_fetch_log(source_id, log_id);`);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS econ_series (
+      series_id TEXT NOT NULL,
+      obs_date TEXT NOT NULL,
+      value REAL NOT NULL,
+      source_id TEXT,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY(series_id, obs_date)
+    );
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS econ_indicators (
+      day TEXT NOT NULL,
+      indicator_id TEXT NOT NULL,
+      label TEXT NOT NULL,
+      value REAL NOT NULL,
+      display TEXT,
+      as_of TEXT,
+      detail_json TEXT,
+      computed_at TEXT NOT NULL,
+      PRIMARY KEY(day, indicator_id)
+    );
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS market_ticks (
+      tick_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      exchange TEXT NOT NULL,
+      market_slug TEXT NOT NULL,
+      question TEXT,
+      url TEXT,
+      day TEXT NOT NULL,
+      observed_at TEXT NOT NULL,
+      yes_prob REAL,
+      volume REAL,
+      close_date TEXT,
+      source_id TEXT,
+      UNIQUE(exchange, market_slug, observed_at)
+    );
+  `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_market_ticks_market ON market_ticks(exchange, market_slug, observed_at);`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_market_ticks_observed ON market_ticks(observed_at);`);
+
   db.exec(`CREATE INDEX IF NOT EXISTS idx_signals_day_section ON signals(day, section);`);
   db.exec(`CREATE INDEX IF NOT EXISTS idx_raw_items_day ON raw_items(day);`);
 
@@ -157,6 +234,32 @@ export function migrate(db) {
 
   db.exec(`CREATE INDEX IF NOT EXISTS idx_topics_day_section ON topics(day, section);`);
 
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS story_threads (
+      thread_id TEXT PRIMARY KEY,
+      label TEXT NOT NULL,
+      section TEXT,
+      first_day TEXT NOT NULL,
+      last_day TEXT NOT NULL,
+      topic_count INTEGER NOT NULL DEFAULT 0,
+      updated_at TEXT NOT NULL
+    );
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS thread_topics (
+      day TEXT NOT NULL,
+      topic_slug TEXT NOT NULL,
+      thread_id TEXT NOT NULL,
+      section TEXT,
+      label TEXT NOT NULL,
+      entities_json TEXT,
+      similarity REAL,
+      PRIMARY KEY(day, topic_slug)
+    );
+  `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_thread_topics_thread ON thread_topics(thread_id, day);`);
+
   db.exec(`
     CREATE TABLE IF NOT EXISTS editions (
       edition_id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -196,6 +299,32 @@ export function migrate(db) {
   `);
   db.exec(`CREATE INDEX IF NOT EXISTS idx_render_cache_story ON render_cache(story_id);`);
 
+  // Every article written to render_cache, with where it came from; a pin makes one revision
+  // the version served for its story.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS render_revisions (
+      revision_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      story_id TEXT NOT NULL,
+      cache_key TEXT NOT NULL,
+      stage TEXT NOT NULL,
+      model TEXT,
+      prompt_hash TEXT,
+      content_hash TEXT NOT NULL,
+      article_json TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+  `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_render_revisions_story ON render_revisions(story_id, revision_id);`);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS render_pins (
+      story_id TEXT PRIMARY KEY,
+      revision_id INTEGER NOT NULL,
+      pinned_at TEXT NOT NULL,
+      note TEXT
+    );
+  `);
+
   db.exec(`
     CREATE TABLE IF NOT EXISTS day_signal_snapshots (
       day TEXT PRIMARY KEY,
@@ -244,6 +373,89 @@ export function migrate(db) {
   `);
   db.exec(`CREATE INDEX IF NOT EXISTS idx_day_event_traces_day ON day_event_traces(day);`);
 
+  // ── Curation checkpoints: one row per curateDay stage/chunk so interrupted runs resume ──
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS curation_checkpoints (
+      day TEXT NOT NULL,
+      years_forward INTEGER NOT NULL,
+      stage TEXT NOT NULL,
+      chunk TEXT NOT NULL DEFAULT '',
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      started_at TEXT,
+      finished_at TEXT,
+      error TEXT,
+      result_json TEXT,
+      PRIMARY KEY(day, years_forward, stage, chunk)
+    );
+  `);
+
+  // ── Future world canon: durable facts established by published editions (or added by an admin) ──
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS world_facts (
+      fact_id TEXT PRIMARY KEY,
+      target_year INTEGER NOT NULL,
+      entity TEXT NOT NULL,
+      claim TEXT NOT NULL,
+      source_story_id TEXT,
+      source_day TEXT,
+      years_forward INTEGER,
+      origin TEXT NOT NULL DEFAULT 'extracted',
+      status TEXT NOT NULL DEFAULT 'active',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+  `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_world_facts_year ON world_facts(status, target_year);`);
+
+  // ── Forecast calibration: predictions implied by published stories and how they resolved ──
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS forecast_predictions (
+      prediction_id TEXT PRIMARY KEY,
+      story_id TEXT NOT NULL,
+      day TEXT NOT NULL,
+      years_forward INTEGER NOT NULL,
+      section TEXT,
+      model TEXT,
+      kind TEXT NOT NULL,
+      event TEXT NOT NULL,
+      target_ref TEXT NOT NULL,
+      target_value REAL,
+      tolerance REAL,
+      probability REAL NOT NULL,
+      baseline_prob REAL,
+      resolution_date TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      outcome INTEGER,
+      resolved_value REAL,
+      resolved_at TEXT,
+      created_at TEXT NOT NULL
+    );
+  `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_forecast_predictions_status ON forecast_predictions(status, kind);`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_forecast_predictions_day ON forecast_predictions(day, years_forward);`);
+
+  // ── Model usage ledger: one row per LLM or image-generation call, with estimated cost ──
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS model_usage (
+      usage_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      day TEXT NOT NULL,
+      ts TEXT NOT NULL,
+      stage TEXT NOT NULL,
+      backend TEXT NOT NULL,
+      model TEXT NOT NULL,
+      ok INTEGER NOT NULL DEFAULT 1,
+      attempts INTEGER NOT NULL DEFAULT 1,
+      input_tokens INTEGER NOT NULL DEFAULT 0,
+      output_tokens INTEGER NOT NULL DEFAULT 0,
+      images INTEGER NOT NULL DEFAULT 0,
+      latency_ms INTEGER NOT NULL DEFAULT 0,
+      cost_usd REAL NOT NULL DEFAULT 0,
+      error TEXT
+    );
+  `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_model_usage_day ON model_usage(day, stage);`);
+
   // ── Standing Topics Registry (persistent, curated topics for structured forecasting) ──
   db.exec(`
     CREATE TABLE IF NOT EXISTS standing_topics (
@@ -261,6 +473,12 @@ export function migrate(db) {
       updated_at TEXT
     );
   `);
+  // Topics edited on the admin dashboard are 'admin' and no longer overwritten from config.
+  try {
+    db.exec(`ALTER TABLE standing_topics ADD COLUMN origin TEXT NOT NULL DEFAULT 'config';`);
+  } catch {
+    // ignore if already present
+  }
   db.exec(`CREATE INDEX IF NOT EXISTS idx_standing_topics_section ON standing_topics(section);`);
   db.exec(`CREATE INDEX IF NOT EXISTS idx_standing_topics_enabled ON standing_topics(enabled);`);
 
@@ -282,6 +500,21 @@ export function migrate(db) {
   db.exec(`CREATE INDEX IF NOT EXISTS idx_topic_evidence_day ON topic_evidence(day);`);
   db.exec(`CREATE INDEX IF NOT EXISTS idx_topic_evidence_topic_day ON topic_evidence(standing_topic_key, day);`);
 
+  // ── Topic Trends (daily evidence velocity and milestone status per standing topic) ──
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS topic_trends (
+      day TEXT NOT NULL,
+      topic_key TEXT NOT NULL,
+      section TEXT,
+      momentum TEXT NOT NULL,
+      last7 INTEGER NOT NULL,
+      prior7 INTEGER NOT NULL,
+      payload_json TEXT NOT NULL,
+      computed_at TEXT NOT NULL,
+      PRIMARY KEY(day, topic_key)
+    );
+  `);
+
   const schemaVersion = '2';
   db.prepare('INSERT OR REPLACE INTO meta(key, value) VALUES(?, ?)').run('schema_version', schemaVersion);
 }
@@ -0,0 +1,120 @@
+import { tokenize } from './utils.js';
+
+// Local text vectors for clustering. Nothing here touches the network: TF-IDF weights come from
+// the documents being clustered, and hashed n-gram vectors need no vocabulary at all.
+// Vectors are L2-normalised so cosine similarity is a plain dot product.
+
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function wordTerms(text, ngram) {
+  const words = tokenize(text);
+  const terms = [...words];
+  for (let n = 2; n <= ngram; n++) {
+    for (let i = 0; i + n <= words.length; i++) terms.push(words.slice(i, i + n).join('_'));
+  }
+  return terms;
+}
+
+// Title terms count twice: summaries are long and noisy, the title carries the story.
+function documentTerms(doc, ngram) {
+  const title = wordTerms(doc.title, ngram);
+  return [...title, ...title, ...wordTerms(doc.summary, ngram)];
+}
+
+function l2Normalize(vector) {
+  let norm = 0;
+  for (const value of vector.values()) norm += value * value;
+  norm = Math.sqrt(norm);
+  if (!norm) return vector;
+  for (const [key, value] of vector) vector.set(key, value / norm);
+  return vector;
+}
+
+export function tfidfVectors(docs, options = {}) {
+  const ngram = Math.max(1, Math.min(3, Number(options.ngram || 2)));
+  const termLists = docs.map((doc) => documentTerms(doc, ngram));
+  const df = new Map();
+  for (const terms of termLists) {
+    for (const term of new Set(terms)) df.set(term, (df.get(term) || 0) + 1);
+  }
+  const n = docs.length;
+  return termLists.map((terms) => {
+    const tf = new Map();
+    for (const term of terms) tf.set(term, (tf.get(term) || 0) + 1);
+    const vector = new Map();
+    for (const [term, count] of tf) {
+      const idf = Math.log((1 + n) / (1 + df.get(term))) + 1;
+      vector.set(term, (1 + Math.log(count)) * idf);
+    }
+    return l2Normalize(vector);
+  });
+}
+
+// FNV-1a, 32-bit.
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Character n-grams of each word plus whole words, hashed into `dims` signed buckets. Robust to
+// inflections ("cut" / "cuts", "tariff" / "tariffs") that defeat exact-token matching.
+export function hashedNgramVectors(docs, options = {}) {
+  const dims = Math.max(64, Math.min(8192, Number(options.dims || 1024)));
+  const size = Math.max(2, Math.min(6, Number(options.charNgram || 4)));
+  return docs.map((doc) => {
+    const vector = new Map();
+    const add = (feature, weight) => {
+      const hash = hashString(feature);
+      const bucket = hash % dims;
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector.set(bucket, (vector.get(bucket) || 0) + sign * weight);
+    };
+    const parts = [
+      [normalizeText(doc.title), 2],
+      [normalizeText(doc.summary).slice(0, 400), 1]
+    ];
+    for (const [text, weight] of parts) {
+      for (const word of tokenize(text)) {
+        add(`w:${word}`, weight);
+        const padded = ` ${word} `;
+        for (let i = 0; i + size <= padded.length; i++) add(`c:${padded.slice(i, i + size)}`, weight * 0.5);
+      }
+    }
+    return l2Normalize(vector);
+  });
+}
+
+const VECTORIZERS = {
+  tfidf: tfidfVectors,
+  hashed: hashedNgramVectors
+};
+
+export function listVectorizers() {
+  return Object.keys(VECTORIZERS);
+}
+
+export function vectorizeDocuments(docs, vectorizer = 'tfidf', options = {}) {
+  const fn = VECTORIZERS[String(vectorizer || '').trim()];
+  if (!fn) throw new Error(`Unknown vectorizer "${vectorizer}"`);
+  return fn(docs, options);
+}
+
+export function cosineSimilarity(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [key, value] of small) {
+    const other = large.get(key);
+    if (other !== undefined) dot += value * other;
+  }
+  return dot;
+}
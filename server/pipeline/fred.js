@@ -40,28 +40,21 @@ function approxTrend(rows, stepsBack = 30) {
   return { delta: last.value - past.value, from: past.date, to: last.date };
 }
 
-export async function fetchFredSeriesRawItem(url, fetchedAtIso, seriesIdHint = '') {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 9000);
-  const response = await fetch(url, {
-    headers: {
-      'user-agent': 'FutureTimesBot/1.0',
-      accept: 'text/csv'
-    },
-    signal: controller.signal
-  }).finally(() => clearTimeout(timeout));
-  if (!response.ok) {
-    const text = await response.text().catch(() => '');
-    throw new Error(`FRED fetch failed ${response.status}: ${text.slice(0, 140)}`);
-  }
-  const csv = await response.text();
+export function parseFredSeriesCsv(csv, { url = '', fetchedAtIso = null, seriesIdHint = '' } = {}) {
   const rows = parseCsv(csv);
   const last = lastNumeric(rows);
   if (!last) {
     throw new Error('FRED series had no numeric points');
   }
   const trend = approxTrend(rows, 30);
-  const seriesId = seriesIdHint || (new URL(url).searchParams.get('id') || '').trim();
+  let seriesId = String(seriesIdHint || '').trim();
+  if (!seriesId && url) {
+    try {
+      seriesId = (new URL(url).searchParams.get('id') || '').trim();
+    } catch {
+      seriesId = '';
+    }
+  }
   const sourceUrl = seriesId ? `https://fred.stlouisfed.org/series/${seriesId}` : url;
   const canonicalUrl = canonicalizeUrl(sourceUrl);
 
@@ -69,11 +62,21 @@ export async function fetchFredSeriesRawItem(url, fetchedAtIso, seriesIdHint = '
   const title = seriesId ? `Economic indicator ${seriesId}` : 'Economic indicator';
   const summary = `${last.date}: ${last.value}${trendText ? ` • ${trendText}` : ''}`;
 
+  const observations = [];
+  for (const row of rows) {
+    const value = Number(row.value);
+    if (row.value !== '' && Number.isFinite(value) && /^\d{4}-\d{2}-\d{2}$/.test(row.date)) {
+      observations.push({ date: row.date, value });
+    }
+  }
+
   return {
     title,
     summary,
     link: canonicalUrl,
     publishedAt: fetchedAtIso,
-    payloadJson: { seriesId, last, trend }
+    payloadJson: { seriesId, last, trend },
+    // Full history goes to econ_series rather than raw_items.payload_json.
+    series: seriesId ? { seriesId, observations } : null
   };
 }
@@ -1,4 +1,8 @@
+import { formatConflictsForEditor } from './consistency.js';
 import { getSonnetCurationConfigFromEnv } from './curation.js';
+import { hasLlmCredentials, registerFixtureResponder } from './llm.js';
+import { promptHashOf } from './revisions.js';
+import { EDITOR_REVIEW_TOOL, checkEditorEntry, completeStructured } from './structured-output.js';
 
 const DEFAULT_FUTURE_EDITOR_SYSTEM_PROMPT =
   'You are Sonnet 4.6 acting as the final standards editor for The Future Times. Return strict JSON only.';
@@ -9,25 +13,6 @@ function trimText(value, maxLen = 1200) {
   return text.length <= maxLen ? text : text.slice(0, maxLen).trim();
 }
 
-function safeParseJson(text) {
-  const raw = String(text || '').trim();
-  if (!raw) return null;
-  try {
-    return JSON.parse(raw);
-  } catch {
-    const start = raw.indexOf('{');
-    const end = raw.lastIndexOf('}');
-    if (start >= 0 && end > start) {
-      try {
-        return JSON.parse(raw.slice(start, end + 1));
-      } catch {
-        return null;
-      }
-    }
-    return null;
-  }
-}
-
 function normalizeEditorDecision(value) {
   const raw = String(value || '').trim().toLowerCase();
   if (raw === 'reject' || raw === 'rejected' || raw === 'drop') return 'reject';
@@ -35,114 +20,7 @@ function normalizeEditorDecision(value) {
   return 'approve';
 }
 
-function resolveAnthropicModelAlias(model) {
-  const raw = String(model || '').trim();
-  const lower = raw.toLowerCase();
-  if (!raw) return 'claude-sonnet-4-6';
-  if (lower.startsWith('claude-sonnet-') || lower.startsWith('claude-haiku-')) {
-    return raw;
-  }
-  if (lower === 'sonnet-4.6' || lower === 'sonnet' || lower.startsWith('sonnet-')) return 'claude-sonnet-4-6';
-  if (lower === 'haiku' || lower.startsWith('haiku')) return 'claude-haiku-4-5-20251001';
-  return 'claude-sonnet-4-6';
-}
-
-async function fetchJsonWithTimeout(url, options, timeoutMs) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const resp = await fetch(url, { ...options, signal: controller.signal });
-    const text = await resp.text();
-    let parsedBody = null;
-    try {
-      parsedBody = JSON.parse(text);
-    } catch {
-      parsedBody = null;
-    }
-    if (!resp.ok) {
-      const err = new Error(`LLM HTTP ${resp.status}: ${text.slice(0, 220)}`);
-      err.status = resp.status;
-      err.body = parsedBody;
-      throw err;
-    }
-    const parsed = parsedBody || safeParseJson(text);
-    if (!parsed) {
-      throw new Error(`LLM returned non-JSON response (first 220 chars): ${text.slice(0, 220)}`);
-    }
-    return parsed;
-  } finally {
-    clearTimeout(timeout);
-  }
-}
-
-async function callAnthropicJson(prompt, config) {
-  const url = String(config?.apiUrl || '').trim() || 'https://api.anthropic.com/v1/messages';
-  const apiKey = String(config?.apiKey || '').trim();
-  if (!apiKey) throw new Error('SONNET_API_KEY is required for future editor review');
-
-  const requested = String(config?.model || '').trim();
-  const resolved = resolveAnthropicModelAlias(requested || 'claude-sonnet-4-6');
-  const modelsToTry = [resolved, 'claude-sonnet-4-6', 'claude-haiku-4-5-20251001'].filter(Boolean);
-  const maxTokens = Math.max(2000, Math.min(32000, Number(config?.maxTokens) || 18000));
-  const timeoutMs = Math.max(20000, Math.min(300000, Number(config?.timeoutMs) || 180000));
-  const systemPrompt = String(config?.systemPrompt || '').trim() || DEFAULT_FUTURE_EDITOR_SYSTEM_PROMPT;
-
-  let lastErr = null;
-  for (const model of modelsToTry) {
-    try {
-      const resp = await fetchJsonWithTimeout(
-        url,
-        {
-          method: 'POST',
-          headers: {
-            'content-type': 'application/json',
-            'x-api-key': apiKey,
-            'anthropic-version': '2023-06-01'
-          },
-          body: JSON.stringify({
-            model,
-            max_tokens: maxTokens,
-            temperature: 0.2,
-            system: systemPrompt,
-            messages: [{ role: 'user', content: String(prompt || '') }]
-          })
-        },
-        timeoutMs
-      );
-
-      let text = '';
-      if (Array.isArray(resp?.content)) {
-        for (const block of resp.content) {
-          if (block && block.type === 'text' && block.text) text += String(block.text);
-        }
-      }
-      const stripped = text
-        .replace(/^[\s\S]*?```(?:json)?\s*\n?/i, '')
-        .replace(/\n?\s*```[\s\S]*$/i, '')
-        .trim();
-      const parsed = safeParseJson(stripped) || safeParseJson(text) || safeParseJson(resp);
-      if (!parsed) {
-        throw new Error(`Future editor parse failed (preview=${text.slice(0, 240).replace(/\n/g, '\\n')})`);
-      }
-      if (parsed && typeof parsed === 'object' && !parsed.model) parsed.model = model;
-      return parsed;
-    } catch (err) {
-      lastErr = err;
-      const status = err && typeof err === 'object' ? err.status : null;
-      const bodyErr = err && typeof err === 'object' ? err.body : null;
-      const modelNotFound =
-        status === 404 &&
-        bodyErr &&
-        bodyErr.error &&
-        (bodyErr.error.type === 'not_found_error' || bodyErr.error.type === 'not_found');
-      if (modelNotFound) continue;
-      throw err;
-    }
-  }
-  throw lastErr || new Error('Anthropic model resolution failed');
-}
-
-export function buildFutureEditorPrompt({ day, yearsForward, editionDate, stories }) {
+export function buildFutureEditorPrompt({ day, yearsForward, editionDate, stories, conflicts }) {
   const storyLines = (Array.isArray(stories) ? stories : [])
     .slice(0, 48)
     .map((story, idx) => {
@@ -164,6 +42,16 @@ export function buildFutureEditorPrompt({ day, yearsForward, editionDate, storie
     })
     .join('\n\n');
 
+  const conflictLines = formatConflictsForEditor(conflicts);
+  const consistency = conflictLines
+    ? [
+      ``,
+      `Consistency issues: these stories contradict each other within the same edition.`,
+      `Revise one side of each conflict (usually the one with weaker evidence) so the edition agrees on every figure, date and person's status; reject only if a story cannot be reconciled.`,
+      conflictLines
+    ]
+    : [];
+
   return [
     `You are the final editorial standards gate for The Future Times.`,
     `Edition date: ${editionDate} (yearsForward=${yearsForward}, baseline day=${day}).`,
@@ -182,6 +70,7 @@ export function buildFutureEditorPrompt({ day, yearsForward, editionDate, storie
     `Output STRICT JSON only (no markdown fences).`,
     `Schema:`,
     `{"schema":1,"day":"${day}","yearsForward":${yearsForward},"editionDate":"${editionDate}","stories":[{"storyId":"id","decision":"approve|revise|reject","reason":"string","title":"string","dek":"string","body":"string"}]}`,
+    ...consistency,
     ``,
     `Stories:`,
     storyLines || '- (none)'
@@ -200,23 +89,35 @@ export async function reviewEditionWithFutureEditor(input) {
   };
 
   if (!stories.length) return { ...base, stories: [], skipped: true, reason: 'no_stories' };
-  if (mode && mode !== 'anthropic') return { ...base, stories: [], skipped: true, reason: 'mode_not_supported' };
-  if (!String(config?.apiKey || '').trim()) return { ...base, stories: [], skipped: true, reason: 'missing_api_key' };
+  if (mode && mode !== 'anthropic') return { ...base, stories: [], skipped: true, reason: mode === 'mock' ? 'mock_mode' : 'mode_not_supported' };
+  if (!hasLlmCredentials(config)) return { ...base, stories: [], skipped: true, reason: 'missing_api_key' };
 
   const prompt = String(input?.prompt || '').trim() || buildFutureEditorPrompt({
     day: base.day,
     yearsForward: base.yearsForward,
     editionDate: base.editionDate,
-    stories
+    stories,
+    conflicts: input?.conflicts
   });
 
-  const parsed = await callAnthropicJson(prompt, {
+  const storyIds = new Set(stories.map((s) => String(s?.storyId || '').trim()).filter(Boolean));
+  const { parsed, model } = await completeStructured({
+    stage: String(input?.stage || 'editor.review'),
+    prompt,
+    context: { stories },
+    system: DEFAULT_FUTURE_EDITOR_SYSTEM_PROMPT,
+    model: config.model,
+    backend: config.backend,
     apiKey: config.apiKey,
     apiUrl: config.apiUrl,
-    model: 'claude-sonnet-4-6',
-    maxTokens: Math.min(Number(config.maxTokens) || 20000, 32000),
-    timeoutMs: Math.min(Number(config.timeoutMs) || 180000, 240000),
-    systemPrompt: DEFAULT_FUTURE_EDITOR_SYSTEM_PROMPT
+    maxTokens: Math.max(2000, Math.min(Number(config.maxTokens) || 20000, 32000)),
+    timeoutMs: Math.max(20000, Math.min(Number(config.timeoutMs) || 180000, 240000)),
+    temperature: 0.2
+  }, {
+    tool: EDITOR_REVIEW_TOOL,
+    listKey: 'stories',
+    checkEntry: (entry) => checkEditorEntry(entry, storyIds),
+    onValidation: input?.onValidation
   });
 
   const rawStories = Array.isArray(parsed?.stories)
@@ -243,7 +144,20 @@ export async function reviewEditionWithFutureEditor(input) {
 
   return {
     ...base,
-    model: String(parsed?.model || 'claude-sonnet-4-6'),
+    model: String(parsed?.model || model),
+    promptHash: promptHashOf(prompt),
     stories: out
   };
 }
+
+// Offline runs (LLM_BACKEND=fixture) approve every story unchanged.
+const approveAllFixture = ({ context }) => ({
+  schema: 1,
+  stories: (Array.isArray(context?.stories) ? context.stories : []).map((story) => ({
+    storyId: story.storyId,
+    decision: 'approve',
+    reason: 'fixture review'
+  }))
+});
+registerFixtureResponder('editor.review', approveAllFixture);
+registerFixtureResponder('editor.consistency', approveAllFixture);
@@ -0,0 +1,167 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Declarative derived indicators over stored econ series (see config/econ-indicators.json).
+// Each definition names an `op` and its input series; ops only see observations dated on or
+// before the pipeline day, so historical days recompute the numbers they would have shown.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toMs(date) {
+  const ms = Date.parse(`${String(date || '').slice(0, 10)}T00:00:00Z`);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function last(points) {
+  return points.length ? points[points.length - 1] : null;
+}
+
+// Latest observation at or before `date`.
+function valueAt(points, date) {
+  const target = toMs(date);
+  if (target === null) return null;
+  for (let i = points.length - 1; i >= 0; i--) {
+    const ms = toMs(points[i].date);
+    if (ms !== null && ms <= target) return points[i];
+  }
+  return null;
+}
+
+function shiftDate(date, days) {
+  const ms = toMs(date);
+  if (ms === null) return null;
+  return new Date(ms + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function seriesList(def) {
+  const raw = Array.isArray(def.series) ? def.series : [def.series];
+  return raw.map((s) => String(s || '').trim()).filter(Boolean);
+}
+
+const OPS = {
+  latest(def, [points]) {
+    const point = last(points);
+    return point ? { value: point.value, asOf: point.date } : null;
+  },
+
+  // a - b, with b taken as of a's latest date so mismatched release calendars still line up.
+  spread(def, [a, b]) {
+    const pa = last(a);
+    if (!pa) return null;
+    const pb = valueAt(b, pa.date);
+    if (!pb) return null;
+    return { value: pa.value - pb.value, asOf: pa.date, inputs: { a: pa, b: pb } };
+  },
+
+  ratio(def, [a, b]) {
+    const pa = last(a);
+    if (!pa) return null;
+    const pb = valueAt(b, pa.date);
+    if (!pb || !pb.value) return null;
+    return { value: pa.value / pb.value, asOf: pa.date, inputs: { a: pa, b: pb } };
+  },
+
+  // Change over `days` calendar days (or `periods` observations).
+  change(def, [points]) {
+    const point = last(points);
+    if (!point) return null;
+    const prior = def.periods
+      ? points[points.length - 1 - Number(def.periods)] || null
+      : valueAt(points, shiftDate(point.date, -Number(def.days || 30)));
+    if (!prior) return null;
+    return { value: point.value - prior.value, asOf: point.date, inputs: { from: prior, to: point } };
+  },
+
+  yoy_pct(def, [points]) {
+    const point = last(points);
+    if (!point) return null;
+    const prior = valueAt(points, shiftDate(point.date, -365));
+    if (!prior || !prior.value) return null;
+    // Reject a "year ago" value that is really much older (sparse or truncated history).
+    if (toMs(point.date) - toMs(prior.date) > 400 * DAY_MS) return null;
+    return { value: ((point.value - prior.value) / Math.abs(prior.value)) * 100, asOf: point.date, inputs: { from: prior, to: point } };
+  },
+
+  moving_average(def, [points]) {
+    const window = Math.max(1, Number(def.window || 3));
+    if (points.length < window) return null;
+    const slice = points.slice(-window);
+    return { value: mean(slice.map((p) => p.value)), asOf: last(slice).date, inputs: { window } };
+  },
+
+  // How unusual the latest value is against the trailing `window_days` of history.
+  zscore(def, [points]) {
+    const point = last(points);
+    if (!point) return null;
+    const fromMs = toMs(shiftDate(point.date, -Number(def.window_days || 365)));
+    const values = points.filter((p) => toMs(p.date) >= fromMs).map((p) => p.value);
+    if (values.length < 10) return null;
+    const mu = mean(values);
+    const sd = Math.sqrt(mean(values.map((v) => (v - mu) ** 2)));
+    if (!sd) return null;
+    return { value: (point.value - mu) / sd, asOf: point.date, inputs: { mean: mu, stdev: sd, n: values.length } };
+  }
+};
+
+export function listIndicatorOps() {
+  return Object.keys(OPS);
+}
+
+export function loadIndicatorConfig(rootDir) {
+  const file = path.resolve(rootDir || process.cwd(), 'config', 'econ-indicators.json');
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(parsed?.indicators) ? parsed.indicators : [];
+  } catch {
+    return [];
+  }
+}
+
+export function formatIndicatorValue(value, def = {}) {
+  if (!Number.isFinite(value)) return '';
+  const decimals = Number.isFinite(Number(def.decimals)) ? Number(def.decimals) : 2;
+  const unit = String(def.unit || '');
+  const sign = def.signed && value > 0 ? '+' : '';
+  const text = `${sign}${value.toFixed(decimals)}`;
+  if (!unit) return text;
+  return unit === '%' ? `${text}%` : `${text} ${unit}`;
+}
+
+/**
+ * Evaluate indicator definitions. `getSeries(seriesId)` must return observations sorted by
+ * date ascending ([{ date, value }]) already limited to the as-of day. A definition's `series`
+ * may also name an indicator defined earlier in the list; it is seen as a single observation.
+ */
+export function computeIndicators(definitions, getSeries) {
+  const results = [];
+  const computed = new Map();
+  for (const def of definitions || []) {
+    const id = String(def?.id || '').trim();
+    const op = OPS[String(def?.op || '').trim()];
+    if (!id || !op) continue;
+    const seriesIds = seriesList(def);
+    if (!seriesIds.length) continue;
+    const inputs = seriesIds.map((seriesId) => computed.get(seriesId) || getSeries(seriesId) || []);
+    if (inputs.some((points) => !points.length)) continue;
+    const out = op(def, inputs);
+    if (!out || !Number.isFinite(out.value)) continue;
+    computed.set(id, [{ date: out.asOf, value: out.value }]);
+    results.push({
+      id,
+      label: String(def.label || id),
+      op: def.op,
+      series: seriesIds,
+      unit: def.unit || '',
+      value: Number(out.value.toFixed(6)),
+      display: formatIndicatorValue(out.value, def),
+      asOf: out.asOf,
+      signal: def.signal === true,
+      detail: out.inputs || null
+    });
+  }
+  return results;
+}
@@ -0,0 +1,102 @@
+import { canonicalizeUrl } from './utils.js';
+
+function parseNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Kalshi quotes prices in cents (0-100); newer responses also carry `*_dollars` strings (0-1).
+function priceToProbability(market, field) {
+  const dollars = parseNumber(market?.[`${field}_dollars`]);
+  if (dollars !== null && dollars > 0 && dollars <= 1) return dollars;
+  const cents = parseNumber(market?.[field]);
+  if (cents !== null && cents > 0 && cents <= 100) return cents / 100;
+  return null;
+}
+
+function yesProbability(market) {
+  const last = priceToProbability(market, 'last_price');
+  if (last !== null) return last;
+  const bid = priceToProbability(market, 'yes_bid');
+  const ask = priceToProbability(market, 'yes_ask');
+  if (bid !== null && ask !== null) return (bid + ask) / 2;
+  return bid ?? ask;
+}
+
+// Accepts GET /markets ({ markets }) or GET /events?with_nested_markets=true ({ events: [{ markets }] }).
+function flattenMarkets(payload) {
+  if (Array.isArray(payload?.markets)) return payload.markets.map((market) => ({ market, event: null }));
+  if (Array.isArray(payload?.events)) {
+    const out = [];
+    for (const event of payload.events) {
+      const markets = Array.isArray(event?.markets) ? event.markets : [];
+      for (const market of markets) out.push({ market, event, siblings: markets.length });
+    }
+    return out;
+  }
+  if (Array.isArray(payload)) return payload.map((market) => ({ market, event: null }));
+  return [];
+}
+
+function marketQuestion(market, event, siblings) {
+  const title = String(market?.title || '').trim();
+  const outcome = String(market?.yes_sub_title || market?.subtitle || '').trim();
+  const eventTitle = String(event?.title || '').trim();
+  // Multi-outcome events share one title across markets; the yes side names the outcome.
+  if (siblings > 1 && outcome) {
+    const base = eventTitle || title;
+    return base && !base.toLowerCase().includes(outcome.toLowerCase()) ? `${base} — ${outcome}` : base || outcome;
+  }
+  return title || eventTitle;
+}
+
+// Final state of one market from GET /markets/{ticker} ({ market }): { settled, outcome } once
+// Kalshi has determined a yes/no result, { settled: false } before that.
+export function kalshiSettlement(payload) {
+  const market = payload?.market || payload;
+  if (!market || typeof market !== 'object') return { settled: false };
+  const status = String(market.status || '').toLowerCase();
+  const result = String(market.result || '').toLowerCase();
+  if (!['determined', 'settled', 'finalized'].includes(status) || !['yes', 'no'].includes(result)) return { settled: false };
+  return { settled: true, outcome: result === 'yes' ? 1 : 0, value: result === 'yes' ? 1 : 0 };
+}
+
+export function parseKalshiMarkets(payload, fetchedAtIso) {
+  const items = [];
+
+  for (const { market, event, siblings = 1 } of flattenMarkets(payload)) {
+    const question = marketQuestion(market, event, siblings);
+    const ticker = String(market?.ticker || '').trim();
+    if (!question || !ticker) continue;
+    const status = String(market?.status || '').toLowerCase();
+    if (status && !['open', 'active', 'initialized'].includes(status)) continue;
+    const canonicalUrl = canonicalizeUrl(`https://kalshi.com/markets/${ticker.toLowerCase()}`);
+    const prob = yesProbability(market);
+    const closeTime = String(market?.close_time || market?.expected_expiration_time || market?.expiration_time || '').trim();
+    const volume = parseNumber(market?.volume);
+    const summaryBits = [];
+    if (prob !== null) summaryBits.push(`Yes: ${(prob * 100).toFixed(0)}%`);
+    if (closeTime) summaryBits.push(`Closes: ${closeTime.slice(0, 10)}`);
+    if (volume !== null) summaryBits.push(`Volume: ${Math.round(volume).toLocaleString('en-US')} contracts`);
+
+    items.push({
+      title: question,
+      summary: summaryBits.join(' • '),
+      link: canonicalUrl,
+      publishedAt: fetchedAtIso,
+      payloadJson: event ? { ...market, event_title: event.title || null, category: event.category || null } : market,
+      market: {
+        exchange: 'kalshi',
+        slug: ticker,
+        question,
+        yesProb: prob,
+        volume,
+        closeDate: closeTime ? closeTime.slice(0, 10) : null,
+        url: canonicalUrl
+      }
+    });
+  }
+
+  return items;
+}
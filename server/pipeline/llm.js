@@ -0,0 +1,655 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { sha256Hex } from './utils.js';
+
+// One client for every model call: curation, the future editor, the daily curator, article
+// rendering and image ideas/prompts. Backends are pluggable:
+//   anthropic  Messages API (default)
+//   openai     any OpenAI-compatible /chat/completions endpoint (OPENAI_BASE_URL)
+//   fixture    deterministic local responses, no network (recorded files, then stage responders)
+// LLM_BACKEND picks the backend; callers may pass `backend` per request. Every finished call,
+// successful or not, is reported to onLlmUsage listeners with token counts and latency, tagged
+// with the fields of the enclosing withUsageScope (e.g. the pipeline day being curated).
+
+export const DEFAULT_LLM_MODEL = 'claude-sonnet-4-6';
+export const FALLBACK_LLM_MODEL = 'claude-haiku-4-5-20251001';
+
+const ANTHROPIC_MESSAGES_URL = 'https://api.anthropic.com/v1/messages';
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+
+function envKey(name) {
+  return String(process.env[name] || '').trim();
+}
+
+function clampInt(value, fallback, min, max) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, Math.round(n)));
+}
+
+function llmError(message, fields = {}) {
+  const err = new Error(message);
+  Object.assign(err, fields);
+  return err;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Rough token estimate for backends that do not report usage (~4 characters per token).
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+export function resolveModelAlias(model) {
+  const raw = String(model || '').trim();
+  const lower = raw.toLowerCase();
+  if (!raw) return getDefaultModel();
+  if (lower.startsWith('claude-') || lower.startsWith('gpt-') || lower.includes('/')) return raw;
+  if (lower === 'haiku' || lower.startsWith('haiku')) return FALLBACK_LLM_MODEL;
+  if (lower === 'sonnet' || lower.startsWith('sonnet')) return DEFAULT_LLM_MODEL;
+  return raw;
+}
+
+// LLM_MODEL replaces the Sonnet default for every stage that does not name its own model.
+export function getDefaultModel() {
+  const configured = envKey('LLM_MODEL');
+  return configured ? resolveModelAlias(configured) : DEFAULT_LLM_MODEL;
+}
+
+export function modelCandidates(model) {
+  const list = Array.isArray(model) ? model : [model];
+  const out = [];
+  for (const entry of [...list.map(resolveModelAlias), getDefaultModel(), FALLBACK_LLM_MODEL]) {
+    const name = String(entry || '').trim();
+    if (name && !out.includes(name)) out.push(name);
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// JSON extraction
+
+function stripFences(text) {
+  return String(text || '')
+    .replace(/^[\s\S]*?```(?:json)?\s*\n?/i, '')
+    .replace(/\n?\s*```[\s\S]*$/i, '')
+    .trim();
+}
+
+function tryParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pull a JSON value out of model text: plain JSON, fenced JSON, or JSON surrounded by prose.
+ * With `truncated` (the model hit max_tokens) unclosed structures are closed as a last resort.
+ */
+export function extractJson(text, { truncated = false } = {}) {
+  const raw = String(text || '').trim();
+  if (!raw) return null;
+  const candidates = raw.includes('```') ? [stripFences(raw), raw] : [raw];
+  for (const candidate of candidates) {
+    const direct = tryParse(candidate);
+    if (direct !== null) return direct;
+    for (const [open, close] of [['{', '}'], ['[', ']']]) {
+      // A truncated object must not be mistaken for the complete array nested inside it.
+      if (truncated && open === '[' && /^[^[]*\{/.test(candidate)) continue;
+      const start = candidate.indexOf(open);
+      const end = candidate.lastIndexOf(close);
+      if (start >= 0 && end > start) {
+        const sliced = tryParse(candidate.slice(start, end + 1));
+        if (sliced !== null) return sliced;
+      }
+    }
+  }
+  if (truncated) {
+    const base = candidates[0];
+    for (const suffix of ['}', ']}', '"}]}', '"}]]}', '"}}]}', '}]}']) {
+      const fixed = tryParse(base + suffix);
+      if (fixed !== null) return fixed;
+    }
+    return closeTruncatedJson(base);
+  }
+  return null;
+}
+
+// Close JSON cut off mid-reply: first exactly where it stops, then cut back one element at a
+// time (to a `,` outside strings) until what is left parses. Incomplete trailing entries are
+// lost; the complete ones before them survive.
+function closeTruncatedJson(text) {
+  const start = text.search(/[{[]/);
+  if (start < 0) return null;
+  const open = [];
+  const cuts = [];
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < text.length; i++) {
+    const c = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (c === '\\') escaped = true;
+      else if (c === '"') inString = false;
+    } else if (c === '"') {
+      inString = true;
+    } else if (c === '{' || c === '[') {
+      open.push(c === '{' ? '}' : ']');
+    } else if (c === '}' || c === ']') {
+      open.pop();
+      if (!open.length) return tryParse(text.slice(start, i + 1));
+    } else if (c === ',') {
+      cuts.push([i, open.slice().reverse().join('')]);
+    }
+  }
+  const closed = tryParse(`${text.slice(start).replace(/\\$/, '')}${inString ? '"' : ''}${open.slice().reverse().join('')}`);
+  if (closed !== null) return closed;
+  for (let k = cuts.length - 1; k >= Math.max(0, cuts.length - 200); k--) {
+    const fixed = tryParse(text.slice(start, cuts[k][0]) + cuts[k][1]);
+    if (fixed !== null) return fixed;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Usage listeners
+
+const usageListeners = new Set();
+const usageScope = new AsyncLocalStorage();
+
+export function onLlmUsage(listener) {
+  if (typeof listener !== 'function') throw new Error('onLlmUsage requires a function');
+  usageListeners.add(listener);
+  return () => usageListeners.delete(listener);
+}
+
+// Run fn with `scope` fields ({ day }) attached to every usage event it causes, including
+// calls made deep inside helpers that know nothing about the day.
+export function withUsageScope(scope, fn) {
+  return usageScope.run({ ...(usageScope.getStore() || {}), ...scope }, fn);
+}
+
+function emitUsage(event) {
+  const scoped = { ...(usageScope.getStore() || {}), ...event };
+  for (const listener of usageListeners) {
+    try {
+      listener(scoped);
+    } catch {
+      // usage reporting must never break a model call
+    }
+  }
+}
+
+// Usage from model calls that do not go through this client (image generation).
+export function reportUsage(event) {
+  emitUsage({
+    backend: 'external',
+    stage: 'unknown',
+    model: '',
+    ok: true,
+    attempts: 1,
+    latencyMs: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    ...event
+  });
+}
+
+// ---------------------------------------------------------------------------
+// HTTP helpers shared by the network backends
+
+// Every network request names its stage so the local mock server (server/llm-mock-server.js)
+// can answer with that stage's fixture responder. With LLM_MOCK_CONTEXT=1 the fixture context
+// goes along too (base64url JSON); only set that when the backend points at the mock.
+export const LLM_STAGE_HEADER = 'x-llm-stage';
+export const LLM_CONTEXT_HEADER = 'x-llm-context';
+
+function stageHeaders(request) {
+  const headers = { [LLM_STAGE_HEADER]: String(request.stage || 'unknown') };
+  if (envKey('LLM_MOCK_CONTEXT') === '1' && request.context !== undefined) {
+    headers[LLM_CONTEXT_HEADER] = Buffer.from(JSON.stringify(request.context)).toString('base64url');
+  }
+  return headers;
+}
+
+async function postJson(url, { headers, body, timeoutMs }) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    if (!resp.ok) {
+      const text = await resp.text().catch(() => '');
+      throw llmError(`LLM HTTP ${resp.status}: ${text.slice(0, 240)}`, {
+        code: 'llm_http_error',
+        status: resp.status,
+        body: tryParse(text),
+        retryable: RETRYABLE_STATUS.has(resp.status)
+      });
+    }
+    return { resp, controller, timeout };
+  } catch (err) {
+    clearTimeout(timeout);
+    if (err?.name === 'AbortError') {
+      throw llmError(`LLM request timed out after ${timeoutMs}ms`, { code: 'llm_timeout', retryable: false });
+    }
+    if (!err.code) {
+      err.code = 'llm_network_error';
+      err.retryable = true;
+    }
+    throw err;
+  }
+}
+
+async function readJsonResponse(url, options) {
+  const { resp, timeout } = await postJson(url, options);
+  try {
+    const text = await resp.text();
+    const parsed = tryParse(text);
+    if (!parsed) throw llmError(`LLM returned non-JSON response: ${text.slice(0, 220)}`, { code: 'llm_bad_response' });
+    return parsed;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Calls onEvent(parsedData) for every `data:` line of a server-sent event stream.
+async function readEventStream(url, options, onEvent) {
+  const { resp, timeout } = await postJson(url, options);
+  try {
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') continue;
+        const evt = tryParse(data);
+        if (evt) onEvent(evt);
+      }
+    }
+  } catch (err) {
+    if (err?.name === 'AbortError') {
+      throw llmError(`LLM stream timed out after ${options.timeoutMs}ms`, { code: 'llm_timeout', retryable: false });
+    }
+    throw err;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function isModelNotFound(err) {
+  if (err?.status !== 404) return false;
+  const type = String(err?.body?.error?.type || err?.body?.error?.code || '');
+  return type.includes('not_found') || String(err.message || '').includes('model');
+}
+
+// ---------------------------------------------------------------------------
+// Backends
+
+const anthropicBackend = {
+  name: 'anthropic',
+  hasCredentials(request) {
+    return Boolean(String(request?.apiKey || '').trim() || envKey('SONNET_API_KEY') || envKey('ANTHROPIC_API_KEY'));
+  },
+  prepare(request, model, stream) {
+    const apiKey = String(request.apiKey || '').trim() || envKey('SONNET_API_KEY') || envKey('ANTHROPIC_API_KEY');
+    if (!apiKey) throw llmError('ANTHROPIC_API_KEY (or SONNET_API_KEY) is required for the anthropic backend', { code: 'llm_missing_key' });
+    const body = {
+      model,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      messages: [{ role: 'user', content: request.prompt }]
+    };
+    if (request.system) body.system = request.system;
+    if (stream) body.stream = true;
+    if (request.tool) {
+      body.tools = [{
+        name: request.tool.name,
+        description: request.tool.description || undefined,
+        input_schema: request.tool.inputSchema || request.tool.input_schema || request.tool.schema || { type: 'object' }
+      }];
+      // Force the tool call so the payload is read from tool_use.input instead of parsed text.
+      body.tool_choice = { type: 'tool', name: request.tool.name };
+    }
+    return {
+      url: String(request.apiUrl || '').trim() || envKey('ANTHROPIC_BASE_URL') || ANTHROPIC_MESSAGES_URL,
+      headers: { 'x-api-key': apiKey, 'anthropic-version': envKey('ANTHROPIC_VERSION') || '2023-06-01', ...stageHeaders(request) },
+      body,
+      timeoutMs: request.timeoutMs
+    };
+  },
+  async complete(request, model) {
+    // Forced tool replies are read from the stream: a tool_use cut off at max_tokens comes back
+    // with no usable input, while its streamed partial JSON can still be repaired.
+    if (request.tool) return this.stream(request, model, () => {});
+    const { url, ...options } = this.prepare(request, model, false);
+    const json = await readJsonResponse(url, options);
+    let text = '';
+    let toolInput = null;
+    for (const block of Array.isArray(json?.content) ? json.content : []) {
+      if (block?.type === 'text' && block.text) text += String(block.text);
+      if (block?.type === 'tool_use' && toolInput === null && block.input != null) toolInput = block.input;
+    }
+    return {
+      text,
+      toolInput,
+      model: String(json?.model || model),
+      stopReason: String(json?.stop_reason || ''),
+      usage: { inputTokens: Number(json?.usage?.input_tokens) || 0, outputTokens: Number(json?.usage?.output_tokens) || 0 }
+    };
+  },
+  async stream(request, model, onDelta) {
+    const out = { text: '', toolInput: null, toolText: '', model, stopReason: '', usage: { inputTokens: 0, outputTokens: 0 } };
+    const { url, ...options } = this.prepare(request, model, true);
+    await readEventStream(url, options, (evt) => {
+      if (evt.type === 'message_start') {
+        out.model = String(evt.message?.model || model);
+        out.usage.inputTokens = Number(evt.message?.usage?.input_tokens) || 0;
+      } else if (evt.type === 'content_block_delta' && evt.delta?.type === 'text_delta') {
+        const delta = String(evt.delta.text || '');
+        out.text += delta;
+        if (delta) onDelta(delta);
+      } else if (evt.type === 'content_block_delta' && evt.delta?.type === 'input_json_delta') {
+        out.toolText += String(evt.delta.partial_json || '');
+      } else if (evt.type === 'message_delta') {
+        out.stopReason = String(evt.delta?.stop_reason || out.stopReason);
+        out.usage.outputTokens = Number(evt.usage?.output_tokens) || out.usage.outputTokens;
+      } else if (evt.type === 'error') {
+        throw llmError(`LLM stream error: ${evt.error?.message || 'unknown'}`, { code: 'llm_stream_error', retryable: evt.error?.type === 'overloaded_error' });
+      }
+    });
+    if (out.toolText) out.toolInput = tryParse(out.toolText);
+    return out;
+  }
+};
+
+const openaiBackend = {
+  name: 'openai',
+  hasCredentials() {
+    return Boolean(envKey('OPENAI_API_KEY'));
+  },
+  prepare(request, model, stream) {
+    const apiKey = envKey('OPENAI_API_KEY');
+    if (!apiKey) throw llmError('OPENAI_API_KEY is required for the openai backend', { code: 'llm_missing_key' });
+    const messages = [];
+    if (request.system) messages.push({ role: 'system', content: request.system });
+    messages.push({ role: 'user', content: request.prompt });
+    const body = {
+      model: envKey('OPENAI_MODEL') || model,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      messages
+    };
+    if (request.tool) {
+      body.tools = [{
+        type: 'function',
+        function: {
+          name: request.tool.name,
+          description: request.tool.description || undefined,
+          parameters: request.tool.inputSchema || request.tool.input_schema || request.tool.schema || { type: 'object' }
+        }
+      }];
+      body.tool_choice = { type: 'function', function: { name: request.tool.name } };
+    } else if (request.json) {
+      body.response_format = { type: 'json_object' };
+    }
+    if (stream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+    return {
+      url: `${(envKey('OPENAI_BASE_URL') || OPENAI_BASE_URL).replace(/\/+$/g, '')}/chat/completions`,
+      headers: { authorization: `Bearer ${apiKey}`, ...stageHeaders(request) },
+      body,
+      timeoutMs: request.timeoutMs
+    };
+  },
+  async complete(request, model) {
+    const { url, ...options } = this.prepare(request, model, false);
+    const json = await readJsonResponse(url, options);
+    const choice = json?.choices?.[0] || {};
+    const call = choice.message?.tool_calls?.[0]?.function;
+    return {
+      text: String(choice.message?.content || ''),
+      toolInput: call ? tryParse(call.arguments) : null,
+      toolText: call ? String(call.arguments || '') : '',
+      model: String(json?.model || model),
+      stopReason: choice.finish_reason === 'length' ? 'max_tokens' : String(choice.finish_reason || ''),
+      usage: { inputTokens: Number(json?.usage?.prompt_tokens) || 0, outputTokens: Number(json?.usage?.completion_tokens) || 0 }
+    };
+  },
+  async stream(request, model, onDelta) {
+    const out = { text: '', toolInput: null, model, stopReason: '', usage: { inputTokens: 0, outputTokens: 0 } };
+    const { url, ...options } = this.prepare(request, model, true);
+    await readEventStream(url, options, (evt) => {
+      if (evt.model) out.model = String(evt.model);
+      const choice = evt.choices?.[0];
+      const delta = String(choice?.delta?.content || '');
+      if (delta) {
+        out.text += delta;
+        onDelta(delta);
+      }
+      if (choice?.finish_reason) out.stopReason = choice.finish_reason === 'length' ? 'max_tokens' : String(choice.finish_reason);
+      if (evt.usage) {
+        out.usage.inputTokens = Number(evt.usage.prompt_tokens) || 0;
+        out.usage.outputTokens = Number(evt.usage.completion_tokens) || 0;
+      }
+    });
+    return out;
+  }
+};
+
+// Fixture backend: a recorded response in LLM_FIXTURE_DIR (default data/fixtures/llm) keyed by
+// fixtureKey(), else the responder registered for the request's stage, else an empty JSON object
+// or a short placeholder text. Same request in, same response out.
+
+const fixtureResponders = new Map();
+
+export function registerFixtureResponder(stage, responder) {
+  const key = String(stage || '').trim();
+  if (!key || typeof responder !== 'function') throw new Error('Fixture responder requires a stage and a function');
+  fixtureResponders.set(key, responder);
+}
+
+export function fixtureKey(request) {
+  return sha256Hex(`${String(request?.system || '')}\n---\n${String(request?.prompt || '')}`).slice(0, 16);
+}
+
+export function getFixtureDir() {
+  return path.resolve(envKey('LLM_FIXTURE_DIR') || path.join(process.cwd(), 'data', 'fixtures', 'llm'));
+}
+
+function readFixtureFile(key) {
+  const file = path.join(getFixtureDir(), `${key}.json`);
+  if (!fs.existsSync(file)) return null;
+  const stored = tryParse(fs.readFileSync(file, 'utf8'));
+  if (!stored || typeof stored !== 'object') return null;
+  if (stored.json !== undefined) return JSON.stringify(stored.json);
+  return String(stored.text ?? '');
+}
+
+function writeFixtureFile(request, result) {
+  const dir = getFixtureDir();
+  fs.mkdirSync(dir, { recursive: true });
+  const parsed = result.toolInput ?? (request.json ? extractJson(result.text) : null);
+  const record = {
+    stage: request.stage || null,
+    model: result.model,
+    recordedAt: new Date().toISOString(),
+    ...(parsed !== null && parsed !== undefined ? { json: parsed } : { text: result.text })
+  };
+  fs.writeFileSync(path.join(dir, `${fixtureKey(request)}.json`), `${JSON.stringify(record, null, 2)}\n`);
+}
+
+function fixtureText(request) {
+  const key = fixtureKey(request);
+  const recorded = readFixtureFile(key);
+  if (recorded !== null) return recorded;
+  const responder = fixtureResponders.get(String(request.stage || ''));
+  if (responder) {
+    const out = responder(request);
+    return typeof out === 'string' ? out : JSON.stringify(out ?? {});
+  }
+  if (request.json || request.tool) return '{}';
+  return `Fixture response ${key}.`;
+}
+
+const fixtureBackend = {
+  name: 'fixture',
+  hasCredentials() {
+    return true;
+  },
+  async complete(request, model) {
+    const text = fixtureText(request);
+    return {
+      text: request.tool ? '' : text,
+      toolInput: request.tool ? tryParse(text) : null,
+      toolText: request.tool ? text : '',
+      model: `fixture:${model}`,
+      stopReason: 'end_turn',
+      usage: { inputTokens: estimateTokens(`${request.system || ''}${request.prompt}`), outputTokens: estimateTokens(text) }
+    };
+  },
+  async stream(request, model, onDelta) {
+    const result = await this.complete(request, model);
+    // Fixed-size chunks so streaming consumers see more than one delta.
+    for (let i = 0; i < result.text.length; i += 240) onDelta(result.text.slice(i, i + 240));
+    return result;
+  }
+};
+
+const BACKENDS = new Map();
+
+export function registerLlmBackend(backend) {
+  const name = String(backend?.name || '').trim();
+  if (!name || typeof backend.complete !== 'function') throw new Error('LLM backend requires a name and complete()');
+  BACKENDS.set(name, backend);
+}
+
+export function listLlmBackends() {
+  return Array.from(BACKENDS.keys()).sort();
+}
+
+registerLlmBackend(anthropicBackend);
+registerLlmBackend(openaiBackend);
+registerLlmBackend(fixtureBackend);
+
+export function getLlmBackendName(override) {
+  return String(override || envKey('LLM_BACKEND') || 'anthropic').trim().toLowerCase();
+}
+
+function resolveBackend(name) {
+  const backend = BACKENDS.get(getLlmBackendName(name));
+  if (!backend) throw llmError(`Unknown LLM backend "${getLlmBackendName(name)}"`, { code: 'llm_unknown_backend' });
+  return backend;
+}
+
+// Whether a request could be sent right now (fixture needs nothing; network backends need a key).
+export function hasLlmCredentials(request = {}) {
+  const backend = BACKENDS.get(getLlmBackendName(request.backend));
+  if (!backend) return false;
+  return typeof backend.hasCredentials === 'function' ? Boolean(backend.hasCredentials(request)) : true;
+}
+
+// ---------------------------------------------------------------------------
+// Public entry points
+
+function normalizeRequest(request) {
+  return {
+    ...request,
+    stage: String(request?.stage || '').trim() || 'unknown',
+    system: String(request?.system || '').trim(),
+    prompt: String(request?.prompt ?? request?.user ?? ''),
+    maxTokens: clampInt(request?.maxTokens, 4096, 1, 64000),
+    temperature: Number.isFinite(Number(request?.temperature)) ? Number(request.temperature) : 0.4,
+    timeoutMs: clampInt(request?.timeoutMs, 120000, 1000, 900000),
+    retries: clampInt(request?.retries ?? (envKey('LLM_MAX_RETRIES') || undefined), 2, 0, 6)
+  };
+}
+
+async function run(request, onDelta) {
+  const req = normalizeRequest(request);
+  const backend = resolveBackend(req.backend);
+  const models = modelCandidates(req.models || req.model);
+  const retryBaseMs = clampInt(envKey('LLM_RETRY_BASE_MS') || undefined, 750, 0, 30000);
+  const startedAt = Date.now();
+  let lastErr = null;
+  let attempts = 0;
+
+  for (const model of models) {
+    for (let attempt = 0; attempt <= req.retries; attempt++) {
+      attempts++;
+      let streamed = false;
+      try {
+        const result = onDelta && typeof backend.stream === 'function'
+          ? await backend.stream(req, model, (delta) => {
+            streamed = true;
+            onDelta(delta);
+          })
+          : await backend.complete(req, model);
+        const latencyMs = Date.now() - startedAt;
+        if (backend.name !== 'fixture' && envKey('LLM_FIXTURE_RECORD') === '1') writeFixtureFile(req, result);
+        emitUsage({ backend: backend.name, stage: req.stage, model: result.model, ok: true, attempts, latencyMs, ...result.usage });
+        return { ...result, backend: backend.name, stage: req.stage, attempts, latencyMs };
+      } catch (err) {
+        lastErr = err;
+        if (isModelNotFound(err)) break;
+        if (!err?.retryable || streamed || attempt === req.retries) {
+          emitUsage({ backend: backend.name, stage: req.stage, model, ok: false, attempts, latencyMs: Date.now() - startedAt, inputTokens: 0, outputTokens: 0, error: String(err?.message || err) });
+          throw err;
+        }
+        await sleep(retryBaseMs * 2 ** attempt);
+      }
+    }
+  }
+
+  emitUsage({ backend: backend.name, stage: req.stage, model: models[models.length - 1], ok: false, attempts, latencyMs: Date.now() - startedAt, inputTokens: 0, outputTokens: 0, error: String(lastErr?.message || lastErr) });
+  throw lastErr || llmError('No model candidates available', { code: 'llm_no_model' });
+}
+
+/**
+ * Send one prompt and return { text, toolInput, toolText, model, stopReason, usage, backend,
+ * stage, attempts, latencyMs }; toolText is the forced tool's raw JSON arguments. Request fields: stage, prompt, system, model | models, maxTokens,
+ * temperature, timeoutMs, retries, backend, apiKey, apiUrl, tool, json, context (fixture only).
+ */
+export function completeText(request) {
+  return run(request, null);
+}
+
+// Like completeText, but onDelta(text) receives the reply as it is generated.
+export function streamText(request, onDelta) {
+  return run(request, typeof onDelta === 'function' ? onDelta : () => {});
+}
+
+// completeText plus `parsed`: the tool input when a tool is forced, else JSON extracted from the
+// text. A reply cut off at max_tokens is repaired from its raw JSON (tool arguments or text).
+export async function completeJson(request) {
+  const result = await completeText({ ...request, json: true });
+  const truncated = result.stopReason === 'max_tokens';
+  const parsed = (truncated ? null : result.toolInput) ?? extractJson(result.toolText || result.text, { truncated }) ?? result.toolInput;
+  if (parsed === null || parsed === undefined) {
+    throw llmError(
+      `${result.backend} response parse failed (stage=${result.stage}, truncated=${result.stopReason === 'max_tokens'}). Preview: ${result.text.slice(0, 300).replace(/\n/g, '\\n')}`,
+      { code: 'llm_parse_failed', model: result.model }
+    );
+  }
+  return { ...result, parsed };
+}
@@ -0,0 +1,43 @@
+import { kalshiSettlement } from './kalshi.js';
+import { polymarketSettlement } from './polymarket.js';
+import { USER_AGENT, fetchWithTimeout, readOkJson } from './sources/http.js';
+
+// Final outcomes of tracked prediction markets. The market sources only fetch open markets, so
+// once a market closes its ticks stop before the price settles; calibration asks the exchange
+// for that one market's final state instead.
+
+const POLYMARKET_MARKETS_URL = 'https://gamma-api.polymarket.com/markets';
+const KALSHI_MARKETS_URL = 'https://api.elections.kalshi.com/trade-api/v2/markets';
+
+// The exchange and id behind a market URL as stored in forecast_predictions.target_ref.
+export function marketRefOf(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || ''));
+  } catch {
+    return null;
+  }
+  const host = parsed.hostname.replace(/^www\./, '');
+  const [kind, id] = parsed.pathname.split('/').filter(Boolean);
+  if (!id) return null;
+  if (host === 'polymarket.com' && kind === 'market') return { exchange: 'polymarket', id };
+  // Canonical Kalshi URLs lowercase the ticker; the API wants it as issued.
+  if (host === 'kalshi.com' && kind === 'markets') return { exchange: 'kalshi', id: id.toUpperCase() };
+  return null;
+}
+
+/**
+ * { settled, outcome, value } for the market at `url`, or null when the URL is not a supported
+ * exchange. Network and HTTP errors throw; `fetchImpl(url, options)` defaults to a timed fetch.
+ */
+export async function fetchMarketSettlement(url, { fetchImpl = fetchWithTimeout } = {}) {
+  const ref = marketRefOf(url);
+  if (!ref) return null;
+  const headers = { 'user-agent': USER_AGENT, accept: 'application/json' };
+  if (ref.exchange === 'polymarket') {
+    const resp = await fetchImpl(`${POLYMARKET_MARKETS_URL}?slug=${encodeURIComponent(ref.id)}&closed=true`, { headers });
+    return polymarketSettlement(await readOkJson(resp, 'Polymarket settlement fetch failed'));
+  }
+  const resp = await fetchImpl(`${KALSHI_MARKETS_URL}/${encodeURIComponent(ref.id)}`, { headers });
+  return kalshiSettlement(await readOkJson(resp, 'Kalshi settlement fetch failed'));
+}
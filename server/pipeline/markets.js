@@ -0,0 +1,98 @@
+import { jaccard, tokenize } from './utils.js';
+
+// Prediction-market signals from different exchanges often ask the same question in slightly
+// different words. These helpers read the quote back out of a market signal and fold
+// near-identical questions from different exchanges into one entry with a consensus probability.
+
+const EXCHANGE_LABELS = { polymarket: 'Polymarket', kalshi: 'Kalshi' };
+
+export const CROSS_EXCHANGE_SIMILARITY = 0.6;
+
+export function exchangeForUrl(url) {
+  let host = '';
+  try {
+    host = new URL(String(url || '')).hostname.toLowerCase();
+  } catch {
+    return 'unknown';
+  }
+  if (host.endsWith('polymarket.com')) return 'polymarket';
+  if (host.endsWith('kalshi.com')) return 'kalshi';
+  return host || 'unknown';
+}
+
+export function exchangeLabel(exchange) {
+  return EXCHANGE_LABELS[exchange] || exchange;
+}
+
+export function formatProbability(prob) {
+  return Number.isFinite(prob) ? `${(prob * 100).toFixed(0)}%` : '?';
+}
+
+// Signal summaries are written by the exchange parsers as "Yes: 30% • Closes: ... • Volume: ...".
+export function marketQuoteFromSignal(signal) {
+  const summary = String(signal?.summary || '');
+  const pct = summary.match(/Yes:\s*(\d+(?:\.\d+)?)%/);
+  const volume = summary.match(/Volume:\s*\$?([\d,]+)/);
+  const url = String(signal?.canonical_url || '');
+  return {
+    exchange: exchangeForUrl(url),
+    label: String(signal?.title || '').replace(/\?+$/g, '').trim(),
+    prob: pct ? Number(pct[1]) / 100 : null,
+    volume: volume ? Number(volume[1].replace(/,/g, '')) : null,
+    closeDate: summary.match(/Closes:\s*(\d{4}-\d{2}-\d{2})/)?.[1] || null,
+    url,
+    summary
+  };
+}
+
+/**
+ * Group market signals so each real-world question appears once. A signal joins an existing
+ * group when its title is at least `threshold` similar (token jaccard) to the group's lead and
+ * the group has no quote from that exchange yet; same-exchange look-alikes (e.g. different
+ * strike levels) stay separate. Input order is preserved, so pass signals best-first.
+ */
+export function groupMarketSignals(signals, options = {}) {
+  const threshold = Number(options.threshold ?? CROSS_EXCHANGE_SIMILARITY);
+  const groups = [];
+  for (const signal of signals || []) {
+    const quote = marketQuoteFromSignal(signal);
+    const tokens = tokenize(quote.label);
+    let best = null;
+    let bestSim = 0;
+    for (const group of groups) {
+      if (group.quotes.some((q) => q.exchange === quote.exchange)) continue;
+      const sim = jaccard(tokens, group.tokens);
+      if (sim >= threshold && sim > bestSim) {
+        best = group;
+        bestSim = sim;
+      }
+    }
+    if (best) {
+      best.quotes.push(quote);
+      best.signals.push(signal);
+    } else {
+      groups.push({ lead: signal, label: quote.label, tokens, quotes: [quote], signals: [signal] });
+    }
+  }
+  return groups.map((group) => {
+    const priced = group.quotes.filter((q) => Number.isFinite(q.prob));
+    const consensus = priced.length ? priced.reduce((sum, q) => sum + q.prob, 0) / priced.length : null;
+    return {
+      lead: group.lead,
+      label: group.label,
+      url: group.quotes[0].url,
+      consensus,
+      spread: priced.length > 1 ? Math.max(...priced.map((q) => q.prob)) - Math.min(...priced.map((q) => q.prob)) : null,
+      quotes: group.quotes,
+      signals: group.signals
+    };
+  });
+}
+
+// One-line probability text for a group: the lead summary for a single exchange, otherwise
+// the consensus with each exchange's quote.
+export function describeMarketGroup(group) {
+  if (group.quotes.length < 2) return group.quotes[0]?.summary || '';
+  const parts = group.quotes.map((q) => `${exchangeLabel(q.exchange)} ${formatProbability(q.prob)}`);
+  return `Consensus: ${formatProbability(group.consensus)} (${parts.join(', ')})`;
+}
@@ -0,0 +1,164 @@
+import { isoNow, pickDeterministic, stableHash } from './utils.js';
+
+// Offline curation (SONNET_MODE=mock): a complete edition plan built from the candidates alone,
+// with no model call. Output follows the schema of the Sonnet plan so curateDay stores it the
+// same way, and every choice is seeded by day/horizon/story so reruns reproduce it exactly.
+
+export const MOCK_CURATION_MODEL = 'mock-curator';
+
+function compact(value, maxLen = 240) {
+  const text = String(value || '').replace(/\s+/g, ' ').trim();
+  if (text.length <= maxLen) return text;
+  return `${text.slice(0, maxLen - 1).replace(/\s+\S*$/, '')}…`;
+}
+
+function sentence(value) {
+  const text = compact(value, 400).replace(/[\s.?!…]+$/, '');
+  return text ? `${text}.` : '';
+}
+
+function listPhrase(items) {
+  const list = Array.from(new Set(items.filter(Boolean)));
+  if (list.length <= 1) return list[0] || '';
+  if (list.length === 2) return `${list[0]} and ${list[1]}`;
+  return `${list.slice(0, -1).join(', ')}, and ${list[list.length - 1]}`;
+}
+
+function topicPhrase(candidate) {
+  const topic = candidate?.evidencePack?.topic || candidate?.topic || {};
+  return compact(topic.theme || topic.label || candidate?.topicLabel || '', 120);
+}
+
+function evidenceTitles(candidate, max = 3) {
+  const pack = candidate?.evidencePack || {};
+  const fromCitations = (Array.isArray(pack.citations) ? pack.citations : []).map((c) => c?.title);
+  const fromSignals = (Array.isArray(pack.signals) ? pack.signals : []).map((s) => s?.label);
+  return Array.from(new Set([...fromCitations, ...fromSignals].map((t) => compact(t, 100)).filter(Boolean))).slice(0, max);
+}
+
+// Headlines from the edition builder are already future-dated; mock curation only removes
+// question framing, which the published edition never uses.
+function curatedHeadline(candidate) {
+  const title = compact(candidate?.title, 200).replace(/\?+$/, '');
+  return title || compact(topicPhrase(candidate) || 'A Shift Takes Hold', 200);
+}
+
+function curatedDek(candidate, editionDate) {
+  const dek = compact(candidate?.dek, 300);
+  if (dek) return dek;
+  const topic = topicPhrase(candidate) || 'the trend';
+  return `By ${editionDate}, ${topic} has moved from early signals to everyday reality.`;
+}
+
+function confidenceFor(candidate, seed) {
+  const evidence = Number(candidate?.evidencePack?.citations?.length) || 0;
+  const jitter = stableHash(`${seed}|confidence`) % 9;
+  return Math.max(35, Math.min(88, 48 + evidence * 6 + jitter - 4));
+}
+
+/**
+ * Template article body: lede from the headline and dek, a context paragraph from the topic
+ * and horizon, an evidence paragraph naming the baseline reporting, and a forward-looking close.
+ */
+export function buildMockArticleBody({ candidate, title, dek, editionDate, yearsForward, seed }) {
+  const topic = topicPhrase(candidate);
+  const evidence = evidenceTitles(candidate);
+  const section = compact(candidate?.section, 40) || 'the edition';
+  const span = Number(yearsForward) === 1 ? 'a year' : `${Number(yearsForward) || 'several'} years`;
+
+  const lede = [sentence(title), sentence(dek)].filter(Boolean).join(' ');
+  const context = sentence(
+    topic
+      ? `The development caps ${span} in which ${topic} moved from a background trend to an operating reality for governments, companies and households`
+      : `The development caps ${span} of steady change that ${section} editors have tracked since the first signals appeared`
+  );
+  const evidenceLine = evidence.length
+    ? sentence(`Reporting from ${span} earlier already pointed this way, including ${listPhrase(evidence.map((t) => `"${t}"`))}`)
+    : sentence(`The groundwork was visible ${span} earlier, when the first pilots and policy drafts appeared`);
+  const close = pickDeterministic([
+    'Officials said the next milestones would be watched closely, and several rivals are expected to respond within months.',
+    'Analysts cautioned that the full effects will take time to show up in the data, but few expect the shift to reverse.',
+    'Supporters called the moment overdue; critics warned that the costs have yet to be fully counted.',
+    'For now, the change is being measured less in announcements than in the routines it has already rewritten.'
+  ], `${seed}|close`);
+
+  return [lede, context, evidenceLine, close].filter(Boolean).join('\n\n');
+}
+
+// Key stories: the top-ranked candidates, with at least one AI story when the edition has one.
+export function pickKeyStoryIds(candidates, keyCount) {
+  if (keyCount <= 0) return [];
+  const ordered = [...candidates].sort((a, b) => (Number(a.rank) || 0) - (Number(b.rank) || 0) || String(a.storyId).localeCompare(String(b.storyId)));
+  const picked = ordered.slice(0, keyCount).map((c) => c.storyId);
+  const ai = ordered.find((c) => c.section === 'AI');
+  if (ai && !picked.includes(ai.storyId)) picked[picked.length - 1] = ai.storyId;
+  return picked;
+}
+
+export function buildMockEditionPlan({ day, yearsForward, editionDate, candidates, keyCount }) {
+  const list = Array.isArray(candidates) ? candidates.filter((c) => c && c.storyId) : [];
+  const keyStoryIds = pickKeyStoryIds(list, Math.max(0, Number(keyCount) || 0));
+  const keySet = new Set(keyStoryIds);
+
+  const stories = list.map((candidate) => {
+    const seed = `${day}|${yearsForward}|${candidate.storyId}`;
+    const key = keySet.has(candidate.storyId);
+    const title = curatedHeadline(candidate);
+    const dek = curatedDek(candidate, editionDate);
+    const topic = topicPhrase(candidate);
+    return {
+      storyId: candidate.storyId,
+      curatedTitle: title,
+      curatedDek: dek,
+      topicTitle: topic ? compact(topic.split(/\s+/).slice(0, 6).join(' '), 60) : '',
+      sparkDirections: compact(
+        `Write as news from ${editionDate}: ${dek} Lead with the concrete outcome, then explain how ${topic ? topic : 'the trend'} got here and who is affected.`,
+        600
+      ),
+      key,
+      hero: keyStoryIds[0] === candidate.storyId,
+      futureEventSeed: sentence(dek),
+      confidence: confidenceFor(candidate, seed),
+      draftArticle: key
+        ? { title, dek, body: buildMockArticleBody({ candidate, title, dek, editionDate, yearsForward, seed }) }
+        : null
+    };
+  });
+
+  return {
+    schema: 1,
+    day,
+    yearsForward,
+    editionDate,
+    generatedAt: isoNow(),
+    model: MOCK_CURATION_MODEL,
+    keyStoryIds,
+    stories
+  };
+}
+
+// Backfill for stories without a body: { storyId, title, dek, editionDate, section } in,
+// Map<storyId, { title, dek, body }> out, matching generateMissingArticleBodies.
+export function buildMockArticleBodies(stories) {
+  const out = new Map();
+  for (const story of Array.isArray(stories) ? stories : []) {
+    const storyId = String(story?.storyId || '').trim();
+    if (!storyId) continue;
+    const title = compact(story.title, 220);
+    const dek = compact(story.dek, 320);
+    const yearsForward = Number(storyId.match(/-y(\d+)-/)?.[1]) || null;
+    out.set(storyId, {
+      title,
+      dek,
+      body: buildMockArticleBody({
+        candidate: { section: story.section, topicLabel: story.topicTitle || '' },
+        title,
+        dek,
+        editionDate: story.editionDate,
+        yearsForward,
+        seed: storyId
+      })
+    });
+  }
+  return out;
+}
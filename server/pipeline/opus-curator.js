@@ -1,35 +1,6 @@
+import { completeJson } from './llm.js';
 import { formatEditionDate, isoNow, stableHash, tokenize } from './utils.js';
 
-function safeParseJson(text, fallback = null) {
-  const raw = String(text || '').trim();
-  if (!raw) return fallback;
-
-  const stripFence = (value) => {
-    const trimmed = String(value || '').trim();
-    if (trimmed.startsWith('```')) {
-      return trimmed.replace(/^```[a-z]*\n?/i, '').replace(/```$/i, '').trim();
-    }
-    return trimmed;
-  };
-
-  const cleaned = stripFence(raw);
-  try {
-    return JSON.parse(cleaned);
-  } catch {
-    // Attempt to recover the first JSON object in a blob.
-    const start = cleaned.indexOf('{');
-    const end = cleaned.lastIndexOf('}');
-    if (start >= 0 && end > start) {
-      try {
-        return JSON.parse(cleaned.slice(start, end + 1));
-      } catch {
-        return fallback;
-      }
-    }
-    return fallback;
-  }
-}
-
 function clampOutputText(value, max = 900) {
   const str = String(value || '').replace(/\s+/g, ' ').trim();
   if (!str) return '';
@@ -223,6 +194,7 @@ function resolveProvider(mode) {
   if (m === 'openai') return 'openai';
   if (m === 'anthropic') return 'anthropic';
   if (m === 'http') return 'http';
+  if (m === 'fixture') return 'fixture';
   return 'auto';
 }
 
@@ -241,66 +213,8 @@ async function fetchWithTimeout(url, options = {}) {
   }
 }
 
-async function callOpenAIJson({ model, system, user, timeoutMs }) {
-  const apiKey = envKey('OPENAI_API_KEY') || envKey('SONNET_API_KEY');
-  if (!apiKey) throw new Error('Missing OPENAI_API_KEY');
-  const baseUrl = envKey('OPENAI_BASE_URL') || 'https://api.openai.com/v1';
-  const url = `${baseUrl.replace(/\/+$/g, '')}/chat/completions`;
-  const resp = await fetchWithTimeout(url, {
-    timeoutMs,
-    method: 'POST',
-    headers: {
-      authorization: `Bearer ${apiKey}`,
-      'content-type': 'application/json'
-    },
-    body: JSON.stringify({
-      model,
-      temperature: 0.35,
-      response_format: { type: 'json_object' },
-      messages: [
-        { role: 'system', content: system },
-        { role: 'user', content: user }
-      ]
-    })
-  });
-  if (!resp.ok) {
-    const raw = await resp.text().catch(() => '');
-    throw new Error(`OpenAI HTTP ${resp.status}: ${raw.slice(0, 240)}`);
-  }
-  const json = await resp.json();
-  const text = json?.choices?.[0]?.message?.content || '';
-  const parsed = safeParseJson(text, null);
-  if (!parsed) throw new Error('OpenAI response was not JSON');
-  return parsed;
-}
-
-async function callAnthropicJson({ model, system, user, timeoutMs }) {
-  const apiKey = envKey('ANTHROPIC_API_KEY') || envKey('SONNET_API_KEY');
-  if (!apiKey) throw new Error('Missing ANTHROPIC_API_KEY');
-  const url = envKey('ANTHROPIC_BASE_URL') || 'https://api.anthropic.com/v1/messages';
-  const resp = await fetchWithTimeout(url, {
-    timeoutMs,
-    method: 'POST',
-    headers: {
-      'x-api-key': apiKey,
-      'anthropic-version': envKey('ANTHROPIC_VERSION') || '2023-06-01',
-      'content-type': 'application/json'
-    },
-    body: JSON.stringify({
-      model,
-      max_tokens: 4096,
-      system,
-      messages: [{ role: 'user', content: user }]
-    })
-  });
-  if (!resp.ok) {
-    const raw = await resp.text().catch(() => '');
-    throw new Error(`Anthropic HTTP ${resp.status}: ${raw.slice(0, 240)}`);
-  }
-  const json = await resp.json();
-  const text = (json?.content || []).map((c) => c?.text || '').join('\n');
-  const parsed = safeParseJson(text, null);
-  if (!parsed) throw new Error('Anthropic response was not JSON');
+async function callModelJson({ backend, stage, model, system, user, timeoutMs }) {
+  const { parsed } = await completeJson({ backend, stage, model, system, prompt: user, timeoutMs, maxTokens: 4096, temperature: 0.35 });
   return parsed;
 }
 
@@ -493,19 +407,18 @@ export async function generateDailyCuration({ day, sectionOrder, topicsBySection
   const timeoutMs = Math.max(20000, Math.min(180000, Number(process.env.SONNET_TIMEOUT_MS || 90000)));
   const model = envKey('SONNET_MODEL') || envKey('SONNET_MODEL_NAME') || 'sonnet-4.6';
 
-  const callJson = async ({ system, user }) => {
-    if (providerMode === 'openai') return callOpenAIJson({ model, system, user, timeoutMs });
-    if (providerMode === 'anthropic') return callAnthropicJson({ model, system, user, timeoutMs });
+  const callJson = async ({ stage, system, user }) => {
     if (providerMode === 'http') return callHttpJson({ user, timeoutMs });
+    if (providerMode !== 'auto') return callModelJson({ backend: providerMode, stage, model, system, user, timeoutMs });
 
     // auto: prefer Anthropic if key present, else OpenAI, else mock.
-    if (envKey('ANTHROPIC_API_KEY')) return callAnthropicJson({ model, system, user, timeoutMs });
-    if (envKey('OPENAI_API_KEY')) return callOpenAIJson({ model, system, user, timeoutMs });
+    if (envKey('ANTHROPIC_API_KEY')) return callModelJson({ backend: 'anthropic', stage, model, system, user, timeoutMs });
+    if (envKey('OPENAI_API_KEY')) return callModelJson({ backend: 'openai', stage, model, system, user, timeoutMs });
     return null;
   };
 
   const promptDayBrief = buildDayBriefPrompt({ day, sectionOrder, topicsBySection, econSignals, marketSignals });
-  const dayBriefResp = await callJson({ system: promptDayBrief.system, user: promptDayBrief.user });
+  const dayBriefResp = await callJson({ stage: 'curator.day_brief', system: promptDayBrief.system, user: promptDayBrief.user });
   const dayBrief = dayBriefResp && dayBriefResp.dayBrief ? dayBriefResp.dayBrief : null;
   if (!dayBrief || typeof dayBrief !== 'object') {
     throw new Error('Sonnet did not return dayBrief');
@@ -517,7 +430,7 @@ export async function generateDailyCuration({ day, sectionOrder, topicsBySection
     const editionDate = formatEditionDate(day, yearsForward);
     const promptEdition = buildEditionPlanPrompt({ day, yearsForward, editionDate, sectionOrder, topicsBySection, dayBrief });
     editionPrompts.push({ yearsForward, system: promptEdition.system, user: promptEdition.user });
-    const planResp = await callJson({ system: promptEdition.system, user: promptEdition.user });
+    const planResp = await callJson({ stage: 'curator.edition_plan', system: promptEdition.system, user: promptEdition.user });
     const normalized = normalizeEditionPlan(planResp, { yearsForward, editionDate, sectionOrder });
     editions.push(normalized);
   }
@@ -20,6 +20,7 @@ async function generateStoryImage(prompt, storyId) {
     // Skip if already generated
     if (fs.existsSync(filepath)) return `assets/img/generated/${filename}`;
 
+    const startedAtMs = Date.now();
     const resp = await fetch('https://api.openai.com/v1/images/generations', {
       method: 'POST',
       headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
@@ -33,6 +34,15 @@ async function generateStoryImage(prompt, storyId) {
       signal: AbortSignal.timeout(60000)
     });
 
+    reportUsage({
+      backend: 'openai',
+      stage: 'images.story',
+      model: 'dall-e-3',
+      ok: resp.ok,
+      images: resp.ok ? 1 : 0,
+      latencyMs: Date.now() - startedAtMs,
+      error: resp.ok ? undefined : `HTTP ${resp.status}`
+    });
     if (!resp.ok) {
       console.error(`Image gen failed (${resp.status}): ${await resp.text().catch(() => '')}`);
       return null;
@@ -54,9 +64,7 @@ async function generateStoryImage(prompt, storyId) {
     return null;
   }
 }
-import { parseFeed } from './rss.js';
-import { fetchPolymarketRawItems } from './polymarket.js';
-import { fetchFredSeriesRawItem } from './fred.js';
+import { collectSourceItems, resolveSourceAdapter, signalTypeForSource } from './sources/index.js';
 import {
   ANGLES,
   SECTION_ORDER,
@@ -64,6 +72,7 @@ import {
   formatDay,
   formatEditionDate,
   generateFutureDescriptor,
+  getEditionHorizons,
   isoNow,
   jaccard,
   normalizeDay,
@@ -77,34 +86,63 @@ import {
   buildEditionCurationPrompt,
   generateEditionCurationPlan,
   getSonnetCurationConfigFromEnv,
-  generateMissingArticleBodies
+  generateMissingArticleBodies,
+  missingCredentialsMessage,
+  selectKeyStories
 } from './curation.js';
+import { extractStoryPredictions, resolveEconPrediction, resolveMarketPrediction, summarizeCalibration } from './calibration.js';
+import { findConflicts } from './consistency.js';
+import { fetchMarketSettlement } from './market-settlement.js';
 import { reviewEditionWithFutureEditor } from './future-editor.js';
+import {
+  deleteCurationCheckpoints,
+  isCurationStoreEnabled,
+  loadCurationState,
+  saveCurationCheckpoint,
+  saveStoryCurations
+} from './curation-store.js';
+import { extractWorldFacts } from './world-state.js';
+import { FALLBACK_LLM_MODEL, onLlmUsage, reportUsage, withUsageScope } from './llm.js';
+import { budgetState, estimateCostUsd, getBudgetConfig, getModelPricing } from './usage.js';
+import { computeIndicators, loadIndicatorConfig } from './indicators.js';
+import { MILESTONE_WINDOW_DAYS, computeTopicTrend } from './topic-trends.js';
+import { clusterSignals, loadClusteringConfig } from './clustering.js';
+import { matchTopicsToThreads } from './threads.js';
+import { contentHashOf, diffArticles, promptHashOf } from './revisions.js';
+import { describeMarketGroup, formatProbability, groupMarketSignals } from './markets.js';
 
 const DEFAULT_DB_FILE = path.resolve(process.cwd(), 'data', 'future-times.sqlite');
 const DEFAULT_SOURCES_FILE = path.resolve(process.cwd(), 'config', 'sources.json');
 const RENDER_CACHE_VERSION = '19';
 
+// Source health: failing sources back off exponentially and are quarantined after
+// PIPELINE_SOURCE_QUARANTINE_AFTER consecutive failures until re-enabled by an admin.
+const SOURCE_BACKOFF_MAX_MINUTES = 24 * 60;
+const SOURCE_FETCH_LOG_KEEP = 60;
+const MARKET_MOVER_MIN_DELTA = 0.05;
+const MARKET_MOVER_MAX_BOOST = 0.35;
+const MARKET_TICK_RETENTION_DAYS = 120;
+const THREAD_LOOKBACK_DAYS = 7;
+
+function sourceQuarantineThreshold() {
+  const n = Number(process.env.PIPELINE_SOURCE_QUARANTINE_AFTER || 8);
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : 8;
+}
+
+function sourceEffectiveIntervalMinutes(source) {
+  const base = Number(source?.fetch_interval_minutes || 60);
+  const interval = Number.isFinite(base) && base > 0 ? base : 60;
+  const failures = Math.max(0, Number(source?.consecutive_failures || 0));
+  if (!failures) return interval;
+  return Math.min(SOURCE_BACKOFF_MAX_MINUTES, Math.max(interval, interval * 2 ** Math.min(failures, 10)));
+}
+
 function renderVariantFromCurationGeneratedAt(value) {
   const raw = String(value || '').trim();
   if (!raw) return 'c0';
   return `c${sha256Hex(raw).slice(0, 10)}`;
 }
 
-const SIGNAL_TYPE_BY_SOURCE = (source) => {
-  const url = String(source?.url || '').toLowerCase();
-  if (String(source?.type || '').toLowerCase() === 'api_json' && String(source?.source_id || '').includes('polymarket')) {
-    return 'market';
-  }
-  if (String(source?.type || '').toLowerCase() === 'csv' && String(source?.source_id || '').includes('fred')) {
-    return 'econ';
-  }
-  if (url.includes('arxiv.org') || String(source?.name || '').toLowerCase().includes('arxiv')) {
-    return 'research';
-  }
-  return 'news';
-};
-
 const HORIZON_BY_SIGNAL_TYPE = {
   news: 'near',
   econ: 'near',
@@ -209,6 +247,38 @@ function extractKeywords(text, max = 12) {
     .map(([w]) => w);
 }
 
+// Byline, feed categories and lead image from an RSS/Atom item's payload (see rss.js parseFeed).
+function feedMetadata(payload) {
+  const p = payload && typeof payload === 'object' ? payload : {};
+  const strings = (list, max) => (Array.isArray(list) ? list : []).map((v) => String(v || '').trim()).filter(Boolean).slice(0, max);
+  const image = (Array.isArray(p.images) ? p.images : []).find((img) => img?.url);
+  return {
+    authors: strings(p.authors, 3),
+    categories: strings(p.categories, 6),
+    image: image ? String(image.url) : null
+  };
+}
+
+// Feed metadata carried on a signal's first citation, for evidence-pack citations.
+function citationFeedFields(citationsJson) {
+  const first = safeParseJson(citationsJson, [])[0] || {};
+  const out = {};
+  if (Array.isArray(first.authors) && first.authors.length) out.authors = first.authors;
+  if (Array.isArray(first.categories) && first.categories.length) out.categories = first.categories;
+  if (first.image) out.image = first.image;
+  return out;
+}
+
+// "Title (Source, by Author) [tags]" for the editor's evidence lines.
+function citationEvidenceLine(citation) {
+  const title = String(citation?.title || '').trim();
+  if (!title) return '';
+  const authors = Array.isArray(citation.authors) ? citation.authors.slice(0, 2) : [];
+  const credit = [String(citation.source || '').trim(), authors.length ? `by ${authors.join(' & ')}` : ''].filter(Boolean).join(', ');
+  const tags = Array.isArray(citation.categories) && citation.categories.length ? ` [${citation.categories.slice(0, 3).join(', ')}]` : '';
+  return `${title}${credit ? ` (${credit})` : ''}${tags}`;
+}
+
 function loadEntityDicts(rootDir) {
   const file = path.resolve(rootDir, 'server', 'pipeline', 'entity-dicts.json');
   try {
@@ -442,7 +512,7 @@ function buildDekSeed(topicLabel, topicBrief, yearsForward, editionDate, baselin
   return `A ${targetYear} report on ${shortLabel.toLowerCase()}.`;
 }
 
-function buildEvidencePack({ topic, evidenceSignals, econSignals, marketSignals, editionDate, yearsForward }) {
+function buildEvidencePack({ topic, evidenceSignals, econSignals, econIndicators = [], marketGroups = [], editionDate, yearsForward }) {
   const citations = [];
   for (let i = 0; i < evidenceSignals.length; i++) {
     const s = evidenceSignals[i];
@@ -457,7 +527,8 @@ function buildEvidencePack({ topic, evidenceSignals, econSignals, marketSignals,
         .replace(/<[^>]*>/g, ' ')
         .replace(/\s+/g, ' ')
         .trim()
-        .slice(0, 280)
+        .slice(0, 280),
+      ...citationFeedFields(s.citations_json)
     });
   }
 
@@ -471,10 +542,13 @@ function buildEvidencePack({ topic, evidenceSignals, econSignals, marketSignals,
     };
   }
 
-  const markets = marketSignals.slice(0, 4).map((s) => ({
-    label: String(s.title || '').replace(/\?+$/g, ''),
-    prob: String(s.summary || '').slice(0, 60),
-    url: s.canonical_url || ''
+  // One entry per question; when several exchanges list it, `consensus` averages their quotes.
+  const markets = marketGroups.slice(0, 4).map((g) => ({
+    label: g.label,
+    prob: describeMarketGroup(g).slice(0, 120),
+    url: g.url,
+    consensus: Number.isFinite(g.consensus) ? formatProbability(g.consensus) : null,
+    exchanges: g.quotes.map((q) => ({ exchange: q.exchange, prob: formatProbability(q.prob), url: q.url }))
   }));
 
   const sidebarSignals = evidenceSignals.slice(0, 6).map((s) => ({
@@ -497,10 +571,72 @@ function buildEvidencePack({ topic, evidenceSignals, econSignals, marketSignals,
     citations,
     markets,
     econ: econSnapshot,
+    indicators: econIndicators.slice(0, 8).map((i) => ({ id: i.id, label: i.label, value: i.display, asOf: i.asOf })),
     signals: sidebarSignals
   };
 }
 
+// Standing-topic enrichment carried in an evidence pack. Milestones are kept near the target
+// year; the trend's milestone progress runs from the baseline year so the path there is visible.
+function standingTopicContext(st, { targetYear, baselineYear, trend = null, evidenceToday = 0 }) {
+  const milestones = safeParseJson(st.milestones, []);
+  return {
+    key: st.topic_key,
+    section: st.section,
+    label: st.label,
+    category: st.category,
+    description: st.description,
+    extrapolationAxes: safeParseJson(st.extrapolation_axes, []),
+    milestones: milestones.filter((m) => m.year >= targetYear - 1 && m.year <= targetYear + 2),
+    keywords: safeParseJson(st.keywords, []).slice(0, 12),
+    evidenceToday,
+    trend: trend ? {
+      evidence: trend.evidence,
+      axes: trend.axes,
+      milestones: trend.milestones.filter((m) => m.year >= baselineYear && m.year <= targetYear + 2)
+    } : null
+  };
+}
+
+// Chart labels for FRED series, taken from the "latest" indicator that reads each series.
+function fredSeriesLabels(rootDir) {
+  const labels = new Map();
+  for (const def of loadIndicatorConfig(rootDir)) {
+    if (def.op === 'latest' && typeof def.series === 'string' && !labels.has(def.series)) {
+      labels.set(def.series, { label: def.label, unit: def.unit || '' });
+    }
+  }
+  return labels;
+}
+
+// The section's standing topic that most of a clustered topic's signals were matched to, by
+// summed relevance; null when none of its signals are standing-topic evidence.
+function matchStandingTopic(signalIds, sectionTopics, evidenceBySignal) {
+  const keys = new Set(sectionTopics.map((st) => st.topic_key));
+  const totals = new Map();
+  for (const id of signalIds) {
+    for (const e of evidenceBySignal.get(id) || []) {
+      if (!keys.has(e.key)) continue;
+      const t = totals.get(e.key) || { score: 0, signals: 0 };
+      t.score += Number(e.relevance) || 0;
+      t.signals++;
+      totals.set(e.key, t);
+    }
+  }
+  const best = [...totals.entries()].sort((a, b) => b[1].score - a[1].score)[0];
+  if (!best) return null;
+  return { topic: sectionTopics.find((st) => st.topic_key === best[0]), signals: best[1].signals };
+}
+
+// curateDay checkpoints: a day brief per day, then these stages per edition (plan per section,
+// backfill per fixed batch). A stage is given up after this many attempts.
+const CURATION_STAGES = ['plan', 'keys', 'backfill', 'editor', 'consistency', 'publish', 'canon', 'forecasts'];
+const MAX_CURATION_STAGE_ATTEMPTS = 3;
+const MAX_SETTLEMENT_LOOKUPS = 60;
+// With a shared checkpoint store, a stage another instance started this recently may still be
+// running there (the Vercel function's maxDuration is 300s).
+const CURATION_STAGE_LEASE_MS = 5 * 60 * 1000;
+
 export class FutureTimesPipeline {
   constructor(options = {}) {
     this.rootDir = options.rootDir || process.cwd();
@@ -510,6 +646,7 @@ export class FutureTimesPipeline {
     this.entityDicts = null;
     this.refreshInFlightByDay = new Map();
     this.lastRefresh = null;
+    this.lastRefreshHttp = null;
     this.curationInFlight = null;
     this.lastCuration = null;
   }
@@ -521,6 +658,7 @@ export class FutureTimesPipeline {
     this.entityDicts = loadEntityDicts(this.rootDir);
     this.loadSourcesIntoDb();
     this.loadStandingTopicsIntoDb();
+    this.stopUsageListener = onLlmUsage((event) => this.recordModelUsage(event));
   }
 
   loadSourcesIntoDb() {
@@ -555,18 +693,21 @@ export class FutureTimesPipeline {
     }
   }
 
-  loadStandingTopicsIntoDb() {
+  readStandingTopicsConfig() {
     const topicsFile = path.resolve(this.rootDir, 'config', 'standing-topics.json');
-    let config;
     try {
-      const raw = fs.readFileSync(topicsFile, 'utf8');
-      config = JSON.parse(raw);
+      const config = JSON.parse(fs.readFileSync(topicsFile, 'utf8'));
+      return Array.isArray(config?.topics) ? config.topics : [];
     } catch {
-      return; // No standing topics file yet — that's fine
+      return []; // No standing topics file yet — that's fine
     }
-    const topics = Array.isArray(config?.topics) ? config.topics : [];
+  }
+
+  loadStandingTopicsIntoDb({ only = null } = {}) {
+    const topics = this.readStandingTopicsConfig().filter((t) => !only || String(t.topic_key) === only);
     if (!topics.length) return;
 
+    // Topics edited on the admin dashboard keep their edits until reset.
     const stmt = this.db.prepare(`
       INSERT INTO standing_topics(topic_key, section, category, subcategory, label, description, extrapolation_axes, keywords, milestones, enabled, created_at, updated_at)
       VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
@@ -580,7 +721,8 @@ export class FutureTimesPipeline {
         keywords=excluded.keywords,
         milestones=excluded.milestones,
         enabled=excluded.enabled,
-        updated_at=excluded.updated_at;
+        updated_at=excluded.updated_at
+      WHERE standing_topics.origin != 'admin';
     `);
 
     const now = isoNow();
@@ -610,6 +752,89 @@ export class FutureTimesPipeline {
     return this.db.prepare('SELECT * FROM standing_topics WHERE enabled=1 ORDER BY section, category, label').all();
   }
 
+  // ── Standing Topics: admin editor ──
+  listStandingTopics({ section = '' } = {}) {
+    const configKeys = new Set(this.readStandingTopicsConfig().map((t) => String(t.topic_key)));
+    return this.db.prepare(`
+      SELECT * FROM standing_topics WHERE (?='' OR section=?) ORDER BY section, category, label
+    `).all(section, section).map((st) => ({
+      topic_key: st.topic_key,
+      section: st.section,
+      category: st.category,
+      subcategory: st.subcategory,
+      label: st.label,
+      description: st.description,
+      extrapolation_axes: safeParseJson(st.extrapolation_axes, []),
+      keywords: safeParseJson(st.keywords, []),
+      milestones: safeParseJson(st.milestones, []),
+      enabled: Boolean(st.enabled),
+      origin: st.origin,
+      inConfig: configKeys.has(st.topic_key),
+      updated_at: st.updated_at
+    }));
+  }
+
+  upsertStandingTopic(input = {}) {
+    const topicKey = String(input.topic_key || '').trim().toLowerCase();
+    const existing = topicKey ? this.db.prepare('SELECT * FROM standing_topics WHERE topic_key=?').get(topicKey) : null;
+    if (!/^[a-z0-9-]+\/[a-z0-9-]+$/.test(topicKey)) return { ok: false, error: 'invalid_topic_key' };
+    const section = normalizeSection(input.section ?? existing?.section ?? '');
+    if (!SECTION_ORDER.includes(section)) return { ok: false, error: 'invalid_section' };
+    const label = String(input.label ?? existing?.label ?? '').trim();
+    if (!label) return { ok: false, error: 'label_required' };
+
+    const axes = input.extrapolation_axes ?? safeParseJson(existing?.extrapolation_axes, []);
+    if (!Array.isArray(axes) || axes.some((a) => !String(a?.axis || '').trim())) return { ok: false, error: 'invalid_extrapolation_axes' };
+    const milestones = input.milestones ?? safeParseJson(existing?.milestones, []);
+    if (!Array.isArray(milestones) || milestones.some((m) => !Number.isInteger(Number(m?.year)) || !String(m?.event || '').trim())) {
+      return { ok: false, error: 'invalid_milestones' };
+    }
+    const keywords = input.keywords ?? safeParseJson(existing?.keywords, []);
+    if (!Array.isArray(keywords) || keywords.some((k) => !String(k || '').trim())) return { ok: false, error: 'invalid_keywords' };
+
+    const now = isoNow();
+    this.db.prepare(`
+      INSERT INTO standing_topics(topic_key, section, category, subcategory, label, description, extrapolation_axes, keywords, milestones, enabled, origin, created_at, updated_at)
+      VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'admin', ?, ?)
+      ON CONFLICT(topic_key) DO UPDATE SET
+        section=excluded.section,
+        category=excluded.category,
+        subcategory=excluded.subcategory,
+        label=excluded.label,
+        description=excluded.description,
+        extrapolation_axes=excluded.extrapolation_axes,
+        keywords=excluded.keywords,
+        milestones=excluded.milestones,
+        enabled=excluded.enabled,
+        origin='admin',
+        updated_at=excluded.updated_at;
+    `).run(
+      topicKey,
+      section,
+      String(input.category ?? existing?.category ?? '').trim() || null,
+      String(input.subcategory ?? existing?.subcategory ?? '').trim() || null,
+      label,
+      String(input.description ?? existing?.description ?? '').trim() || null,
+      safeJson(axes.map((a) => ({ axis: String(a.axis).trim(), description: String(a.description || '').trim() })), []),
+      safeJson(keywords.map((k) => String(k).trim()), []),
+      safeJson(milestones.map((m) => ({ year: Number(m.year), event: String(m.event).trim() })).sort((a, b) => a.year - b.year), []),
+      (input.enabled ?? (existing ? Boolean(existing.enabled) : true)) ? 1 : 0,
+      existing?.created_at || now,
+      now
+    );
+    return { ok: true, topic: this.listStandingTopics().find((t) => t.topic_key === topicKey) || null };
+  }
+
+  // Drops admin edits and restores the topic from config/standing-topics.json.
+  resetStandingTopic(topicKey) {
+    const key = String(topicKey || '').trim();
+    if (!this.db.prepare('SELECT 1 FROM standing_topics WHERE topic_key=?').get(key)) return { ok: false, error: 'topic_not_found' };
+    if (!this.readStandingTopicsConfig().some((t) => String(t.topic_key) === key)) return { ok: false, error: 'not_in_config' };
+    this.db.prepare(`UPDATE standing_topics SET origin='config' WHERE topic_key=?`).run(key);
+    this.loadStandingTopicsIntoDb({ only: key });
+    return { ok: true, topic: this.listStandingTopics().find((t) => t.topic_key === key) || null };
+  }
+
   // ── Evidence Mapping: link signals to standing topics ──
   matchSignalsToStandingTopics(day) {
     const standingTopics = this.getStandingTopics();
@@ -701,6 +926,50 @@ export class FutureTimesPipeline {
     `).all(day);
   }
 
+  // ── Evidence trends: velocity per topic and axis, milestone status ──
+  computeTopicTrends(day) {
+    const normalized = normalizeDay(day) || formatDay();
+    const from = new Date(`${normalized}T00:00:00Z`);
+    from.setUTCDate(from.getUTCDate() - (MILESTONE_WINDOW_DAYS - 1));
+    const evidence = this.db.prepare(`
+      SELECT te.day, te.relevance_score, s.title, s.summary
+      FROM topic_evidence te
+      JOIN signals s ON s.signal_id = te.signal_id
+      WHERE te.standing_topic_key = ? AND te.day >= ? AND te.day <= ?;
+    `);
+    const computedAt = isoNow();
+    const trends = this.getStandingTopics().map((st) => computeTopicTrend({
+      ...st,
+      axes: safeParseJson(st.extrapolation_axes, []),
+      milestones: safeParseJson(st.milestones, [])
+    }, evidence.all(st.topic_key, from.toISOString().slice(0, 10), normalized), normalized));
+
+    this.db.prepare('DELETE FROM topic_trends WHERE day=?').run(normalized);
+    const insert = this.db.prepare(`
+      INSERT INTO topic_trends(day, topic_key, section, momentum, last7, prior7, payload_json, computed_at)
+      VALUES(?, ?, ?, ?, ?, ?, ?, ?);
+    `);
+    for (const t of trends) {
+      insert.run(normalized, t.topicKey, t.section, t.evidence.momentum, t.evidence.last7, t.evidence.prior7, safeJson(t, {}), computedAt);
+    }
+    return trends;
+  }
+
+  getTopicTrends(day, { topicKey = '', section = '' } = {}) {
+    const normalized = normalizeDay(day) || formatDay();
+    const load = () => this.db.prepare(`
+      SELECT payload_json FROM topic_trends
+      WHERE day=? AND (?='' OR topic_key=?) AND (?='' OR section=?)
+      ORDER BY section, last7 DESC, topic_key;
+    `).all(normalized, topicKey, topicKey, section, section);
+    let rows = load();
+    if (!rows.length && !this.db.prepare('SELECT 1 FROM topic_trends WHERE day=? LIMIT 1').get(normalized)) {
+      this.computeTopicTrends(normalized);
+      rows = load();
+    }
+    return rows.map((r) => safeParseJson(r.payload_json, null)).filter(Boolean);
+  }
+
   getLatestDay() {
     const row = this.db.prepare('SELECT day FROM editions ORDER BY day DESC LIMIT 1').get();
     return row?.day || '';
@@ -853,9 +1122,71 @@ export class FutureTimesPipeline {
     };
   }
 
-  listSources() {
-    const rows = this.db.prepare('SELECT source_id, name, type, section, url, enabled, fetch_interval_minutes, last_fetched_at, last_error, last_status, last_item_count FROM sources ORDER BY source_id').all();
-    return rows || [];
+  listSources(options = {}) {
+    const timelineLimit = Math.max(0, Math.min(SOURCE_FETCH_LOG_KEEP, Number(options.timeline ?? 20) || 0));
+    const rows = this.db.prepare(`
+      SELECT source_id, name, type, section, url, enabled, fetch_interval_minutes, last_fetched_at, last_error, last_status, last_item_count,
+             not_modified_count, bytes_fetched, bytes_saved, consecutive_failures, quarantined_at, quarantine_reason
+      FROM sources ORDER BY source_id
+    `).all();
+    return (rows || []).map((row) => ({ ...row, health: this.getSourceHealth(row, timelineLimit) }));
+  }
+
+  getSourceHealth(source, timelineLimit = 20) {
+    const timeline = timelineLimit > 0
+      ? this.db.prepare(`
+          SELECT fetched_at, ok, status, item_count, elapsed_ms, error
+          FROM source_fetch_log WHERE source_id=? ORDER BY log_id DESC LIMIT ?
+        `).all(source.source_id, timelineLimit).map((r) => ({
+          fetchedAt: r.fetched_at,
+          ok: Boolean(r.ok),
+          status: r.status,
+          itemCount: r.item_count,
+          elapsedMs: r.elapsed_ms,
+          error: r.error || null
+        }))
+      : [];
+    const effectiveInterval = sourceEffectiveIntervalMinutes(source);
+    const lastMs = Date.parse(String(source.last_fetched_at || ''));
+    const quarantined = Boolean(source.quarantined_at);
+    return {
+      score: timeline.length ? Number((timeline.filter((t) => t.ok).length / timeline.length).toFixed(2)) : null,
+      consecutiveFailures: Number(source.consecutive_failures || 0),
+      effectiveIntervalMinutes: effectiveInterval,
+      backedOff: effectiveInterval > Number(source.fetch_interval_minutes || 60),
+      nextFetchAt: quarantined || !source.enabled || !Number.isFinite(lastMs)
+        ? null
+        : new Date(lastMs + effectiveInterval * 60 * 1000).toISOString(),
+      quarantined,
+      quarantinedAt: source.quarantined_at || null,
+      quarantineReason: source.quarantine_reason || null,
+      timeline
+    };
+  }
+
+  logSourceFetch(sourceId, { fetchedAt, ok, status, itemCount, elapsedMs, error = null }) {
+    this.db.prepare(`
+      INSERT INTO source_fetch_log(source_id, fetched_at, ok, status, item_count, elapsed_ms, error)
+      VALUES(?, ?, ?, ?, ?, ?, ?);
+    `).run(sourceId, fetchedAt, ok ? 1 : 0, status ?? null, itemCount ?? null, elapsedMs ?? null, error);
+    this.db.prepare(`
+      DELETE FROM source_fetch_log
+      WHERE source_id=? AND log_id NOT IN (
+        SELECT log_id FROM source_fetch_log WHERE source_id=? ORDER BY log_id DESC LIMIT ?
+      );
+    `).run(sourceId, sourceId, SOURCE_FETCH_LOG_KEEP);
+  }
+
+  reenableSource(sourceId) {
+    const id = String(sourceId || '').trim();
+    const row = this.db.prepare('SELECT source_id, quarantined_at FROM sources WHERE source_id=?').get(id);
+    if (!row) return { ok: false, error: 'source_not_found' };
+    // Clearing last_fetched_at makes the next refresh retry the source immediately.
+    this.db.prepare(`
+      UPDATE sources SET quarantined_at=NULL, quarantine_reason=NULL, consecutive_failures=0, last_fetched_at=NULL WHERE source_id=?;
+    `).run(id);
+    this.traceEvent(formatDay(), 'source.reenabled', { sourceId: id, wasQuarantined: Boolean(row.quarantined_at) });
+    return { ok: true, sourceId: id, wasQuarantined: Boolean(row.quarantined_at) };
   }
 
   getStatus() {
@@ -870,6 +1201,18 @@ export class FutureTimesPipeline {
       editions: this.db.prepare('SELECT COUNT(1) AS n FROM editions WHERE day=?').get(day)?.n || 0,
       curations: this.db.prepare('SELECT COUNT(1) AS n FROM story_curations WHERE day=?').get(day)?.n || 0
     };
+    const http = this.db.prepare(`
+      SELECT COALESCE(SUM(not_modified_count), 0) AS not_modified,
+             COALESCE(SUM(bytes_saved), 0) AS bytes_saved,
+             COALESCE(SUM(bytes_fetched), 0) AS bytes_fetched
+      FROM sources
+    `).get();
+    counts.http = {
+      notModifiedCount: Number(http?.not_modified || 0),
+      bytesSaved: Number(http?.bytes_saved || 0),
+      bytesFetched: Number(http?.bytes_fetched || 0),
+      lastRefresh: this.lastRefreshHttp
+    };
     return counts;
   }
 
@@ -890,7 +1233,7 @@ export class FutureTimesPipeline {
 
   buildDaySignalSnapshot(day) {
     const normalized = normalizeDay(day) || formatDay();
-    const sources = this.listSources();
+    const sources = this.listSources({ timeline: 0 });
 
     const rawItems = this.db.prepare(`
       SELECT raw_id, source_id, published_at, canonical_url, title, summary, section_hint
@@ -963,6 +1306,7 @@ export class FutureTimesPipeline {
         score: t.score ?? null,
         evidenceLinks: safeParseJson(t.evidence_links_json, [])
       })),
+      econIndicators: this.getEconIndicators(normalized),
       editions
     };
   }
@@ -1016,6 +1360,340 @@ export class FutureTimesPipeline {
     return list;
   }
 
+  recordModelUsage(event) {
+    const day = normalizeDay(event?.day) || formatDay();
+    try {
+      this.db.prepare(`
+        INSERT INTO model_usage(day, ts, stage, backend, model, ok, attempts, input_tokens, output_tokens, images, latency_ms, cost_usd, error)
+        VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+      `).run(
+        day,
+        isoNow(),
+        String(event?.stage || 'unknown'),
+        String(event?.backend || 'unknown'),
+        String(event?.model || ''),
+        event?.ok === false ? 0 : 1,
+        Number(event?.attempts) || 1,
+        Number(event?.inputTokens) || 0,
+        Number(event?.outputTokens) || 0,
+        Number(event?.images) || 0,
+        Number(event?.latencyMs) || 0,
+        estimateCostUsd(event),
+        event?.error ? String(event.error).slice(0, 500) : null
+      );
+    } catch {
+      // Usage accounting should never break the pipeline.
+    }
+  }
+
+  getBudgetStatus(day) {
+    const normalized = normalizeDay(day) || formatDay();
+    const config = getBudgetConfig();
+    const spentUsd = Number(this.db.prepare('SELECT COALESCE(SUM(cost_usd), 0) AS cost FROM model_usage WHERE day=?').get(normalized)?.cost) || 0;
+    return { day: normalized, capUsd: config.capUsd, downgradeAt: config.downgradeAt, spentUsd, state: budgetState(spentUsd, config) };
+  }
+
+  getModelUsageSummary(day, options = {}) {
+    const normalized = normalizeDay(day) || formatDay();
+    const days = Math.max(1, Math.min(60, Number(options.days) || 7));
+    const totalsSql = `
+      COUNT(1) AS calls,
+      SUM(CASE WHEN ok=0 THEN 1 ELSE 0 END) AS failed,
+      COALESCE(SUM(input_tokens), 0) AS inputTokens,
+      COALESCE(SUM(output_tokens), 0) AS outputTokens,
+      COALESCE(SUM(images), 0) AS images,
+      COALESCE(SUM(latency_ms), 0) AS latencyMs,
+      COALESCE(SUM(cost_usd), 0) AS costUsd
+    `;
+    const normalize = (row) => ({
+      calls: Number(row?.calls) || 0,
+      failed: Number(row?.failed) || 0,
+      inputTokens: Number(row?.inputTokens) || 0,
+      outputTokens: Number(row?.outputTokens) || 0,
+      images: Number(row?.images) || 0,
+      latencyMs: Number(row?.latencyMs) || 0,
+      costUsd: Math.round((Number(row?.costUsd) || 0) * 10000) / 10000
+    });
+
+    const totals = normalize(this.db.prepare(`SELECT ${totalsSql} FROM model_usage WHERE day=?`).get(normalized));
+    const byStage = this.db
+      .prepare(`SELECT stage, ${totalsSql} FROM model_usage WHERE day=? GROUP BY stage ORDER BY costUsd DESC, calls DESC`)
+      .all(normalized)
+      .map((r) => ({ stage: r.stage, ...normalize(r) }));
+    const byModel = this.db
+      .prepare(`SELECT model, backend, ${totalsSql} FROM model_usage WHERE day=? GROUP BY model, backend ORDER BY costUsd DESC, calls DESC`)
+      .all(normalized)
+      .map((r) => ({ model: r.model, backend: r.backend, priced: r.backend === 'fixture' || Boolean(getModelPricing(r.model)), ...normalize(r) }));
+    const recentDays = this.db
+      .prepare(`SELECT day, ${totalsSql} FROM model_usage WHERE day<=? GROUP BY day ORDER BY day DESC LIMIT ?`)
+      .all(normalized, days)
+      .map((r) => ({ day: r.day, ...normalize(r) }));
+
+    return { day: normalized, totals, byStage, byModel, recentDays, budget: this.getBudgetStatus(normalized) };
+  }
+
+  // ── Future world canon ──
+
+  listWorldFacts(options = {}) {
+    const status = String(options.status || 'active').trim().toLowerCase();
+    const limit = Math.max(1, Math.min(1000, Number(options.limit) || 200));
+    const where = [];
+    const params = [];
+    if (status !== 'all') {
+      where.push('status=?');
+      params.push(status);
+    }
+    if (Number.isFinite(Number(options.maxYear)) && options.maxYear != null) {
+      where.push('target_year<=?');
+      params.push(Number(options.maxYear));
+    }
+    if (Number.isFinite(Number(options.targetYear)) && options.targetYear != null) {
+      where.push('target_year=?');
+      params.push(Number(options.targetYear));
+    }
+    if (options.excludeSource) {
+      where.push(`NOT (origin='extracted' AND source_day=? AND years_forward=?)`);
+      params.push(options.excludeSource.day, options.excludeSource.yearsForward);
+    }
+    const rows = this.db.prepare(`
+      SELECT fact_id, target_year, entity, claim, source_story_id, source_day, years_forward, origin, status, created_at, updated_at
+      FROM world_facts
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY target_year DESC, updated_at DESC
+      LIMIT ?;
+    `).all(...params, limit);
+    return rows.map((r) => ({
+      factId: r.fact_id,
+      targetYear: r.target_year,
+      entity: r.entity,
+      claim: r.claim,
+      sourceStoryId: r.source_story_id || null,
+      sourceDay: r.source_day || null,
+      yearsForward: r.years_forward,
+      origin: r.origin,
+      status: r.status,
+      createdAt: r.created_at,
+      updatedAt: r.updated_at
+    }));
+  }
+
+  // Canon an edition may rely on: active facts up to its target year, excluding the facts this
+  // same edition produced on an earlier run.
+  getCanonForEdition(day, yearsForward, options = {}) {
+    const normalized = normalizeDay(day) || formatDay();
+    const y = Number(yearsForward) || 0;
+    return this.listWorldFacts({
+      maxYear: Number(normalized.slice(0, 4)) + y,
+      excludeSource: { day: normalized, yearsForward: y },
+      limit: options.limit || 30
+    });
+  }
+
+  // Replaces the facts extracted from one edition; admin-added or admin-edited facts are kept.
+  recordWorldFacts(day, yearsForward, facts) {
+    const normalized = normalizeDay(day) || formatDay();
+    const targetYear = Number(normalized.slice(0, 4)) + Number(yearsForward);
+    const now = isoNow();
+    this.db.prepare(`DELETE FROM world_facts WHERE origin='extracted' AND source_day=? AND years_forward=?`).run(normalized, yearsForward);
+    const insert = this.db.prepare(`
+      INSERT INTO world_facts(fact_id, target_year, entity, claim, source_story_id, source_day, years_forward, origin, status, created_at, updated_at)
+      VALUES(?, ?, ?, ?, ?, ?, ?, 'extracted', 'active', ?, ?)
+      ON CONFLICT(fact_id) DO NOTHING;
+    `);
+    let stored = 0;
+    for (const fact of Array.isArray(facts) ? facts : []) {
+      const entity = String(fact?.entity || '').trim();
+      const claim = String(fact?.claim || '').trim();
+      if (!entity || !claim) continue;
+      const factId = `wf-${sha256Hex(`${targetYear}|${entity.toLowerCase()}|${claim.toLowerCase()}`).slice(0, 16)}`;
+      stored += Number(insert.run(factId, targetYear, entity, claim, String(fact.storyId || '') || null, normalized, yearsForward, now, now).changes) || 0;
+    }
+    return { targetYear, stored };
+  }
+
+  // Admin create/update. Editing an extracted fact turns it into an admin fact so later
+  // re-extraction of its edition leaves it alone.
+  upsertWorldFact(input = {}) {
+    const factId = String(input.factId || '').trim();
+    const existing = factId ? this.db.prepare('SELECT * FROM world_facts WHERE fact_id=?').get(factId) : null;
+    if (factId && !existing) return { ok: false, error: 'fact_not_found' };
+    const entity = String(input.entity ?? existing?.entity ?? '').trim();
+    const claim = String(input.claim ?? existing?.claim ?? '').trim();
+    const targetYear = Number(input.targetYear ?? existing?.target_year);
+    const status = String(input.status ?? existing?.status ?? 'active').trim().toLowerCase();
+    if (!entity) return { ok: false, error: 'entity_required' };
+    if (!claim) return { ok: false, error: 'claim_required' };
+    if (!Number.isInteger(targetYear) || targetYear < 2000 || targetYear > 2200) return { ok: false, error: 'invalid_target_year' };
+    if (status !== 'active' && status !== 'retired') return { ok: false, error: 'invalid_status' };
+
+    const now = isoNow();
+    const id = factId || `wf-${sha256Hex(`${targetYear}|${entity.toLowerCase()}|${claim.toLowerCase()}|${now}`).slice(0, 16)}`;
+    this.db.prepare(`
+      INSERT INTO world_facts(fact_id, target_year, entity, claim, source_story_id, source_day, years_forward, origin, status, created_at, updated_at)
+      VALUES(?, ?, ?, ?, ?, ?, ?, 'admin', ?, ?, ?)
+      ON CONFLICT(fact_id) DO UPDATE SET
+        target_year=excluded.target_year,
+        entity=excluded.entity,
+        claim=excluded.claim,
+        origin='admin',
+        status=excluded.status,
+        updated_at=excluded.updated_at;
+    `).run(id, targetYear, entity, claim, existing?.source_story_id || null, existing?.source_day || null, existing?.years_forward ?? null, status, existing?.created_at || now, now);
+    return { ok: true, fact: this.listWorldFacts({ status: 'all', limit: 1000 }).find((f) => f.factId === id) || null };
+  }
+
+  // ── Forecast calibration ──
+
+  // Replaces the still-open predictions of one edition with those its published stories imply.
+  recordEditionPredictions(day, yearsForward, candidates) {
+    const normalized = normalizeDay(day) || formatDay();
+    const editionMonth = `${Number(normalized.slice(0, 4)) + Number(yearsForward)}${normalized.slice(4, 7)}`;
+    const closeDateStmt = this.db.prepare('SELECT close_date FROM market_ticks WHERE url=? AND close_date IS NOT NULL ORDER BY observed_at DESC LIMIT 1');
+    const packs = new Map(candidates.map((c) => [String(c.storyId || '').trim(), c.evidencePack || {}]));
+    this.db.prepare(`DELETE FROM forecast_predictions WHERE day=? AND years_forward=? AND status='open'`).run(normalized, yearsForward);
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO forecast_predictions(
+        prediction_id, story_id, day, years_forward, section, model, kind, event, target_ref,
+        target_value, tolerance, probability, baseline_prob, resolution_date, status, created_at
+      ) VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', ?);
+    `);
+    const now = isoNow();
+    let stories = 0;
+    let recorded = 0;
+    for (const story of this.listEditorReviewStories(normalized, yearsForward, candidates, { withRejected: false })) {
+      const row = this.db.prepare('SELECT section, model, plan_json FROM story_curations WHERE story_id=? AND day=? AND years_forward=?').get(story.storyId, normalized, yearsForward);
+      const plan = row ? safeParseJson(row.plan_json, {}) : {};
+      const predictions = extractStoryPredictions({
+        story,
+        pack: packs.get(story.storyId),
+        confidence: plan.confidence,
+        editionMonth,
+        marketCloseDate: (url) => closeDateStmt.get(url)?.close_date || null
+      });
+      if (predictions.length) stories++;
+      for (const p of predictions) {
+        const id = `fp-${sha256Hex(`${story.storyId}|${p.kind}|${p.targetRef}`).slice(0, 16)}`;
+        recorded += Number(insert.run(
+          id, story.storyId, normalized, yearsForward, row?.section || story.section || null, row?.model || null,
+          p.kind, p.event, p.targetRef, p.targetValue, p.tolerance, p.probability, p.baselineProb, p.resolutionDate, now
+        ).changes) || 0;
+      }
+    }
+    return { stories, recorded };
+  }
+
+  /**
+   * Settles open predictions against stored FRED series and market outcomes. A market whose
+   * latest tick has not settled is looked up on its exchange once it has left the open-markets
+   * feed (no tick today) or passed its close date, at most MAX_SETTLEMENT_LOOKUPS per call;
+   * options.fetchImpl replaces the HTTP fetch.
+   */
+  async resolveForecasts(options = {}) {
+    const today = normalizeDay(options.today) || formatDay();
+    const open = this.db.prepare(`SELECT * FROM forecast_predictions WHERE status='open' ORDER BY created_at ASC LIMIT 5000`).all();
+    if (!open.length) return { checked: 0, resolved: 0, voided: 0 };
+    const tickStmt = this.db.prepare('SELECT yes_prob, close_date, observed_at FROM market_ticks WHERE url=? ORDER BY observed_at DESC LIMIT 1');
+    const settlements = new Map();
+    let lookupErrors = 0;
+    const settlementOf = async (url) => {
+      if (settlements.has(url)) return settlements.get(url);
+      // Past the lookup cap, or once the exchanges keep failing, the rest wait for the next call.
+      if (settlements.size >= MAX_SETTLEMENT_LOOKUPS || lookupErrors >= 3) return { error: true };
+      let settlement;
+      try {
+        settlement = await fetchMarketSettlement(url, options.fetchImpl ? { fetchImpl: options.fetchImpl } : {});
+      } catch (err) {
+        lookupErrors++;
+        this.traceEvent(today, 'forecasts.settlement.error', { url, error: String(err?.message || err) });
+        settlement = { error: true };
+      }
+      settlements.set(url, settlement);
+      return settlement;
+    };
+    const settle = this.db.prepare(`UPDATE forecast_predictions SET status=?, outcome=?, resolved_value=?, resolved_at=? WHERE prediction_id=?`);
+    const seriesCache = new Map();
+    const now = isoNow();
+    let resolved = 0;
+    let voided = 0;
+    for (const row of open) {
+      const prediction = { targetRef: row.target_ref, targetValue: row.target_value, tolerance: row.tolerance, resolutionDate: row.resolution_date };
+      let result = null;
+      if (row.kind === 'market') {
+        const tick = tickStmt.get(row.target_ref);
+        result = resolveMarketPrediction(prediction, tick, today);
+        const closed = String(row.resolution_date || tick?.close_date || '9999').slice(0, 10) <= today;
+        if ((!result || result.void) && (closed || !tick || String(tick.observed_at).slice(0, 10) < today)) {
+          const settlement = await settlementOf(row.target_ref);
+          // A failed lookup settles nothing and voids nothing; the next call asks again.
+          if (settlement?.error) continue;
+          result = resolveMarketPrediction(prediction, tick, today, settlement);
+        }
+      } else if (row.kind === 'econ') {
+        const seriesId = row.target_ref.split(':')[0];
+        if (!seriesCache.has(seriesId)) seriesCache.set(seriesId, this.getEconSeries(seriesId));
+        result = resolveEconPrediction(prediction, seriesCache.get(seriesId), today);
+      }
+      if (!result) continue;
+      if (result.void) {
+        settle.run('void', null, null, now, row.prediction_id);
+        voided++;
+      } else {
+        settle.run('resolved', result.outcome, result.value ?? null, now, row.prediction_id);
+        resolved++;
+      }
+    }
+    if (resolved || voided) this.traceEvent(today, 'forecasts.resolve', { checked: open.length, resolved, voided });
+    return { checked: open.length, resolved, voided };
+  }
+
+  getCalibrationReport(options = {}) {
+    const rows = this.db.prepare(`
+      SELECT prediction_id, story_id, day, years_forward, section, model, kind, event, probability, baseline_prob, outcome, resolved_value, resolved_at
+      FROM forecast_predictions WHERE status='resolved'
+      ORDER BY resolved_at DESC;
+    `).all().map((r) => ({
+      predictionId: r.prediction_id,
+      storyId: r.story_id,
+      day: r.day,
+      yearsForward: r.years_forward,
+      section: r.section || 'Other',
+      model: r.model || 'unknown',
+      kind: r.kind,
+      event: r.event,
+      probability: Number(r.probability),
+      baselineProb: r.baseline_prob == null ? null : Number(r.baseline_prob),
+      outcome: Number(r.outcome),
+      resolvedValue: r.resolved_value,
+      resolvedAt: r.resolved_at
+    }));
+    const groupBy = (key) => {
+      const groups = new Map();
+      for (const r of rows) {
+        const k = String(r[key]);
+        if (!groups.has(k)) groups.set(k, []);
+        groups.get(k).push(r);
+      }
+      return [...groups.entries()]
+        .map(([k, list]) => ({ [key]: key === 'yearsForward' ? Number(k) : k, ...summarizeCalibration(list) }))
+        .sort((a, b) => b.count - a.count);
+    };
+    const counts = this.db.prepare(`SELECT status, kind, COUNT(1) AS n FROM forecast_predictions GROUP BY status, kind`).all();
+    const upcoming = this.db.prepare(`
+      SELECT story_id, section, kind, event, probability, resolution_date FROM forecast_predictions
+      WHERE status='open' ORDER BY resolution_date IS NULL, resolution_date ASC LIMIT ?;
+    `).all(Math.max(1, Math.min(200, Number(options.upcoming) || 25)));
+    return {
+      overall: summarizeCalibration(rows),
+      bySection: groupBy('section'),
+      byModel: groupBy('model'),
+      byKind: groupBy('kind'),
+      byHorizon: groupBy('yearsForward'),
+      counts: counts.map((c) => ({ status: c.status, kind: c.kind, count: Number(c.n) || 0 })),
+      recent: rows.slice(0, Math.max(1, Math.min(200, Number(options.recent) || 30))),
+      upcoming: upcoming.map((u) => ({ storyId: u.story_id, section: u.section, kind: u.kind, event: u.event, probability: u.probability, resolutionDate: u.resolution_date }))
+    };
+  }
+
   getDayCuration(day) {
     const normalized = normalizeDay(day) || formatDay();
     const row = this.db
@@ -1114,7 +1792,7 @@ export class FutureTimesPipeline {
         if (parsed) {
           // Store under the new key for future lookups.
           try {
-            this.storeRendered(id, parsed, { curationGeneratedAt: '' });
+            this.storeRendered(id, parsed, { curationGeneratedAt: '', stage: 'legacy' });
           } catch {
             // ignore
           }
@@ -1144,6 +1822,108 @@ export class FutureTimesPipeline {
       VALUES(?, ?, ?, ?);
     `);
     stmt.run(cacheKey, storyId, isoNow(), safeJson(article, {}));
+    this.recordRenderRevision(storyId, cacheKey, article, options);
+  }
+
+  // Appends a revision unless it reads the same as the story's latest one. Provenance is the
+  // `stage` that wrote it (draft, backfill, editor, image, render, seed, ...), plus `model` and
+  // `promptHash` where the caller knows them.
+  recordRenderRevision(storyId, cacheKey, article, { stage, model, promptHash } = {}) {
+    const id = String(storyId || '').trim();
+    if (!id) return null;
+    const contentHash = contentHashOf(article);
+    const latest = this.db.prepare('SELECT content_hash FROM render_revisions WHERE story_id=? ORDER BY revision_id DESC LIMIT 1').get(id);
+    if (latest?.content_hash === contentHash) return null;
+    const result = this.db.prepare(`
+      INSERT INTO render_revisions(story_id, cache_key, stage, model, prompt_hash, content_hash, article_json, created_at)
+      VALUES(?, ?, ?, ?, ?, ?, ?, ?);
+    `).run(id, cacheKey, String(stage || 'unknown'), model ? String(model) : null, promptHash || null, contentHash, safeJson(article, {}), isoNow());
+    return Number(result.lastInsertRowid);
+  }
+
+  listRenderRevisions(storyId, options = {}) {
+    const id = String(storyId || '').trim();
+    const limit = Math.max(1, Math.min(200, Number(options.limit || 50)));
+    const pin = this.db.prepare('SELECT revision_id, pinned_at, note FROM render_pins WHERE story_id=?').get(id) || null;
+    const rows = this.db.prepare(`
+      SELECT revision_id, cache_key, stage, model, prompt_hash, content_hash, article_json, created_at
+      FROM render_revisions WHERE story_id=? ORDER BY revision_id DESC LIMIT ?
+    `).all(id, limit);
+    const revisions = rows.map((r, idx) => {
+      const article = safeParseJson(r.article_json, {});
+      return {
+        revisionId: r.revision_id,
+        stage: r.stage,
+        model: r.model,
+        promptHash: r.prompt_hash,
+        contentHash: r.content_hash,
+        cacheKey: r.cache_key,
+        createdAt: r.created_at,
+        title: String(article.title || ''),
+        bodyChars: String(article.body || '').length,
+        blocks: Array.isArray(article.blocks) ? article.blocks.length : 0,
+        latest: idx === 0,
+        pinned: pin?.revision_id === r.revision_id
+      };
+    });
+    return {
+      storyId: id,
+      pinned: pin ? { revisionId: pin.revision_id, pinnedAt: pin.pinned_at, note: pin.note || '' } : null,
+      revisions
+    };
+  }
+
+  getRenderRevision(storyId, revisionId) {
+    const row = this.db.prepare('SELECT * FROM render_revisions WHERE story_id=? AND revision_id=?').get(String(storyId || '').trim(), Number(revisionId));
+    if (!row) return null;
+    return {
+      revisionId: row.revision_id,
+      stage: row.stage,
+      model: row.model,
+      promptHash: row.prompt_hash,
+      createdAt: row.created_at,
+      article: safeParseJson(row.article_json, {})
+    };
+  }
+
+  // `to` defaults to the latest revision and `from` to the one before `to`.
+  diffRenderRevisions(storyId, { from, to } = {}) {
+    const id = String(storyId || '').trim();
+    const toId = Number(to) || this.db.prepare('SELECT MAX(revision_id) AS id FROM render_revisions WHERE story_id=?').get(id)?.id;
+    const fromId = Number(from) || this.db.prepare('SELECT MAX(revision_id) AS id FROM render_revisions WHERE story_id=? AND revision_id < ?').get(id, Number(toId) || 0)?.id;
+    const toRev = toId ? this.getRenderRevision(id, toId) : null;
+    const fromRev = fromId ? this.getRenderRevision(id, fromId) : null;
+    if (!toRev || !fromRev) return { ok: false, error: 'revision_not_found' };
+    const meta = ({ article, ...rest }) => ({ ...rest, title: String(article.title || '') });
+    return { ok: true, storyId: id, from: meta(fromRev), to: meta(toRev), ...diffArticles(fromRev.article, toRev.article) };
+  }
+
+  pinRenderRevision(storyId, revisionId, options = {}) {
+    const id = String(storyId || '').trim();
+    if (!this.getRenderRevision(id, revisionId)) return { ok: false, error: 'revision_not_found' };
+    this.db.prepare(`
+      INSERT INTO render_pins(story_id, revision_id, pinned_at, note) VALUES(?, ?, ?, ?)
+      ON CONFLICT(story_id) DO UPDATE SET revision_id=excluded.revision_id, pinned_at=excluded.pinned_at, note=excluded.note;
+    `).run(id, Number(revisionId), isoNow(), String(options.note || '').trim().slice(0, 500) || null);
+    return { ok: true, storyId: id, revisionId: Number(revisionId) };
+  }
+
+  unpinRenderRevision(storyId) {
+    const id = String(storyId || '').trim();
+    const result = this.db.prepare('DELETE FROM render_pins WHERE story_id=?').run(id);
+    return { ok: true, storyId: id, unpinned: Number(result.changes) > 0 };
+  }
+
+  // The pinned revision's article, served ahead of the render cache; null when not pinned.
+  getPinnedArticle(storyId) {
+    const row = this.db.prepare(`
+      SELECT r.revision_id, r.article_json FROM render_pins p
+      JOIN render_revisions r ON r.revision_id=p.revision_id
+      WHERE p.story_id=?
+    `).get(String(storyId || '').trim());
+    if (!row) return null;
+    const article = safeParseJson(row.article_json, null);
+    return article ? { ...article, revisionId: row.revision_id, pinned: true } : null;
   }
 
   async ensureDayBuilt(day) {
@@ -1173,18 +1953,37 @@ export class FutureTimesPipeline {
       this.traceEvent(day, 'refresh.start', { day, force });
       const fetchedAt = isoNow();
       const sources = this.db
-        .prepare('SELECT source_id, name, type, section, url, enabled, fetch_interval_minutes, last_fetched_at FROM sources WHERE enabled=1')
+        .prepare(`
+          SELECT source_id, name, type, section, url, enabled, fetch_interval_minutes, last_fetched_at,
+                 http_etag, http_last_modified, last_body_bytes, consecutive_failures
+          FROM sources WHERE enabled=1 AND quarantined_at IS NULL
+        `)
         .all();
       const insertRaw = this.db.prepare(`
         INSERT OR IGNORE INTO raw_items(source_id, day, fetched_at, published_at, canonical_url, title, summary, payload_json, fingerprint, section_hint)
         VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
       `);
       const updateSourceOk = this.db.prepare(`
-        UPDATE sources SET last_fetched_at=?, last_error=NULL, last_status=?, last_item_count=? WHERE source_id=?;
+        UPDATE sources SET last_fetched_at=?, last_error=NULL, last_status=?, last_item_count=?, consecutive_failures=0,
+          http_etag=?, http_last_modified=?, last_body_bytes=?, bytes_fetched=bytes_fetched + ?
+        WHERE source_id=?;
+      `);
+      const updateSourceNotModified = this.db.prepare(`
+        UPDATE sources SET last_fetched_at=?, last_error=NULL, last_status=304, last_item_count=0, consecutive_failures=0,
+          not_modified_count=not_modified_count + 1, bytes_saved=bytes_saved + COALESCE(last_body_bytes, 0)
+        WHERE source_id=?;
       `);
+      const hasItemsForDay = this.db.prepare('SELECT 1 AS ok FROM raw_items WHERE source_id=? AND day=? LIMIT 1');
+      const httpStats = { fetched: 0, notModified: 0, bytesFetched: 0, bytesSaved: 0 };
       const updateSourceErr = this.db.prepare(`
-        UPDATE sources SET last_fetched_at=?, last_error=?, last_status=? WHERE source_id=?;
+        UPDATE sources SET last_fetched_at=?, last_error=?, last_status=?, consecutive_failures=consecutive_failures + 1
+        WHERE source_id=?
+        RETURNING consecutive_failures;
       `);
+      const quarantineSource = this.db.prepare(`
+        UPDATE sources SET quarantined_at=?, quarantine_reason=? WHERE source_id=? AND quarantined_at IS NULL;
+      `);
+      const quarantineAfter = sourceQuarantineThreshold();
 
       const nowMs = Date.now();
       const timeoutMs = Math.max(2500, Math.min(12000, Number(process.env.PIPELINE_FETCH_TIMEOUT_MS || 6500)));
@@ -1192,8 +1991,7 @@ export class FutureTimesPipeline {
 
       const shouldFetchSource = (source) => {
         if (force) return true;
-        const intervalMin = Number(source.fetch_interval_minutes || 60);
-        if (!Number.isFinite(intervalMin) || intervalMin <= 0) return true;
+        const intervalMin = sourceEffectiveIntervalMinutes(source);
         const lastIso = String(source.last_fetched_at || '').trim();
         if (!lastIso) return true;
         const lastMs = Date.parse(lastIso);
@@ -1203,94 +2001,72 @@ export class FutureTimesPipeline {
 
       const processSource = async (source) => {
         const sourceId = source.source_id;
-        const url = String(source.url || '');
-        const sectionHint = source.section ? normalizeSection(source.section) : null;
 
         if (!shouldFetchSource(source)) {
           return;
         }
 
+        const fetchStartedMs = Date.now();
         try {
-          let items = [];
-          if (String(source.type).toLowerCase() === 'rss') {
-            const resp = await fetchWithTimeout(url, {
-              timeoutMs,
-              headers: { 'user-agent': 'FutureTimesBot/1.0', accept: 'application/xml,text/xml,*/*' }
-            });
-            const status = resp.status;
-            if (!resp.ok) throw new Error(`RSS ${status}`);
-            const xml = await resp.text();
-            items = parseFeed(xml).slice(0, 40);
-            for (const item of items) {
-              const canonicalUrl = canonicalizeUrl(item.link);
-              const pubDay = item.publishedAt ? formatDay(item.publishedAt) : day;
-              const fingerprint = sha256Hex(`${String(item.title).toLowerCase()}|${canonicalUrl}|${pubDay}`);
-              insertRaw.run(
-                sourceId,
-                day,
-                fetchedAt,
-                item.publishedAt || null,
-                canonicalUrl,
-                item.title.slice(0, 240),
-                (item.summary || '').slice(0, 1200),
-                null,
-                fingerprint,
-                sectionHint
-              );
-            }
-            updateSourceOk.run(fetchedAt, status, items.length, sourceId);
-            return;
+          if (!resolveSourceAdapter(source)) {
+            throw new Error(`Unknown source type "${source.type}"`);
           }
-
-          if (String(source.type).toLowerCase() === 'api_json' && String(sourceId).includes('polymarket')) {
-            items = await fetchPolymarketRawItems(url, fetchedAt);
-            for (const item of items.slice(0, 220)) {
-              const canonicalUrl = canonicalizeUrl(item.link);
-              const pubDay = item.publishedAt ? formatDay(item.publishedAt) : day;
-              const fingerprint = sha256Hex(`${String(item.title).toLowerCase()}|${canonicalUrl}|${pubDay}`);
-              insertRaw.run(
-                sourceId,
-                day,
-                fetchedAt,
-                item.publishedAt || null,
-                canonicalUrl,
-                item.title.slice(0, 240),
-                (item.summary || '').slice(0, 1200),
-                safeJson(item.payloadJson || null, null),
-                fingerprint,
-                sectionHint
-              );
-            }
-            updateSourceOk.run(fetchedAt, 200, items.length, sourceId);
+          // Only revalidate once today's items are stored; some adapters fingerprint per day
+          // (FRED, Polymarket), so a 304 on a fresh day would leave that day without them.
+          const validators = hasItemsForDay.get(sourceId, day)
+            ? { etag: source.http_etag || null, lastModified: source.http_last_modified || null }
+            : null;
+          const { status, items, notModified, http } = await collectSourceItems(source, {
+            day,
+            fetchedAt,
+            timeoutMs,
+            rootDir: this.rootDir,
+            validators
+          });
+          if (notModified) {
+            updateSourceNotModified.run(fetchedAt, sourceId);
+            this.logSourceFetch(sourceId, { fetchedAt, ok: true, status: 304, itemCount: 0, elapsedMs: Date.now() - fetchStartedMs });
+            httpStats.notModified += 1;
+            httpStats.bytesSaved += Number(source.last_body_bytes) || 0;
             return;
           }
-
-          if (String(source.type).toLowerCase() === 'csv' && String(sourceId).includes('fred')) {
-            const seriesId = new URL(url).searchParams.get('id') || '';
-            const item = await fetchFredSeriesRawItem(url, fetchedAt, seriesId);
-            const canonicalUrl = canonicalizeUrl(item.link);
-            const pubDay = day;
-            const fingerprint = sha256Hex(`${String(item.title).toLowerCase()}|${canonicalUrl}|${pubDay}`);
+          for (const item of items) {
             insertRaw.run(
               sourceId,
               day,
               fetchedAt,
-              item.publishedAt || null,
-              canonicalUrl,
-              item.title.slice(0, 240),
-              (item.summary || '').slice(0, 1200),
-              safeJson(item.payloadJson || null, null),
-              fingerprint,
-              sectionHint || 'Business'
+              item.publishedAt,
+              item.canonicalUrl,
+              item.title,
+              item.summary,
+              item.payloadJson === null ? null : safeJson(item.payloadJson, null),
+              item.fingerprint,
+              item.sectionHint ? normalizeSection(item.sectionHint) : null
             );
-            updateSourceOk.run(fetchedAt, 200, 1, sourceId);
-            return;
+            if (item.series) this.storeEconSeries(item.series, { sourceId, updatedAt: fetchedAt });
+            if (item.market) this.recordMarketTick(item.market, { sourceId, day, observedAt: fetchedAt });
           }
-
-          // Unknown source type; skip.
-          updateSourceOk.run(fetchedAt, 200, 0, sourceId);
+          updateSourceOk.run(
+            fetchedAt,
+            status,
+            items.length,
+            http.etag,
+            http.lastModified,
+            http.bytes || null,
+            http.bytes,
+            sourceId
+          );
+          this.logSourceFetch(sourceId, { fetchedAt, ok: true, status, itemCount: items.length, elapsedMs: Date.now() - fetchStartedMs });
+          httpStats.fetched += 1;
+          httpStats.bytesFetched += http.bytes;
         } catch (err) {
-          updateSourceErr.run(fetchedAt, String(err?.message || 'fetch failed'), 0, sourceId);
+          const message = String(err?.message || 'fetch failed');
+          const failures = Number(updateSourceErr.get(fetchedAt, message, 0, sourceId)?.consecutive_failures || 0);
+          this.logSourceFetch(sourceId, { fetchedAt, ok: false, status: 0, itemCount: 0, elapsedMs: Date.now() - fetchStartedMs, error: message });
+          if (failures >= quarantineAfter) {
+            quarantineSource.run(fetchedAt, `${failures} consecutive failures; last: ${message}`.slice(0, 500), sourceId);
+            this.traceEvent(day, 'source.quarantined', { sourceId, failures, error: message });
+          }
         }
       };
 
@@ -1304,13 +2080,17 @@ export class FutureTimesPipeline {
         }
       });
       await Promise.all(workers);
+      await this.resolveForecasts({ today: formatDay() });
+      this.pruneMarketTicks();
 
       this.processSignalsForDay(day);
       this.matchSignalsToStandingTopics(day);
+      this.computeTopicTrends(day);
       this.buildTopicsForDay(day);
       this.buildEditionsForDay(day);
       this.storeDaySignalSnapshot(day);
       this.lastRefresh = isoNow();
+      this.lastRefreshHttp = { ...httpStats, at: this.lastRefresh };
 
       const status = this.getStatus();
       this.traceEvent(day, 'refresh.end', {
@@ -1322,7 +2102,8 @@ export class FutureTimesPipeline {
           signals: status.signals,
           topics: status.topics,
           editions: status.editions
-        }
+        },
+        http: httpStats
       });
     })().finally(() => {
       this.refreshInFlightByDay.delete(inflightKey);
@@ -1355,12 +2136,17 @@ export class FutureTimesPipeline {
         type: row.source_type,
         url: row.source_url
       };
-      const signalType = SIGNAL_TYPE_BY_SOURCE(source);
+      const signalType = signalTypeForSource(source);
       const title = String(row.title || '').trim();
       const summary = String(row.summary || '').trim();
-      const combined = `${title}\n${summary}`;
+      const feed = feedMetadata(safeParseJson(row.payload_json, null));
+      // Feed categories are the publisher's own tags: they help place the story and lead its keywords.
+      const combined = [title, summary, feed.categories.join(', ')].filter(Boolean).join('\n');
       const section = normalizeSection(row.section_hint) || classifySection(combined, 'World');
-      const keywords = extractKeywords(combined, 14);
+      const keywords = Array.from(new Set([
+        ...tokenize(feed.categories.join(' ')),
+        ...extractKeywords(combined, 14)
+      ])).slice(0, 14);
       const entities = extractEntities(combined, this.entityDicts);
       const horizon = HORIZON_BY_SIGNAL_TYPE[signalType] || 'near';
       const score = scoreSignal(signalType, row.published_at, title);
@@ -1370,7 +2156,10 @@ export class FutureTimesPipeline {
           url: canonicalUrl,
           title,
           source: row.source_name || row.source_id,
-          publishedAt: row.published_at || null
+          publishedAt: row.published_at || null,
+          ...(feed.authors.length ? { authors: feed.authors } : {}),
+          ...(feed.categories.length ? { categories: feed.categories } : {}),
+          ...(feed.image ? { image: feed.image } : {})
         }
       ];
 
@@ -1391,99 +2180,322 @@ export class FutureTimesPipeline {
       );
     }
 
-    // Derived econ: yield curve spread (DGS10 - DGS2) if present.
-    const econSignals = this.db.prepare(`
-      SELECT title, summary, canonical_url, citations_json
-      FROM signals
-      WHERE day=? AND signal_type='econ'
-      ORDER BY signal_id DESC;
-    `).all(day);
+    // Derived econ indicators from stored series; those flagged `signal` also become econ signals.
+    const indicators = this.computeEconIndicators(day);
+    const existsSignal = this.db.prepare('SELECT COUNT(1) AS n FROM signals WHERE day=? AND title=? AND raw_id IS NULL');
+    const updateDerived = this.db.prepare('UPDATE signals SET summary=?, citations_json=? WHERE day=? AND title=? AND raw_id IS NULL');
+    const insertDerived = this.db.prepare(`
+      INSERT INTO signals(raw_id, day, section, signal_type, title, summary, canonical_url, entities_json, keywords_json, horizon_bucket, score, citations_json)
+      VALUES(NULL, ?, 'Business', 'econ', ?, ?, '', '[]', '[]', 'near', 0.92, ?);
+    `);
+    for (const indicator of indicators.filter((i) => i.signal)) {
+      const title = `Economic indicator ${indicator.id}`;
+      const summary = `${indicator.label}: ${indicator.display} (as of ${indicator.asOf}, derived)`;
+      const citations = safeJson(indicator.series.map((seriesId) => ({
+        url: `https://fred.stlouisfed.org/series/${seriesId}`,
+        title: `FRED ${seriesId}`,
+        source: 'FRED',
+        publishedAt: null
+      })), []);
+      if (existsSignal.get(day, title)?.n) {
+        updateDerived.run(summary, citations, day, title);
+      } else {
+        insertDerived.run(day, title, summary, citations);
+      }
+    }
 
-    const findVal = (id) => {
-      const match = econSignals.find((s) => String(s.title || '').includes(id));
-      if (!match) return null;
-      const m = String(match.summary || '').match(/:\s*([0-9]+(?:\.[0-9]+)?)/);
-      if (!m) return null;
-      return Number(m[1]);
-    };
+    this.applyMarketMoverBoosts(day);
+  }
 
-    const dgs10 = findVal('DGS10');
-    const dgs2 = findVal('DGS2');
-    if (Number.isFinite(dgs10) && Number.isFinite(dgs2)) {
-      const spread = dgs10 - dgs2;
-      const exists = this.db.prepare(`SELECT COUNT(1) AS n FROM signals WHERE day=? AND title='Economic indicator YC_SPREAD_10Y2Y'`).get(day)?.n || 0;
-      if (!exists) {
-        const citations = [
-          { url: 'https://fred.stlouisfed.org/series/DGS10', title: 'FRED DGS10', source: 'FRED', publishedAt: null },
-          { url: 'https://fred.stlouisfed.org/series/DGS2', title: 'FRED DGS2', source: 'FRED', publishedAt: null }
-        ];
-        this.db.prepare(`
-          INSERT INTO signals(raw_id, day, section, signal_type, title, summary, canonical_url, entities_json, keywords_json, horizon_bucket, score, citations_json)
-          VALUES(NULL, ?, 'Business', 'econ', 'Economic indicator YC_SPREAD_10Y2Y', ?, '', '[]', '[]', 'near', 0.92, ?);
-        `).run(day, `10y-2y spread: ${spread.toFixed(2)} (derived)`, safeJson(citations, []));
+  storeEconSeries(series, { sourceId = null, updatedAt = isoNow() } = {}) {
+    const seriesId = String(series?.seriesId || '').trim();
+    const observations = Array.isArray(series?.observations) ? series.observations : [];
+    if (!seriesId || !observations.length) return 0;
+    const upsert = this.db.prepare(`
+      INSERT INTO econ_series(series_id, obs_date, value, source_id, updated_at)
+      VALUES(?, ?, ?, ?, ?)
+      ON CONFLICT(series_id, obs_date) DO UPDATE SET
+        value=excluded.value,
+        source_id=excluded.source_id,
+        updated_at=excluded.updated_at
+      WHERE econ_series.value <> excluded.value;
+    `);
+    this.db.exec('BEGIN');
+    try {
+      for (const obs of observations) {
+        upsert.run(seriesId, obs.date, obs.value, sourceId, updatedAt);
       }
+      this.db.exec('COMMIT');
+    } catch (err) {
+      this.db.exec('ROLLBACK');
+      throw err;
     }
+    return observations.length;
   }
 
-  buildTopicsForDay(day) {
-    const insert = this.db.prepare(`
-      INSERT OR REPLACE INTO topics(day, section, label, brief, horizon_bucket, topic_slug, evidence_signal_ids_json, evidence_links_json, score)
-      VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?);
+  getEconSeries(seriesId, options = {}) {
+    const untilDay = normalizeDay(options.until) || '9999-12-31';
+    const limit = Math.max(1, Math.min(100000, Number(options.limit || 100000)));
+    const rows = this.db.prepare(`
+      SELECT obs_date, value FROM (
+        SELECT obs_date, value FROM econ_series
+        WHERE series_id=? AND obs_date <= ?
+        ORDER BY obs_date DESC
+        LIMIT ?
+      ) ORDER BY obs_date ASC;
+    `).all(String(seriesId || ''), untilDay, limit);
+    return rows.map((r) => ({ date: r.obs_date, value: Number(r.value) }));
+  }
+
+  computeEconIndicators(day) {
+    const normalized = normalizeDay(day) || formatDay();
+    const cache = new Map();
+    const indicators = computeIndicators(loadIndicatorConfig(this.rootDir), (seriesId) => {
+      if (!cache.has(seriesId)) cache.set(seriesId, this.getEconSeries(seriesId, { until: normalized }));
+      return cache.get(seriesId);
+    });
+    const computedAt = isoNow();
+    this.db.prepare('DELETE FROM econ_indicators WHERE day=?').run(normalized);
+    const upsert = this.db.prepare(`
+      INSERT INTO econ_indicators(day, indicator_id, label, value, display, as_of, detail_json, computed_at)
+      VALUES(?, ?, ?, ?, ?, ?, ?, ?);
     `);
+    for (const ind of indicators) {
+      upsert.run(normalized, ind.id, ind.label, ind.value, ind.display, ind.asOf, safeJson({ op: ind.op, series: ind.series, unit: ind.unit, signal: ind.signal, detail: ind.detail }, {}), computedAt);
+    }
+    return indicators;
+  }
 
-    // Clear existing topics for a rebuild (keeps day deterministic on refresh).
-    this.db.prepare('DELETE FROM topics WHERE day=?').run(day);
+  getEconIndicators(day) {
+    const normalized = normalizeDay(day) || formatDay();
+    const rows = this.db.prepare(`
+      SELECT indicator_id, label, value, display, as_of, detail_json
+      FROM econ_indicators WHERE day=? ORDER BY rowid ASC
+    `).all(normalized);
+    return rows.map((r) => {
+      const meta = safeParseJson(r.detail_json, {});
+      return {
+        id: r.indicator_id,
+        label: r.label,
+        value: r.value,
+        display: r.display || String(r.value),
+        asOf: r.as_of || null,
+        unit: meta.unit || '',
+        series: Array.isArray(meta.series) ? meta.series : []
+      };
+    });
+  }
 
-    for (const section of SECTION_ORDER) {
-      const signals = this.db.prepare(`
-        SELECT signal_id, title, summary, canonical_url, entities_json, keywords_json, horizon_bucket, score, citations_json, published_at
-        FROM signals
-        WHERE day=? AND section=? AND signal_type NOT IN ('market', 'econ')
-        ORDER BY score DESC;
-      `).all(day, section);
+  recordMarketTick(market, { sourceId = null, day, observedAt = isoNow() } = {}) {
+    const slug = String(market?.slug || '').trim();
+    if (!slug) return false;
+    const yesProb = Number.isFinite(market.yesProb) ? market.yesProb : null;
+    const volume = Number.isFinite(market.volume) ? market.volume : null;
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO market_ticks(exchange, market_slug, question, url, day, observed_at, yes_prob, volume, close_date, source_id)
+      VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+    `).run(
+      String(market.exchange || 'polymarket'),
+      slug,
+      market.question ? String(market.question).slice(0, 400) : null,
+      market.url || null,
+      normalizeDay(day) || formatDay(observedAt),
+      observedAt,
+      yesProb,
+      volume,
+      market.closeDate || null,
+      sourceId
+    );
+    return Number(result?.changes || 0) > 0;
+  }
 
-      if (!signals.length) continue;
+  pruneMarketTicks() {
+    const cutoff = new Date(Date.now() - MARKET_TICK_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    this.db.prepare('DELETE FROM market_ticks WHERE observed_at < ?').run(cutoff);
+  }
 
-      const topics = [];
-
-      for (const signal of signals.slice(0, 60)) {
-        const tokens = tokenize(signal.title);
-        const entities = safeParseJson(signal.entities_json, []);
-        let bestIdx = -1;
-        let bestSim = 0;
-        let bestSharedEntity = false;
-        for (let i = 0; i < topics.length; i++) {
-          const candidate = topics[i];
-          const sim = jaccard(tokens, candidate.tokens);
-          const sharedEntity = entities.some((e) => candidate.entities.has(e));
-          if (sim > bestSim) {
-            bestSim = sim;
-            bestIdx = i;
-            bestSharedEntity = sharedEntity;
-          }
-        }
+  // Latest stored tick per market as of the end of `day` (or now, for today).
+  getLatestMarketTicks(options = {}) {
+    const day = normalizeDay(options.day) || formatDay();
+    const exchange = String(options.exchange || 'polymarket');
+    const asOf = day === formatDay() ? isoNow() : `${day}T23:59:59.999Z`;
+    const rows = this.db.prepare(`
+      SELECT t.market_slug, t.question, t.url, t.observed_at, t.yes_prob, t.volume, t.close_date
+      FROM market_ticks t
+      JOIN (
+        SELECT market_slug, MAX(observed_at) AS observed_at
+        FROM market_ticks WHERE exchange=? AND observed_at <= ?
+        GROUP BY market_slug
+      ) latest ON latest.market_slug=t.market_slug AND latest.observed_at=t.observed_at
+      WHERE t.exchange=?
+      ORDER BY COALESCE(t.volume, 0) DESC;
+    `).all(exchange, asOf, exchange);
+    return rows.map((r) => ({
+      slug: r.market_slug,
+      question: r.question || r.market_slug,
+      url: r.url || '',
+      observedAt: r.observed_at,
+      yesProb: r.yes_prob,
+      volume: r.volume,
+      closeDate: r.close_date || null
+    }));
+  }
 
-        const shouldMerge = bestIdx >= 0 && (bestSim >= 0.36 || (bestSharedEntity && bestSim >= 0.18));
-        if (shouldMerge) {
-          const t = topics[bestIdx];
-          t.signals.push(signal);
-          for (const e of entities) t.entities.add(e);
-          for (const w of tokens) t.tokens.add(w);
-          t.score = Math.max(t.score, signal.score || 0);
-          continue;
-        }
+  getMarketHistory(slug, options = {}) {
+    const exchange = String(options.exchange || 'polymarket');
+    const limit = Math.max(1, Math.min(5000, Number(options.limit || 500)));
+    const rows = this.db.prepare(`
+      SELECT observed_at, yes_prob, volume FROM (
+        SELECT observed_at, yes_prob, volume FROM market_ticks
+        WHERE exchange=? AND market_slug=?
+        ORDER BY observed_at DESC
+        LIMIT ?
+      ) ORDER BY observed_at ASC;
+    `).all(exchange, String(slug || ''), limit);
+    return rows.map((r) => ({ observedAt: r.observed_at, yesProb: r.yes_prob, volume: r.volume }));
+  }
 
-        const t = {
-          label: signal.title,
-          section,
-          signals: [signal],
-          tokens: new Set(tokens),
-          entities: new Set(entities),
-          score: signal.score || 0
-        };
-        topics.push(t);
-        if (topics.length >= 24) break;
+  // Series an article may chart: stored FRED series plus the Polymarket markets cited in the
+  // story's evidence pack, as { ref: 'fred:<id>' | 'polymarket:<slug>', label }.
+  listChartableSeries(story = null) {
+    const labels = fredSeriesLabels(this.rootDir);
+    const fred = this.db.prepare('SELECT series_id FROM econ_series GROUP BY series_id HAVING COUNT(1) >= 2 ORDER BY series_id').all()
+      .map((r) => ({ ref: `fred:${r.series_id}`, label: labels.get(r.series_id)?.label || `FRED ${r.series_id}` }));
+    const slugStmt = this.db.prepare("SELECT market_slug FROM market_ticks WHERE exchange='polymarket' AND url=? LIMIT 1");
+    const markets = [];
+    for (const market of Array.isArray(story?.evidencePack?.markets) ? story.evidencePack.markets : []) {
+      const urls = [market.url, ...(market.exchanges || []).map((q) => q.url)].filter(Boolean);
+      const slug = urls.map((url) => slugStmt.get(url)?.market_slug).find(Boolean);
+      if (slug) markets.push({ ref: `polymarket:${slug}`, label: market.label });
+    }
+    return [...fred, ...markets];
+  }
+
+  // Data behind an article chart block, up to `until`: FRED observations, or a Polymarket
+  // market's yes probability in percent. Null when the series is not stored.
+  getChartSeries({ source, series, until } = {}) {
+    const untilDay = normalizeDay(until) || '9999-12-31';
+    if (source === 'fred') {
+      const points = this.getEconSeries(series, { until: untilDay, limit: 240 });
+      if (!points.length) return null;
+      const meta = fredSeriesLabels(this.rootDir).get(series);
+      return { label: meta?.label || `FRED ${series}`, unit: meta?.unit || '', points };
+    }
+    if (source === 'polymarket') {
+      const points = this.getMarketHistory(series, { exchange: 'polymarket', limit: 500 })
+        .filter((t) => t.yesProb !== null && t.observedAt.slice(0, 10) <= untilDay)
+        .map((t) => ({ date: t.observedAt, value: Math.round(Number(t.yesProb) * 1000) / 10 }));
+      if (!points.length) return null;
+      const row = this.db.prepare("SELECT question FROM market_ticks WHERE exchange='polymarket' AND market_slug=? ORDER BY observed_at DESC LIMIT 1").get(String(series));
+      return { label: row?.question || series, unit: '%', points };
+    }
+    return null;
+  }
+
+  // Probability swings over `windowHours`: the latest tick at or before the as-of time compared
+  // with the latest tick at least one window earlier. Past days use the end of that day as
+  // as-of so the sidebar for an archived edition shows the movers it would have shown.
+  getMarketMovers(options = {}) {
+    const day = normalizeDay(options.day) || formatDay();
+    const windowHours = Math.max(1, Math.min(24 * 90, Number(options.windowHours || 24)));
+    const limit = Math.max(1, Math.min(100, Number(options.limit || 10)));
+    const minDelta = Math.max(0, Number(options.minDelta ?? 0.05));
+    const minVolume = Math.max(0, Number(options.minVolume || 0));
+    const asOf = day === formatDay() ? isoNow() : `${day}T23:59:59.999Z`;
+    const since = new Date(Date.parse(asOf) - windowHours * 60 * 60 * 1000).toISOString();
+
+    const rows = this.db.prepare(`
+      WITH cur AS (
+        SELECT exchange, market_slug, MAX(observed_at) AS observed_at
+        FROM market_ticks WHERE observed_at <= ? AND yes_prob IS NOT NULL
+        GROUP BY exchange, market_slug
+      ),
+      prev AS (
+        SELECT exchange, market_slug, MAX(observed_at) AS observed_at
+        FROM market_ticks WHERE observed_at <= ? AND yes_prob IS NOT NULL
+        GROUP BY exchange, market_slug
+      )
+      SELECT c.exchange, c.market_slug, c.question, c.url, c.close_date, c.volume,
+             c.yes_prob AS current_prob, c.observed_at AS current_at,
+             p.yes_prob AS previous_prob, p.observed_at AS previous_at
+      FROM cur
+      JOIN market_ticks c ON c.exchange=cur.exchange AND c.market_slug=cur.market_slug AND c.observed_at=cur.observed_at
+      JOIN prev ON prev.exchange=cur.exchange AND prev.market_slug=cur.market_slug
+      JOIN market_ticks p ON p.exchange=prev.exchange AND p.market_slug=prev.market_slug AND p.observed_at=prev.observed_at
+      WHERE ABS(c.yes_prob - p.yes_prob) >= ?
+        AND COALESCE(c.volume, 0) >= ?
+      ORDER BY ABS(c.yes_prob - p.yes_prob) DESC, COALESCE(c.volume, 0) DESC
+      LIMIT ?;
+    `).all(asOf, since, minDelta, minVolume, limit);
+
+    return rows.map((r) => ({
+      exchange: r.exchange,
+      slug: r.market_slug,
+      question: r.question || r.market_slug,
+      url: r.url || '',
+      closeDate: r.close_date || null,
+      volume: r.volume,
+      current: r.current_prob,
+      previous: r.previous_prob,
+      delta: Number((r.current_prob - r.previous_prob).toFixed(4)),
+      currentAt: r.current_at,
+      previousAt: r.previous_at
+    }));
+  }
+
+  // Market signals whose probability moved sharply get a score bump so they surface in topics.
+  // The boost is recomputed from the deterministic base score, so repeated refreshes don't stack.
+  applyMarketMoverBoosts(day) {
+    const boosts = new Map();
+    for (const [windowHours, weight] of [[24, 1.5], [24 * 7, 1.0]]) {
+      for (const mover of this.getMarketMovers({ day, windowHours, limit: 100, minDelta: MARKET_MOVER_MIN_DELTA })) {
+        const url = canonicalizeUrl(mover.url || '');
+        if (!url) continue;
+        const boost = Math.min(MARKET_MOVER_MAX_BOOST, Math.abs(mover.delta) * weight);
+        boosts.set(url, Math.max(boosts.get(url) || 0, boost));
       }
+    }
+    if (!boosts.size) return 0;
+    const rows = this.db.prepare(`
+      SELECT signal_id, title, published_at, canonical_url FROM signals
+      WHERE day=? AND signal_type='market' AND raw_id IS NOT NULL
+    `).all(day);
+    const update = this.db.prepare('UPDATE signals SET score=? WHERE signal_id=?');
+    let boosted = 0;
+    for (const row of rows) {
+      const boost = boosts.get(row.canonical_url);
+      if (!boost) continue;
+      update.run(scoreSignal('market', row.published_at, row.title) + boost, row.signal_id);
+      boosted += 1;
+    }
+    if (boosted) this.traceEvent(day, 'market.movers_boosted', { boosted });
+    return boosted;
+  }
+
+  buildTopicsForDay(day) {
+    const insert = this.db.prepare(`
+      INSERT OR REPLACE INTO topics(day, section, label, brief, horizon_bucket, topic_slug, evidence_signal_ids_json, evidence_links_json, score)
+      VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?);
+    `);
+
+    // Clear existing topics for a rebuild (keeps day deterministic on refresh).
+    this.db.prepare('DELETE FROM topics WHERE day=?').run(day);
+    const clustering = loadClusteringConfig(this.rootDir);
+
+    for (const section of SECTION_ORDER) {
+      const signals = this.db.prepare(`
+        SELECT signal_id, title, summary, canonical_url, entities_json, keywords_json, horizon_bucket, score, citations_json, published_at
+        FROM signals
+        WHERE day=? AND section=? AND signal_type NOT IN ('market', 'econ')
+        ORDER BY score DESC;
+      `).all(day, section);
+
+      if (!signals.length) continue;
+
+      const topics = clusterSignals(
+        signals.map((s) => ({ ...s, entities: safeParseJson(s.entities_json, []) })),
+        clustering
+      );
 
       const usedSlugs = new Set();
       for (const t of topics) {
@@ -1516,6 +2528,178 @@ export class FutureTimesPipeline {
         );
       }
     }
+
+    this.linkStoryThreadsForDay(day);
+  }
+
+  linkStoryThreadsForDay(day) {
+    const topics = this.db.prepare(`
+      SELECT section, label, topic_slug, evidence_signal_ids_json FROM topics WHERE day=? ORDER BY score DESC
+    `).all(day);
+    const entitiesFor = this.db.prepare('SELECT entities_json FROM signals WHERE signal_id=?');
+    const todays = topics.map((t) => {
+      const entities = new Set();
+      for (const id of safeParseJson(t.evidence_signal_ids_json, [])) {
+        for (const e of safeParseJson(entitiesFor.get(id)?.entities_json, [])) entities.add(e);
+      }
+      return { topicSlug: t.topic_slug, section: t.section, label: t.label, entities: Array.from(entities) };
+    });
+
+    const since = new Date(Date.parse(`${day}T00:00:00Z`) - THREAD_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const candidates = this.db.prepare(`
+      SELECT tt.thread_id, tt.topic_slug, tt.section, tt.entities_json
+      FROM thread_topics tt
+      JOIN (
+        SELECT thread_id, MAX(day) AS day FROM thread_topics WHERE day < ? AND day >= ? GROUP BY thread_id
+      ) latest ON latest.thread_id = tt.thread_id AND latest.day = tt.day;
+    `).all(day, since).map((r) => ({
+      threadId: r.thread_id,
+      topicSlug: r.topic_slug,
+      section: r.section,
+      entities: safeParseJson(r.entities_json, [])
+    }));
+
+    const assignments = matchTopicsToThreads(day, todays, candidates);
+    const previousIds = this.db.prepare('SELECT DISTINCT thread_id FROM thread_topics WHERE day=?').all(day).map((r) => r.thread_id);
+    const insert = this.db.prepare(`
+      INSERT INTO thread_topics(day, topic_slug, thread_id, section, label, entities_json, similarity)
+      VALUES(?, ?, ?, ?, ?, ?, ?);
+    `);
+    const refresh = this.db.prepare(`
+      INSERT INTO story_threads(thread_id, label, section, first_day, last_day, topic_count, updated_at)
+      SELECT thread_id,
+             (SELECT label FROM thread_topics x WHERE x.thread_id = tt.thread_id ORDER BY day DESC LIMIT 1),
+             (SELECT section FROM thread_topics x WHERE x.thread_id = tt.thread_id ORDER BY day DESC LIMIT 1),
+             MIN(day), MAX(day), COUNT(1), ?
+      FROM thread_topics tt WHERE thread_id=? GROUP BY thread_id
+      ON CONFLICT(thread_id) DO UPDATE SET
+        label=excluded.label,
+        section=excluded.section,
+        first_day=excluded.first_day,
+        last_day=excluded.last_day,
+        topic_count=excluded.topic_count,
+        updated_at=excluded.updated_at;
+    `);
+    const removeEmpty = this.db.prepare(`
+      DELETE FROM story_threads WHERE thread_id=? AND NOT EXISTS (SELECT 1 FROM thread_topics WHERE thread_id=?)
+    `);
+
+    const bySlug = new Map(todays.map((t) => [t.topicSlug, t]));
+    const now = isoNow();
+    this.db.exec('BEGIN');
+    try {
+      this.db.prepare('DELETE FROM thread_topics WHERE day=?').run(day);
+      for (const a of assignments) {
+        const topic = bySlug.get(a.topicSlug);
+        insert.run(day, a.topicSlug, a.threadId, topic.section, topic.label, safeJson(topic.entities, []), a.similarity);
+      }
+      for (const threadId of new Set([...previousIds, ...assignments.map((a) => a.threadId)])) {
+        refresh.run(now, threadId);
+        removeEmpty.run(threadId, threadId);
+      }
+      this.db.exec('COMMIT');
+    } catch (err) {
+      this.db.exec('ROLLBACK');
+      throw err;
+    }
+    const continued = assignments.filter((a) => a.continued).length;
+    this.traceEvent(day, 'threads.linked', { topics: assignments.length, continued, started: assignments.length - continued });
+    return assignments;
+  }
+
+  // Thread membership of a day's topics, counting only days up to and including `day`.
+  getThreadsForDay(day) {
+    const rows = this.db.prepare(`
+      SELECT tt.topic_slug, tt.thread_id,
+             (SELECT COUNT(1) FROM thread_topics x WHERE x.thread_id = tt.thread_id AND x.day <= tt.day) AS day_count,
+             (SELECT MIN(day) FROM thread_topics x WHERE x.thread_id = tt.thread_id) AS first_day
+      FROM thread_topics tt WHERE tt.day=?
+    `).all(day);
+    return new Map(rows.map((r) => [r.topic_slug, { id: r.thread_id, dayCount: Number(r.day_count) || 1, since: r.first_day }]));
+  }
+
+  listThreadStories(threadId, topicDay, topicSlug, yearsForward = null) {
+    const rows = this.db.prepare(`
+      SELECT s.story_id, s.headline_seed, s.evidence_pack_json, e.years_forward, c.plan_json
+      FROM topics t
+      JOIN editions e ON e.day = t.day
+      JOIN edition_stories s ON s.edition_id = e.edition_id AND s.topic_id = t.topic_id
+      LEFT JOIN story_curations c ON c.story_id = s.story_id
+      WHERE t.day=? AND t.topic_slug=?
+      ORDER BY e.years_forward ASC, s.rank ASC;
+    `).all(topicDay, topicSlug);
+    return rows
+      .filter((r) => yearsForward === null || Number(r.years_forward) === Number(yearsForward))
+      .map((r) => {
+        const plan = safeParseJson(r.plan_json, null);
+        const pack = safeParseJson(r.evidence_pack_json, {});
+        return {
+          storyId: r.story_id,
+          yearsForward: r.years_forward,
+          title: String(plan?.curatedTitle || plan?.title || '').trim() || r.headline_seed,
+          editionDate: pack.editionDate || null
+        };
+      });
+  }
+
+  getThreadTimeline(threadId, options = {}) {
+    const thread = this.db.prepare('SELECT * FROM story_threads WHERE thread_id=?').get(String(threadId || ''));
+    if (!thread) return null;
+    const yearsForward = options.yearsForward === undefined || options.yearsForward === null ? null : Number(options.yearsForward);
+    const entries = this.db.prepare(`
+      SELECT day, topic_slug, section, label, entities_json, similarity
+      FROM thread_topics WHERE thread_id=? ORDER BY day ASC
+    `).all(thread.thread_id).map((r) => ({
+      day: r.day,
+      topicSlug: r.topic_slug,
+      section: r.section,
+      label: r.label,
+      entities: safeParseJson(r.entities_json, []),
+      similarity: r.similarity,
+      stories: this.listThreadStories(thread.thread_id, r.day, r.topic_slug, yearsForward)
+    }));
+    return {
+      threadId: thread.thread_id,
+      label: thread.label,
+      section: thread.section,
+      firstDay: thread.first_day,
+      lastDay: thread.last_day,
+      topicCount: thread.topic_count,
+      entries
+    };
+  }
+
+  // "Previously in The Future Times": earlier stories in the thread of the given story.
+  getStoryThread(storyId, options = {}) {
+    const row = this.db.prepare(`
+      SELECT tt.thread_id, e.day, e.years_forward
+      FROM edition_stories s
+      JOIN editions e ON e.edition_id = s.edition_id
+      JOIN topics t ON t.topic_id = s.topic_id AND t.day = e.day
+      JOIN thread_topics tt ON tt.day = t.day AND tt.topic_slug = t.topic_slug
+      WHERE s.story_id=?
+      LIMIT 1;
+    `).get(String(storyId || ''));
+    if (!row) return null;
+    const limit = Math.max(1, Math.min(20, Number(options.limit || 5)));
+    const previous = this.db.prepare(`
+      SELECT day, topic_slug, label FROM thread_topics
+      WHERE thread_id=? AND day < ?
+      ORDER BY day DESC
+      LIMIT ?;
+    `).all(row.thread_id, row.day, limit);
+    const earlier = Number(this.db.prepare('SELECT COUNT(1) AS n FROM thread_topics WHERE thread_id=? AND day < ?').get(row.thread_id, row.day)?.n || 0);
+    const previously = previous.map((p) => {
+      const story = this.listThreadStories(row.thread_id, p.day, p.topic_slug, row.years_forward)[0] || null;
+      return {
+        day: p.day,
+        label: p.label,
+        storyId: story?.storyId || null,
+        title: story?.title || p.label,
+        editionDate: story?.editionDate || null
+      };
+    });
+    return { id: row.thread_id, day: row.day, dayCount: earlier + 1, previously };
   }
 
   buildEditionsForDay(day) {
@@ -1528,13 +2712,28 @@ export class FutureTimesPipeline {
 
     const signalsById = new Map();
     const allSignals = this.db.prepare(`
-      SELECT signal_id, section, signal_type, title, summary, canonical_url, citations_json, published_at
+      SELECT signal_id, section, signal_type, title, summary, canonical_url, citations_json, published_at, score
       FROM signals
       WHERE day=?
     `).all(day);
     for (const s of allSignals) signalsById.set(s.signal_id, s);
     const econSignals = allSignals.filter((s) => s.signal_type === 'econ');
     const marketSignals = allSignals.filter((s) => s.signal_type === 'market');
+    const marketGroups = groupMarketSignals([...marketSignals].sort((a, b) => (Number(b.score) || 0) - (Number(a.score) || 0)));
+    const econIndicators = this.getEconIndicators(day);
+    const topicSlugById = new Map(topics.map((t) => [t.topic_id, t.topic_slug]));
+    const threadsBySlug = this.getThreadsForDay(day);
+    const standingBySection = new Map();
+    for (const st of this.getStandingTopics()) {
+      if (!standingBySection.has(st.section)) standingBySection.set(st.section, []);
+      standingBySection.get(st.section).push(st);
+    }
+    const standingEvidenceBySignal = new Map();
+    for (const row of this.db.prepare('SELECT standing_topic_key, signal_id, relevance_score FROM topic_evidence WHERE day=?').all(day)) {
+      if (!standingEvidenceBySignal.has(row.signal_id)) standingEvidenceBySignal.set(row.signal_id, []);
+      standingEvidenceBySignal.get(row.signal_id).push({ key: row.standing_topic_key, relevance: row.relevance_score });
+    }
+    const trendsByKey = new Map(this.getTopicTrends(day).map((t) => [t.topicKey, t]));
 
     const insertEdition = this.db.prepare(`
       INSERT INTO editions(day, years_forward, generated_at, payload_json, version)
@@ -1551,7 +2750,7 @@ export class FutureTimesPipeline {
     `);
 
     // Only build +5y edition
-    for (const yearsForward of [5]) {
+    for (const yearsForward of getEditionHorizons()) {
       const mix = chooseHorizonMix(yearsForward);
       const editionDate = formatEditionDate(day, yearsForward);
       const version = sha256Hex(`${day}|${yearsForward}|v1`).slice(0, 12);
@@ -1654,9 +2853,9 @@ export class FutureTimesPipeline {
       for (const section of SECTION_ORDER) {
         // ── HYBRID PATH: AI section uses standing topics + evidence ──
         if (section === 'AI') {
-          const aiStandingTopics = this.getStandingTopics('AI');
+          const aiStandingTopics = standingBySection.get('AI') || [];
           const aiStories = this._buildAISectionStories({
-            day, yearsForward, editionDate, aiStandingTopics,
+            day, yearsForward, editionDate, aiStandingTopics, trendsByKey,
             signalsById, econSignals, marketSignals
           });
           storiesForEdition.push(...aiStories);
@@ -1669,21 +2868,32 @@ export class FutureTimesPipeline {
           const topic = sectionPicks[i];
           const evidenceIds = safeParseJson(topic.evidence_signal_ids_json, []);
           const evidenceSignals = evidenceIds.map((id) => signalsById.get(id)).filter(Boolean);
-          const relatedMarket = marketSignals
-            .map((s) => ({ s, sim: jaccard(tokenize(topic.label), tokenize(`${s.title} ${s.summary}`)) }))
+          const relatedMarkets = marketGroups
+            .map((g) => ({ g, sim: jaccard(tokenize(topic.label), tokenize(`${g.lead.title} ${g.lead.summary}`)) }))
             .sort((a, b) => b.sim - a.sim)
             .filter((row) => row.sim >= 0.22)
             .slice(0, 4)
-            .map((row) => row.s);
+            .map((row) => row.g);
 
           const evidencePack = buildEvidencePack({
             topic,
             evidenceSignals,
             econSignals,
-            marketSignals: relatedMarket,
+            econIndicators,
+            marketGroups: relatedMarkets,
             editionDate,
             yearsForward
           });
+          const standing = matchStandingTopic(evidenceIds, standingBySection.get(section) || [], standingEvidenceBySignal);
+          if (standing) {
+            const baselineYear = Number(day.slice(0, 4));
+            evidencePack.standingTopic = standingTopicContext(standing.topic, {
+              targetYear: baselineYear + yearsForward,
+              baselineYear,
+              trend: trendsByKey.get(standing.topic.topic_key),
+              evidenceToday: standing.signals
+            });
+          }
 
           const angle = ANGLES[i % ANGLES.length];
           const storyId = buildStoryId(day, yearsForward, section, topic.topic_slug, angle);
@@ -1727,10 +2937,13 @@ export class FutureTimesPipeline {
           image: s.image,
           meta: s.meta,
           prompt: s.prompt,
-          topicLabel: s.topicLabel
+          topicLabel: s.topicLabel,
+          thread: threadsBySlug.get(topicSlugById.get(s.topicId)) || null
         })),
-        marketsSummary: marketSignals.slice(0, 4).map((s) => ({ label: s.title, prob: s.summary || '' })),
-        econSummary: econSignals.slice(0, 6).map((s) => ({ label: s.title, value: s.summary || '' }))
+        marketsSummary: marketGroups.slice(0, 4).map((g) => ({ label: g.lead.title, prob: describeMarketGroup(g) })),
+        econSummary: econIndicators.length
+          ? econIndicators.slice(0, 6).map((i) => ({ label: i.label, value: i.display, asOf: i.asOf }))
+          : econSignals.slice(0, 6).map((s) => ({ label: s.title, value: s.summary || '' }))
       };
 
       insertEdition.run(day, yearsForward, isoNow(), safeJson(payload, {}), version);
@@ -1757,7 +2970,7 @@ export class FutureTimesPipeline {
   }
 
   // ── Build AI section stories from standing topics + evidence ──
-  _buildAISectionStories({ day, yearsForward, editionDate, aiStandingTopics, signalsById, econSignals, marketSignals }) {
+  _buildAISectionStories({ day, yearsForward, editionDate, aiStandingTopics, trendsByKey = new Map(), signalsById, econSignals, marketSignals }) {
     const section = 'AI';
     const stories = [];
     const baselineYear = 2026;
@@ -1802,7 +3015,6 @@ export class FutureTimesPipeline {
       const st = selected[i];
       const axes = safeParseJson(st.extrapolation_axes, []);
       const milestones = safeParseJson(st.milestones, []);
-      const stKeywords = safeParseJson(st.keywords, []);
 
       // Build evidence signals for the evidence pack
       const evidenceSignals = st.evidence.map((e) => ({
@@ -1858,7 +3070,8 @@ export class FutureTimesPipeline {
         url: s.canonical_url || '',
         source: (safeParseJson(s.citations_json, [])[0] || {}).source || '',
         publishedAt: s.published_at || null,
-        summary: String(s.summary || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 280)
+        summary: String(s.summary || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 280),
+        ...citationFeedFields(s.citations_json)
       }));
 
       const evidencePack = {
@@ -1866,15 +3079,12 @@ export class FutureTimesPipeline {
         section,
         editionDate,
         yearsForward,
-        standingTopic: {
-          key: st.topic_key,
-          label: st.label,
-          category: st.category,
-          description: st.description,
-          extrapolationAxes: axes,
-          milestones: milestones.filter((m) => m.year >= targetYear - 1 && m.year <= targetYear + 2),
-          keywords: stKeywords.slice(0, 12)
-        },
+        standingTopic: standingTopicContext(st, {
+          targetYear,
+          baselineYear,
+          trend: trendsByKey.get(st.topic_key),
+          evidenceToday: st.evidenceCount
+        }),
         topic: {
           topicId: st.topic_key,
           label: st.label,
@@ -1990,7 +3200,11 @@ export class FutureTimesPipeline {
       topicsBySection,
       topSignals: pickSignals((s) => s.type !== 'market' && s.type !== 'econ', 14),
       marketSignals: pickSignals((s) => s.type === 'market', 10),
-      econSignals: pickSignals((s) => s.type === 'econ', 10)
+      econSignals: pickSignals((s) => s.type === 'econ', 10),
+      econIndicators: (Array.isArray(snap?.econIndicators) && snap.econIndicators.length
+        ? snap.econIndicators
+        : this.getEconIndicators(normalized)
+      ).map((i) => ({ id: i.id, label: i.label, value: i.display, asOf: i.asOf }))
     };
   }
 
@@ -2032,11 +3246,20 @@ export class FutureTimesPipeline {
       return this.curationInFlight;
     }
 
-    this.curationInFlight = (async () => {
+    this.curationInFlight = withUsageScope({ day: normalized }, async () => {
       const startedAtMs = Date.now();
       this.traceEvent(normalized, 'curate.start', { day: normalized, force });
       await this.ensureDayBuilt(normalized);
 
+      // A forced run starts over; the day_curations row is rewritten once every stage is done.
+      // Otherwise progress stored by another instance is picked up first.
+      if (force) {
+        this.clearCurationCheckpoints(normalized);
+        await this.syncCurationStore(normalized, () => deleteCurationCheckpoints(normalized));
+        this.db.prepare('DELETE FROM day_curations WHERE day=?').run(normalized);
+      } else {
+        await this.restoreCurationState(normalized);
+      }
       const existingDay = this.db.prepare('SELECT generated_at, error FROM day_curations WHERE day=? LIMIT 1').get(normalized);
       if (!force && existingDay && !existingDay.error) {
         this.traceEvent(normalized, 'curate.skip', { day: normalized, reason: 'already_curated', generatedAt: existingDay.generated_at });
@@ -2044,416 +3267,79 @@ export class FutureTimesPipeline {
         return { ok: true, day: normalized, skipped: true, reason: 'already_curated', generatedAt: existingDay.generated_at };
       }
 
+      // Rows without checkpoints come from an older single-request run; with checkpoints the
+      // previous invocation stopped early and this one resumes it.
+      const resuming = this.listCurationCheckpoints(normalized).length > 0;
       const existing = this.db.prepare('SELECT COUNT(1) AS n FROM story_curations WHERE day=?').get(normalized)?.n || 0;
-      if (!force && existing >= 30) {
+      if (!force && !resuming && existing >= 30) {
         this.traceEvent(normalized, 'curate.skip', { day: normalized, reason: 'story_curations_present', existing });
         this.lastCuration = isoNow();
         return { ok: true, day: normalized, skipped: true, reason: 'story_curations_present', existing };
       }
 
       const config = getSonnetCurationConfigFromEnv();
-      const snapshot = this.buildCurationSnapshot(normalized);
-
-      const upsert = this.db.prepare(`
-        INSERT OR REPLACE INTO story_curations(
-          story_id, day, years_forward, section, rank, generated_at, model, key_story, plan_json, article_json
-        )
-        VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
-      `);
-
-      let curatedStories = 0;
-      let keyStories = 0;
-      let editionCount = 0;
-      const errors = [];
-      const editionPrompts = {};
-      const editionPlans = {};
-
-      // Only curate +5y edition
-      for (const yearsForward of [5]) {
-        const edition = this.getEdition(normalized, yearsForward, { applyCuration: false });
-        if (!edition) continue;
-        const editionDate = String(edition.date || formatEditionDate(normalized, yearsForward));
-        const candidates = this.listEditionStoryCandidates(normalized, yearsForward);
-        if (!candidates.length) continue;
-
-        let plan;
-        const keyCount = config.keyStoriesPerEdition;
-        const prompt = buildEditionCurationPrompt({
-          day: normalized,
-          yearsForward,
-          editionDate,
-          candidates,
-          snapshot,
-          keyCount
-        });
-        editionPrompts[String(yearsForward)] = { yearsForward, editionDate, keyCount, prompt };
+      if (config.credentialsMissing) {
+        const message = missingCredentialsMessage(config);
+        console.error(`[curation] ${normalized}: skipped. ${message}`);
+        this.traceEvent(normalized, 'curate.skip', { day: normalized, reason: 'missing_api_key', backend: config.backend });
+        return { ok: false, day: normalized, skipped: true, error: 'missing_api_key', message };
+      }
+      const maxMs = Number.isFinite(Number(options.maxMs)) ? Number(options.maxMs) : config.runBudgetMs;
+      const run = {
+        day: normalized,
+        config,
+        requestedModel: config.model,
+        deadline: maxMs > 0 ? startedAtMs + maxMs : Infinity,
+        stagesRun: 0,
+        editionPrompts: {},
+        editionPlans: {}
+      };
+      if (resuming) this.traceEvent(normalized, 'curate.resume', { day: normalized, checkpoints: this.listCurationCheckpoints(normalized).length });
 
-        const editionStartedAtMs = Date.now();
-        this.traceEvent(normalized, 'curate.edition.start', { yearsForward, editionDate, candidates: candidates.length, mode: config.mode, model: config.model });
-        try {
-          plan = await generateEditionCurationPlan({
-            day: normalized,
-            yearsForward,
-            editionDate,
-            candidates,
-            snapshot,
-            keyCount,
-            prompt,
-            config
-          });
-        } catch (err) {
-          const errorText = String(err?.message || err);
-          errors.push({ yearsForward, error: errorText });
-          this.traceEvent(normalized, 'curate.edition.error', {
-            yearsForward,
-            editionDate,
-            elapsedMs: Date.now() - editionStartedAtMs,
-            error: errorText
-          });
-          continue;
+      let deferred = null;
+      try {
+        run.snapshot = await this.runCurationStage(run, 0, 'day_brief', '', () => this.buildCurationSnapshot(normalized));
+        for (const yearsForward of getEditionHorizons()) {
+          await this.curateEditionInStages(run, yearsForward);
         }
-        editionPlans[String(yearsForward)] = plan;
-        this.traceEvent(normalized, 'curate.edition.end', {
-          yearsForward,
-          editionDate,
-          elapsedMs: Date.now() - editionStartedAtMs,
-          stories: Array.isArray(plan?.stories) ? plan.stories.length : 0,
-          keyStoryIds: Array.isArray(plan?.keyStoryIds) ? plan.keyStoryIds.slice(0, 10) : []
+      } catch (err) {
+        if (err?.code !== 'curation_deferred') throw err;
+        deferred = err;
+      }
+      config.model = run.requestedModel;
+
+      const counts = this.db
+        .prepare('SELECT COUNT(1) AS n, COALESCE(SUM(key_story), 0) AS k FROM story_curations WHERE day=?')
+        .get(normalized);
+      const curatedStories = Number(counts?.n) || 0;
+      const keyStories = Number(counts?.k) || 0;
+      const checkpoints = this.listCurationCheckpoints(normalized);
+      const errors = checkpoints
+        .filter((c) => c.status === 'error')
+        .map((c) => ({ yearsForward: c.yearsForward, stage: c.stage, chunk: c.chunk, error: c.error }));
+      const editionCount = checkpoints.filter((c) => c.stage === 'publish' && c.status === 'done').length;
+
+      if (deferred) {
+        const pending = checkpoints.filter((c) => c.status !== 'done').length;
+        this.traceEvent(normalized, 'curate.deferred', {
+          day: normalized,
+          elapsedMs: Date.now() - startedAtMs,
+          next: deferred.stage,
+          doneStages: checkpoints.length - pending,
+          curatedStories
         });
-
-        const planStories = Array.isArray(plan?.stories) ? plan.stories : [];
-        const byId = new Map(planStories.map((s) => [String(s?.storyId || '').trim(), s]));
-        const keySet = new Set((Array.isArray(plan?.keyStoryIds) ? plan.keyStoryIds : []).map((s) => String(s || '').trim()));
-        const latestDraftById = new Map();
-
-        const generatedAt = isoNow();
-        const model = String(plan?.model || config.model || '').trim() || config.model;
-
-        for (const candidate of candidates) {
-          const storyId = String(candidate.storyId || '').trim();
-          if (!storyId) continue;
-          const entry = byId.get(storyId) || {};
-          const key = Boolean(entry.key) || keySet.has(storyId);
-          const hero = Boolean(entry.hero);
-          const curatedTitle = String(entry.curatedTitle || '').trim() || String(candidate.title || '').trim();
-          const curatedDek = String(entry.curatedDek || '').trim() || String(candidate.dek || '').trim();
-
-          const normalizedPlan = {
-            schema: 1,
-            day: normalized,
-            yearsForward,
-            editionDate,
-            storyId,
-            section: candidate.section,
-            rank: candidate.rank,
-            angle: candidate.angle,
-            curatedTitle,
-            curatedDek,
-            key,
-            hero,
-            topicTitle:
-              String(entry.topicTitle || entry.topicSeed || '').trim() ||
-              String(candidate?.evidencePack?.topic?.theme || candidate?.evidencePack?.topic?.label || '').trim(),
-            sparkDirections: String(entry.sparkDirections || '').trim(),
-            futureEventSeed: String(entry.futureEventSeed || '').trim(),
-            outline: Array.isArray(entry.outline) ? entry.outline.slice(0, 8) : [],
-            extrapolationTrace: Array.isArray(entry.extrapolationTrace)
-              ? entry.extrapolationTrace.slice(0, 8).map((x) => String(x || '').trim()).filter(Boolean)
-              : [],
-            rationale: Array.isArray(entry.rationale) ? entry.rationale.slice(0, 8).map((x) => String(x || '').trim()).filter(Boolean) : [],
-            confidence: Number.isFinite(Number(entry.confidence)) ? Math.max(0, Math.min(100, Math.round(Number(entry.confidence)))) : 0,
-            draftArticle: entry.draftArticle && typeof entry.draftArticle === 'object' ? {
-              title: String(entry.draftArticle.title || '').trim(),
-              dek: String(entry.draftArticle.dek || '').trim(),
-              body: String(entry.draftArticle.body || '').trim()
-            } : null
-          };
-
-          let articleJson = null;
-          const draft = entry && entry.draftArticle && typeof entry.draftArticle === 'object' ? entry.draftArticle : null;
-          const draftBody = draft ? String(draft.body || '').trim() : '';
-          if (draftBody) {
-            const pack = candidate.evidencePack || {};
-            const signals = Array.isArray(pack.signals) ? pack.signals : [];
-            const markets = Array.isArray(pack.markets) ? pack.markets : [];
-            const citations = Array.isArray(pack.citations) ? pack.citations : [];
-            const title = String(draft.title || curatedTitle || candidate.title || '').trim() || curatedTitle;
-            const dek = String(draft.dek || curatedDek || candidate.dek || '').trim() || curatedDek;
-            const meta = `${candidate.section} • ${editionDate}`;
-            articleJson = {
-              id: storyId,
-              section: candidate.section,
-              title,
-              dek,
-              meta,
-              image: '',
-              body: draftBody,
-              signals,
-              markets,
-              prompt: `Editorial photo illustration prompt: ${title}. Documentary realism. Dated ${editionDate}.`,
-              citations,
-              stats: { econ: pack.econ || {}, markets: pack.markets || [] },
-              editionDate,
-              generatedFrom: `sonnet-curator / ${normalized}`,
-              generatedAt,
-              curationGeneratedAt: generatedAt,
-              yearsForward
-            };
-
-            // Generate an image for hero/key stories if OpenAI key is available
-            if (hero || key) {
-              const imgPrompt = String(draft.title || curatedTitle || '').trim();
-              const imgPath = await generateStoryImage(imgPrompt, storyId);
-              if (imgPath) {
-                articleJson.image = imgPath;
-              }
-            }
-
-            // Pre-populate the render cache so this story loads instantly.
-            this.storeRendered(storyId, articleJson, { curationGeneratedAt: generatedAt });
-            latestDraftById.set(storyId, { title, dek, body: draftBody });
-            if (key) keyStories++;
-          }
-
-          upsert.run(
-            storyId,
-            normalized,
-            yearsForward,
-            candidate.section,
-            candidate.rank,
-            generatedAt,
-            model,
-            key ? 1 : 0,
-            safeJson(normalizedPlan, {}),
-            articleJson ? safeJson(articleJson, {}) : null
-          );
-          curatedStories++;
-        }
-
-        // ── Backfill: generate bodies for curated stories that came back without draftArticle ──
-        const cappedIds = (candidates || []).slice(0, 20);
-        const missingBodyStories = [];
-        for (const candidate of cappedIds) {
-          const sid = String(candidate.storyId || '').trim();
-          if (!sid) continue;
-          const entry = byId.get(sid) || {};
-          const hasDraft = entry.draftArticle && typeof entry.draftArticle === 'object' && String(entry.draftArticle.body || '').trim().length > 50;
-          if (!hasDraft) {
-            const conf = Number(entry.confidence ?? 0);
-            if (conf <= 0) continue;
-            missingBodyStories.push({
-              storyId: sid,
-              title: String(entry.curatedTitle || candidate.title || '').trim(),
-              dek: String(entry.curatedDek || candidate.dek || '').trim(),
-              sparkDirections: String(entry.sparkDirections || '').trim(),
-              editionDate,
-              section: candidate.section
-            });
-          }
-        }
-
-        if (missingBodyStories.length > 0) {
-          this.traceEvent(normalized, 'curate.backfill.start', { yearsForward, missing: missingBodyStories.length });
-          const backfilled = await generateMissingArticleBodies(missingBodyStories, config);
-          this.traceEvent(normalized, 'curate.backfill.end', { yearsForward, generated: backfilled.size });
-
-          for (const [sid, draft] of backfilled) {
-            const candidate = cappedIds.find(c => String(c.storyId || '').trim() === sid);
-            if (!candidate) continue;
-            const entry = byId.get(sid) || {};
-            const curatedTitle = String(entry.curatedTitle || candidate.title || '').trim();
-            const curatedDek = String(entry.curatedDek || candidate.dek || '').trim();
-            const pack = candidate.evidencePack || {};
-            const title = String(draft.title || curatedTitle).trim() || curatedTitle;
-            const dek = String(draft.dek || curatedDek).trim() || curatedDek;
-            const backfilledArticle = {
-              id: sid,
-              section: candidate.section,
-              title,
-              dek,
-              meta: `${candidate.section} • ${editionDate}`,
-              image: '',
-              body: draft.body,
-              signals: Array.isArray(pack.signals) ? pack.signals : [],
-              markets: Array.isArray(pack.markets) ? pack.markets : [],
-              prompt: `Editorial photo illustration prompt: ${title}. Documentary realism. Dated ${editionDate}.`,
-              citations: Array.isArray(pack.citations) ? pack.citations : [],
-              stats: { econ: pack.econ || {}, markets: pack.markets || [] },
-              editionDate,
-              generatedFrom: `sonnet-backfill / ${normalized}`,
-              generatedAt: isoNow(),
-              curationGeneratedAt: generatedAt,
-              yearsForward
-            };
-            this.storeRendered(sid, backfilledArticle, { curationGeneratedAt: generatedAt });
-            latestDraftById.set(sid, { title, dek, body: draft.body });
-
-            // Update the story_curations row with the backfilled article
-            const existingRow = this.db.prepare('SELECT plan_json FROM story_curations WHERE story_id=? AND day=? AND years_forward=?').get(sid, normalized, yearsForward);
-            if (existingRow) {
-              const existingPlan = safeParseJson(existingRow.plan_json, {});
-              existingPlan.draftArticle = { title, dek, body: draft.body };
-              this.db.prepare('UPDATE story_curations SET plan_json=?, article_json=? WHERE story_id=? AND day=? AND years_forward=?')
-                .run(safeJson(existingPlan, {}), safeJson(backfilledArticle, {}), sid, normalized, yearsForward);
-            }
-          }
-        }
-
-        // ── Future-lens editorial gate (Sonnet 4.6): approve/revise/reject story plausibility ──
-        try {
-          const editorStories = candidates.map((candidate) => {
-            const storyId = String(candidate.storyId || '').trim();
-            if (!storyId) return null;
-            const entry = byId.get(storyId) || {};
-            const draft = latestDraftById.get(storyId);
-            const title = String(draft?.title || entry.curatedTitle || candidate.title || '').trim();
-            const dek = String(draft?.dek || entry.curatedDek || candidate.dek || '').trim();
-            const body = String(draft?.body || entry?.draftArticle?.body || '').trim();
-            const pack = candidate.evidencePack || {};
-            const evidence = Array.isArray(pack.citations)
-              ? pack.citations.slice(0, 2).map((c) => String(c?.title || '').trim()).filter(Boolean)
-              : [];
-            if (!title || !dek) return null;
-            return {
-              storyId,
-              section: candidate.section,
-              rank: candidate.rank,
-              topicLabel: String(candidate.topicLabel || pack?.topic?.label || '').trim(),
-              title,
-              dek,
-              body,
-              evidence
-            };
-          }).filter(Boolean);
-
-          this.traceEvent(normalized, 'curate.editor.start', {
-            yearsForward,
-            stories: editorStories.length
-          });
-
-          const editorReview = await reviewEditionWithFutureEditor({
-            day: normalized,
-            yearsForward,
-            editionDate,
-            stories: editorStories,
-            config
-          });
-
-          const decisions = Array.isArray(editorReview?.stories) ? editorReview.stories : [];
-          let reviewedCount = 0;
-          let revisedCount = 0;
-          let rejectedCount = 0;
-          const reviewedAt = isoNow();
-          const updateRow = this.db.prepare(`
-            UPDATE story_curations
-            SET plan_json=?, article_json=?
-            WHERE story_id=? AND day=? AND years_forward=?;
-          `);
-
-          for (const decisionEntry of decisions) {
-            const storyId = String(decisionEntry?.storyId || '').trim();
-            if (!storyId) continue;
-            const existingRow = this.db
-              .prepare('SELECT plan_json, article_json FROM story_curations WHERE story_id=? AND day=? AND years_forward=? LIMIT 1')
-              .get(storyId, normalized, yearsForward);
-            if (!existingRow) continue;
-
-            const existingPlan = safeParseJson(existingRow.plan_json, {});
-            const existingArticle = existingRow.article_json ? safeParseJson(existingRow.article_json, null) : null;
-            const decision = String(decisionEntry?.decision || 'approve').trim().toLowerCase();
-            const nextDecision =
-              decision === 'reject' || decision === 'rejected'
-                ? 'reject'
-                : decision === 'revise' || decision === 'rewrite'
-                  ? 'revise'
-                  : 'approve';
-            const reason = String(decisionEntry?.reason || '').trim();
-            const revisedTitle = String(decisionEntry?.title || '').trim();
-            const revisedDek = String(decisionEntry?.dek || '').trim();
-            const revisedBody = String(decisionEntry?.body || '').trim();
-
-            existingPlan.editorDecision = nextDecision;
-            existingPlan.editorReason = reason;
-            existingPlan.editorReviewedAt = reviewedAt;
-            existingPlan.editorModel = String(editorReview?.model || 'claude-sonnet-4-6');
-
-            if (nextDecision === 'reject') {
-              existingPlan.key = false;
-              existingPlan.hero = false;
-              rejectedCount++;
-            } else {
-              if (revisedTitle) {
-                existingPlan.curatedTitle = revisedTitle;
-                if (existingPlan?.draftArticle && typeof existingPlan.draftArticle === 'object') {
-                  existingPlan.draftArticle.title = revisedTitle;
-                }
-                if (existingArticle && typeof existingArticle === 'object') {
-                  existingArticle.title = revisedTitle;
-                }
-              }
-              if (revisedDek) {
-                existingPlan.curatedDek = revisedDek;
-                if (existingPlan?.draftArticle && typeof existingPlan.draftArticle === 'object') {
-                  existingPlan.draftArticle.dek = revisedDek;
-                }
-                if (existingArticle && typeof existingArticle === 'object') {
-                  existingArticle.dek = revisedDek;
-                }
-              }
-              if (revisedBody && revisedBody.length > 120) {
-                if (!existingPlan.draftArticle || typeof existingPlan.draftArticle !== 'object') {
-                  existingPlan.draftArticle = {};
-                }
-                existingPlan.draftArticle.body = revisedBody;
-                if (existingArticle && typeof existingArticle === 'object') {
-                  existingArticle.body = revisedBody;
-                }
-              }
-              if (nextDecision === 'revise') revisedCount++;
-            }
-
-            updateRow.run(
-              safeJson(existingPlan, {}),
-              existingArticle ? safeJson(existingArticle, {}) : null,
-              storyId,
-              normalized,
-              yearsForward
-            );
-
-            if (existingArticle && typeof existingArticle === 'object' && String(existingArticle.body || '').trim().length > 100) {
-              this.storeRendered(storyId, existingArticle, { curationGeneratedAt: generatedAt });
-            }
-            reviewedCount++;
-          }
-
-          this.traceEvent(normalized, 'curate.editor.end', {
-            yearsForward,
-            reviewed: reviewedCount,
-            revised: revisedCount,
-            rejected: rejectedCount
-          });
-        } catch (err) {
-          this.traceEvent(normalized, 'curate.editor.error', {
-            yearsForward,
-            error: String(err?.message || err)
-          });
-        }
-
-        editionCount++;
-
-        // Bake curated titles/deks into the stored edition payload so that
-        // subsequent cold-start Vercel instances serve curated content
-        // without needing access to story_curations in /tmp.
-        const editionRow = this.db.prepare('SELECT payload_json FROM editions WHERE day=? AND years_forward=?').get(normalized, yearsForward);
-        if (editionRow) {
-          const editionPayload = safeParseJson(editionRow.payload_json, null);
-          if (editionPayload) {
-            const patched = this.applyStoryCurationsToEditionPayload(editionPayload);
-            this.db.prepare(`
-              UPDATE editions SET payload_json=?, generated_at=? WHERE day=? AND years_forward=?
-            `).run(safeJson(patched, {}), isoNow(), normalized, yearsForward);
-          }
-        }
+        return {
+          ok: true,
+          day: normalized,
+          partial: true,
+          next: deferred.stage,
+          mode: config.mode,
+          model: config.model,
+          editions: editionCount,
+          curatedStories,
+          keyStories,
+          errors
+        };
       }
 
       this.lastCuration = isoNow();
@@ -2466,7 +3352,7 @@ export class FutureTimesPipeline {
           day: normalized,
           generatedAt: isoNow(),
           systemPrompt: config.systemPrompt || null,
-          editions: editionPrompts
+          editions: run.editionPrompts
         },
         payload: {
           schema: 1,
@@ -2475,7 +3361,8 @@ export class FutureTimesPipeline {
           provider: String(config.mode || ''),
           model: String(config.model || ''),
           keyStoriesPerEdition: config.keyStoriesPerEdition,
-          editions: editionPlans,
+          prewriteHorizons: config.prewriteHorizons,
+          editions: run.editionPlans,
           stats: { editions: editionCount, curatedStories, keyStories, errors }
         },
         error: hasFatalError ? JSON.stringify(errors).slice(0, 5000) : null
@@ -2487,7 +3374,8 @@ export class FutureTimesPipeline {
         editions: editionCount,
         curatedStories,
         keyStories,
-        errors: errors.length
+        errors: errors.length,
+        costUsd: this.getBudgetStatus(normalized).spentUsd
       });
       return {
         ok: true,
@@ -2499,13 +3387,788 @@ export class FutureTimesPipeline {
         keyStories,
         errors
       };
-    })().finally(() => {
+    }).finally(() => {
       this.curationInFlight = null;
     });
 
     return this.curationInFlight;
   }
 
+  listCurationCheckpoints(day) {
+    const normalized = normalizeDay(day) || formatDay();
+    return this.db
+      .prepare(`
+        SELECT day, years_forward, stage, chunk, status, attempts, started_at, finished_at, error
+        FROM curation_checkpoints
+        WHERE day=?
+        ORDER BY years_forward ASC, started_at ASC;
+      `)
+      .all(normalized)
+      .map((r) => ({
+        day: r.day,
+        yearsForward: r.years_forward,
+        stage: r.stage,
+        chunk: r.chunk,
+        status: r.status,
+        attempts: r.attempts,
+        startedAt: r.started_at,
+        finishedAt: r.finished_at,
+        error: r.error
+      }));
+  }
+
+  clearCurationCheckpoints(day) {
+    const normalized = normalizeDay(day) || formatDay();
+    this.db.prepare('DELETE FROM curation_checkpoints WHERE day=?').run(normalized);
+  }
+
+  // Write-through to the durable curation store; a store failure is traced, never fatal.
+  async syncCurationStore(day, fn) {
+    try {
+      await fn();
+    } catch (err) {
+      this.traceEvent(day, 'curate.store.error', { error: String(err?.message || err) });
+    }
+  }
+
+  /**
+   * Replace this instance's checkpoints (and the story_curations rows they produced) with the
+   * durable store's copy, so a run on a fresh instance resumes where another one stopped.
+   * Returns the number of checkpoints restored; 0 without a store.
+   */
+  async restoreCurationState(day) {
+    const normalized = normalizeDay(day) || formatDay();
+    let state = null;
+    await this.syncCurationStore(normalized, async () => {
+      state = await loadCurationState(normalized);
+    });
+    if (!state?.checkpoints?.length) return 0;
+
+    const insertCheckpoint = this.db.prepare(`
+      INSERT INTO curation_checkpoints(day, years_forward, stage, chunk, status, attempts, started_at, finished_at, error, result_json)
+      VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+    `);
+    this.clearCurationCheckpoints(normalized);
+    for (const c of state.checkpoints) {
+      insertCheckpoint.run(normalized, Number(c.years_forward), c.stage, c.chunk, c.status, Number(c.attempts) || 0, c.started_at, c.finished_at, c.error, c.result_json);
+    }
+    const insertStory = this.db.prepare(`
+      INSERT OR REPLACE INTO story_curations(
+        story_id, day, years_forward, section, rank, generated_at, model, key_story, plan_json, article_json
+      )
+      VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+    `);
+    for (const r of state.storyRows) {
+      insertStory.run(r.story_id, normalized, r.years_forward, r.section, r.rank, r.generated_at, r.model, r.key_story, r.plan_json, r.article_json ?? null);
+    }
+    this.traceEvent(normalized, 'curate.restore', { checkpoints: state.checkpoints.length, stories: state.storyRows.length });
+    return state.checkpoints.length;
+  }
+
+  // Copy one checkpoint, and once it is done its edition's story_curations rows, to the store.
+  async persistCurationCheckpoint(day, yearsForward, stage, chunk) {
+    if (!isCurationStoreEnabled()) return;
+    await this.syncCurationStore(day, async () => {
+      const row = this.db
+        .prepare('SELECT * FROM curation_checkpoints WHERE day=? AND years_forward=? AND stage=? AND chunk=?')
+        .get(day, yearsForward, stage, chunk);
+      if (row) await saveCurationCheckpoint(row);
+      if (row?.status === 'done' && yearsForward > 0) {
+        const rows = this.db.prepare('SELECT * FROM story_curations WHERE day=? AND years_forward=?').all(day, yearsForward);
+        await saveStoryCurations(day, yearsForward, rows);
+      }
+    });
+  }
+
+  // Rerunning a stage makes everything after it stale: later stages of the same edition, or of
+  // every edition when the day brief reruns.
+  async invalidateCurationStagesAfter(day, yearsForward, stage) {
+    const later = stage === 'day_brief' ? CURATION_STAGES : CURATION_STAGES.slice(CURATION_STAGES.indexOf(stage) + 1);
+    if (!later.length) return;
+    const placeholders = later.map(() => '?').join(', ');
+    const removed = stage === 'day_brief'
+      ? this.db.prepare(`DELETE FROM curation_checkpoints WHERE day=? AND stage IN (${placeholders})`).run(day, ...later)
+      : this.db.prepare(`DELETE FROM curation_checkpoints WHERE day=? AND years_forward=? AND stage IN (${placeholders})`).run(day, yearsForward, ...later);
+    if (!Number(removed?.changes)) return;
+    this.traceEvent(day, 'curate.invalidate', { yearsForward, stage, removed: Number(removed.changes) });
+    await this.syncCurationStore(day, () =>
+      deleteCurationCheckpoints(day, { yearsForward: stage === 'day_brief' ? null : yearsForward, stages: later })
+    );
+  }
+
+  // Per-edition, per-stage progress for the admin curation view.
+  getCurationProgress(day) {
+    const checkpoints = this.listCurationCheckpoints(day);
+    const editions = {};
+    for (const c of checkpoints) {
+      if (c.stage === 'day_brief') continue;
+      const key = String(c.yearsForward);
+      editions[key] ||= { yearsForward: c.yearsForward, stages: {} };
+      const stage = (editions[key].stages[c.stage] ||= { done: 0, total: 0, errors: 0, chunks: [] });
+      stage.total++;
+      if (c.status === 'done') stage.done++;
+      if (c.status === 'error') stage.errors++;
+      stage.chunks.push({ chunk: c.chunk, status: c.status, attempts: c.attempts, finishedAt: c.finishedAt, error: c.error });
+    }
+    const dayBrief = checkpoints.find((c) => c.stage === 'day_brief') || null;
+    const complete = checkpoints.length > 0 && checkpoints.every((c) => c.status === 'done' || c.attempts >= MAX_CURATION_STAGE_ATTEMPTS);
+    return { day: normalizeDay(day) || formatDay(), stages: CURATION_STAGES, dayBrief, editions, complete };
+  }
+
+  /**
+   * Run one checkpointed unit of curation. A stage that finished in an earlier invocation
+   * returns its stored result; once the run's time budget is spent (and at least one stage ran,
+   * so every call makes progress) no new stage starts and the run is deferred (err.code 'curation_deferred') for the next cron call to resume.
+   * Failures are recorded and return null; a stage is retried until it has been attempted
+   * MAX_CURATION_STAGE_ATTEMPTS times (a process killed mid-stage counts as an attempt).
+   * Running a stage again invalidates the stages after it, and every status change is written
+   * through to the durable curation store. With that store, a stage another instance is still
+   * running (within CURATION_STAGE_LEASE_MS) defers this run instead of duplicating it.
+   */
+  async runCurationStage(run, yearsForward, stage, chunk, fn) {
+    const select = this.db.prepare('SELECT status, attempts, started_at, result_json FROM curation_checkpoints WHERE day=? AND years_forward=? AND stage=? AND chunk=?');
+    const row = select.get(run.day, yearsForward, stage, chunk);
+    if (row?.status === 'done') return safeParseJson(row.result_json, null);
+    if (row && row.attempts >= MAX_CURATION_STAGE_ATTEMPTS) return null;
+    const leased = row?.status === 'running' && isCurationStoreEnabled() && Date.now() - Date.parse(row.started_at) < CURATION_STAGE_LEASE_MS;
+    if (leased || (Date.now() >= run.deadline && run.stagesRun > 0)) {
+      const reason = leased ? 'Another instance is running' : 'Curation time budget reached before';
+      const err = new Error(`${reason} ${stage}${chunk ? `:${chunk}` : ''} (+${yearsForward}y)`);
+      err.code = 'curation_deferred';
+      err.stage = { yearsForward, stage, chunk };
+      throw err;
+    }
+
+    await this.invalidateCurationStagesAfter(run.day, yearsForward, stage);
+    run.stagesRun++;
+    const startedAt = isoNow();
+    this.db.prepare(`
+      INSERT INTO curation_checkpoints(day, years_forward, stage, chunk, status, attempts, started_at, finished_at, error, result_json)
+      VALUES(?, ?, ?, ?, 'running', 1, ?, NULL, NULL, NULL)
+      ON CONFLICT(day, years_forward, stage, chunk) DO UPDATE SET
+        status='running', attempts=attempts + 1, started_at=excluded.started_at, finished_at=NULL, error=NULL;
+    `).run(run.day, yearsForward, stage, chunk, startedAt);
+    await this.persistCurationCheckpoint(run.day, yearsForward, stage, chunk);
+    const finish = this.db.prepare('UPDATE curation_checkpoints SET status=?, finished_at=?, error=?, result_json=? WHERE day=? AND years_forward=? AND stage=? AND chunk=?');
+
+    try {
+      const result = (await fn()) ?? null;
+      finish.run('done', isoNow(), null, safeJson(result, null), run.day, yearsForward, stage, chunk);
+      await this.persistCurationCheckpoint(run.day, yearsForward, stage, chunk);
+      return result;
+    } catch (err) {
+      const errorText = String(err?.message || err);
+      finish.run('error', isoNow(), errorText.slice(0, 2000), null, run.day, yearsForward, stage, chunk);
+      await this.persistCurationCheckpoint(run.day, yearsForward, stage, chunk);
+      this.traceEvent(run.day, 'curate.stage.error', { yearsForward, stage, chunk, error: errorText });
+      return null;
+    }
+  }
+
+  // An edition is ready to send once curation has published it, or the whole day finished
+  // curating (older runs kept no checkpoints).
+  isEditionCurated(day, yearsForward) {
+    const normalized = normalizeDay(day) || formatDay();
+    const dayRow = this.db.prepare('SELECT error FROM day_curations WHERE day=? LIMIT 1').get(normalized);
+    if (dayRow && !dayRow.error) return true;
+    const publish = this.db
+      .prepare("SELECT status FROM curation_checkpoints WHERE day=? AND years_forward=? AND stage='publish' AND chunk=''")
+      .get(normalized, Number(yearsForward));
+    return publish?.status === 'done';
+  }
+
+  // Write (or rewrite) one story_curations row from a plan entry; a draft body also stores the
+  // article and pre-populates the render cache.
+  storeStoryCurationFromPlan({ day, yearsForward, editionDate, candidate, entry, key = false, hero = false, draft = null, model, generatedAt, generatedFrom }) {
+    const storyId = String(candidate.storyId || '').trim();
+    const curatedTitle = String(entry.curatedTitle || '').trim() || String(candidate.title || '').trim();
+    const curatedDek = String(entry.curatedDek || '').trim() || String(candidate.dek || '').trim();
+    const draftBody = draft ? String(draft.body || '').trim() : '';
+
+    const normalizedPlan = {
+      schema: 1,
+      day,
+      yearsForward,
+      editionDate,
+      storyId,
+      section: candidate.section,
+      rank: candidate.rank,
+      angle: candidate.angle,
+      curatedTitle,
+      curatedDek,
+      key,
+      hero,
+      topicTitle:
+        String(entry.topicTitle || entry.topicSeed || '').trim() ||
+        String(candidate?.evidencePack?.topic?.theme || candidate?.evidencePack?.topic?.label || '').trim(),
+      sparkDirections: String(entry.sparkDirections || '').trim(),
+      futureEventSeed: String(entry.futureEventSeed || '').trim(),
+      outline: Array.isArray(entry.outline) ? entry.outline.slice(0, 8) : [],
+      extrapolationTrace: Array.isArray(entry.extrapolationTrace)
+        ? entry.extrapolationTrace.slice(0, 8).map((x) => String(x || '').trim()).filter(Boolean)
+        : [],
+      rationale: Array.isArray(entry.rationale) ? entry.rationale.slice(0, 8).map((x) => String(x || '').trim()).filter(Boolean) : [],
+      confidence: Number.isFinite(Number(entry.confidence)) ? Math.max(0, Math.min(100, Math.round(Number(entry.confidence)))) : 0,
+      draftArticle: draftBody ? {
+        title: String(draft.title || '').trim(),
+        dek: String(draft.dek || '').trim(),
+        body: draftBody
+      } : null
+    };
+
+    let articleJson = null;
+    if (draftBody) {
+      const pack = candidate.evidencePack || {};
+      const title = String(draft.title || curatedTitle || candidate.title || '').trim() || curatedTitle;
+      const dek = String(draft.dek || curatedDek || candidate.dek || '').trim() || curatedDek;
+      articleJson = {
+        id: storyId,
+        section: candidate.section,
+        title,
+        dek,
+        meta: `${candidate.section} • ${editionDate}`,
+        image: '',
+        body: draftBody,
+        signals: Array.isArray(pack.signals) ? pack.signals : [],
+        markets: Array.isArray(pack.markets) ? pack.markets : [],
+        prompt: `Editorial photo illustration prompt: ${title}. Documentary realism. Dated ${editionDate}.`,
+        citations: Array.isArray(pack.citations) ? pack.citations : [],
+        stats: { econ: pack.econ || {}, markets: pack.markets || [] },
+        editionDate,
+        generatedFrom: `${generatedFrom} / ${day}`,
+        generatedAt: isoNow(),
+        curationGeneratedAt: generatedAt,
+        yearsForward
+      };
+      // Pre-populate the render cache so this story loads instantly.
+      this.storeRendered(storyId, articleJson, { curationGeneratedAt: generatedAt, stage: 'draft', model, promptHash: draft.promptHash || null });
+    }
+
+    this.db.prepare(`
+      INSERT OR REPLACE INTO story_curations(
+        story_id, day, years_forward, section, rank, generated_at, model, key_story, plan_json, article_json
+      )
+      VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+    `).run(
+      storyId,
+      day,
+      yearsForward,
+      candidate.section,
+      candidate.rank,
+      generatedAt,
+      model,
+      key ? 1 : 0,
+      safeJson(normalizedPlan, {}),
+      articleJson ? safeJson(articleJson, {}) : null
+    );
+    return articleJson;
+  }
+
+  readStoryCurationRow(day, yearsForward, storyId) {
+    const row = this.db
+      .prepare('SELECT generated_at, plan_json, article_json FROM story_curations WHERE story_id=? AND day=? AND years_forward=? LIMIT 1')
+      .get(storyId, day, yearsForward);
+    if (!row) return null;
+    return {
+      generatedAt: row.generated_at,
+      plan: safeParseJson(row.plan_json, {}),
+      article: row.article_json ? safeParseJson(row.article_json, null) : null
+    };
+  }
+
+  // Stories as the future editor sees them: current curated title/dek/body plus two evidence
+  // headlines. Rejected stories are left out when withRejected is false.
+  listEditorReviewStories(day, yearsForward, candidates, options = {}) {
+    const withRejected = options.withRejected !== false;
+    return candidates.map((candidate) => {
+      const storyId = String(candidate.storyId || '').trim();
+      const row = storyId ? this.readStoryCurationRow(day, yearsForward, storyId) : null;
+      if (!row) return null;
+      if (!withRejected && row.plan.editorDecision === 'reject') return null;
+      const draft = row.plan.draftArticle || null;
+      const title = String(draft?.title || row.plan.curatedTitle || candidate.title || '').trim();
+      const dek = String(draft?.dek || row.plan.curatedDek || candidate.dek || '').trim();
+      const body = String(draft?.body || '').trim();
+      const pack = candidate.evidencePack || {};
+      const evidence = Array.isArray(pack.citations)
+        ? pack.citations.slice(0, 2).map(citationEvidenceLine).filter(Boolean)
+        : [];
+      if (!title || !dek) return null;
+      return {
+        storyId,
+        section: candidate.section,
+        rank: candidate.rank,
+        topicLabel: String(candidate.topicLabel || pack?.topic?.label || '').trim(),
+        title,
+        dek,
+        body,
+        evidence
+      };
+    }).filter(Boolean);
+  }
+
+  // Applies approve/revise/reject decisions to stored curations and re-renders revised articles.
+  applyEditorDecisions(normalized, yearsForward, editorReview) {
+    const decisions = Array.isArray(editorReview?.stories) ? editorReview.stories : [];
+    let reviewedCount = 0;
+    let revisedCount = 0;
+    let rejectedCount = 0;
+    const reviewedAt = isoNow();
+    const updateRow = this.db.prepare(`
+      UPDATE story_curations
+      SET plan_json=?, article_json=?
+      WHERE story_id=? AND day=? AND years_forward=?;
+    `);
+
+    for (const decisionEntry of decisions) {
+      const storyId = String(decisionEntry?.storyId || '').trim();
+      if (!storyId) continue;
+      const existingRow = this.readStoryCurationRow(normalized, yearsForward, storyId);
+      if (!existingRow) continue;
+
+      const existingPlan = existingRow.plan;
+      const existingArticle = existingRow.article;
+      const decision = String(decisionEntry?.decision || 'approve').trim().toLowerCase();
+      const nextDecision =
+        decision === 'reject' || decision === 'rejected'
+          ? 'reject'
+          : decision === 'revise' || decision === 'rewrite'
+            ? 'revise'
+            : 'approve';
+      const reason = String(decisionEntry?.reason || '').trim();
+      const revisedTitle = String(decisionEntry?.title || '').trim();
+      const revisedDek = String(decisionEntry?.dek || '').trim();
+      const revisedBody = String(decisionEntry?.body || '').trim();
+
+      existingPlan.editorDecision = nextDecision;
+      existingPlan.editorReason = reason;
+      existingPlan.editorReviewedAt = reviewedAt;
+      existingPlan.editorModel = String(editorReview?.model || 'claude-sonnet-4-6');
+
+      if (nextDecision === 'reject') {
+        existingPlan.key = false;
+        existingPlan.hero = false;
+        rejectedCount++;
+      } else {
+        if (revisedTitle) {
+          existingPlan.curatedTitle = revisedTitle;
+          if (existingPlan?.draftArticle && typeof existingPlan.draftArticle === 'object') {
+            existingPlan.draftArticle.title = revisedTitle;
+          }
+          if (existingArticle && typeof existingArticle === 'object') {
+            existingArticle.title = revisedTitle;
+          }
+        }
+        if (revisedDek) {
+          existingPlan.curatedDek = revisedDek;
+          if (existingPlan?.draftArticle && typeof existingPlan.draftArticle === 'object') {
+            existingPlan.draftArticle.dek = revisedDek;
+          }
+          if (existingArticle && typeof existingArticle === 'object') {
+            existingArticle.dek = revisedDek;
+          }
+        }
+        if (revisedBody && revisedBody.length > 120) {
+          if (!existingPlan.draftArticle || typeof existingPlan.draftArticle !== 'object') {
+            existingPlan.draftArticle = {};
+          }
+          existingPlan.draftArticle.body = revisedBody;
+          if (existingArticle && typeof existingArticle === 'object') {
+            existingArticle.body = revisedBody;
+          }
+        }
+        if (nextDecision === 'revise') revisedCount++;
+      }
+
+      updateRow.run(
+        safeJson(existingPlan, {}),
+        existingArticle ? safeJson(existingArticle, {}) : null,
+        storyId,
+        normalized,
+        yearsForward
+      );
+
+      if (existingArticle && typeof existingArticle === 'object' && String(existingArticle.body || '').trim().length > 100) {
+        this.storeRendered(storyId, existingArticle, {
+          curationGeneratedAt: existingArticle.curationGeneratedAt || reviewedAt,
+          stage: 'editor',
+          model: existingPlan.editorModel,
+          promptHash: editorReview?.promptHash || null
+        });
+      }
+      reviewedCount++;
+    }
+    return { reviewed: reviewedCount, revised: revisedCount, rejected: rejectedCount };
+  }
+
+  // Replaces the consistency flags on every story of an edition with the given conflicts.
+  flagConsistencyConflicts(day, yearsForward, conflicts) {
+    const flagsByStory = new Map();
+    for (const conflict of conflicts) {
+      for (const storyId of conflict.storyIds) {
+        if (!flagsByStory.has(storyId)) flagsByStory.set(storyId, []);
+        flagsByStory.get(storyId).push({
+          kind: conflict.kind,
+          summary: conflict.summary,
+          otherStoryIds: conflict.storyIds.filter((id) => id !== storyId),
+          claims: conflict.claims.map((c) => ({ storyId: c.storyId, sentence: c.sentence }))
+        });
+      }
+    }
+    const rows = this.db.prepare('SELECT story_id, plan_json FROM story_curations WHERE day=? AND years_forward=?').all(day, yearsForward);
+    const update = this.db.prepare('UPDATE story_curations SET plan_json=? WHERE story_id=? AND day=? AND years_forward=?');
+    for (const row of rows) {
+      const plan = safeParseJson(row.plan_json, {});
+      const flags = flagsByStory.get(row.story_id) || [];
+      if (!flags.length && !plan.consistencyFlags) continue;
+      if (flags.length) plan.consistencyFlags = flags;
+      else delete plan.consistencyFlags;
+      update.run(safeJson(plan, {}), row.story_id, day, yearsForward);
+    }
+  }
+
+  /**
+   * One edition in checkpointed stages: a plan per section (titles, deks, directions), key
+   * story selection and drafts, capped backfill in fixed batches, the future-editor review and
+   * finally baking curations into the edition payload. Every stage reads what earlier stages
+   * stored in story_curations, so a resumed run picks up exactly where the last one stopped.
+   */
+  async curateEditionInStages(run, yearsForward) {
+    const { day: normalized, config, snapshot } = run;
+    const edition = this.getEdition(normalized, yearsForward, { applyCuration: false });
+    if (!edition) return;
+    const editionDate = String(edition.date || formatEditionDate(normalized, yearsForward));
+    const candidates = this.listEditionStoryCandidates(normalized, yearsForward);
+    if (!candidates.length) return;
+
+    // Over the downgrade threshold every stage of this edition runs on the fallback model;
+    // over the cap the optional stages (backfill, editor review, images) are skipped too.
+    const budget = config.mode === 'mock' ? { state: 'ok' } : this.getBudgetStatus(normalized);
+    config.model = budget.state === 'ok' ? run.requestedModel : FALLBACK_LLM_MODEL;
+    const overBudget = budget.state === 'exceeded';
+    if (budget.state !== 'ok') {
+      this.traceEvent(normalized, 'curate.budget', { yearsForward, ...budget, model: config.model, skipOptional: overBudget });
+    }
+
+    const prewrite = config.prewriteHorizons.includes(yearsForward);
+    const keyCount = prewrite ? config.keyStoriesPerEdition : 0;
+    const canon = this.getCanonForEdition(normalized, yearsForward);
+    run.editionPrompts[String(yearsForward)] = {
+      yearsForward,
+      editionDate,
+      keyCount,
+      prompt: buildEditionCurationPrompt({ day: normalized, yearsForward, editionDate, candidates, snapshot, keyCount, canon })
+    };
+
+    const editionStartedAtMs = Date.now();
+    const onValidation = (event) => this.traceEvent(normalized, 'curate.validation', { yearsForward, editionDate, ...event });
+    this.traceEvent(normalized, 'curate.edition.start', { yearsForward, editionDate, candidates: candidates.length, prewrite, mode: config.mode, model: config.model });
+    const candidateById = new Map(candidates.map((c) => [String(c.storyId || '').trim(), c]));
+
+    // ── Stage: plans, one request per section ──
+    const sections = SECTION_ORDER.filter((section) => candidates.some((c) => c.section === section));
+    for (const section of new Set(candidates.map((c) => c.section))) if (!sections.includes(section)) sections.push(section);
+    const planStories = [];
+    let planModel = '';
+    for (const section of sections) {
+      const result = await this.runCurationStage(run, yearsForward, 'plan', section, async () => {
+        const sectionCandidates = candidates.filter((c) => c.section === section);
+        const plan = await generateEditionCurationPlan({
+          day: normalized,
+          yearsForward,
+          editionDate,
+          candidates: sectionCandidates,
+          snapshot,
+          canon,
+          keyCount: 0,
+          config,
+          onValidation
+        });
+        const byId = new Map((Array.isArray(plan?.stories) ? plan.stories : []).map((s) => [String(s?.storyId || '').trim(), s]));
+        const model = String(plan?.model || config.model || '').trim() || config.model;
+        const generatedAt = isoNow();
+        const stories = [];
+        const skipped = [];
+        for (const candidate of sectionCandidates) {
+          // Entries dropped by validation (or never returned) stay uncurated rather than
+          // publishing the raw candidate title as if the model had approved it.
+          const entry = byId.get(String(candidate.storyId || '').trim());
+          if (!entry) {
+            skipped.push(candidate.storyId);
+            continue;
+          }
+          this.storeStoryCurationFromPlan({ day: normalized, yearsForward, editionDate, candidate, entry, model, generatedAt, generatedFrom: 'sonnet-curator' });
+          stories.push({ ...entry, draftArticle: null });
+        }
+        if (skipped.length) this.traceEvent(normalized, 'curate.plan.skipped', { yearsForward, section, storyIds: skipped });
+        return { model, generatedAt, stories };
+      });
+      if (!result) continue;
+      planStories.push(...result.stories);
+      planModel ||= result.model;
+    }
+    const planById = new Map(planStories.map((s) => [String(s?.storyId || '').trim(), s]));
+
+    // ── Stage: key stories (picked by reader pull in their own call, at least one AI story) and
+    // their drafts. Plan confidence measures plausibility, so it does not rank the front page.
+    const keys = await this.runCurationStage(run, yearsForward, 'keys', '', async () => {
+      if (keyCount <= 0) return { keyStoryIds: [], heroId: null, drafted: [] };
+      const planned = candidates
+        .filter((c) => planById.has(c.storyId))
+        .sort((a, b) => (Number(a.rank) || 0) - (Number(b.rank) || 0))
+        .map((c) => ({
+          storyId: c.storyId,
+          section: c.section,
+          rank: c.rank,
+          title: String(planById.get(c.storyId).curatedTitle || c.title || '').trim(),
+          dek: String(planById.get(c.storyId).curatedDek || c.dek || '').trim()
+        }));
+      const keyStoryIds = await selectKeyStories({ editionDate, stories: planned, keyCount, config, onValidation });
+      const ai = planned.find((c) => c.section === 'AI');
+      if (ai && keyStoryIds.length && !keyStoryIds.some((id) => candidateById.get(id)?.section === 'AI')) {
+        keyStoryIds[keyStoryIds.length - 1] = ai.storyId;
+      }
+      const heroId = keyStoryIds[0] || null;
+
+      const drafts = await generateMissingArticleBodies(keyStoryIds.map((storyId) => {
+        const entry = planById.get(storyId) || {};
+        const candidate = candidateById.get(storyId);
+        return {
+          storyId,
+          title: String(entry.curatedTitle || candidate.title || '').trim(),
+          dek: String(entry.curatedDek || candidate.dek || '').trim(),
+          sparkDirections: String(entry.sparkDirections || '').trim(),
+          topicTitle: String(entry.topicTitle || '').trim(),
+          editionDate,
+          section: candidate.section
+        };
+      }), config, { onValidation });
+
+      const generatedAt = isoNow();
+      const model = planModel || config.model;
+      // A rerun may pick different keys; earlier picks go back to plain plan rows.
+      const previousKeys = this.db
+        .prepare('SELECT story_id FROM story_curations WHERE day=? AND years_forward=? AND key_story=1')
+        .all(normalized, yearsForward)
+        .map((r) => r.story_id)
+        .filter((id) => !keyStoryIds.includes(id) && planById.has(id) && candidateById.has(id));
+      for (const storyId of previousKeys) {
+        const candidate = candidateById.get(storyId);
+        this.storeStoryCurationFromPlan({ day: normalized, yearsForward, editionDate, candidate, entry: planById.get(storyId), model, generatedAt, generatedFrom: 'sonnet-curator' });
+      }
+      for (const storyId of keyStoryIds) {
+        const candidate = candidateById.get(storyId);
+        const entry = planById.get(storyId) || {};
+        const draft = drafts.get(storyId) || null;
+        const hero = storyId === heroId;
+        this.storeStoryCurationFromPlan({ day: normalized, yearsForward, editionDate, candidate, entry, key: true, hero, draft, model, generatedAt, generatedFrom: 'sonnet-curator' });
+        // Generate an image for key stories if OpenAI key is available
+        if (draft && !overBudget) {
+          const imgPath = await generateStoryImage(String(draft.title || entry.curatedTitle || '').trim(), storyId);
+          if (imgPath) {
+            const row = this.readStoryCurationRow(normalized, yearsForward, storyId);
+            if (row?.article) {
+              row.article.image = imgPath;
+              this.db.prepare('UPDATE story_curations SET article_json=? WHERE story_id=? AND day=? AND years_forward=?')
+                .run(safeJson(row.article, {}), storyId, normalized, yearsForward);
+              this.storeRendered(storyId, row.article, { curationGeneratedAt: generatedAt, stage: 'image' });
+            }
+          }
+        }
+      }
+      return { keyStoryIds, heroId, drafted: Array.from(drafts.keys()) };
+    });
+    const keyStoryIds = Array.isArray(keys?.keyStoryIds) ? keys.keyStoryIds : [];
+
+    // ── Stage: backfill bodies for the capped prewrite set, in fixed batches ──
+    const backfillPool = prewrite ? candidates.slice(0, config.backfillLimit) : [];
+    const batchSize = process.env.VERCEL ? 5 : 10;
+    for (let i = 0; i < backfillPool.length; i += batchSize) {
+      await this.runCurationStage(run, yearsForward, 'backfill', `batch-${i / batchSize}`, async () => {
+        const missing = [];
+        for (const candidate of backfillPool.slice(i, i + batchSize)) {
+          const sid = String(candidate.storyId || '').trim();
+          const row = this.readStoryCurationRow(normalized, yearsForward, sid);
+          if (!row) continue;
+          if (String(row.plan?.draftArticle?.body || '').trim().length > 50) continue;
+          if (!(Number(row.plan?.confidence) > 0)) continue;
+          missing.push({
+            storyId: sid,
+            title: String(row.plan.curatedTitle || candidate.title || '').trim(),
+            dek: String(row.plan.curatedDek || candidate.dek || '').trim(),
+            sparkDirections: String(row.plan.sparkDirections || '').trim(),
+            topicTitle: String(row.plan.topicTitle || '').trim(),
+            editionDate,
+            section: candidate.section
+          });
+        }
+        if (!missing.length) return { missing: 0, generated: 0 };
+        if (overBudget) {
+          this.traceEvent(normalized, 'curate.backfill.skip', { yearsForward, missing: missing.length, reason: 'budget_exceeded' });
+          return { missing: missing.length, generated: 0, skipped: 'budget_exceeded' };
+        }
+
+        this.traceEvent(normalized, 'curate.backfill.start', { yearsForward, missing: missing.length });
+        const backfilled = await generateMissingArticleBodies(missing, config, { onValidation });
+        this.traceEvent(normalized, 'curate.backfill.end', { yearsForward, generated: backfilled.size });
+
+        for (const [sid, draft] of backfilled) {
+          const candidate = candidateById.get(sid);
+          const row = this.readStoryCurationRow(normalized, yearsForward, sid);
+          if (!candidate || !row) continue;
+          const curatedTitle = String(row.plan.curatedTitle || candidate.title || '').trim();
+          const curatedDek = String(row.plan.curatedDek || candidate.dek || '').trim();
+          const pack = candidate.evidencePack || {};
+          const title = String(draft.title || curatedTitle).trim() || curatedTitle;
+          const dek = String(draft.dek || curatedDek).trim() || curatedDek;
+          const curationGeneratedAt = row.generatedAt || isoNow();
+          const backfilledArticle = {
+            id: sid,
+            section: candidate.section,
+            title,
+            dek,
+            meta: `${candidate.section} • ${editionDate}`,
+            image: '',
+            body: draft.body,
+            signals: Array.isArray(pack.signals) ? pack.signals : [],
+            markets: Array.isArray(pack.markets) ? pack.markets : [],
+            prompt: `Editorial photo illustration prompt: ${title}. Documentary realism. Dated ${editionDate}.`,
+            citations: Array.isArray(pack.citations) ? pack.citations : [],
+            stats: { econ: pack.econ || {}, markets: pack.markets || [] },
+            editionDate,
+            generatedFrom: `sonnet-backfill / ${normalized}`,
+            generatedAt: isoNow(),
+            curationGeneratedAt,
+            yearsForward
+          };
+          this.storeRendered(sid, backfilledArticle, { curationGeneratedAt, stage: 'backfill', model: config.model, promptHash: draft.promptHash || null });
+
+          // Update the story_curations row with the backfilled article
+          row.plan.draftArticle = { title, dek, body: draft.body };
+          this.db.prepare('UPDATE story_curations SET plan_json=?, article_json=? WHERE story_id=? AND day=? AND years_forward=?')
+            .run(safeJson(row.plan, {}), safeJson(backfilledArticle, {}), sid, normalized, yearsForward);
+        }
+        return { missing: missing.length, generated: backfilled.size };
+      });
+    }
+
+    // ── Stage: future-lens editorial gate (Sonnet 4.6): approve/revise/reject story plausibility ──
+    await this.runCurationStage(run, yearsForward, 'editor', '', async () => {
+      const editorStories = this.listEditorReviewStories(normalized, yearsForward, candidates);
+      this.traceEvent(normalized, 'curate.editor.start', {
+        yearsForward,
+        stories: editorStories.length
+      });
+
+      const editorReview = overBudget
+        ? { stories: [], skipped: true, reason: 'budget_exceeded' }
+        : await reviewEditionWithFutureEditor({
+          day: normalized,
+          yearsForward,
+          editionDate,
+          stories: editorStories,
+          config,
+          onValidation
+        });
+      if (editorReview?.skipped) {
+        this.traceEvent(normalized, 'curate.editor.skip', { yearsForward, reason: editorReview.reason });
+        return { skipped: editorReview.reason };
+      }
+
+      const counts = this.applyEditorDecisions(normalized, yearsForward, editorReview);
+      this.traceEvent(normalized, 'curate.editor.end', { yearsForward, ...counts });
+      return counts;
+    });
+
+    // ── Stage: cross-story consistency. Conflicting claims go back to the editor once; whatever
+    // still conflicts afterwards is flagged on the stories for the curation admin page.
+    await this.runCurationStage(run, yearsForward, 'consistency', '', async () => {
+      const check = () => findConflicts(this.listEditorReviewStories(normalized, yearsForward, candidates, { withRejected: false }));
+      const found = check();
+      let revised = 0;
+      let rejected = 0;
+      if (found.length && !overBudget) {
+        const involved = new Set(found.flatMap((c) => c.storyIds));
+        const review = await reviewEditionWithFutureEditor({
+          day: normalized,
+          yearsForward,
+          editionDate,
+          stage: 'editor.consistency',
+          stories: this.listEditorReviewStories(normalized, yearsForward, candidates).filter((st) => involved.has(st.storyId)),
+          conflicts: found,
+          config,
+          onValidation
+        });
+        if (!review?.skipped) ({ revised, rejected } = this.applyEditorDecisions(normalized, yearsForward, review));
+      }
+      const remaining = revised || rejected ? check() : found;
+      this.flagConsistencyConflicts(normalized, yearsForward, remaining);
+      this.traceEvent(normalized, 'curate.consistency', {
+        yearsForward,
+        found: found.length,
+        revised,
+        rejected,
+        flagged: remaining.length,
+        conflicts: remaining.slice(0, 10).map((c) => ({ kind: c.kind, summary: c.summary, storyIds: c.storyIds }))
+      });
+      return { found: found.length, revised, rejected, flagged: remaining.map((c) => ({ kind: c.kind, summary: c.summary, storyIds: c.storyIds })) };
+    });
+
+    // ── Stage: bake curated titles/deks into the stored edition payload so that subsequent
+    // cold-start Vercel instances serve curated content without needing story_curations in /tmp.
+    await this.runCurationStage(run, yearsForward, 'publish', '', () => {
+      const editionRow = this.db.prepare('SELECT payload_json FROM editions WHERE day=? AND years_forward=?').get(normalized, yearsForward);
+      const editionPayload = editionRow ? safeParseJson(editionRow.payload_json, null) : null;
+      if (!editionPayload) return { patched: false };
+      const patched = this.applyStoryCurationsToEditionPayload(editionPayload);
+      this.db.prepare(`
+        UPDATE editions SET payload_json=?, generated_at=? WHERE day=? AND years_forward=?
+      `).run(safeJson(patched, {}), isoNow(), normalized, yearsForward);
+      return { patched: true };
+    });
+
+    // ── Stage: record what this edition established in the future world canon. Over budget the
+    // deterministic claim rules stand in for the model.
+    await this.runCurationStage(run, yearsForward, 'canon', '', async () => {
+      const published = this.listEditorReviewStories(normalized, yearsForward, candidates, { withRejected: false });
+      const extracted = await extractWorldFacts({
+        stories: published,
+        editionDate,
+        targetYear: Number(normalized.slice(0, 4)) + yearsForward,
+        canon,
+        config: overBudget ? { ...config, mode: 'mock' } : config,
+        onValidation
+      });
+      const recorded = this.recordWorldFacts(normalized, yearsForward, extracted.facts);
+      this.traceEvent(normalized, 'curate.canon', { yearsForward, source: extracted.source, facts: extracted.facts.length, stored: recorded.stored });
+      return { source: extracted.source, facts: extracted.facts.length, stored: recorded.stored };
+    });
+
+    // ── Stage: record the predictions published stories imply, for later calibration ──
+    await this.runCurationStage(run, yearsForward, 'forecasts', '', () => {
+      const recorded = this.recordEditionPredictions(normalized, yearsForward, candidates);
+      this.traceEvent(normalized, 'curate.forecasts', { yearsForward, ...recorded });
+      return recorded;
+    });
+
+    run.editionPlans[String(yearsForward)] = {
+      schema: 1,
+      day: normalized,
+      yearsForward,
+      editionDate,
+      model: planModel || config.model,
+      keyStoryIds,
+      stories: planStories
+    };
+    this.traceEvent(normalized, 'curate.edition.end', {
+      yearsForward,
+      editionDate,
+      elapsedMs: Date.now() - editionStartedAtMs,
+      stories: planStories.length,
+      keyStoryIds: keyStoryIds.slice(0, 10)
+    });
+  }
+
   listStoryCurations(day, options = {}) {
     const normalized = normalizeDay(day) || formatDay();
     const yearsForward = options.yearsForward;
@@ -2610,6 +4273,7 @@ export class FutureTimesPipeline {
     if (!candidates.length) throw new Error('no_candidates');
 
     const config = getSonnetCurationConfigFromEnv();
+    if (config.credentialsMissing) throw new Error(`missing_api_key: ${missingCredentialsMessage(config)}`);
     if (options.systemPrompt != null) {
       config.systemPrompt = String(options.systemPrompt || '').trim() || config.systemPrompt;
     }
@@ -2619,12 +4283,12 @@ export class FutureTimesPipeline {
     if (!prompt) {
       // Auto-generate the standard curation prompt if none provided
       prompt = buildEditionCurationPrompt({
-        day: normalized, yearsForward: y, editionDate, candidates, keyCount, snapshot
+        day: normalized, yearsForward: y, editionDate, candidates, keyCount, snapshot, canon: this.getCanonForEdition(normalized, y)
       });
     }
 
     this.traceEvent(normalized, 'curate.edition.custom.start', { yearsForward: y, editionDate, keyCount, mode: config.mode, model: config.model });
-    const plan = await generateEditionCurationPlan({
+    const plan = await withUsageScope({ day: normalized }, () => generateEditionCurationPlan({
       day: normalized,
       yearsForward: y,
       editionDate,
@@ -2632,8 +4296,9 @@ export class FutureTimesPipeline {
       snapshot,
       keyCount,
       prompt,
-      config
-    });
+      config,
+      onValidation: (event) => this.traceEvent(normalized, 'curate.validation', { yearsForward: y, editionDate, ...event })
+    }));
     this.traceEvent(normalized, 'curate.edition.custom.end', { yearsForward: y, editionDate, stories: Array.isArray(plan?.stories) ? plan.stories.length : 0 });
 
     // Store just like the normal loop.
@@ -2715,7 +4380,7 @@ export class FutureTimesPipeline {
           curationGeneratedAt: generatedAt,
           yearsForward: y
         };
-        this.storeRendered(storyId, articleJson, { curationGeneratedAt: generatedAt });
+        this.storeRendered(storyId, articleJson, { curationGeneratedAt: generatedAt, stage: 'draft', model, promptHash: promptHashOf(prompt) });
       }
 
       upsert.run(
@@ -2754,17 +4419,3 @@ export class FutureTimesPipeline {
     return { ok: true, day: normalized, yearsForward: y, editionDate, plan };
   }
 }
-
-async function fetchWithTimeout(url, options = {}) {
-  const timeoutMs = Number(options.timeoutMs || 9000);
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    return await fetch(url, {
-      headers: options.headers || {},
-      signal: controller.signal
-    });
-  } finally {
-    clearTimeout(timeout);
-  }
-}
@@ -26,21 +26,21 @@ function yesProbability(market) {
   return null;
 }
 
-export async function fetchPolymarketRawItems(url, fetchedAtIso) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 9000);
-  const response = await fetch(url, {
-    headers: {
-      'user-agent': 'FutureTimesBot/1.0',
-      accept: 'application/json'
-    },
-    signal: controller.signal
-  }).finally(() => clearTimeout(timeout));
-  if (!response.ok) {
-    const text = await response.text().catch(() => '');
-    throw new Error(`Polymarket fetch failed ${response.status}: ${text.slice(0, 140)}`);
-  }
-  const payload = await response.json();
+// Final state of one market from gamma `/markets?slug=...&closed=true`: { settled, outcome }
+// once it closed with the yes price pinned to 0 or 1, { settled: false } while it is still
+// open or awaiting resolution.
+export function polymarketSettlement(payload) {
+  // The gamma filter returns no market until it has closed.
+  const market = (Array.isArray(payload) ? payload : Array.isArray(payload?.markets) ? payload.markets : [payload])[0];
+  if (!market || typeof market !== 'object') return { settled: false };
+  const prob = yesProbability(market);
+  if (!market.closed || prob === null) return { settled: false };
+  if (prob >= 0.99) return { settled: true, outcome: 1, value: prob };
+  if (prob <= 0.01) return { settled: true, outcome: 0, value: prob };
+  return { settled: false };
+}
+
+export function parsePolymarketMarkets(payload, fetchedAtIso) {
   const markets = Array.isArray(payload) ? payload : Array.isArray(payload?.markets) ? payload.markets : [];
   const items = [];
 
@@ -63,7 +63,10 @@ export async function fetchPolymarketRawItems(url, fetchedAtIso) {
       summary: summaryBits.join(' • '),
       link: canonicalUrl,
       publishedAt: fetchedAtIso,
-      payloadJson: market
+      payloadJson: market,
+      market: slug
+        ? { exchange: 'polymarket', slug, question, yesProb: prob, volume, closeDate: endDate ? endDate.slice(0, 10) : null, url: canonicalUrl }
+        : null
     });
   }
 
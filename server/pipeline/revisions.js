@@ -0,0 +1,69 @@
+import { sha256Hex } from './utils.js';
+
+// Article revisions in the render cache. Every stored article is also kept as a revision with
+// its provenance; these helpers decide when two revisions differ and show how.
+
+const COMPARED_FIELDS = ['title', 'dek', 'image'];
+
+// Short id of the prompt that produced a revision (null when it is not known).
+export function promptHashOf(prompt) {
+  const text = String(prompt || '');
+  return text ? sha256Hex(text).slice(0, 16) : null;
+}
+
+// Hash of what a reader sees; bookkeeping fields (generatedAt, ...) do not make a new revision.
+export function contentHashOf(article) {
+  const a = article && typeof article === 'object' ? article : {};
+  return sha256Hex(JSON.stringify([a.title || '', a.dek || '', a.image || '', a.body || '', a.blocks || null])).slice(0, 16);
+}
+
+function paragraphs(article) {
+  return String(article?.body || '').replace(/\r/g, '').split(/\n\s*\n/).map((p) => p.replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
+
+// Longest-common-subsequence diff of two lists: [{ op: 'same' | 'remove' | 'add', text }].
+export function diffLists(from, to) {
+  const n = from.length;
+  const m = to.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = from[i] === to[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (from[i] === to[j]) {
+      out.push({ op: 'same', text: from[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ op: 'remove', text: from[i++] });
+    } else {
+      out.push({ op: 'add', text: to[j++] });
+    }
+  }
+  while (i < n) out.push({ op: 'remove', text: from[i++] });
+  while (j < m) out.push({ op: 'add', text: to[j++] });
+  return out;
+}
+
+/**
+ * Differences between two stored articles: changed headline fields as { field, from, to },
+ * the body paragraph by paragraph, and counts of added/removed paragraphs.
+ */
+export function diffArticles(fromArticle, toArticle) {
+  const fields = COMPARED_FIELDS
+    .map((field) => ({ field, from: String(fromArticle?.[field] || ''), to: String(toArticle?.[field] || '') }))
+    .filter((f) => f.from !== f.to);
+  const body = diffLists(paragraphs(fromArticle), paragraphs(toArticle));
+  return {
+    fields,
+    body,
+    added: body.filter((d) => d.op === 'add').length,
+    removed: body.filter((d) => d.op === 'remove').length,
+    unchanged: body.filter((d) => d.op === 'same').length
+  };
+}
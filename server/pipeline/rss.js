@@ -1,38 +1,305 @@
-function decodeHtml(value) {
-  return String(value || '')
-    .replace(/&lt;/gi, '<')
-    .replace(/&gt;/gi, '>')
-    .replace(/&amp;/gi, '&')
-    .replace(/&quot;/gi, '"')
-    .replace(/&#39;/gi, "'")
-    .replace(/&apos;/gi, "'")
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-function stripTags(value) {
-  return String(value || '')
-    .replace(/<[^>]*>/g, ' ')
-    .replace(/<!\[CDATA\[|\]\]>/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-function extractTag(block, tagName) {
-  const pattern = new RegExp(`<${tagName}[^>]*>([\\s\\S]*?)<\\/${tagName}>`, 'i');
-  const match = String(block || '').match(pattern);
-  if (!match) return '';
-  // Decode HTML entities first, then strip tags, to handle feeds that embed escaped HTML like "&lt;p&gt;".
-  return stripTags(decodeHtml(match[1]));
-}
-
-function extractAtomLink(entryBlock) {
-  const block = String(entryBlock || '');
-  const linkTag = block.match(/<link[^>]+>/i);
-  if (!linkTag) return extractTag(block, 'link');
-  const href = linkTag[0].match(/href=\"([^\"]+)\"/i);
-  if (!href) return '';
-  return decodeHtml(href[1]);
+// Tolerant XML feed parsing (RSS 0.9x/2.0, RSS 1.0/RDF, Atom).
+// Feeds in the wild are frequently not well-formed, so the tokenizer never throws: stray `<`
+// becomes text, unknown entities are kept verbatim and mismatched end tags close back to the
+// nearest open element with the same name.
+
+const NS = {
+  atom: 'http://www.w3.org/2005/Atom',
+  content: 'http://purl.org/rss/1.0/modules/content/',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  itunes: 'http://www.itunes.com/dtds/podcast-1.0.dtd',
+  media: 'http://search.yahoo.com/mrss/'
+};
+
+// Prefixes feeds commonly use without declaring them.
+const DEFAULT_PREFIX_NS = { ...NS, xml: 'http://www.w3.org/XML/1998/namespace' };
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  sbquo: '‚',
+  ldquo: '“',
+  rdquo: '”',
+  bdquo: '„',
+  laquo: '«',
+  raquo: '»',
+  bull: '•',
+  middot: '·',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  deg: '°',
+  euro: '€',
+  pound: '£',
+  yen: '¥',
+  cent: '¢',
+  sect: '§',
+  para: '¶',
+  times: '×',
+  divide: '÷',
+  plusmn: '±',
+  frac12: '½',
+  frac14: '¼',
+  frac34: '¾',
+  prime: '′',
+  Prime: '″',
+  dagger: '†',
+  ensp: ' ',
+  emsp: ' ',
+  thinsp: ' ',
+  zwj: '‍',
+  zwnj: '‌',
+  shy: '­',
+  iexcl: '¡',
+  iquest: '¿',
+  aacute: 'á',
+  Aacute: 'Á',
+  agrave: 'à',
+  acirc: 'â',
+  atilde: 'ã',
+  auml: 'ä',
+  Auml: 'Ä',
+  aring: 'å',
+  aelig: 'æ',
+  ccedil: 'ç',
+  Ccedil: 'Ç',
+  eacute: 'é',
+  Eacute: 'É',
+  egrave: 'è',
+  ecirc: 'ê',
+  euml: 'ë',
+  iacute: 'í',
+  igrave: 'ì',
+  icirc: 'î',
+  iuml: 'ï',
+  ntilde: 'ñ',
+  Ntilde: 'Ñ',
+  oacute: 'ó',
+  Oacute: 'Ó',
+  ograve: 'ò',
+  ocirc: 'ô',
+  otilde: 'õ',
+  ouml: 'ö',
+  Ouml: 'Ö',
+  oslash: 'ø',
+  szlig: 'ß',
+  uacute: 'ú',
+  Uacute: 'Ú',
+  ugrave: 'ù',
+  ucirc: 'û',
+  uuml: 'ü',
+  Uuml: 'Ü',
+  yacute: 'ý',
+  yuml: 'ÿ'
+};
+
+export function decodeEntities(value) {
+  return String(value || '').replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);/gi, (match, body) => {
+    if (body[0] === '#') {
+      const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      if (!Number.isFinite(code) || code <= 0 || code > 0x10ffff) return match;
+      try {
+        return String.fromCodePoint(code);
+      } catch {
+        return match;
+      }
+    }
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, body) ? NAMED_ENTITIES[body] : match;
+  });
+}
+
+function parseAttributes(raw) {
+  const attrs = {};
+  const pattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(raw))) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attrs[match[1].toLowerCase()] = decodeEntities(value);
+  }
+  return attrs;
+}
+
+// Scan to the `>` that closes a tag, skipping quoted attribute values. If a quote is never
+// closed, fall back to the first `>` so one broken attribute cannot swallow the document.
+function findTagEnd(text, start) {
+  let quote = null;
+  for (let j = start; j < text.length; j++) {
+    const c = text[j];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '>') {
+      return j;
+    }
+  }
+  return text.indexOf('>', start);
+}
+
+export function* tokenizeXml(xml) {
+  const text = String(xml || '');
+  const n = text.length;
+  let i = 0;
+  while (i < n) {
+    const lt = text.indexOf('<', i);
+    if (lt < 0) {
+      yield { type: 'text', text: text.slice(i) };
+      return;
+    }
+    if (lt > i) yield { type: 'text', text: text.slice(i, lt) };
+
+    if (text.startsWith('<!--', lt)) {
+      const end = text.indexOf('-->', lt + 4);
+      i = end < 0 ? n : end + 3;
+      continue;
+    }
+    if (text.startsWith('<![CDATA[', lt)) {
+      const end = text.indexOf(']]>', lt + 9);
+      yield { type: 'cdata', text: text.slice(lt + 9, end < 0 ? n : end) };
+      i = end < 0 ? n : end + 3;
+      continue;
+    }
+    if (text.startsWith('<?', lt)) {
+      const end = text.indexOf('?>', lt + 2);
+      i = end < 0 ? n : end + 2;
+      continue;
+    }
+    if (text.startsWith('<!', lt)) {
+      // DOCTYPE (possibly with an internal subset).
+      const close = text.indexOf('>', lt + 2);
+      const bracket = text.indexOf('[', lt + 2);
+      const end = bracket >= 0 && (close < 0 || bracket < close) ? text.indexOf(']>', bracket) + 1 : close;
+      i = end <= 0 ? n : end + 1;
+      continue;
+    }
+    if (text[lt + 1] === '/') {
+      const end = text.indexOf('>', lt + 2);
+      const name = text.slice(lt + 2, end < 0 ? n : end).trim().toLowerCase();
+      if (name) yield { type: 'close', name };
+      i = end < 0 ? n : end + 1;
+      continue;
+    }
+    if (!/[A-Za-z_]/.test(text[lt + 1] || '')) {
+      yield { type: 'text', text: '<' };
+      i = lt + 1;
+      continue;
+    }
+
+    const end = findTagEnd(text, lt + 1);
+    if (end < 0) {
+      yield { type: 'text', text: text.slice(lt) };
+      return;
+    }
+    let inner = text.slice(lt + 1, end);
+    const selfClosing = inner.endsWith('/');
+    if (selfClosing) inner = inner.slice(0, -1);
+    const nameMatch = inner.match(/^[^\s/>]+/);
+    const name = nameMatch[0].toLowerCase();
+    yield { type: 'open', name, attrs: parseAttributes(inner.slice(name.length)), selfClosing };
+    i = end + 1;
+  }
+}
+
+function splitName(name) {
+  const idx = name.indexOf(':');
+  return idx < 0 ? { prefix: '', local: name } : { prefix: name.slice(0, idx), local: name.slice(idx + 1) };
+}
+
+export function parseXml(xml) {
+  const root = { name: '#document', prefix: '', local: '#document', ns: '', attrs: {}, children: [], scope: {} };
+  const stack = [root];
+
+  for (const token of tokenizeXml(xml)) {
+    const parent = stack[stack.length - 1];
+    if (token.type === 'text') {
+      parent.children.push(decodeEntities(token.text));
+      continue;
+    }
+    if (token.type === 'cdata') {
+      parent.children.push(token.text);
+      continue;
+    }
+    if (token.type === 'open') {
+      let scope = parent.scope;
+      for (const [key, value] of Object.entries(token.attrs)) {
+        if (key !== 'xmlns' && !key.startsWith('xmlns:')) continue;
+        if (scope === parent.scope) scope = { ...parent.scope };
+        scope[key === 'xmlns' ? '' : key.slice(6)] = value;
+      }
+      const { prefix, local } = splitName(token.name);
+      const ns = (prefix in scope ? scope[prefix] : DEFAULT_PREFIX_NS[prefix]) || '';
+      const node = { name: token.name, prefix, local, ns, attrs: token.attrs, children: [], scope };
+      parent.children.push(node);
+      if (!token.selfClosing) stack.push(node);
+      continue;
+    }
+    // Close: pop back to the matching element; ignore stray end tags.
+    for (let depth = stack.length - 1; depth > 0; depth--) {
+      if (stack[depth].name === token.name) {
+        stack.length = depth;
+        break;
+      }
+    }
+  }
+
+  return root;
+}
+
+function elements(node) {
+  return (node?.children || []).filter((child) => typeof child === 'object');
+}
+
+// Without `ns`, match unprefixed elements only, so e.g. `atom:link` is not mistaken for an RSS `link`.
+function matches(node, local, ns) {
+  if (node.local !== local) return false;
+  return ns === undefined ? !node.prefix : node.ns === ns;
+}
+
+function childrenNamed(node, local, ns) {
+  return elements(node).filter((child) => matches(child, local, ns));
+}
+
+function childNamed(node, local, ns) {
+  return elements(node).find((child) => matches(child, local, ns)) || null;
+}
+
+function textContent(node) {
+  if (!node) return '';
+  let out = '';
+  for (const child of node.children) {
+    out += typeof child === 'string' ? child : textContent(child);
+  }
+  return out;
+}
+
+function cleanText(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+// Descriptions usually carry (escaped or CDATA) HTML. Entities are decoded once more after
+// stripping tags to cope with double-escaped feeds like `&amp;#8217;`.
+export function htmlToText(value) {
+  return cleanText(
+    decodeEntities(
+      String(value || '')
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]*>/g, ' ')
+    )
+  );
+}
+
+function firstHtmlImage(html) {
+  const match = String(html || '').match(/<img\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/i);
+  return match ? decodeEntities(match[1]).trim() : '';
 }
 
 function parseDate(value) {
@@ -43,59 +310,238 @@ function parseDate(value) {
   return new Date(ts).toISOString();
 }
 
-function parseRssItems(xml) {
-  const items = [];
-  const blocks = String(xml || '').match(/<item[\s\S]*?<\/item>/gi) || [];
-  for (const block of blocks) {
-    const title = extractTag(block, 'title');
-    const description = extractTag(block, 'description') || extractTag(block, 'content:encoded');
-    const link = extractTag(block, 'link');
-    const guid = extractTag(block, 'guid');
-    const pub = extractTag(block, 'pubDate') || extractTag(block, 'dc:date') || extractTag(block, 'updated');
-    const publishedAt = parseDate(pub) || null;
-    const canonical = link || guid || '';
-    if (!title) continue;
-    items.push({
-      title,
-      summary: description,
-      link: canonical,
-      publishedAt
-    });
+function toNumber(value) {
+  const n = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(n) ? n : null;
+}
+
+function looksLikeImage(url, type, medium) {
+  if (String(medium || '').toLowerCase() === 'image') return true;
+  if (String(type || '').toLowerCase().startsWith('image/')) return true;
+  if (medium || type) return false;
+  return /\.(jpe?g|png|gif|webp|avif)(\?|#|$)/i.test(String(url || ''));
+}
+
+function pushUnique(list, value, key = (v) => v) {
+  if (!value) return;
+  const k = key(value);
+  if (!k) return;
+  if (list.some((existing) => key(existing) === k)) return;
+  list.push(value);
+}
+
+function collectMedia(node, images) {
+  const containers = [node, ...childrenNamed(node, 'group', NS.media)];
+  for (const container of containers) {
+    for (const el of childrenNamed(container, 'content', NS.media)) {
+      const url = String(el.attrs.url || '').trim();
+      if (!looksLikeImage(url, el.attrs.type, el.attrs.medium)) continue;
+      pushUnique(
+        images,
+        {
+          url,
+          width: toNumber(el.attrs.width),
+          height: toNumber(el.attrs.height),
+          source: 'media:content',
+          caption: cleanText(textContent(childNamed(el, 'description', NS.media))) || null,
+          credit: cleanText(textContent(childNamed(el, 'credit', NS.media))) || null
+        },
+        (img) => img.url
+      );
+    }
+    for (const el of childrenNamed(container, 'thumbnail', NS.media)) {
+      const url = String(el.attrs.url || '').trim();
+      pushUnique(
+        images,
+        { url, width: toNumber(el.attrs.width), height: toNumber(el.attrs.height), source: 'media:thumbnail' },
+        (img) => img.url
+      );
+    }
+  }
+  const itunesImage = childNamed(node, 'image', NS.itunes);
+  if (itunesImage?.attrs.href) {
+    pushUnique(images, { url: String(itunesImage.attrs.href).trim(), source: 'itunes:image' }, (img) => img.url);
+  }
+}
+
+function collectEnclosures(list, images, { url, type, length }) {
+  const href = String(url || '').trim();
+  if (!href) return;
+  pushUnique(list, { url: href, type: type || null, length: toNumber(length) }, (e) => e.url);
+  if (looksLikeImage(href, type)) pushUnique(images, { url: href, source: 'enclosure' }, (img) => img.url);
+}
+
+function parseRssAuthor(value) {
+  // RSS 2.0 `author` is "email (Name)"; prefer the name when present.
+  const raw = cleanText(value);
+  const named = raw.match(/\(([^)]+)\)\s*$/);
+  return named ? named[1].trim() : raw;
+}
+
+function parseRssItem(item) {
+  const title = htmlToText(textContent(childNamed(item, 'title')));
+  const descriptionRaw = textContent(childNamed(item, 'description'));
+  const contentRaw = textContent(childNamed(item, 'encoded', NS.content));
+  const guidNode = childNamed(item, 'guid');
+  const guid = cleanText(textContent(guidNode));
+  const atomLinks = childrenNamed(item, 'link', NS.atom).map((el) => ({
+    href: String(el.attrs.href || '').trim(),
+    rel: el.attrs.rel || 'alternate',
+    type: el.attrs.type || null
+  }));
+  const guidIsLink = guid && /^https?:\/\//i.test(guid) && String(guidNode?.attrs.ispermalink || '').toLowerCase() !== 'false';
+  const link =
+    cleanText(textContent(childNamed(item, 'link'))) ||
+    item.attrs['rdf:about'] ||
+    atomLinks.find((l) => l.rel === 'alternate' && l.href)?.href ||
+    (guidIsLink ? guid : '') ||
+    guid;
+  const pub =
+    textContent(childNamed(item, 'pubdate')) ||
+    textContent(childNamed(item, 'date', NS.dc)) ||
+    textContent(childNamed(item, 'published', NS.atom)) ||
+    textContent(childNamed(item, 'updated', NS.atom)) ||
+    textContent(childNamed(item, 'updated'));
+
+  const authors = [];
+  for (const el of childrenNamed(item, 'creator', NS.dc)) pushUnique(authors, cleanText(textContent(el)));
+  for (const el of childrenNamed(item, 'author')) pushUnique(authors, parseRssAuthor(textContent(el)));
+  for (const el of childrenNamed(item, 'author', NS.itunes)) pushUnique(authors, cleanText(textContent(el)));
+
+  const categories = [];
+  for (const el of childrenNamed(item, 'category')) pushUnique(categories, htmlToText(textContent(el)));
+  for (const el of childrenNamed(item, 'subject', NS.dc)) pushUnique(categories, htmlToText(textContent(el)));
+  for (const el of childrenNamed(item, 'keywords', NS.media)) {
+    for (const kw of textContent(el).split(',')) pushUnique(categories, cleanText(kw));
+  }
+
+  const enclosures = [];
+  const images = [];
+  collectMedia(item, images);
+  for (const el of childrenNamed(item, 'enclosure')) collectEnclosures(enclosures, images, el.attrs);
+  for (const l of atomLinks.filter((l) => l.rel === 'enclosure')) {
+    collectEnclosures(enclosures, images, { url: l.href, type: l.type });
+  }
+  const inlineImage = firstHtmlImage(contentRaw || descriptionRaw);
+  if (inlineImage) pushUnique(images, { url: inlineImage, source: 'html' }, (img) => img.url);
+
+  return {
+    title,
+    summary: htmlToText(descriptionRaw) || htmlToText(contentRaw),
+    link,
+    publishedAt: parseDate(pub),
+    extra: { guid: guid || null, authors, categories, links: atomLinks.filter((l) => l.href), enclosures, images }
+  };
+}
+
+function pickAtomLink(links) {
+  const alternates = links.filter((l) => l.rel === 'alternate' && l.href);
+  return (
+    alternates.find((l) => !l.type || /html/i.test(l.type))?.href ||
+    alternates[0]?.href ||
+    links.find((l) => l.href && l.rel !== 'self' && l.rel !== 'enclosure')?.href ||
+    ''
+  );
+}
+
+function atomChild(node, local) {
+  return childNamed(node, local, NS.atom) || childNamed(node, local);
+}
+
+function atomChildren(node, local) {
+  return elements(node).filter((child) => child.local === local && (child.ns === NS.atom || !child.prefix));
+}
+
+function atomText(node) {
+  if (!node) return '';
+  const type = String(node.attrs.type || 'text').toLowerCase();
+  // type="xhtml" children are real elements; textContent already flattens them.
+  return type === 'html' || type === 'text/html' ? htmlToText(textContent(node)) : cleanText(textContent(node));
+}
+
+function parseAtomEntry(entry) {
+  const links = atomChildren(entry, 'link').map((el) => ({
+    href: String(el.attrs.href || '').trim(),
+    rel: el.attrs.rel || 'alternate',
+    type: el.attrs.type || null,
+    title: el.attrs.title || null
+  }));
+  const summaryNode = atomChild(entry, 'summary');
+  const contentNode = atomChild(entry, 'content');
+  const contentHtml = contentNode ? textContent(contentNode) : '';
+  const pub = textContent(atomChild(entry, 'published')) || textContent(atomChild(entry, 'updated'));
+
+  const authors = [];
+  for (const el of atomChildren(entry, 'author')) {
+    pushUnique(authors, cleanText(textContent(atomChild(el, 'name'))) || cleanText(textContent(el)));
   }
-  return items;
-}
-
-function parseAtomEntries(xml) {
-  const entries = [];
-  const blocks = String(xml || '').match(/<entry[\s\S]*?<\/entry>/gi) || [];
-  for (const block of blocks) {
-    const title = extractTag(block, 'title');
-    const summary = extractTag(block, 'summary') || extractTag(block, 'content');
-    const link = extractAtomLink(block);
-    const pub = extractTag(block, 'published') || extractTag(block, 'updated');
-    const publishedAt = parseDate(pub) || null;
-    if (!title) continue;
-    entries.push({
-      title,
-      summary,
-      link,
-      publishedAt
-    });
+  for (const el of childrenNamed(entry, 'creator', NS.dc)) pushUnique(authors, cleanText(textContent(el)));
+
+  const categories = [];
+  for (const el of atomChildren(entry, 'category')) {
+    pushUnique(categories, cleanText(el.attrs.label || el.attrs.term || textContent(el)));
+  }
+
+  const enclosures = [];
+  const images = [];
+  collectMedia(entry, images);
+  for (const l of links.filter((l) => l.rel === 'enclosure')) {
+    collectEnclosures(enclosures, images, { url: l.href, type: l.type });
+  }
+  const inlineImage = firstHtmlImage(contentHtml);
+  if (inlineImage) pushUnique(images, { url: inlineImage, source: 'html' }, (img) => img.url);
+
+  return {
+    title: atomText(atomChild(entry, 'title')),
+    summary: atomText(summaryNode) || atomText(contentNode),
+    link: pickAtomLink(links),
+    publishedAt: parseDate(pub),
+    extra: {
+      guid: cleanText(textContent(atomChild(entry, 'id'))) || null,
+      authors,
+      categories,
+      links: links.filter((l) => l.href),
+      enclosures,
+      images
+    }
+  };
+}
+
+function findFeedEntries(node, out = []) {
+  for (const child of elements(node)) {
+    if (child.local === 'entry' && (child.ns === NS.atom || !child.prefix)) {
+      out.push({ kind: 'atom', node: child });
+    } else if (child.local === 'item' && !child.prefix) {
+      out.push({ kind: 'rss', node: child });
+    } else {
+      findFeedEntries(child, out);
+    }
+  }
+  return out;
+}
+
+function compactExtra(extra) {
+  const out = {};
+  for (const [key, value] of Object.entries(extra || {})) {
+    if (value === null || value === undefined || value === '') continue;
+    if (Array.isArray(value) && !value.length) continue;
+    out[key] = value;
   }
-  return entries;
+  return Object.keys(out).length ? out : null;
 }
 
 export function parseFeed(xml) {
   const text = String(xml || '');
   if (!text) return [];
-  const isAtom = /<feed[\s>]/i.test(text) && /<entry[\s>]/i.test(text);
-  const items = isAtom ? parseAtomEntries(text) : parseRssItems(text);
-  return items
+  const entries = findFeedEntries(parseXml(text));
+  return entries
+    .map(({ kind, node }) => (kind === 'atom' ? parseAtomEntry(node) : parseRssItem(node)))
     .map((item) => ({
       title: String(item.title || '').trim(),
       summary: String(item.summary || '').trim(),
       link: String(item.link || '').trim(),
-      publishedAt: item.publishedAt
+      publishedAt: item.publishedAt,
+      payloadJson: compactExtra(item.extra)
     }))
     .filter((item) => item.title);
 }
@@ -0,0 +1,25 @@
+import { parseFredSeriesCsv } from '../fred.js';
+import { sha256Hex } from '../utils.js';
+import { USER_AGENT, readOkText } from './http.js';
+
+export default {
+  type: 'fred_csv',
+  maxItems: 1,
+  signalType: 'econ',
+  async fetch(source, ctx) {
+    const resp = await ctx.fetch(source.url, {
+      headers: { 'user-agent': USER_AGENT, accept: 'text/csv' }
+    });
+    return { status: resp.status, body: await readOkText(resp, 'FRED fetch failed') };
+  },
+  parse(payload, ctx) {
+    return [parseFredSeriesCsv(payload.body, { url: ctx.source.url, fetchedAtIso: ctx.fetchedAt })];
+  },
+  // One observation snapshot per series per pipeline day.
+  fingerprint(item, ctx) {
+    return sha256Hex(`${String(item.title).toLowerCase()}|${item.canonicalUrl}|${ctx.day}`);
+  },
+  sectionHint(item, source) {
+    return source.section || 'Business';
+  }
+};
@@ -0,0 +1,66 @@
+import { USER_AGENT, readOkJson } from './http.js';
+
+// Accepts either the releases API URL or a plain https://github.com/<owner>/<repo> URL.
+function releasesApiUrl(url) {
+  const raw = String(url || '').trim();
+  const match = raw.match(/^https?:\/\/github\.com\/([^/]+)\/([^/?#]+)/i);
+  if (!match) return raw;
+  return `https://api.github.com/repos/${match[1]}/${match[2].replace(/\.git$/i, '')}/releases?per_page=20`;
+}
+
+function repoFromRelease(release, fallback) {
+  const htmlUrl = String(release?.html_url || '');
+  const match = htmlUrl.match(/github\.com\/([^/]+\/[^/]+)\/releases/i);
+  return match ? match[1] : fallback;
+}
+
+function stripMarkdown(text) {
+  return String(text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/[#>*_`~|-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export default {
+  type: 'github_releases',
+  maxItems: 20,
+  signalType: 'news',
+  async fetch(source, ctx) {
+    const headers = { 'user-agent': USER_AGENT, accept: 'application/vnd.github+json' };
+    const token = String(process.env.GITHUB_TOKEN || '').trim();
+    if (token) headers.authorization = `Bearer ${token}`;
+    const resp = await ctx.fetch(releasesApiUrl(source.url), { headers });
+    return { status: resp.status, body: await readOkJson(resp, 'GitHub releases fetch failed') };
+  },
+  parse(payload, ctx) {
+    const releases = Array.isArray(payload.body) ? payload.body : [];
+    const fallbackRepo = String(ctx.source?.name || ctx.source?.source_id || '');
+    const items = [];
+    for (const release of releases) {
+      if (!release || release.draft) continue;
+      const tag = String(release.tag_name || '').trim();
+      const name = String(release.name || '').trim() || tag;
+      if (!name) continue;
+      const repo = repoFromRelease(release, fallbackRepo);
+      items.push({
+        title: repo ? `${repo} ${name}` : name,
+        summary: stripMarkdown(release.body).slice(0, 600),
+        link: String(release.html_url || '').trim(),
+        publishedAt: release.published_at || release.created_at || null,
+        payloadJson: {
+          repo,
+          tag,
+          prerelease: Boolean(release.prerelease),
+          author: release.author?.login || null
+        }
+      });
+    }
+    return items;
+  },
+  sectionHint(item, source) {
+    return source.section || 'Technology';
+  }
+};
@@ -0,0 +1,67 @@
+import { USER_AGENT, readOkJson } from './http.js';
+
+function parseEpoch(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return new Date(n * 1000).toISOString();
+}
+
+function parseDate(value) {
+  const ts = Date.parse(String(value || ''));
+  return Number.isFinite(ts) ? new Date(ts).toISOString() : null;
+}
+
+// Accepts either the Algolia search payload (`{ hits: [...] }`) or an array of Firebase item objects.
+function normalizeHit(hit) {
+  const id = String(hit?.objectID ?? hit?.id ?? '').trim();
+  const title = String(hit?.title || hit?.story_title || '').trim();
+  if (!id || !title) return null;
+  const discussionUrl = `https://news.ycombinator.com/item?id=${id}`;
+  const points = Number(hit?.points ?? hit?.score);
+  const comments = Number(hit?.num_comments ?? hit?.descendants);
+  return {
+    id,
+    title,
+    url: String(hit?.url || hit?.story_url || '').trim() || discussionUrl,
+    discussionUrl,
+    author: String(hit?.author || hit?.by || '').trim() || null,
+    points: Number.isFinite(points) ? points : null,
+    comments: Number.isFinite(comments) ? comments : null,
+    publishedAt: parseDate(hit?.created_at) || parseEpoch(hit?.created_at_i ?? hit?.time)
+  };
+}
+
+export default {
+  type: 'hn_json',
+  maxItems: 40,
+  signalType: 'news',
+  async fetch(source, ctx) {
+    const resp = await ctx.fetch(source.url, {
+      headers: { 'user-agent': USER_AGENT, accept: 'application/json' }
+    });
+    return { status: resp.status, body: await readOkJson(resp, 'Hacker News fetch failed') };
+  },
+  parse(payload) {
+    const body = payload.body;
+    const hits = Array.isArray(body) ? body : Array.isArray(body?.hits) ? body.hits : [];
+    const items = [];
+    for (const hit of hits) {
+      const story = normalizeHit(hit);
+      if (!story) continue;
+      const bits = [];
+      if (story.points !== null) bits.push(`${story.points} points`);
+      if (story.comments !== null) bits.push(`${story.comments} comments`);
+      items.push({
+        title: story.title,
+        summary: bits.length ? `Hacker News: ${bits.join(' • ')}` : 'Hacker News',
+        link: story.url,
+        publishedAt: story.publishedAt,
+        payloadJson: story
+      });
+    }
+    return items;
+  },
+  sectionHint(item, source) {
+    return source.section || 'Technology';
+  }
+};
@@ -0,0 +1,32 @@
+export const USER_AGENT = 'FutureTimesBot/1.0';
+
+export async function fetchWithTimeout(url, options = {}) {
+  const timeoutMs = Number(options.timeoutMs || 9000);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, {
+      headers: options.headers || {},
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+export async function readOkText(resp, label) {
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => '');
+    throw new Error(`${label} ${resp.status}${text ? `: ${text.slice(0, 140)}` : ''}`);
+  }
+  return resp.text();
+}
+
+export async function readOkJson(resp, label) {
+  const text = await readOkText(resp, label);
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`${label} returned invalid JSON`);
+  }
+}
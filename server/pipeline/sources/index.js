@@ -0,0 +1,152 @@
+import { canonicalizeUrl, formatDay, isoNow, sha256Hex } from '../utils.js';
+import { fetchWithTimeout } from './http.js';
+import rssAdapter from './rss.js';
+import polymarketAdapter from './polymarket.js';
+import kalshiAdapter from './kalshi.js';
+import fredAdapter from './fred.js';
+import hackerNewsAdapter from './hackernews.js';
+import githubReleasesAdapter from './github-releases.js';
+import jsonlDirAdapter from './jsonl-dir.js';
+
+/**
+ * Source adapters turn one row of `config/sources.json` into raw items.
+ *
+ *   type         matches the source `type` field
+ *   maxItems     cap on items stored per fetch
+ *   signalType   string, or (source) => string, used when promoting raw items to signals
+ *   fetch        async (source, ctx) => payload   (the only part that touches the network/disk)
+ *   parse        (payload, ctx) => [{ title, summary, link, publishedAt, payloadJson?, sectionHint?, series?, market? }]
+ *                `series` ({ seriesId, observations: [{ date, value }] }) is stored in econ_series
+ *                `market` ({ exchange, slug, question, yesProb, volume, closeDate, url }) is stored in market_ticks
+ *   fingerprint  optional (item, ctx) => string; defaults to title|url|published day
+ *   sectionHint  optional (item, source) => string|null; defaults to item.sectionHint, then source.section
+ *
+ * Adapters should make a single request through `ctx.fetch`, which handles conditional GET.
+ *
+ * `parse` must be pure so adapters can be exercised offline by passing a fixture payload,
+ * e.g. collectSourceItems(source, { payload: { body: fs.readFileSync('feed.xml', 'utf8') } }).
+ */
+const adapters = new Map();
+
+// Types used before the registry existed; resolved by source_id so old configs keep working.
+const LEGACY_TYPES = {
+  api_json: (source) => (String(source?.source_id || '').includes('polymarket') ? 'polymarket' : null),
+  csv: (source) => (String(source?.source_id || '').includes('fred') ? 'fred_csv' : null)
+};
+
+export function registerSourceAdapter(adapter) {
+  const type = String(adapter?.type || '').trim().toLowerCase();
+  if (!type) throw new Error('Source adapter requires a type');
+  if (typeof adapter.fetch !== 'function' || typeof adapter.parse !== 'function') {
+    throw new Error(`Source adapter "${type}" must implement fetch() and parse()`);
+  }
+  adapters.set(type, adapter);
+  return adapter;
+}
+
+export function listSourceAdapterTypes() {
+  return Array.from(adapters.keys()).sort();
+}
+
+export function resolveSourceAdapter(source) {
+  const type = String(source?.type || '').trim().toLowerCase();
+  if (adapters.has(type)) return adapters.get(type);
+  const legacy = LEGACY_TYPES[type] ? LEGACY_TYPES[type](source) : null;
+  return legacy ? adapters.get(legacy) || null : null;
+}
+
+export function signalTypeForSource(source) {
+  const adapter = resolveSourceAdapter(source);
+  if (!adapter) return 'news';
+  const value = typeof adapter.signalType === 'function' ? adapter.signalType(source) : adapter.signalType;
+  return String(value || 'news');
+}
+
+function defaultFingerprint(item, ctx) {
+  const pubDay = item.publishedAt ? formatDay(item.publishedAt) : ctx.day;
+  return sha256Hex(`${String(item.title).toLowerCase()}|${item.canonicalUrl}|${pubDay}`);
+}
+
+export function parseSourcePayload(source, payload, ctx = {}) {
+  const adapter = resolveSourceAdapter(source);
+  if (!adapter) throw new Error(`No source adapter for type "${source?.type || ''}"`);
+  const fetchedAt = ctx.fetchedAt || isoNow();
+  const parseCtx = { ...ctx, source, fetchedAt, day: ctx.day || formatDay(fetchedAt) };
+  const parsed = adapter.parse(payload, parseCtx) || [];
+  const items = [];
+  for (const raw of parsed.slice(0, adapter.maxItems || 40)) {
+    const title = String(raw?.title || '').trim();
+    if (!title) continue;
+    const item = {
+      title: title.slice(0, 240),
+      summary: String(raw.summary || '').slice(0, 1200),
+      canonicalUrl: canonicalizeUrl(raw.link),
+      publishedAt: raw.publishedAt || null,
+      payloadJson: raw.payloadJson ?? null,
+      series: raw.series ?? null,
+      market: raw.market ?? null,
+      sectionHint: null,
+      fingerprint: ''
+    };
+    item.sectionHint = adapter.sectionHint
+      ? adapter.sectionHint(raw, source)
+      : raw.sectionHint || source.section || null;
+    item.fingerprint = adapter.fingerprint ? adapter.fingerprint(item, parseCtx) : defaultFingerprint(item, parseCtx);
+    items.push(item);
+  }
+  return items;
+}
+
+class NotModifiedError extends Error {
+  constructor() {
+    super('Not modified');
+    this.code = 'not_modified';
+  }
+}
+
+// Wraps the transport so every adapter gets conditional GET for free: validators from the
+// previous fetch are sent as If-None-Match / If-Modified-Since, a 304 short-circuits the
+// adapter, and the new validators plus body size are captured for the caller to persist.
+function conditionalFetch(baseFetch, validators, http) {
+  return async (url, options = {}) => {
+    const headers = { ...(options.headers || {}) };
+    if (validators?.etag) headers['if-none-match'] = validators.etag;
+    if (validators?.lastModified) headers['if-modified-since'] = validators.lastModified;
+    const resp = await baseFetch(url, { ...options, headers });
+    http.status = resp.status;
+    if (resp.status === 304) throw new NotModifiedError();
+    if (!resp.ok || typeof resp.arrayBuffer !== 'function' || resp.status === 204 || resp.status === 205) return resp;
+    const body = await resp.arrayBuffer();
+    http.bytes += body.byteLength;
+    http.etag = resp.headers?.get?.('etag') || null;
+    http.lastModified = resp.headers?.get?.('last-modified') || null;
+    return new Response(body, { status: resp.status, statusText: resp.statusText, headers: resp.headers });
+  };
+}
+
+export async function collectSourceItems(source, ctx = {}) {
+  const adapter = resolveSourceAdapter(source);
+  if (!adapter) throw new Error(`No source adapter for type "${source?.type || ''}"`);
+  const http = { status: null, etag: null, lastModified: null, bytes: 0 };
+  const baseFetch = ctx.fetch || ((url, options = {}) => fetchWithTimeout(url, { timeoutMs: ctx.timeoutMs, ...options }));
+  const fetchCtx = { ...ctx, source, fetch: conditionalFetch(baseFetch, ctx.validators, http) };
+  let payload;
+  if (ctx.payload !== undefined) {
+    payload = ctx.payload;
+  } else {
+    try {
+      payload = await adapter.fetch(source, fetchCtx);
+    } catch (err) {
+      if (err instanceof NotModifiedError) {
+        return { adapter: adapter.type, status: 304, notModified: true, items: [], http };
+      }
+      throw err;
+    }
+  }
+  const status = Number(payload?.status || 200);
+  return { adapter: adapter.type, status, notModified: false, items: parseSourcePayload(source, payload, ctx), http };
+}
+
+for (const adapter of [rssAdapter, polymarketAdapter, kalshiAdapter, fredAdapter, hackerNewsAdapter, githubReleasesAdapter, jsonlDirAdapter]) {
+  registerSourceAdapter(adapter);
+}
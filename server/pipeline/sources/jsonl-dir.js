@@ -0,0 +1,70 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Local drop folder: every *.jsonl file under the source `url` (a directory or a single file,
+// relative to the repo root or a file:// URL) contributes one item per line.
+function resolveDropPath(url, rootDir) {
+  const raw = String(url || '').trim();
+  if (!raw) throw new Error('jsonl_dir source has no path');
+  if (raw.startsWith('file://')) return fileURLToPath(raw);
+  return path.resolve(rootDir || process.cwd(), raw);
+}
+
+function listJsonlFiles(dropPath) {
+  const stat = fs.statSync(dropPath);
+  if (stat.isFile()) return [dropPath];
+  return fs
+    .readdirSync(dropPath)
+    .filter((name) => name.toLowerCase().endsWith('.jsonl'))
+    .sort()
+    .map((name) => path.join(dropPath, name));
+}
+
+function parseDate(value) {
+  const ts = Date.parse(String(value || ''));
+  return Number.isFinite(ts) ? new Date(ts).toISOString() : null;
+}
+
+export default {
+  type: 'jsonl_dir',
+  maxItems: 200,
+  signalType: 'news',
+  async fetch(source, ctx) {
+    const dropPath = resolveDropPath(source.url, ctx.rootDir);
+    if (!fs.existsSync(dropPath)) throw new Error(`Drop folder not found: ${source.url}`);
+    const files = listJsonlFiles(dropPath).map((file) => ({
+      file: path.basename(file),
+      text: fs.readFileSync(file, 'utf8')
+    }));
+    return { status: 200, body: files };
+  },
+  parse(payload) {
+    const files = Array.isArray(payload.body) ? payload.body : [];
+    const items = [];
+    for (const { file, text } of files) {
+      const lines = String(text || '').split('\n');
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        const title = String(record?.title || '').trim();
+        if (!title) continue;
+        items.push({
+          title,
+          summary: String(record.summary || record.description || '').trim(),
+          link: String(record.url || record.link || '').trim(),
+          publishedAt: parseDate(record.published_at || record.publishedAt),
+          sectionHint: record.section ? String(record.section) : null,
+          payloadJson: { ...record, _file: file, _line: i + 1 }
+        });
+      }
+    }
+    return items;
+  }
+};
@@ -0,0 +1,17 @@
+import { parseKalshiMarkets } from '../kalshi.js';
+import { USER_AGENT, readOkJson } from './http.js';
+
+export default {
+  type: 'kalshi',
+  maxItems: 220,
+  signalType: 'market',
+  async fetch(source, ctx) {
+    const resp = await ctx.fetch(source.url, {
+      headers: { 'user-agent': USER_AGENT, accept: 'application/json' }
+    });
+    return { status: resp.status, body: await readOkJson(resp, 'Kalshi fetch failed') };
+  },
+  parse(payload, ctx) {
+    return parseKalshiMarkets(payload.body, ctx.fetchedAt);
+  }
+};
@@ -0,0 +1,17 @@
+import { parsePolymarketMarkets } from '../polymarket.js';
+import { USER_AGENT, readOkJson } from './http.js';
+
+export default {
+  type: 'polymarket',
+  maxItems: 220,
+  signalType: 'market',
+  async fetch(source, ctx) {
+    const resp = await ctx.fetch(source.url, {
+      headers: { 'user-agent': USER_AGENT, accept: 'application/json' }
+    });
+    return { status: resp.status, body: await readOkJson(resp, 'Polymarket fetch failed') };
+  },
+  parse(payload, ctx) {
+    return parsePolymarketMarkets(payload.body, ctx.fetchedAt);
+  }
+};
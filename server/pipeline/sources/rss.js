@@ -0,0 +1,24 @@
+import { parseFeed } from '../rss.js';
+import { USER_AGENT } from './http.js';
+
+export default {
+  type: 'rss',
+  maxItems: 40,
+  signalType(source) {
+    const url = String(source?.url || '').toLowerCase();
+    if (url.includes('arxiv.org') || String(source?.name || '').toLowerCase().includes('arxiv')) {
+      return 'research';
+    }
+    return 'news';
+  },
+  async fetch(source, ctx) {
+    const resp = await ctx.fetch(source.url, {
+      headers: { 'user-agent': USER_AGENT, accept: 'application/xml,text/xml,*/*' }
+    });
+    if (!resp.ok) throw new Error(`RSS ${resp.status}`);
+    return { status: resp.status, body: await resp.text() };
+  },
+  parse(payload) {
+    return parseFeed(payload.body);
+  }
+};
@@ -0,0 +1,413 @@
+import { completeJson } from './llm.js';
+
+// Schema-checked JSON from the model. Each stage forces a tool whose input schema describes the
+// reply (as IDEAS_TOOL does for image ideas), validates what comes back field by field, and sends
+// one "repair" re-prompt listing only the invalid entries before dropping whatever is still wrong.
+
+const MAX_REPORTED_ERRORS = 40;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  const types = Array.isArray(type) ? type : [type];
+  return types.some((t) => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate `value` against the subset of JSON Schema the tool definitions use: type, enum,
+ * required, properties, additionalProperties, items, min/maxLength, minimum/maximum and
+ * min/maxItems. Returns [{ path, message }], empty when valid.
+ */
+export function validateJson(value, schema, path = '') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+  const at = path || '(root)';
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join('|') : schema.type;
+    errors.push({ path: at, message: `expected ${expected}, got ${typeOf(value)}` });
+    return errors;
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    const length = value.trim().length;
+    if (Number.isFinite(schema.minLength) && length < schema.minLength) {
+      errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (Number.isFinite(schema.maxLength) && length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+  }
+  if (typeof value === 'number') {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems) errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+    if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems) errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) value.forEach((item, idx) => errors.push(...validateJson(item, schema.items, joinPath(path, idx))));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (value[key] === undefined) errors.push({ path: joinPath(path, key), message: 'is required' });
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateJson(child, properties[key], joinPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+      }
+    }
+  }
+
+  return errors;
+}
+
+export function formatValidationErrors(errors, max = MAX_REPORTED_ERRORS) {
+  return (Array.isArray(errors) ? errors : []).slice(0, max).map((e) => `${e.path}: ${e.message}`);
+}
+
+const STORY_ID = { type: 'string', minLength: 1 };
+
+const DRAFT_ARTICLE_SCHEMA = {
+  type: ['object', 'null'],
+  properties: {
+    title: { type: 'string' },
+    dek: { type: 'string' },
+    body: { type: 'string', minLength: 1 }
+  },
+  required: ['title', 'dek', 'body']
+};
+
+export const CURATION_PLAN_TOOL = {
+  name: 'submit_curation_plan',
+  description: 'Submit the curation plan for every story candidate in the edition.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      schema: { type: 'integer' },
+      day: { type: 'string' },
+      yearsForward: { type: 'integer' },
+      editionDate: { type: 'string' },
+      keyStoryIds: { type: 'array', items: STORY_ID },
+      stories: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            storyId: STORY_ID,
+            curatedTitle: { type: 'string', minLength: 1, maxLength: 220 },
+            curatedDek: { type: 'string', minLength: 1, maxLength: 400 },
+            topicTitle: { type: 'string' },
+            sparkDirections: { type: 'string', minLength: 1 },
+            key: { type: 'boolean' },
+            hero: { type: 'boolean' },
+            futureEventSeed: { type: 'string' },
+            confidence: { type: 'number', minimum: 0, maximum: 100 },
+            draftArticle: DRAFT_ARTICLE_SCHEMA
+          },
+          required: ['storyId', 'curatedTitle', 'curatedDek', 'sparkDirections', 'confidence']
+        }
+      }
+    },
+    required: ['stories']
+  }
+};
+
+// Key stories in the order they should lead the edition; the first is the hero.
+export const KEY_STORIES_TOOL = {
+  name: 'submit_key_stories',
+  description: 'Submit the key stories for the edition, the one readers most want to open first.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      stories: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: {
+            storyId: STORY_ID,
+            reason: { type: 'string', maxLength: 300 }
+          },
+          required: ['storyId', 'reason']
+        }
+      }
+    },
+    required: ['stories']
+  }
+};
+
+export const EDITOR_REVIEW_TOOL = {
+  name: 'submit_editor_review',
+  description: 'Submit an approve, revise or reject decision for every story in the edition.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      schema: { type: 'integer' },
+      day: { type: 'string' },
+      yearsForward: { type: 'integer' },
+      editionDate: { type: 'string' },
+      stories: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            storyId: STORY_ID,
+            decision: { type: 'string', enum: ['approve', 'revise', 'reject'] },
+            reason: { type: 'string' },
+            title: { type: 'string', maxLength: 220 },
+            dek: { type: 'string', maxLength: 400 },
+            body: { type: 'string' }
+          },
+          required: ['storyId', 'decision', 'reason']
+        }
+      }
+    },
+    required: ['stories']
+  }
+};
+
+// A revise decision must carry the corrected copy, and decisions must refer to reviewed stories.
+export function checkEditorEntry(entry, storyIds) {
+  const errors = [];
+  if (storyIds.size && !storyIds.has(String(entry.storyId || '').trim())) errors.push({ field: 'storyId', message: 'is not one of the reviewed stories' });
+  if (entry.decision === 'revise') {
+    if (!String(entry.title || '').trim()) errors.push({ field: 'title', message: 'is required when decision is revise' });
+    if (!String(entry.dek || '').trim()) errors.push({ field: 'dek', message: 'is required when decision is revise' });
+  }
+  return errors;
+}
+
+export const BACKFILL_TOOL = {
+  name: 'submit_article_bodies',
+  description: 'Submit a full article body for each requested story.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      articles: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            storyId: STORY_ID,
+            title: { type: 'string' },
+            dek: { type: 'string' },
+            body: { type: 'string', minLength: 200 }
+          },
+          required: ['storyId', 'title', 'dek', 'body']
+        }
+      }
+    },
+    required: ['articles']
+  }
+};
+
+// Canon facts extracted from a published edition; several facts may cite the same story.
+export const WORLD_FACTS_TOOL = {
+  name: 'submit_world_facts',
+  description: 'Submit the durable facts about the future world that this edition establishes.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      facts: {
+        type: 'array',
+        maxItems: 40,
+        items: {
+          type: 'object',
+          properties: {
+            storyId: STORY_ID,
+            entity: { type: 'string', minLength: 2, maxLength: 120 },
+            claim: { type: 'string', minLength: 10, maxLength: 400 }
+          },
+          required: ['storyId', 'entity', 'claim']
+        }
+      }
+    },
+    required: ['facts']
+  }
+};
+
+/**
+ * Validate a reply whose payload is a list of entries keyed by `idKey` (stories, articles).
+ * Schema errors are split into root errors (the reply as a whole is unusable) and per-entry
+ * errors; `checkEntry(entry, parsed)` adds stage-specific rules as [{ field, message }].
+ */
+export function validateStructuredReply(parsed, tool, { listKey, idKey = 'storyId', checkEntry } = {}) {
+  const rootErrors = [];
+  const invalid = new Map();
+  const prefix = `${listKey}[`;
+
+  for (const error of validateJson(parsed, tool.inputSchema)) {
+    const match = error.path.startsWith(prefix) ? error.path.slice(prefix.length).match(/^(\d+)\]/) : null;
+    if (!match) {
+      rootErrors.push(error);
+      continue;
+    }
+    const idx = Number(match[1]);
+    if (!invalid.has(idx)) invalid.set(idx, []);
+    invalid.get(idx).push(error);
+  }
+
+  const entries = Array.isArray(parsed?.[listKey]) ? parsed[listKey] : [];
+  if (typeof checkEntry === 'function') {
+    entries.forEach((entry, idx) => {
+      if (!entry || typeof entry !== 'object' || invalid.has(idx)) return;
+      const extra = (checkEntry(entry, parsed) || []).map((e) => ({ path: joinPath(joinPath(listKey, idx), e.field), message: e.message }));
+      if (extra.length) invalid.set(idx, extra);
+    });
+  }
+
+  const invalidEntries = Array.from(invalid, ([idx, errors]) => ({
+    idx,
+    id: String(entries[idx]?.[idKey] || '').trim(),
+    errors
+  }));
+  return {
+    ok: !rootErrors.length && !invalidEntries.length,
+    rootErrors,
+    invalidEntries,
+    errors: [...rootErrors, ...invalidEntries.flatMap((e) => e.errors)]
+  };
+}
+
+function buildRepairPrompt(prompt, parsed, report, { listKey, idKey }) {
+  const entries = Array.isArray(parsed?.[listKey]) ? parsed[listKey] : [];
+  const lines = formatValidationErrors(report.errors).map((line) => `- ${line}`);
+  const header = [
+    prompt,
+    '',
+    '---',
+    'Your previous reply failed schema validation:',
+    ...lines
+  ];
+  if (report.rootErrors.length) {
+    return [...header, '', 'Return the complete reply again, fixing every error above.'].join('\n');
+  }
+  const ids = report.invalidEntries.map((e) => e.id).filter(Boolean);
+  const previous = report.invalidEntries.map((e) => JSON.stringify(entries[e.idx])).join('\n');
+  return [
+    ...header,
+    '',
+    'Previous invalid entries:',
+    previous,
+    '',
+    `Return "${listKey}" containing ONLY corrected entries for these ${idKey}s: ${ids.join(', ')}. Do not repeat valid entries.`
+  ].join('\n');
+}
+
+// Replace invalid entries with their repaired versions by id; entries that cannot be matched
+// (no id) stay in place and are dropped later if still invalid.
+function mergeRepair(parsed, repaired, report, { listKey, idKey }) {
+  if (report.rootErrors.length) return repaired;
+  const fixes = new Map();
+  for (const entry of Array.isArray(repaired?.[listKey]) ? repaired[listKey] : []) {
+    const id = String(entry?.[idKey] || '').trim();
+    if (id) fixes.set(id, entry);
+  }
+  const wanted = new Set(report.invalidEntries.map((e) => e.id).filter(Boolean));
+  const entries = parsed[listKey].map((entry) => {
+    const id = String(entry?.[idKey] || '').trim();
+    return wanted.has(id) && fixes.has(id) ? fixes.get(id) : entry;
+  });
+  return { ...parsed, [listKey]: entries };
+}
+
+/**
+ * completeJson with `tool` forced, then validate → repair → drop. Options: listKey (array
+ * holding the entries), idKey, checkEntry, repairs (re-prompts, default 1) and
+ * onValidation(event) for each failed or repaired pass. Returns completeJson's result with
+ * the cleaned `parsed` and `validation: { ok, attempts, errors, repairedIds, droppedIds }`.
+ * Throws code 'llm_schema_invalid' when the reply as a whole still fails after repairs.
+ */
+export async function completeStructured(request, { tool, listKey, idKey = 'storyId', checkEntry, repairs = 1, onValidation } = {}) {
+  const opts = { listKey, idKey, checkEntry };
+  const emit = (event) => {
+    if (typeof onValidation !== 'function') return;
+    try {
+      onValidation({ stage: request.stage, tool: tool.name, ...event });
+    } catch {
+      // Trace hooks never break a model call.
+    }
+  };
+
+  const result = await completeJson({ ...request, tool });
+  if (result.stopReason === 'max_tokens') emit({ status: 'truncated', repaired: result.parsed !== null });
+  let parsed = result.parsed;
+  let report = validateStructuredReply(parsed, tool, opts);
+  const hadErrors = !report.ok;
+  const firstInvalidIds = report.invalidEntries.map((e) => e.id).filter(Boolean);
+  let attempts = 0;
+
+  while (!report.ok && attempts < repairs) {
+    attempts++;
+    emit({
+      status: 'invalid',
+      attempt: attempts,
+      errorCount: report.errors.length,
+      errors: formatValidationErrors(report.errors, 12),
+      invalidIds: report.invalidEntries.map((e) => e.id).filter(Boolean)
+    });
+    try {
+      const repaired = await completeJson({
+        ...request,
+        tool,
+        prompt: buildRepairPrompt(request.prompt, parsed, report, opts),
+        context: { ...(request.context || {}), repair: { attempt: attempts, ids: report.invalidEntries.map((e) => e.id) } }
+      });
+      parsed = mergeRepair(parsed, repaired.parsed, report, opts);
+      report = validateStructuredReply(parsed, tool, opts);
+    } catch (err) {
+      emit({ status: 'repair_failed', attempt: attempts, error: String(err?.message || err) });
+      break;
+    }
+  }
+
+  if (report.rootErrors.length) {
+    const err = new Error(`${request.stage} reply failed schema validation: ${formatValidationErrors(report.rootErrors, 5).join('; ')}`);
+    err.code = 'llm_schema_invalid';
+    err.errors = formatValidationErrors(report.errors);
+    emit({ status: 'rejected', attempt: attempts, errorCount: report.errors.length, errors: formatValidationErrors(report.errors, 12) });
+    throw err;
+  }
+
+  const dropped = new Set(report.invalidEntries.map((e) => e.idx));
+  const droppedIds = report.invalidEntries.map((e) => e.id).filter(Boolean);
+  if (dropped.size) {
+    parsed = { ...parsed, [listKey]: parsed[listKey].filter((_, idx) => !dropped.has(idx)) };
+  }
+  const repairedIds = firstInvalidIds.filter((id) => !droppedIds.includes(id));
+  if (hadErrors) {
+    emit({
+      status: droppedIds.length ? 'dropped' : 'repaired',
+      attempt: attempts,
+      errorCount: report.errors.length,
+      errors: formatValidationErrors(report.errors, 12),
+      repairedIds,
+      droppedIds
+    });
+  }
+
+  return {
+    ...result,
+    parsed,
+    validation: { ok: !hadErrors, attempts, errors: formatValidationErrors(report.errors), repairedIds, droppedIds }
+  };
+}
@@ -0,0 +1,58 @@
+import { jaccard, sha256Hex, tokenize } from './utils.js';
+
+// Story threads link a developing story's topics across days. Topics are rebuilt from scratch
+// every day, so continuity is inferred: today's topic joins the thread whose most recent topic
+// shares enough entities and slug words with it. A thread id is derived from the day and slug
+// of its first topic, so rebuilding a day reproduces the same ids.
+
+export const THREAD_MATCH_THRESHOLD = 0.3;
+
+export function threadIdFor(day, topicSlug) {
+  return `th-${sha256Hex(`${day}|${topicSlug}`).slice(0, 12)}`;
+}
+
+export function slugTokens(topicSlug) {
+  return tokenize(String(topicSlug || '').replace(/-/g, ' ')).filter((w) => !/^\d+$/.test(w));
+}
+
+function normalizeEntities(entities) {
+  return (entities || []).map((e) => String(e || '').trim().toLowerCase()).filter(Boolean);
+}
+
+export function threadSimilarity(topic, candidate) {
+  const entitySim = jaccard(normalizeEntities(topic.entities), normalizeEntities(candidate.entities));
+  const slugSim = jaccard(slugTokens(topic.topicSlug), slugTokens(candidate.topicSlug));
+  const sectionBonus = topic.section && topic.section === candidate.section ? 0.05 : 0;
+  return 0.5 * entitySim + 0.5 * slugSim + sectionBonus;
+}
+
+/**
+ * Assign each of today's topics ({ topicSlug, section, entities }) to a thread. `candidates` are
+ * the latest prior topic of each recent thread ({ threadId, topicSlug, section, entities }).
+ * Pairs are taken best-first and each thread continues at most once per day; everything else
+ * starts a new thread. Returns [{ topicSlug, threadId, similarity, continued }].
+ */
+export function matchTopicsToThreads(day, topics, candidates, options = {}) {
+  const threshold = Number(options.threshold ?? THREAD_MATCH_THRESHOLD);
+  const pairs = [];
+  for (const topic of topics) {
+    for (const candidate of candidates) {
+      const similarity = threadSimilarity(topic, candidate);
+      if (similarity >= threshold) pairs.push({ topic, candidate, similarity });
+    }
+  }
+  pairs.sort((a, b) => b.similarity - a.similarity);
+
+  const assigned = new Map();
+  const usedThreads = new Set();
+  for (const { topic, candidate, similarity } of pairs) {
+    if (assigned.has(topic.topicSlug) || usedThreads.has(candidate.threadId)) continue;
+    assigned.set(topic.topicSlug, { threadId: candidate.threadId, similarity: Number(similarity.toFixed(4)), continued: true });
+    usedThreads.add(candidate.threadId);
+  }
+
+  return topics.map((topic) => ({
+    topicSlug: topic.topicSlug,
+    ...(assigned.get(topic.topicSlug) || { threadId: threadIdFor(day, topic.topicSlug), similarity: null, continued: false })
+  }));
+}
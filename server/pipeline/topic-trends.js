@@ -0,0 +1,131 @@
+import { tokenize } from './utils.js';
+
+// Evidence trends for standing topics. Pure functions over topic_evidence rows
+// ({ day, relevance_score, title, summary }): per-topic and per-extrapolation-axis velocity
+// (last 7 days vs the 7 before) and a status for each milestone judged from how much recent
+// evidence points at it relative to how soon it is due.
+
+export const TREND_WINDOW_DAYS = 7;
+export const MILESTONE_WINDOW_DAYS = 90;
+
+// A milestone due this year is "on track" with about this many matching signals a month; the
+// bar falls in proportion to the years left. Ahead/behind are at 1.5x and 0.5x of the bar.
+const ON_TRACK_SIGNALS_PER_MONTH = 4;
+const AHEAD_FACTOR = 1.5;
+const BEHIND_FACTOR = 0.5;
+
+function shiftDay(day, deltaDays) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + deltaDays);
+  return d.toISOString().slice(0, 10);
+}
+
+function evidenceTokens(row) {
+  return new Set(tokenize(`${row.title || ''} ${row.summary || ''}`.replace(/<[^>]*>/g, ' ')));
+}
+
+// Terms that identify an axis or milestone; a row matches when it shares `minHits` of them.
+function termsFor(text) {
+  return [...new Set(tokenize(text).filter((t) => t.length >= 4))];
+}
+
+function matches(tokens, terms, minHits) {
+  let hits = 0;
+  for (const term of terms) if (tokens.has(term) && ++hits >= minHits) return true;
+  return false;
+}
+
+// 'accelerating' | 'steady' | 'slowing' | 'quiet' from two consecutive window counts.
+export function momentumOf(recent, prior) {
+  if (!recent && !prior) return 'quiet';
+  if (recent >= Math.max(prior * 1.25, prior + 2)) return 'accelerating';
+  if (recent <= Math.min(prior * 0.75, prior - 2)) return 'slowing';
+  return 'steady';
+}
+
+function windowCounts(rows, day, predicate = () => true) {
+  const recentFrom = shiftDay(day, -(TREND_WINDOW_DAYS - 1));
+  const priorFrom = shiftDay(day, -(2 * TREND_WINDOW_DAYS - 1));
+  let recent = 0;
+  let prior = 0;
+  for (const row of rows) {
+    if (row.day > day || row.day < priorFrom || !predicate(row)) continue;
+    if (row.day >= recentFrom) recent++;
+    else prior++;
+  }
+  return {
+    last7: recent,
+    prior7: prior,
+    perDay: Math.round((recent / TREND_WINDOW_DAYS) * 100) / 100,
+    momentum: momentumOf(recent, prior)
+  };
+}
+
+/**
+ * Milestone status: 'ahead' | 'on_track' | 'behind', or 'due' once its year has passed
+ * (left for an editor to confirm). Evidence is relevance-weighted signals over the last
+ * MILESTONE_WINDOW_DAYS whose text shares at least two of the milestone's terms.
+ */
+export function milestoneStatus({ year, weightedSignals, currentYear }) {
+  const yearsLeft = Number(year) - Number(currentYear);
+  const perMonth = weightedSignals / (MILESTONE_WINDOW_DAYS / 30);
+  const expected = ON_TRACK_SIGNALS_PER_MONTH / Math.max(1, yearsLeft + 1);
+  const status = yearsLeft < 0
+    ? 'due'
+    : perMonth >= expected * AHEAD_FACTOR ? 'ahead' : perMonth < expected * BEHIND_FACTOR ? 'behind' : 'on_track';
+  return { status, observedPerMonth: Math.round(perMonth * 100) / 100, expectedPerMonth: Math.round(expected * 100) / 100 };
+}
+
+/**
+ * Trend for one standing topic as of `day`. `topic` is a standing_topics row with parsed
+ * `axes` and `milestones`; `rows` its evidence (any order) covering MILESTONE_WINDOW_DAYS.
+ */
+export function computeTopicTrend(topic, rows, day) {
+  const list = (Array.isArray(rows) ? rows : []).map((r) => ({ ...r, tokens: evidenceTokens(r) }));
+  const daily = new Map();
+  for (const r of list) if (r.day <= day) daily.set(r.day, (daily.get(r.day) || 0) + 1);
+  const sparkFrom = shiftDay(day, -(2 * TREND_WINDOW_DAYS - 1));
+  const series = [];
+  for (let d = sparkFrom; d <= day; d = shiftDay(d, 1)) series.push({ day: d, count: daily.get(d) || 0 });
+
+  const axes = (Array.isArray(topic.axes) ? topic.axes : []).map((axis) => {
+    const terms = termsFor(`${axis.axis} ${axis.description || ''}`);
+    const name = String(axis.axis || '').toLowerCase();
+    return {
+      axis: axis.axis,
+      ...windowCounts(list, day, (r) => r.tokens.has(name) || matches(r.tokens, terms, 2))
+    };
+  });
+
+  const milestoneFrom = shiftDay(day, -(MILESTONE_WINDOW_DAYS - 1));
+  const currentYear = Number(day.slice(0, 4));
+  const milestones = (Array.isArray(topic.milestones) ? topic.milestones : []).map((m) => {
+    const terms = termsFor(m.event);
+    const hits = list.filter((r) => r.day >= milestoneFrom && r.day <= day && matches(r.tokens, terms, Math.min(2, terms.length)));
+    const weighted = hits.reduce((sum, r) => sum + (Number(r.relevance_score) || 0.5), 0);
+    return {
+      year: m.year,
+      event: m.event,
+      signals: hits.length,
+      ...milestoneStatus({ year: m.year, weightedSignals: weighted, currentYear })
+    };
+  });
+
+  return {
+    topicKey: topic.topic_key,
+    label: topic.label,
+    section: topic.section,
+    category: topic.category || null,
+    evidence: { total90d: list.filter((r) => r.day >= milestoneFrom && r.day <= day).length, ...windowCounts(list, day) },
+    series,
+    axes,
+    milestones
+  };
+}
+
+// One-line summary for prompts: "accelerating (12 signals in 7 days vs 5)".
+export function describeTrend(trend) {
+  if (!trend?.evidence) return '';
+  const e = trend.evidence;
+  return `${e.momentum} (${e.last7} signals in the last 7 days vs ${e.prior7} the week before)`;
+}
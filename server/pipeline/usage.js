@@ -0,0 +1,88 @@
+// Cost estimates and daily budget policy for the model_usage ledger. Prices are USD per million
+// tokens (input/output) or per generated image. A table entry prices the model it names and that
+// model's dated snapshots or pins ("claude-opus-4-5-20251101", "gpt-4o-2024-08-06",
+// "claude-opus-4-1@20250805"), never another version: "claude-opus-4" does not cover
+// "claude-opus-4-7", which stays unpriced until it is added here.
+// LLM_PRICING_JSON overrides or extends the table, e.g. {"claude-sonnet-4":{"input":3,"output":15}}.
+
+const DEFAULT_PRICING = {
+  'claude-opus-4-6': { input: 5, output: 25 },
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-opus-4-1': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4-6': { input: 3, output: 15 },
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'dall-e-3': { image: 0.08 },
+  'gemini-2.5-flash-image': { image: 0.039 },
+  'gemini-3-pro-image-preview': { image: 0.134 },
+  'nano-banana': { image: 0.039 },
+  'nano-banana-3-pro': { image: 0.134 }
+};
+
+// What may follow a table key in a model name it prices: nothing, a snapshot date, "-latest" or a pin.
+const SNAPSHOT_SUFFIX_RE = /^(?:-\d{8}|-\d{4}-\d{2}-\d{2}|-latest|@.+)?$/;
+
+function readPricingOverrides() {
+  const raw = String(process.env.LLM_PRICING_JSON || '').trim();
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function getModelPricing(model) {
+  const name = String(model || '').trim().toLowerCase();
+  if (!name) return null;
+  const table = { ...DEFAULT_PRICING, ...readPricingOverrides() };
+  for (const key of Object.keys(table)) {
+    const prefix = key.toLowerCase();
+    if (name.startsWith(prefix) && SNAPSHOT_SUFFIX_RE.test(name.slice(prefix.length))) return table[key];
+  }
+  return null;
+}
+
+/**
+ * Estimated USD cost of one usage event ({ backend, model, inputTokens, outputTokens, images }).
+ * Fixture and mock calls cost nothing; unknown models are priced at 0 and flagged by the caller.
+ */
+export function estimateCostUsd(event) {
+  if (event?.backend === 'fixture' || event?.backend === 'mock') return 0;
+  const price = getModelPricing(event?.model);
+  if (!price) return 0;
+  const input = (Number(event.inputTokens) || 0) * (Number(price.input) || 0);
+  const output = (Number(event.outputTokens) || 0) * (Number(price.output) || 0);
+  const images = (Number(event.images) || 0) * (Number(price.image) || 0);
+  return Math.round(((input + output) / 1e6 + images) * 1e6) / 1e6;
+}
+
+// PIPELINE_DAILY_BUDGET_USD caps the estimated spend per baseline day (0 or unset = no cap).
+// From PIPELINE_BUDGET_DOWNGRADE_AT (fraction of the cap, default 0.8) required stages move to
+// the fallback model; once the cap is reached optional stages (backfill, editor review, images)
+// are skipped.
+export function getBudgetConfig() {
+  const capUsd = Number(process.env.PIPELINE_DAILY_BUDGET_USD);
+  const downgradeAt = Number(process.env.PIPELINE_BUDGET_DOWNGRADE_AT);
+  return {
+    capUsd: Number.isFinite(capUsd) && capUsd > 0 ? capUsd : 0,
+    downgradeAt: Number.isFinite(downgradeAt) && downgradeAt > 0 && downgradeAt <= 1 ? downgradeAt : 0.8
+  };
+}
+
+export function budgetState(spentUsd, config = getBudgetConfig()) {
+  if (!config.capUsd) return 'ok';
+  const spent = Number(spentUsd) || 0;
+  if (spent >= config.capUsd) return 'exceeded';
+  if (spent >= config.capUsd * config.downgradeAt) return 'downgrade';
+  return 'ok';
+}
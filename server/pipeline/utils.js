@@ -3,10 +3,37 @@ import crypto from 'node:crypto';
 export const SECTION_ORDER = ['U.S.', 'World', 'Business', 'Technology', 'AI', 'Arts', 'Lifestyle', 'Opinion'];
 export const ANGLES = ['impact', 'markets', 'policy', 'tech', 'society'];
 
+export const MAX_YEARS_FORWARD = 50;
+export const DEFAULT_EDITION_HORIZONS = [5];
+
 export function clampYears(value) {
   const years = Number(value);
   if (!Number.isFinite(years)) return 5;
-  return Math.max(0, Math.min(10, Math.round(years)));
+  return Math.max(0, Math.min(MAX_YEARS_FORWARD, Math.round(years)));
+}
+
+// "1, 5,10" -> [1, 5, 10]; invalid entries are dropped, duplicates collapsed, order ascending.
+export function parseHorizonList(value, fallback = []) {
+  const raw = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const years = raw
+    .map((v) => String(v).trim())
+    .filter((v) => /^\d+$/.test(v))
+    .map((v) => clampYears(v));
+  const unique = Array.from(new Set(years)).sort((a, b) => a - b);
+  return unique.length ? unique : fallback.slice();
+}
+
+// Editions built, curated and published for every day (PIPELINE_EDITION_HORIZONS).
+export function getEditionHorizons() {
+  return parseHorizonList(process.env.PIPELINE_EDITION_HORIZONS, DEFAULT_EDITION_HORIZONS);
+}
+
+// Edition shown when no ?years= is given (PIPELINE_DEFAULT_HORIZON), always one of the built set.
+export function getDefaultHorizon() {
+  const horizons = getEditionHorizons();
+  const requested = clampYears(process.env.PIPELINE_DEFAULT_HORIZON || 5);
+  if (horizons.includes(requested)) return requested;
+  return horizons.includes(5) ? 5 : horizons[0];
 }
 
 export function formatDay(dateLike = new Date()) {
@@ -0,0 +1,100 @@
+import { extractClaims } from './consistency.js';
+import { hasLlmCredentials, registerFixtureResponder } from './llm.js';
+import { WORLD_FACTS_TOOL, completeStructured } from './structured-output.js';
+
+// The future world canon: durable facts (entity, claim, target year, source story) established
+// by published editions. Later curation and article prompts must not contradict them.
+
+const WORLD_FACTS_SYSTEM_PROMPT = 'You maintain the continuity ledger for The Future Times. Return strict JSON only.';
+const MAX_FACTS_PER_EDITION = 24;
+
+function trimText(value, maxLen) {
+  const text = String(value || '').replace(/\s+/g, ' ').trim();
+  return text.length <= maxLen ? text : text.slice(0, maxLen).trim();
+}
+
+// Deterministic facts for mock mode and fixture runs: the metric, status and event claims the
+// consistency checker already understands.
+export function factsFromClaims(stories) {
+  const facts = [];
+  const seen = new Set();
+  for (const story of Array.isArray(stories) ? stories : []) {
+    for (const claim of extractClaims(story)) {
+      const entity = claim.kind === 'metric'
+        ? claim.key.split('|').slice(0, 2).reverse().filter(Boolean).join(' ').replace(/_/g, ' ')
+        : claim.kind === 'status' ? claim.entity : claim.key.split('|')[0];
+      const key = `${entity}|${claim.sentence}`.toLowerCase();
+      if (!entity || seen.has(key)) continue;
+      seen.add(key);
+      facts.push({ storyId: claim.storyId, entity, claim: claim.sentence });
+    }
+  }
+  return facts.slice(0, MAX_FACTS_PER_EDITION);
+}
+
+export function buildWorldFactsPrompt({ editionDate, targetYear, stories, canon }) {
+  const storyLines = (Array.isArray(stories) ? stories : []).slice(0, 48).map((story) => [
+    `- storyId: ${story.storyId}`,
+    `  title: ${trimText(story.title, 220)}`,
+    `  body: ${trimText(story.body || story.dek, 1400)}`
+  ].join('\n')).join('\n\n');
+  const canonLines = formatCanonForPrompt(canon);
+  return [
+    `The Future Times published its ${editionDate} edition (target year ${targetYear}).`,
+    `List the durable facts about the world in ${targetYear} that these stories establish as having happened: laws passed, offices held or vacated, company events, record figures, completed projects, dated upcoming events.`,
+    `Each fact is one declarative sentence with a named entity. Skip opinions, forecasts inside the stories and anything already in the canon below.`,
+    `Return at most ${MAX_FACTS_PER_EDITION} facts, most consequential first.`,
+    canonLines ? `\nExisting canon (do not repeat):\n${canonLines}` : '',
+    ``,
+    `Stories:`,
+    storyLines || '- (none)'
+  ].filter((line) => line !== '').join('\n');
+}
+
+/**
+ * Facts established by an edition's published stories, as [{ storyId, entity, claim }].
+ * Uses the curation model in anthropic mode and the deterministic claim rules otherwise.
+ */
+export async function extractWorldFacts({ stories, editionDate, targetYear, canon, config, onValidation }) {
+  const list = Array.isArray(stories) ? stories : [];
+  if (!list.length) return { facts: [], source: 'none' };
+  if (config?.mode === 'mock' || !hasLlmCredentials(config)) return { facts: factsFromClaims(list), source: 'rules' };
+
+  const storyIds = new Set(list.map((s) => s.storyId));
+  const { parsed, model } = await completeStructured({
+    stage: 'canon.extract',
+    prompt: buildWorldFactsPrompt({ editionDate, targetYear, stories: list, canon }),
+    context: { stories: list },
+    system: WORLD_FACTS_SYSTEM_PROMPT,
+    model: config.model,
+    backend: config.backend,
+    apiKey: config.apiKey,
+    apiUrl: config.apiUrl,
+    maxTokens: 4000,
+    timeoutMs: Math.max(20000, Math.min(Number(config.timeoutMs) || 120000, 180000)),
+    temperature: 0.1
+  }, {
+    tool: WORLD_FACTS_TOOL,
+    listKey: 'facts',
+    repairs: 0,
+    checkEntry: (entry) => storyIds.has(String(entry.storyId || '').trim()) ? [] : [{ field: 'storyId', message: 'is not one of the edition stories' }],
+    onValidation
+  });
+  const facts = (Array.isArray(parsed?.facts) ? parsed.facts : []).slice(0, MAX_FACTS_PER_EDITION).map((f) => ({
+    storyId: String(f.storyId).trim(),
+    entity: trimText(f.entity, 120),
+    claim: trimText(f.claim, 400)
+  }));
+  return { facts, source: 'model', model };
+}
+
+// Prompt block lines, oldest target year first so later facts read as developments.
+export function formatCanonForPrompt(facts, max = 30) {
+  return (Array.isArray(facts) ? facts : [])
+    .slice(0, max)
+    .sort((a, b) => (Number(a.targetYear) || 0) - (Number(b.targetYear) || 0))
+    .map((f) => `- [${f.targetYear}] ${trimText(f.entity, 120)}: ${trimText(f.claim, 300)}`)
+    .join('\n');
+}
+
+registerFixtureResponder('canon.extract', ({ context }) => ({ facts: factsFromClaims(context?.stories) }));
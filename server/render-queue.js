@@ -0,0 +1,65 @@
+// Bounded queue and per-client rate limiting for on-click article renders. Jobs are deduped by
+// the caller (one job per render cache key); this only decides when each job gets to run.
+
+export function createRenderQueue({ concurrency = 2, maxQueued = 24, onAdvance = null } = {}) {
+  const waiting = [];
+  let active = 0;
+
+  const pump = () => {
+    let advanced = false;
+    while (active < concurrency && waiting.length) {
+      advanced = true;
+      const { job, run } = waiting.shift();
+      active++;
+      Promise.resolve()
+        .then(() => run(job))
+        .catch(() => {})
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+    if (advanced && typeof onAdvance === 'function') onAdvance(waiting.map((entry) => entry.job));
+  };
+
+  return {
+    // { ok: true, position } where position 0 means the job started right away.
+    enqueue(job, run) {
+      if (waiting.length >= maxQueued) return { ok: false, error: 'render_queue_full' };
+      waiting.push({ job, run });
+      pump();
+      return { ok: true, position: this.position(job) };
+    },
+    // 1-based place among waiting jobs, 0 once running (or unknown).
+    position(job) {
+      return waiting.findIndex((entry) => entry.job === job) + 1;
+    },
+    isFull() {
+      return waiting.length >= maxQueued;
+    },
+    stats() {
+      return { active, waiting: waiting.length, concurrency, maxQueued };
+    }
+  };
+}
+
+// Fixed-window counter per key (client IP): at most `limit` takes per `windowMs`.
+export function createRateLimiter({ limit = 6, windowMs = 60_000 } = {}) {
+  const windows = new Map();
+  return {
+    take(key, now = Date.now()) {
+      const id = String(key || 'unknown');
+      let entry = windows.get(id);
+      if (!entry || now - entry.start >= windowMs) {
+        entry = { start: now, count: 0 };
+        windows.set(id, entry);
+      }
+      if (entry.count >= limit) return { ok: false, retryAfterMs: entry.start + windowMs - now };
+      entry.count++;
+      if (windows.size > 5000) {
+        for (const [k, e] of windows) if (now - e.start >= windowMs) windows.delete(k);
+      }
+      return { ok: true, remaining: limit - entry.count };
+    }
+  };
+}
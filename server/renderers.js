@@ -0,0 +1,298 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+
+/**
+ * Article renderers turn a story's seed article into a full body for on-click renders.
+ *
+ *   name       referenced by the chains in config/renderers.json
+ *   available  () => boolean; unavailable renderers are skipped without counting as a failure
+ *   render     async ({ storyId, story, seedArticle, prompt }, { emit }) => { body, model? }
+ *              `emit` takes render.progress / render.chunk events for the readers of the job
+ *
+ * A story is rendered by the first renderer in its chain that succeeds. Chains come from
+ * `stories[storyId]`, then `sections[section]`, then `default`; FT_RENDERER_CHAIN replaces the
+ * default. `spark` and `template` are built in; server.js registers `anthropic`.
+ */
+const renderers = new Map();
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_CHAIN = ['anthropic', 'template'];
+const MAX_BODY_CHUNK_BYTES = 740;
+
+export function registerArticleRenderer(renderer) {
+  const name = String(renderer?.name || '').trim().toLowerCase();
+  if (!name) throw new Error('Article renderer requires a name');
+  if (typeof renderer.render !== 'function') throw new Error(`Article renderer "${name}" must implement render()`);
+  renderers.set(name, { available: () => true, ...renderer, name });
+  return renderer;
+}
+
+export function listArticleRenderers() {
+  return Array.from(renderers.values())
+    .map((r) => ({ name: r.name, available: Boolean(r.available()) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function parseChain(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map((name) => String(name || '').trim().toLowerCase()).filter(Boolean);
+}
+
+// Chains are looked up for every story of every edition request, so the parsed config is kept
+// until the file (or one of the env switches) changes; a stat per call notices edits.
+let configCache = { key: null, config: null };
+
+export function readRendererConfig(env = process.env) {
+  const file = env.FT_RENDERERS_FILE || path.resolve(ROOT_DIR, 'config', 'renderers.json');
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch {
+    mtimeMs = 0;
+  }
+  const key = [file, mtimeMs, env.FT_RENDERER_CHAIN, env.SPARK_MODE, env.SPARK_FALLBACK_TO_MOCK].join('|');
+  if (configCache.key !== key) configCache = { key, config: parseRendererConfig(file, mtimeMs, env) };
+  return configCache.config;
+}
+
+function parseRendererConfig(file, mtimeMs, env) {
+  let raw = {};
+  try {
+    raw = mtimeMs ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  } catch {
+    raw = {};
+  }
+  let defaultChain = parseChain(env.FT_RENDERER_CHAIN || raw.default);
+  if (!defaultChain.length) defaultChain = [...DEFAULT_CHAIN];
+  // Legacy switches: SPARK_MODE=spark puts Spark first; SPARK_FALLBACK_TO_MOCK=false makes it the only renderer.
+  if (env.SPARK_MODE === 'spark') {
+    defaultChain = env.SPARK_FALLBACK_TO_MOCK === 'false' ? ['spark'] : ['spark', ...defaultChain.filter((n) => n !== 'spark')];
+  }
+  const mapChains = (obj) =>
+    Object.fromEntries(
+      Object.entries(obj && typeof obj === 'object' ? obj : {})
+        .map(([key, chain]) => [key, parseChain(chain)])
+        .filter(([, chain]) => chain.length)
+    );
+  return { default: defaultChain, sections: mapChains(raw.sections), stories: mapChains(raw.stories) };
+}
+
+export function rendererChainFor(story, config = readRendererConfig()) {
+  const storyId = String(story?.storyId || '').trim();
+  const section = String(story?.section || '').trim();
+  return config.stories[storyId] || config.sections[section] || config.default;
+}
+
+// True when the chain can write a body with a model rather than only the template.
+export function chainHasLiveRenderer(chain) {
+  return chain.some((name) => name !== 'template' && renderers.get(name)?.available());
+}
+
+export function anyLiveRendererConfigured(config = readRendererConfig()) {
+  return [config.default, ...Object.values(config.sections), ...Object.values(config.stories)].some(chainHasLiveRenderer);
+}
+
+/**
+ * Runs `chain` until a renderer returns a body: { renderer, model, body, failures }. When a later
+ * renderer takes over from one that already streamed text, its first progress event carries
+ * `reset: true` so readers drop the partial body.
+ */
+export async function runRendererChain(chain, request, { emit = () => {} } = {}) {
+  const failures = [];
+  let previous = null;
+  let streamed = false;
+  for (const name of chain) {
+    const renderer = renderers.get(name);
+    if (!renderer || !renderer.available()) {
+      failures.push(`${name}: ${renderer ? 'not configured' : 'unknown renderer'}`);
+      continue;
+    }
+    if (previous) {
+      emit({ type: 'render.progress', phase: `${previous} failed, falling back to ${name}...`, percent: 10, ...(streamed ? { reset: true } : {}) });
+    }
+    streamed = false;
+    try {
+      const result = await renderer.render(request, {
+        emit: (event) => {
+          if (event?.type === 'render.chunk') streamed = true;
+          emit(event);
+        }
+      });
+      const body = String(result?.body || '').trim();
+      if (!body) throw new Error('returned an empty body');
+      return { renderer: name, model: result.model || null, body, failures };
+    } catch (err) {
+      failures.push(`${name}: ${err?.message || err}`);
+      previous = name;
+    }
+  }
+  throw new Error(`No renderer produced the article (${failures.join('; ') || 'empty chain'})`);
+}
+
+export function parseProviderFrame(raw) {
+  const line = String(raw || '').trim();
+  if (!line) return [];
+  const normalized = [];
+
+  for (const chunk of line.split('\n')) {
+    const trimmed = chunk.trim();
+    if (!trimmed) continue;
+    if (trimmed.startsWith('data:')) {
+      const data = trimmed.replace(/^data:\s*/, '');
+      if (data === '[DONE]') continue;
+      try {
+        normalized.push(JSON.parse(data));
+        continue;
+      } catch {
+        normalized.push({ type: 'render.chunk', delta: `${data}\n` });
+        continue;
+      }
+    }
+    if (trimmed.startsWith('{') && trimmed.endsWith('}')) {
+      try {
+        normalized.push(JSON.parse(trimmed));
+        continue;
+      } catch {
+        normalized.push({ type: 'render.chunk', delta: `${trimmed}\n` });
+        continue;
+      }
+    }
+    normalized.push({ type: 'render.chunk', delta: `${trimmed}\n` });
+  }
+
+  return normalized;
+}
+
+export function normalizeProviderEvent(rawEvent) {
+  const event = typeof rawEvent === 'object' && rawEvent !== null ? rawEvent : {};
+  const progressType = event.type === 'progress' || event.type === 'render.progress' || event.type === 'status';
+  const chunkType = event.type === 'chunk' || event.type === 'render.chunk' || event.type === 'token' || event.type === 'content';
+  const completeType = event.type === 'complete' || event.type === 'render.complete' || event.type === 'done' || event.type === 'finished';
+  const errorType = event.type === 'error' || event.type === 'render.error' || event.error || event.err;
+
+  if (errorType) {
+    const errorText = typeof event.error === 'string' ? event.error : event.message || event.err || 'Render failed';
+    return { type: 'render.error', error: errorText };
+  }
+
+  if (progressType) {
+    const percent = Number(event.percent || event.pct || event.progress || event.complete);
+    return {
+      type: 'render.progress',
+      percent: Number.isFinite(percent) ? percent : undefined,
+      phase: event.phase || event.stage || event.label || event.message
+    };
+  }
+
+  if (chunkType) {
+    const delta = event.delta || event.content || event.text || (event.choices && event.choices[0]?.delta?.content) || '';
+    if (delta) return { type: 'render.chunk', delta: String(delta) };
+  }
+
+  if (event.choices && event.choices[0]?.text) {
+    return { type: 'render.chunk', delta: String(event.choices[0].text) };
+  }
+
+  if (event.article || event.payload || event.result || event.output || event.data) {
+    return { type: 'render.article', article: event.article || event.payload || event.result || event.output || event.data };
+  }
+
+  if (event.body) {
+    return { type: 'render.article', article: { ...event, body: String(event.body) } };
+  }
+
+  if (completeType) {
+    return { type: 'render.complete', article: event.article || event.result || event.output || event.data || { body: '' } };
+  }
+
+  return {};
+}
+
+function sparkConfigFromEnv(env = process.env) {
+  return {
+    url: String(env.SPARK_WS_URL || '').trim(),
+    token: String(env.SPARK_AUTH_TOKEN || '').trim(),
+    header: env.SPARK_AUTH_HEADER || 'Authorization',
+    prefix: env.SPARK_AUTH_PREFIX ?? 'Bearer',
+    timeoutMs: Number(env.SPARK_TIMEOUT_MS) || 120000
+  };
+}
+
+// External renderer over WebSocket: sends one render.article request and maps whatever the
+// provider streams back through parseProviderFrame/normalizeProviderEvent.
+registerArticleRenderer({
+  name: 'spark',
+  available: () => Boolean(sparkConfigFromEnv().url),
+  render({ storyId, seedArticle, prompt }, { emit }) {
+    const cfg = sparkConfigFromEnv();
+    return new Promise((resolve, reject) => {
+      const headers = cfg.token ? { [cfg.header]: cfg.prefix ? `${cfg.prefix} ${cfg.token}` : cfg.token } : {};
+      let socket;
+      try {
+        socket = new WebSocket(cfg.url, { headers });
+      } catch (err) {
+        reject(err);
+        return;
+      }
+      let body = '';
+      let done = false;
+      const finish = (err, result) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        try {
+          socket.close();
+        } catch {
+          // ignore
+        }
+        if (err) reject(err);
+        else resolve(result);
+      };
+      const timer = setTimeout(() => finish(new Error(`timed out after ${cfg.timeoutMs}ms`)), cfg.timeoutMs);
+
+      socket.on('open', () => {
+        emit({ type: 'render.progress', phase: 'Connected to Spark...', percent: 15 });
+        socket.send(JSON.stringify({ type: 'render.article', articleId: storyId, prompt, article: seedArticle }));
+      });
+      socket.on('message', (raw) => {
+        for (const frame of parseProviderFrame(raw.toString())) {
+          const event = normalizeProviderEvent(frame);
+          if (event.type === 'render.progress') {
+            const percent = Math.max(15, Math.min(90, Number(event.percent) || 15));
+            emit({ type: 'render.progress', phase: event.phase || 'Spark is writing...', percent });
+          } else if (event.type === 'render.chunk') {
+            body += event.delta;
+            emit({ type: 'render.chunk', delta: event.delta });
+          } else if (event.type === 'render.article' || event.type === 'render.complete') {
+            finish(null, { body: String(event.article?.body || '').trim() || body });
+          } else if (event.type === 'render.error') {
+            finish(new Error(event.error));
+          }
+        }
+      });
+      socket.on('error', (err) => finish(err));
+      // Without a completion event the text may stop mid-sentence; fail so the chain falls back.
+      socket.on('close', () => finish(new Error(body ? 'connection closed before the render completed' : 'connection closed before any article text')));
+    });
+  }
+});
+
+// Deterministic fallback: streams the seed article's forecast body in paragraph-sized chunks.
+registerArticleRenderer({
+  name: 'template',
+  async render({ seedArticle }, { emit }) {
+    const body = String(seedArticle?.body || '').trim();
+    let chunk = '';
+    for (const paragraph of body.split(/\n{2,}/)) {
+      if (chunk && chunk.length + paragraph.length > MAX_BODY_CHUNK_BYTES) {
+        emit({ type: 'render.chunk', delta: chunk });
+        chunk = '';
+      }
+      chunk += `${paragraph}\n\n`;
+    }
+    if (chunk) emit({ type: 'render.chunk', delta: chunk });
+    return { body };
+  }
+});
@@ -8,15 +8,21 @@ import { fileURLToPath } from 'node:url';
 import { WebSocket, WebSocketServer } from 'ws';
 
 import { FutureTimesPipeline } from './pipeline/pipeline.js';
-import { SECTION_ORDER, clampYears, formatDay, normalizeDay } from './pipeline/utils.js';
+import { SECTION_ORDER, clampYears, formatDay, getDefaultHorizon, getEditionHorizons, normalizeDay } from './pipeline/utils.js';
 import { buildEditionCurationPrompt, getSonnetCurationConfigFromEnv } from './pipeline/curation.js';
+import { FALLBACK_LLM_MODEL, getLlmBackendName, hasLlmCredentials, registerFixtureResponder, streamText, withUsageScope } from './pipeline/llm.js';
 import { getRuntimeConfigInfo, readRuntimeConfig, readSonnetRuntimeConfig, updateSonnetRuntimeConfig } from './pipeline/runtimeConfig.js';
+import { formatCanonForPrompt } from './pipeline/world-state.js';
+import { promptHashOf } from './pipeline/revisions.js';
 import { decorateArticlePayload, decorateEditionPayload } from './future_images/decorators.js';
 import { getFutureImagesFlags, hasBlobConfig, hasPostgresConfig } from './future_images/config.js';
 import { refreshIdeas } from './future_images/ideas.js';
 import { enqueueSectionHeroJobs, enqueueSingleIdeaJob, enqueueSingleStoryHeroJob, runImageWorker } from './future_images/jobs.js';
 import { getImagesAdminState } from './future_images/state.js';
 import { renderImagesAdminHtml } from './future_images/ui.js';
+import { createRateLimiter, createRenderQueue } from './render-queue.js';
+import { articleBlocksPromptLines, blocksToPlainText, parseArticleBlocks, resolveChartBlocks } from './article-blocks.js';
+import { anyLiveRendererConfigured, chainHasLiveRenderer, registerArticleRenderer, rendererChainFor, runRendererChain } from './renderers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -27,13 +33,19 @@ const PORT_START = Number(process.env.PORT || 57965);
 const PORT_FALLBACK_STEP = Number(process.env.PORT_FALLBACK_STEP || 53);
 const PORT_MAX_TRIES = Number(process.env.PORT_MAX_TRIES || 48);
 
-// Articles are rendered by Anthropic Sonnet API — no Spark/mock renderers
-const EDITION_YEARS = 5; // Only +5y edition for now
+const EDITION_YEARS = getDefaultHorizon(); // PIPELINE_DEFAULT_HORIZON; other horizons come from PIPELINE_EDITION_HORIZONS
 
 const PIPELINE_REFRESH_MS = Number(process.env.PIPELINE_REFRESH_MS || 1000 * 60 * 60);
 const AUTO_CURATE_DEFAULT = process.env.SONNET_AUTO_CURATE !== 'false';
-const MAX_BODY_CHUNK_BYTES = 740;
 const JOB_TTL_MS = 1000 * 60 * 10;
+// Events a running job keeps for Last-Event-ID replay before they are folded into one snapshot.
+const JOB_EVENT_LOG_MAX = 200;
+// On-click renders of stories that were not prewritten: at most RENDER_CONCURRENCY model calls
+// at once, RENDER_QUEUE_MAX waiting, and RENDER_RATE_LIMIT new renders per client IP per minute.
+const RENDER_CONCURRENCY = Math.max(1, Number(process.env.FT_RENDER_CONCURRENCY || 2));
+const RENDER_QUEUE_MAX = Math.max(1, Number(process.env.FT_RENDER_QUEUE_MAX || 24));
+const RENDER_RATE_LIMIT = Math.max(1, Number(process.env.FT_RENDER_RATE_LIMIT || 6));
+const RENDER_RATE_WINDOW_MS = 60 * 1000;
 const MIN_PUBLISHED_BODY_CHARS = Math.max(80, Number(process.env.FT_MIN_PUBLISHED_BODY_CHARS || 120));
 const EDITION_RECOVERY_COOLDOWN_MS = Math.max(60_000, Number(process.env.FT_EDITION_RECOVERY_COOLDOWN_MS || 10 * 60 * 1000));
 const HERO_IMAGE_RECOVERY_COOLDOWN_MS = Math.max(30_000, Number(process.env.FT_HERO_IMAGE_RECOVERY_COOLDOWN_MS || 2 * 60 * 1000));
@@ -162,6 +174,12 @@ pipeline.init();
 const jobStore = new Map(); // key -> job
 const cacheByKey = new Map(); // storyId -> rendered article
 const socketToSubscriptions = new Map(); // socket -> Set<subscription>
+const renderQueue = createRenderQueue({
+  concurrency: RENDER_CONCURRENCY,
+  maxQueued: RENDER_QUEUE_MAX,
+  onAdvance: (waiting) => waiting.forEach((job, idx) => broadcastToJobSubscribers(job, { type: 'render.queued', position: idx + 1 }))
+});
+const renderRateLimiter = createRateLimiter({ limit: RENDER_RATE_LIMIT, windowMs: RENDER_RATE_WINDOW_MS });
 const editionRecoveryAttempts = new Map(); // day|years -> last attempt ms
 const heroImageRecoveryAttempts = new Map(); // day|years -> last attempt ms
 const heroImageForceAttempts = new Map(); // day|years|story -> last force enqueue ms
@@ -478,7 +496,10 @@ function selectBalancedPublishedStories(candidates, options = {}) {
   });
 }
 
+// An admin-pinned revision (render_pins) wins over every cached variant of the story.
 function getPreRenderedArticle(storyId, story = null) {
+  const pinned = pipeline.getPinnedArticle(storyId);
+  if (pinned) return pinned;
   const key = keyFor(storyId, story);
   const mem = cacheByKey.get(key);
   if (mem && isPublishReadyArticle(mem) && isStoryFuturePublishable(story || pipeline.getStory(storyId), mem)) return mem;
@@ -488,10 +509,10 @@ function getPreRenderedArticle(storyId, story = null) {
     return dbCached;
   }
   const resolvedStory = story || pipeline.getStory(storyId);
-  if (resolvedStory) {
+  if (resolvedStory && !awaitsLiveRender(resolvedStory)) {
     const seedArticle = buildSeedArticleFromStory(resolvedStory);
     if (isPublishReadyArticle(seedArticle) && isStoryFuturePublishable(resolvedStory, seedArticle)) {
-      pipeline.storeRendered(storyId, seedArticle, { curationGeneratedAt: resolvedStory?.curation?.generatedAt || null });
+      pipeline.storeRendered(storyId, seedArticle, { curationGeneratedAt: resolvedStory?.curation?.generatedAt || null, stage: 'seed' });
       cacheByKey.set(key, seedArticle);
       return seedArticle;
     }
@@ -729,7 +750,7 @@ function prewarmRenderCacheForDay(day, yearsList = [EDITION_YEARS]) {
       skippedNoBody++;
       continue;
     }
-    pipeline.storeRendered(storyId, seedArticle, { curationGeneratedAt: story?.curation?.generatedAt || null });
+    pipeline.storeRendered(storyId, seedArticle, { curationGeneratedAt: story?.curation?.generatedAt || null, stage: 'seed' });
     cacheByKey.set(keyFor(storyId, story), seedArticle);
     rendered++;
   }
@@ -769,7 +790,7 @@ function hasCurationCoverage(payload) {
 async function recoverHeroImages(day, yearsForward, published = null) {
   const flags = getFutureImagesFlags();
   if (!flags.imagesEnabled || !flags.storyHeroEnabled) return { ok: false, skipped: true, reason: 'images_disabled' };
-  if (Number(yearsForward) !== 5) return { ok: false, skipped: true, reason: 'unsupported_years_forward' };
+  if (!getEditionHorizons().includes(Number(yearsForward))) return { ok: false, skipped: true, reason: 'unsupported_years_forward' };
 
   const key = `${day}|y${yearsForward}`;
   const nowMs = Date.now();
@@ -852,6 +873,7 @@ async function recoverHeroImages(day, yearsForward, published = null) {
     );
     const worker = await runImageWorker({
       day,
+      pipeline,
       limit: requestedLimit,
       maxMs: HERO_IMAGE_RECOVERY_MAX_MS
     });
@@ -861,6 +883,16 @@ async function recoverHeroImages(day, yearsForward, published = null) {
   }
 }
 
+function withStoryThread(article, storyId) {
+  if (!article || typeof article !== 'object') return article;
+  try {
+    const thread = pipeline.getStoryThread(storyId);
+    return thread ? { ...article, thread } : article;
+  } catch {
+    return article;
+  }
+}
+
 async function buildPublishedEdition(day, yearsForward, payload) {
   const decorate = async (editionPayload) => {
     const filtered = filterEditionToPublishedArticles(editionPayload, { day, yearsForward });
@@ -1009,7 +1041,7 @@ async function resolveReplacementArticle({ day, yearsForward, excludedStoryId =
   if (!article) {
     const seed = buildSeedArticleFromStory(replacementStory);
     if (!isPublishReadyArticle(seed) || !isStoryFuturePublishable(replacementStory, seed)) return null;
-    pipeline.storeRendered(replacementStory.storyId, seed, { curationGeneratedAt: replacementStory?.curation?.generatedAt || null });
+    pipeline.storeRendered(replacementStory.storyId, seed, { curationGeneratedAt: replacementStory?.curation?.generatedAt || null, stage: 'seed' });
     article = seed;
   }
   const merged = {
@@ -1062,17 +1094,106 @@ function safeSend(socket, payload) {
   }
 }
 
+// Every broadcast is also kept on the job with an id ("<job token>-<seq>") so event-stream
+// clients that reconnect with Last-Event-ID get only what they missed. The log is bounded: past
+// JOB_EVENT_LOG_MAX entries it is folded into a snapshot of the latest progress and the body so
+// far, and once the job finishes only the final event (which carries the article) is kept.
 function broadcastToJobSubscribers(job, payload) {
+  const id = `${job.token}-${++job.eventSeq}`;
+  const entry = { id, seq: job.eventSeq, payload };
+  if (isTerminalRenderEvent(payload)) {
+    job.events = [entry];
+    job.snapshot = null;
+  } else if (job.events.push(entry) > JOB_EVENT_LOG_MAX) {
+    // partialBody already includes this event's delta.
+    const lastProgress = job.events.findLast((event) => event.payload.type === 'render.progress');
+    job.snapshot = {
+      seq: job.eventSeq,
+      progress: lastProgress?.payload || job.snapshot?.progress || null,
+      body: job.partialBody || ''
+    };
+    job.events = [];
+  }
   for (const subscription of Array.from(job.subscribers)) {
-    const sent = safeSend(subscription.socket, {
-      ...payload,
-      requestId: subscription.requestId,
-      articleId: job.storyId
-    });
-    if (!sent) {
+    const sent = subscription.stream
+      ? writeSseEvent(subscription.stream, { ...payload, articleId: job.storyId }, id)
+      : safeSend(subscription.socket, {
+          ...payload,
+          requestId: subscription.requestId,
+          articleId: job.storyId
+        });
+    if (!sent || (subscription.stream && isTerminalRenderEvent(payload))) {
       job.subscribers.delete(subscription);
+      if (subscription.stream) closeSseStream(subscription.stream);
+    }
+  }
+}
+
+function isTerminalRenderEvent(payload) {
+  return payload?.type === 'render.complete' || payload?.type === 'render.error';
+}
+
+function openSseStream(req, res) {
+  res.writeHead(200, {
+    'content-type': 'text/event-stream; charset=utf-8',
+    'cache-control': 'no-cache, no-transform',
+    connection: 'keep-alive',
+    'x-accel-buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': ping\n\n');
+  }, 15000);
+  if (heartbeat.unref) heartbeat.unref();
+  res.once('close', () => clearInterval(heartbeat));
+  return res;
+}
+
+function writeSseEvent(res, payload, id = '') {
+  if (!res || res.writableEnded || res.destroyed) return false;
+  try {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${payload.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function closeSseStream(res) {
+  if (res && !res.writableEnded) res.end();
+}
+
+// Replays the job's events after `lastEventId` (all of them for a new reader or one whose id
+// belongs to an earlier job for the same story), then follows the job until it finishes.
+// Resolves once the stream has ended, so a serverless handler that awaits it keeps its instance
+// (and the job running in it) alive for as long as the reader is connected.
+function subscribeStreamToJob(job, res, lastEventId = '') {
+  const ended = new Promise((resolve) => {
+    if (res.writableEnded || res.destroyed) resolve();
+    res.once('close', resolve);
+    res.once('finish', resolve);
+  });
+  const [token, seq] = String(lastEventId || '').split('-');
+  const after = token === job.token && Number.isFinite(Number(seq)) ? Number(seq) : 0;
+  // A reader behind the snapshot starts over from it.
+  if (job.snapshot && after < job.snapshot.seq) {
+    const id = `${job.token}-${job.snapshot.seq}`;
+    const progress = job.snapshot.progress || { type: 'render.progress', phase: 'Rendering...', percent: 10 };
+    writeSseEvent(res, { ...progress, reset: true, articleId: job.storyId }, id);
+    if (job.snapshot.body) writeSseEvent(res, { type: 'render.chunk', delta: job.snapshot.body, articleId: job.storyId }, id);
+  }
+  for (const event of job.events) {
+    if (event.seq <= after) continue;
+    writeSseEvent(res, { ...event.payload, articleId: job.storyId }, event.id);
+    if (isTerminalRenderEvent(event.payload)) {
+      closeSseStream(res);
+      return ended;
     }
   }
+  const subscription = { stream: res, jobKey: job.key };
+  job.subscribers.add(subscription);
+  res.once('close', () => job.subscribers.delete(subscription));
+  return ended;
 }
 
 function subscribeSocketToJob(job, socket, requestId) {
@@ -1282,6 +1403,19 @@ function buildForecastBody(story) {
   return buildFallbackForecastBody(story, curation);
 }
 
+// A curated draft or edition body, as opposed to the template fallback buildForecastBody writes.
+function hasWrittenBody(story) {
+  const curation = story && story.curation && typeof story.curation === 'object' ? story.curation : null;
+  const written = String(curation?.draftArticle?.body || curation?.draftBody || story?.body || '').trim();
+  return written.length > 120;
+}
+
+// Stories without a written body stream in on first open instead of being published with the
+// template body.
+function awaitsLiveRender(story) {
+  return Boolean(story) && !hasWrittenBody(story) && realtimeRenderEnabled(story);
+}
+
 function buildSeedArticleFromStory(story) {
   const pack = story.evidencePack || {};
   const curation = story && story.curation && typeof story.curation === 'object' ? story.curation : null;
@@ -1321,178 +1455,91 @@ function buildSeedArticleFromStory(story) {
   };
 }
 
-async function runAnthropicRenderer(job, story, seedArticle) {
-  const rendered = { ...seedArticle };
-  const sonnetCfg = readSonnetRuntimeConfig() || {};
-  const apiKey = process.env.ANTHROPIC_API_KEY || sonnetCfg.apiKey || '';
-  if (!apiKey) {
-    throw new Error('ANTHROPIC_API_KEY not set — cannot render article');
-  }
+function anthropicApiKey() {
+  return process.env.ANTHROPIC_API_KEY || readSonnetRuntimeConfig()?.apiKey || '';
+}
 
-  const userPrompt = buildArticlePrompt(seedArticle, story);
+registerArticleRenderer({
+  name: 'anthropic',
+  available: () => hasLlmCredentials({ apiKey: anthropicApiKey() }),
+  async render({ story, seedArticle, prompt }, { emit }) {
+    const apiKey = anthropicApiKey();
+    if (!hasLlmCredentials({ apiKey })) {
+      throw new Error(`No credentials for the ${getLlmBackendName()} LLM backend — cannot render article`);
+    }
 
-  broadcastToJobSubscribers(job, { type: 'render.progress', phase: 'Generating article with Sonnet...', percent: 15 });
+    // Renders are attributed to the story's day in the usage ledger; past the downgrade
+    // threshold of that day's budget they use the fallback model.
+    const storyDay = String(story?.day || '').trim() || formatDay();
+    const budget = pipeline.getBudgetStatus(storyDay);
+    const model = budget.state === 'ok' ? getSonnetCurationConfigFromEnv().model : FALLBACK_LLM_MODEL;
 
-  // Story writing is Sonnet-only.
-  const model = 'claude-sonnet-4-6';
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 120000);
+    emit({ type: 'render.progress', phase: 'Generating article...', percent: 15 });
 
-  try {
-    const resp = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
+    let fullBody = '';
+    let started = false;
+    await withUsageScope({ day: storyDay }, () => streamText(
+      {
+        stage: 'article.render',
+        prompt,
+        context: { title: seedArticle.title, dek: seedArticle.dek, editionDate: seedArticle.editionDate },
         model,
-        max_tokens: 4096,
+        apiKey,
+        maxTokens: 4096,
         temperature: 0.6,
-        stream: true,
-        messages: [{ role: 'user', content: userPrompt }]
-      }),
-      signal: controller.signal
-    });
-
-    if (!resp.ok) {
-      const errText = await resp.text().catch(() => '');
-      throw new Error(`Anthropic API ${resp.status}: ${errText.slice(0, 200)}`);
-    }
-
-    broadcastToJobSubscribers(job, { type: 'render.progress', phase: 'Writing article...', percent: 30 });
-
-    // Stream the response
-    let fullBody = '';
-    const reader = resp.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      buffer += decoder.decode(value, { stream: true });
-
-      // Parse SSE events
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-
-      for (const line of lines) {
-        if (!line.startsWith('data: ')) continue;
-        const data = line.slice(6).trim();
-        if (data === '[DONE]') continue;
-        try {
-          const evt = JSON.parse(data);
-          if (evt.type === 'content_block_delta' && evt.delta?.type === 'text_delta') {
-            const text = evt.delta.text || '';
-            fullBody += text;
-            broadcastToJobSubscribers(job, { type: 'render.chunk', delta: text });
-          }
-        } catch { /* skip non-JSON SSE lines */ }
+        timeoutMs: 120000
+      },
+      (text) => {
+        if (!started) {
+          started = true;
+          emit({ type: 'render.progress', phase: 'Writing article...', percent: 30 });
+        }
+        fullBody += text;
+        emit({ type: 'render.chunk', delta: text });
+        // Update progress based on length
+        const pct = Math.min(90, 30 + Math.floor((fullBody.length / 3000) * 60));
+        emit({ type: 'render.progress', phase: 'Writing article...', percent: pct });
       }
-
-      // Update progress based on length
-      const pct = Math.min(90, 30 + Math.floor((fullBody.length / 3000) * 60));
-      broadcastToJobSubscribers(job, { type: 'render.progress', phase: 'Writing article...', percent: pct });
-    }
-
-    rendered.body = fullBody.trim() || rendered.body;
-    broadcastToJobSubscribers(job, { type: 'render.progress', phase: 'Article complete', percent: 100 });
-  } finally {
-    clearTimeout(timeout);
+    ));
+    return { body: fullBody, model };
   }
+});
 
+// `provenance` says what wrote the stored body: { stage: 'seed' } for the curated or template
+// body, { stage: 'render', model, promptHash } for a renderer chain's.
+function completeRenderJob(job, article, provenance) {
   job.complete = true;
   job.status = 'complete';
-  job.result = rendered;
-  cacheByKey.set(job.key, rendered);
-  pipeline.storeRendered(job.storyId, rendered, { curationGeneratedAt: job.curationGeneratedAt });
-
-  broadcastToJobSubscribers(job, { type: 'render.complete', article: rendered });
+  job.result = article;
+  cacheByKey.set(job.key, article);
+  pipeline.storeRendered(job.storyId, article, { curationGeneratedAt: job.curationGeneratedAt, ...provenance });
+  broadcastToJobSubscribers(job, { type: 'render.complete', article });
   finalizeJobCleanup(job);
 }
 
-function parseProviderFrame(raw) {
-  const line = String(raw || '').trim();
-  if (!line) return [];
-  const normalized = [];
-
-  for (const chunk of line.split('\n')) {
-    const trimmed = chunk.trim();
-    if (!trimmed) continue;
-    if (trimmed.startsWith('data:')) {
-      const data = trimmed.replace(/^data:\s*/, '');
-      if (data === '[DONE]') continue;
-      try {
-        normalized.push(JSON.parse(data));
-        continue;
-      } catch {
-        normalized.push({ type: 'render.chunk', delta: `${data}\n` });
-        continue;
-      }
-    }
-    if (trimmed.startsWith('{') && trimmed.endsWith('}')) {
-      try {
-        normalized.push(JSON.parse(trimmed));
-        continue;
-      } catch {
-        normalized.push({ type: 'render.chunk', delta: `${trimmed}\n` });
-        continue;
-      }
-    }
-    normalized.push({ type: 'render.chunk', delta: `${trimmed}\n` });
-  }
-
-  return normalized;
-}
-
-function normalizeProviderEvent(rawEvent) {
-  const event = typeof rawEvent === 'object' && rawEvent !== null ? rawEvent : {};
-  const progressType = event.type === 'progress' || event.type === 'render.progress' || event.type === 'status';
-  const chunkType = event.type === 'chunk' || event.type === 'render.chunk' || event.type === 'token' || event.type === 'content';
-  const completeType = event.type === 'complete' || event.type === 'render.complete' || event.type === 'done' || event.type === 'finished';
-  const errorType = event.type === 'error' || event.type === 'render.error' || event.error || event.err;
-
-  if (errorType) {
-    const errorText = typeof event.error === 'string' ? event.error : event.message || event.err || 'Render failed';
-    return { type: 'render.error', error: errorText };
-  }
-
-  if (progressType) {
-    const percent = Number(event.percent || event.pct || event.progress || event.complete);
-    return {
-      type: 'render.progress',
-      percent: Number.isFinite(percent) ? percent : undefined,
-      phase: event.phase || event.stage || event.label || event.message
-    };
-  }
-
-  if (chunkType) {
-    const delta = event.delta || event.content || event.text || (event.choices && event.choices[0]?.delta?.content) || '';
-    if (delta) return { type: 'render.chunk', delta: String(delta) };
-  }
-
-  if (event.choices && event.choices[0]?.text) {
-    return { type: 'render.chunk', delta: String(event.choices[0].text) };
-  }
-
-  if (event.article || event.payload || event.result || event.output || event.data) {
-    return { type: 'render.article', article: event.article || event.payload || event.result || event.output || event.data };
-  }
-
-  if (event.body) {
-    return { type: 'render.article', article: { ...event, body: String(event.body) } };
-  }
-
-  if (completeType) {
-    return { type: 'render.complete', article: event.article || event.result || event.output || event.data || { body: '' } };
-  }
-
-  return {};
+// Runs the story's renderer chain (config/renderers.json), streaming to the job's readers.
+async function runRendererChainForJob(job, story, seedArticle) {
+  const storyDay = String(story?.day || '').trim() || formatDay();
+  const prompt = buildArticlePrompt(seedArticle, story, pipeline.getCanonForEdition(storyDay, story?.yearsForward), pipeline.listChartableSeries(story));
+  const emit = (event) => {
+    if (event.reset) job.partialBody = '';
+    if (event.type === 'render.chunk') job.partialBody = `${job.partialBody || ''}${event.delta}`;
+    broadcastToJobSubscribers(job, event);
+  };
+  const result = await runRendererChain(rendererChainFor(story), { storyId: job.storyId, story, seedArticle, prompt }, { emit });
+  // Directives in the rendered text become typed blocks; `body` keeps a plain-text version.
+  const blocks = resolveChartBlocks(parseArticleBlocks(result.body), ({ source, series }) =>
+    pipeline.getChartSeries({ source, series, until: storyDay })
+  );
+  broadcastToJobSubscribers(job, { type: 'render.progress', phase: 'Article complete', percent: 100 });
+  completeRenderJob(job, { ...seedArticle, body: blocksToPlainText(blocks) || result.body, blocks, renderedBy: result.renderer }, {
+    stage: 'render',
+    model: result.model || result.renderer,
+    promptHash: promptHashOf(prompt)
+  });
 }
 
-function buildArticlePrompt(seedArticle, story) {
+function buildArticlePrompt(seedArticle, story, canon = [], charts = []) {
   const editionDate = story.evidencePack?.editionDate || seedArticle.editionDate;
   const baselineDay = normalizeDay(story.day) || formatDay();
   const baselineYear = baselineDay.slice(0, 4) || '2026';
@@ -1504,6 +1551,7 @@ function buildArticlePrompt(seedArticle, story) {
   const topicTitle = String(curation?.topicTitle || curation?.topicSeed || '').trim();
   const directions = String(curation?.sparkDirections || '').trim();
   const eventSeed = String(curation?.futureEventSeed || '').trim();
+  const canonLines = formatCanonForPrompt(canon, 20);
 
   return [
     `You are writing an article for The Future Times, published on ${timeAnchor}.`,
@@ -1519,11 +1567,13 @@ function buildArticlePrompt(seedArticle, story) {
     ``,
     `Do not describe the article as a projection, simulation, or prompt output.`,
     `Output 4-8 narrative paragraphs (NYT-style prose, no markdown headers, no bullet lists).`,
+    ...articleBlocksPromptLines(charts),
     `Do NOT include a Sources section — sources are handled separately.`,
     ``,
     topicTitle ? `Topic: ${topicTitle}` : '',
     directions ? `Curator directions: ${directions}` : '',
     eventSeed ? `Future event seed: ${eventSeed}` : '',
+    canonLines ? `\nEstablished facts from earlier editions (stay consistent with them; do not contradict):\n${canonLines}` : '',
     ``,
     `Headline: ${seedArticle.title}`,
     seedArticle.dek ? `Dek: ${seedArticle.dek}` : '',
@@ -1532,21 +1582,27 @@ function buildArticlePrompt(seedArticle, story) {
   ].filter(Boolean).join('\n');
 }
 
+// Offline renders (LLM_BACKEND=fixture) expand the headline and dek into a short article.
+registerFixtureResponder('article.render', ({ context }) => {
+  const dek = String(context?.dek || context?.title || '').trim();
+  return [
+    dek,
+    `The announcement on ${context?.editionDate || 'the edition date'} capped a period of steady change around ${String(context?.title || 'the story').trim()}.`,
+    '::pullquote This was years in the making, and it still arrived faster than anyone planned for. | A person close to the matter',
+    'People close to the matter said the effects would be felt well beyond the initial rollout, and that the coming months would show how durable the shift proves to be.'
+  ].join('\n\n');
+});
+
 async function renderArticleContent(job, story, seedArticle) {
-  // If there's already a full body (from Sonnet draftArticle), just finalize
-  if (seedArticle.body && seedArticle.body.trim().length > 200) {
-    job.complete = true;
-    job.status = 'complete';
-    job.result = seedArticle;
-    cacheByKey.set(job.key, seedArticle);
-    pipeline.storeRendered(job.storyId, seedArticle, { curationGeneratedAt: job.curationGeneratedAt });
-    broadcastToJobSubscribers(job, { type: 'render.complete', article: seedArticle });
-    finalizeJobCleanup(job);
+  // If there's already a full body (from Sonnet draftArticle), just finalize. In mock curation
+  // mode the template body is final too: there is no model to write a longer one.
+  const mockMode = getSonnetCurationConfigFromEnv().mode === 'mock';
+  if (seedArticle.body && (mockMode || (hasWrittenBody(story) && seedArticle.body.trim().length > 200))) {
+    completeRenderJob(job, seedArticle, { stage: 'seed' });
     return;
   }
 
-  // Use Anthropic Sonnet API to generate the article
-  await runAnthropicRenderer(job, story, seedArticle);
+  await runRendererChainForJob(job, story, seedArticle);
 }
 
 async function runRenderJob(job) {
@@ -1574,6 +1630,8 @@ function getActiveJob(key) {
 }
 
 function getArticleStatus(storyId, story = null) {
+  const pinned = pipeline.getPinnedArticle(storyId);
+  if (pinned) return { status: 'ready', article: pinned };
   const key = keyFor(storyId, story);
   const mem = cacheByKey.get(key);
   if (mem && hasRenderableBody(mem)) return { status: 'ready', article: mem };
@@ -1594,21 +1652,32 @@ function getArticleStatus(storyId, story = null) {
         seedArticle.body = bestBody;
       }
       cacheByKey.set(key, seedArticle);
-      pipeline.storeRendered(storyId, seedArticle, { curationGeneratedAt: story?.curation?.generatedAt || null });
+      pipeline.storeRendered(storyId, seedArticle, { curationGeneratedAt: story?.curation?.generatedAt || null, stage: 'seed' });
       return { status: 'ready', article: seedArticle };
     }
   }
   const job = getActiveJob(key);
   if (job) {
+    if (job.status === 'queued') return { status: 'queued', position: renderQueue.position(job) };
     return { status: job.status === 'complete' ? 'ready' : 'streaming', article: job.result, startedAt: job.startedAt };
   }
-  return { status: 'queued' };
+  return { status: 'not_started' };
+}
+
+// Live renders need a model renderer (Anthropic or Spark) in the story's chain, or in any chain
+// when no story is given; mock curation and FT_REALTIME_RENDER=false serve prewritten (or
+// template) articles only.
+function realtimeRenderEnabled(story = null) {
+  if (process.env.FT_REALTIME_RENDER === 'false') return false;
+  if (getSonnetCurationConfigFromEnv().mode === 'mock') return false;
+  return story ? chainHasLiveRenderer(rendererChainFor(story)) : anyLiveRendererConfigured();
 }
 
-function startRenderJob(storyId, story = null) {
+function startRenderJob(storyId, story = null, { clientIp = '' } = {}) {
   const resolvedStory = story || pipeline.getStory(storyId);
   const key = keyFor(storyId, resolvedStory);
   const cached =
+    pipeline.getPinnedArticle(storyId) ||
     cacheByKey.get(key) || pipeline.getRenderedVariant(storyId, { curationGeneratedAt: resolvedStory?.curation?.generatedAt || '' });
   if (cached && hasRenderableBody(cached)) {
     cacheByKey.set(key, cached);
@@ -1625,44 +1694,62 @@ function startRenderJob(storyId, story = null) {
         seedArticle.body = bestBody;
       }
       cacheByKey.set(key, seedArticle);
-      pipeline.storeRendered(storyId, seedArticle, { curationGeneratedAt: resolvedStory?.curation?.generatedAt || null });
+      pipeline.storeRendered(storyId, seedArticle, { curationGeneratedAt: resolvedStory?.curation?.generatedAt || null, stage: 'seed' });
       return { status: 'cached', key, article: seedArticle, job: null };
     }
   }
 
+  // One job per render cache key: later readers of the same story join the running job.
   const existing = getActiveJob(key);
   if (existing) {
-    return { status: 'running', key, article: null, job: existing };
+    const position = renderQueue.position(existing);
+    return { status: position ? 'queued' : 'running', key, article: null, job: existing, position };
   }
 
   if (!resolvedStory) {
     return { status: 'not_found', key, article: null, job: null };
   }
+  if (renderQueue.isFull()) {
+    return { status: 'queue_full', key, article: null, job: null };
+  }
+  const allowed = renderRateLimiter.take(clientIp);
+  if (!allowed.ok) {
+    return { status: 'rate_limited', key, article: null, job: null, retryAfterMs: allowed.retryAfterMs };
+  }
 
   const job = {
     key,
     storyId,
     story: resolvedStory,
     curationGeneratedAt: resolvedStory?.curation?.generatedAt || null,
-    status: 'running',
+    status: 'queued',
     subscribers: new Set(),
-    startedAt: Date.now(),
+    token: Date.now().toString(36),
+    eventSeq: 0,
+    events: [],
+    snapshot: null,
+    startedAt: null,
+    queuedAt: Date.now(),
     complete: false,
     result: null,
     error: null
   };
 
   jobStore.set(key, job);
-  setImmediate(() => {
-    runRenderJob(job).catch((err) => {
+  const queued = renderQueue.enqueue(job, () => {
+    job.status = 'running';
+    job.startedAt = Date.now();
+    broadcastToJobSubscribers(job, { type: 'render.progress', phase: 'Starting render...', percent: 5 });
+    return runRenderJob(job).catch((err) => {
       job.status = 'error';
       job.error = err?.message || 'Render failed';
       broadcastToJobSubscribers(job, { type: 'render.error', error: job.error });
-      finalizeJobCleanup(job);
+      // Drop failed jobs right away so the next reader can retry.
+      jobStore.delete(job.key);
     });
   });
 
-  return { status: 'started', key, article: null, job };
+  return { status: queued.position ? 'queued' : 'started', key, article: null, job, position: queued.position };
 }
 
 async function waitForRenderJob(job, timeoutMs = 130000) {
@@ -1791,6 +1878,23 @@ function escapeHtml(value) {
     .replace(/'/g, '&#39;');
 }
 
+// The address the per-IP render limit counts, never a value the client can choose. Vercel
+// sets x-real-ip itself; behind other proxies x-forwarded-for is read only when
+// FT_TRUSTED_PROXY_HOPS says how many of them append to it, and then from the right, so a
+// client-supplied prefix is ignored. Otherwise it is the socket peer.
+function clientIpOf(req) {
+  if (process.env.VERCEL) {
+    const platformIp = String(req?.headers?.['x-real-ip'] || '').trim();
+    if (platformIp) return platformIp;
+  }
+  const hops = Math.max(0, Math.floor(Number(process.env.FT_TRUSTED_PROXY_HOPS) || 0));
+  if (hops > 0) {
+    const chain = String(req?.headers?.['x-forwarded-for'] || '').split(',').map((ip) => ip.trim()).filter(Boolean);
+    if (chain.length >= hops) return chain[chain.length - hops];
+  }
+  return String(req?.socket?.remoteAddress || '');
+}
+
 function clientAcceptsHtml(req) {
   const accept = String(req?.headers?.accept || '');
   if (!accept) return false;
@@ -2004,6 +2108,16 @@ async function sendDailyEditionEmail({ req, url, day, yearsForward, force = fals
     };
   }
 
+  // Until curation has published the edition the email waits for a later cron; progress made
+  // on another instance is restored first.
+  if (!force) {
+    await pipeline.restoreCurationState(day);
+    if (!pipeline.isEditionCurated(day, yearsForward)) {
+      pipeline.traceEvent(day, 'email.daily.skip', { yearsForward, reason: 'curation_incomplete' });
+      return { ok: true, skipped: true, reason: 'curation_incomplete', day, yearsForward };
+    }
+  }
+
   const edition = pipeline.getEdition(day, yearsForward);
   if (!edition) {
     return { ok: false, skipped: true, reason: 'edition_not_found', day, yearsForward };
@@ -2669,7 +2783,78 @@ function renderAdminTraceHtml(day, events) {
 </html>`;
 }
 
-function renderAdminCurationHtml({ day, yearsForward, snapshot, trace, dayCuration, storyCurations }) {
+function renderAdminCalibrationHtml(report) {
+  const fmt = (n) => (n == null ? '—' : Number(n).toFixed(3));
+  const pct = (n) => (n == null ? '—' : `${Math.round(Number(n) * 100)}%`);
+  const groupTable = (title, key, label, groups) => `
+    <h2>${escapeHtml(title)}</h2>
+    <table>
+      <thead><tr><th>${escapeHtml(label)}</th><th>Resolved</th><th>Brier</th><th>Market baseline</th><th>Hit rate</th></tr></thead>
+      <tbody>${groups.map((g) => `<tr><td>${escapeHtml(String(g[key]))}</td><td>${escapeHtml(String(g.count))}</td><td><code>${fmt(g.brier)}</code></td><td><code>${fmt(g.baselineBrier)}</code>${g.baselineCount ? ` <span class="muted">(${escapeHtml(String(g.baselineCount))})</span>` : ''}</td><td>${pct(g.hitRate)}</td></tr>`).join('') || '<tr><td colspan="5" class="muted">Nothing resolved yet.</td></tr>'}</tbody>
+    </table>`;
+  const overall = report.overall;
+  const counts = report.counts.map((c) => `${c.status} ${c.kind}: ${c.count}`).join(' · ') || 'no predictions recorded';
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <title>Admin Calibration</title>
+  <style>
+    :root{--bg:#ffffff;--fg:#111;--muted:#555;--border:#e5e5e5;--link:#0b4f8a;--mono: ui-monospace,SFMono-Regular,Menlo,Monaco,Consolas,"Liberation Mono","Courier New",monospace;--sans: ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;}
+    body{margin:0;background:var(--bg);color:var(--fg);font:14px/1.5 var(--sans);}
+    header{border-top:6px solid #111;border-bottom:1px solid #111;padding:16px 18px;}
+    main{max-width:1240px;margin:0 auto;padding:18px;}
+    h1{margin:0 0 6px;font-size:20px;letter-spacing:.02em;}
+    h2{margin:22px 0 0;font-size:13px;letter-spacing:.06em;text-transform:uppercase;}
+    .muted{color:var(--muted);}
+    a{color:var(--link);text-decoration:none;}
+    a:hover{text-decoration:underline;}
+    .badge{display:inline-block;font-family:var(--mono);font-size:12px;border:1px solid var(--border);background:#f3f3f3;padding:2px 8px;border-radius:999px;}
+    table{width:100%;border-collapse:collapse;margin-top:8px;}
+    th,td{padding:6px 8px;border-top:1px solid var(--border);vertical-align:top;text-align:left;}
+    th{font-size:11px;letter-spacing:.08em;text-transform:uppercase;color:var(--muted);background:#fcfcfc;}
+  </style>
+</head>
+<body>
+  <header>
+    <div style="display:flex;justify-content:space-between;gap:12px;flex-wrap:wrap;align-items:center">
+      <div>
+        <h1>Forecast calibration</h1>
+        <div class="muted">Brier score <strong>${fmt(overall.brier)}</strong> over ${escapeHtml(String(overall.count))} resolved predictions (lower is better; 0.25 is a coin flip). Market baseline ${fmt(overall.baselineBrier)} on ${escapeHtml(String(overall.baselineCount))} market predictions. ${escapeHtml(counts)}.</div>
+      </div>
+      <div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap">
+        <a class="badge" href="/api/admin/dashboard">Dashboard</a>
+        <a class="badge" href="/api/admin/calibration?format=json">JSON</a>
+      </div>
+    </div>
+  </header>
+  <main>
+    <h2>Reliability</h2>
+    <table>
+      <thead><tr><th>Predicted</th><th>Count</th><th>Mean predicted</th><th>Observed</th></tr></thead>
+      <tbody>${overall.buckets.map((b) => `<tr><td>${pct(b.from)}–${pct(b.to)}</td><td>${escapeHtml(String(b.count))}</td><td>${pct(b.meanProb)}</td><td>${pct(b.observed)}</td></tr>`).join('') || '<tr><td colspan="4" class="muted">Nothing resolved yet.</td></tr>'}</tbody>
+    </table>
+    ${groupTable('By section', 'section', 'Section', report.bySection)}
+    ${groupTable('By model', 'model', 'Model', report.byModel)}
+    ${groupTable('By kind', 'kind', 'Kind', report.byKind)}
+    ${groupTable('By horizon', 'yearsForward', 'Years forward', report.byHorizon)}
+    <h2>Recently resolved</h2>
+    <table>
+      <thead><tr><th>Resolved</th><th>Story</th><th>Event</th><th>p</th><th>Outcome</th></tr></thead>
+      <tbody>${report.recent.map((r) => `<tr><td class="muted">${escapeHtml(String(r.resolvedAt || '').slice(0, 10))}</td><td><a href="/article.html?id=${escapeHtml(encodeURIComponent(r.storyId))}">${escapeHtml(r.section)} +${escapeHtml(String(r.yearsForward))}y</a></td><td>${escapeHtml(r.event)}${r.resolvedValue != null && r.kind === 'econ' ? ` <span class="muted">(actual ${escapeHtml(String(r.resolvedValue))})</span>` : ''}</td><td>${pct(r.probability)}</td><td>${r.outcome ? 'yes' : 'no'}</td></tr>`).join('') || '<tr><td colspan="5" class="muted">Nothing resolved yet.</td></tr>'}</tbody>
+    </table>
+    <h2>Next to resolve</h2>
+    <table>
+      <thead><tr><th>Resolves</th><th>Section</th><th>Event</th><th>p</th></tr></thead>
+      <tbody>${report.upcoming.map((u) => `<tr><td class="muted">${escapeHtml(String(u.resolutionDate || 'on settlement'))}</td><td>${escapeHtml(String(u.section || ''))}</td><td>${escapeHtml(u.event)}</td><td>${pct(u.probability)}</td></tr>`).join('') || '<tr><td colspan="4" class="muted">No open predictions.</td></tr>'}</tbody>
+    </table>
+  </main>
+</body>
+</html>`;
+}
+
+function renderAdminCurationHtml({ day, yearsForward, snapshot, trace, dayCuration, storyCurations, progress }) {
   const sectionsOrder = ['U.S.', 'World', 'Business', 'Technology', 'Arts', 'Lifestyle', 'Opinion'];
   const yearsList = Array.from({ length: 11 }, (_, i) => i);
   const selectedYear = yearsForward == null ? null : Number(yearsForward);
@@ -2755,6 +2940,26 @@ function renderAdminCurationHtml({ day, yearsForward, snapshot, trace, dayCurati
     return `<ul class="bullets">${arr.map((x) => `<li>${escapeHtml(x)}</li>`).join('')}</ul>`;
   };
 
+  const renderProgress = () => {
+    const editions = Object.values(progress?.editions || {});
+    if (!editions.length) return '';
+    const stages = Array.isArray(progress?.stages) ? progress.stages : [];
+    const cell = (stage) => {
+      if (!stage) return `<td class="mono muted">—</td>`;
+      const failed = stage.chunks.filter((c) => c.status === 'error');
+      const title = failed.map((c) => `${c.chunk || stage}: ${c.error || 'error'}`).join('\n');
+      return `<td class="mono"${title ? ` title="${escapeHtml(title)}"` : ''}>${escapeHtml(`${stage.done}/${stage.total}`)}${stage.errors ? ` <strong>(${escapeHtml(String(stage.errors))} failed)</strong>` : ''}</td>`;
+    };
+    return `<section class="card">
+      <h2>Curation progress</h2>
+      <div class="muted">${progress.complete ? 'All stages finished.' : 'In progress: the next run resumes from the first unfinished stage.'} Chunks done / started per stage.</div>
+      <table style="border-collapse:collapse;margin-top:10px">
+        <thead><tr><th style="text-align:left;padding:4px 10px 4px 0">Edition</th>${stages.map((s) => `<th style="text-align:left;padding:4px 10px 4px 0">${escapeHtml(s)}</th>`).join('')}</tr></thead>
+        <tbody>${editions.map((e) => `<tr><td class="mono">+${escapeHtml(String(e.yearsForward))}y</td>${stages.map((s) => cell(e.stages[s])).join('')}</tr>`).join('')}</tbody>
+      </table>
+    </section>`;
+  };
+
   const renderYearBlock = (y) => {
     const yearStories = storyYears.get(y) || [];
     if (!yearStories.length) {
@@ -2794,6 +2999,7 @@ function renderAdminCurationHtml({ day, yearsForward, snapshot, trace, dayCurati
       const rationale = Array.isArray(p.rationale) ? p.rationale : [];
       const draft = s.article && typeof s.article === 'object' ? s.article : null;
       const draftBody = draft ? String(draft.body || '').trim() : '';
+      const flags = Array.isArray(p.consistencyFlags) ? p.consistencyFlags : [];
 
       const articleHref = `/article.html?id=${encodeURIComponent(String(s.storyId || ''))}&years=${encodeURIComponent(String(y))}&day=${encodeURIComponent(dayLabel)}`;
       const confidence = Number(p.confidence) || 0;
@@ -2801,6 +3007,7 @@ function renderAdminCurationHtml({ day, yearsForward, snapshot, trace, dayCurati
       const badges = [
         key ? `<span class="badge">key</span>` : '',
         isHero ? `<span class="badge hero">hero</span>` : '',
+        flags.length ? `<span class="badge" style="border-color:#c0392b;color:#c0392b">${escapeHtml(String(flags.length))} conflict${flags.length === 1 ? '' : 's'}</span>` : '',
         topicTitle ? `<span class="badge">${escapeHtml(topicTitle)}</span>` : '',
         confidence ? `<span class="badge" style="border-color:${confidence >= 80 ? '#2d7d46' : confidence >= 60 ? '#b8860b' : '#c0392b'};color:${confidence >= 80 ? '#2d7d46' : confidence >= 60 ? '#b8860b' : '#c0392b'}">${confidence}% conf</span>` : ''
       ]
@@ -2815,6 +3022,7 @@ function renderAdminCurationHtml({ day, yearsForward, snapshot, trace, dayCurati
             <span class="badges">${badges}</span>
           </summary>
           ${dek ? `<div class="dek">${escapeHtml(dek)}</div>` : `<div class="muted">No curated dek.</div>`}
+          ${flags.length ? `<h4>Consistency conflicts</h4>${renderBullets(flags.map((f) => `${f.summary} (vs ${(f.otherStoryIds || []).join(', ')})`))}` : ''}
           <div class="row">
             <a class="pill" href="${escapeHtml(articleHref)}" target="_blank" rel="noopener">Open article</a>
             <span class="muted mono">storyId ${escapeHtml(String(s.storyId || ''))}</span>
@@ -2850,6 +3058,13 @@ function renderAdminCurationHtml({ day, yearsForward, snapshot, trace, dayCurati
     };
 
     const sections = [...new Set([...sectionsOrder, ...bySection.keys()])].filter(Boolean);
+    const conflicts = new Map();
+    for (const st of yearStories) {
+      for (const f of Array.isArray(st.plan?.consistencyFlags) ? st.plan.consistencyFlags : []) {
+        const ids = [st.storyId, ...(f.otherStoryIds || [])].sort();
+        conflicts.set(`${f.kind}:${f.summary}:${ids.join('+')}`, { summary: f.summary, claims: f.claims || [] });
+      }
+    }
     return `
       <section class="card">
         <div class="row" style="justify-content:space-between">
@@ -2864,6 +3079,16 @@ function renderAdminCurationHtml({ day, yearsForward, snapshot, trace, dayCurati
             <a class="pill" href="/index.html?years=${escapeHtml(encodeURIComponent(String(y)))}&day=${escapeHtml(encodeURIComponent(dayLabel))}" target="_blank" rel="noopener">Open front page</a>
           </div>
         </div>
+        ${
+          conflicts.size
+            ? `
+              <div style="margin-top:10px">
+                <h3>Consistency conflicts (${escapeHtml(String(conflicts.size))})</h3>
+                ${[...conflicts.values()].map((c) => `<div class="monoBox" style="margin-bottom:6px"><strong>${escapeHtml(c.summary)}</strong>${c.claims.map((claim) => `<div>${escapeHtml(claim.storyId)}: “${escapeHtml(claim.sentence)}”</div>`).join('')}</div>`).join('')}
+              </div>
+            `
+            : ''
+        }
         <div style="margin-top:10px">
           <h3>Thinking trace</h3>
           ${renderBullets(thinkingTrace)}
@@ -2989,6 +3214,8 @@ function renderAdminCurationHtml({ day, yearsForward, snapshot, trace, dayCurati
       </div>
     </section>
 
+    ${renderProgress()}
+
     ${yearsToRender.map(renderYearBlock).join('')}
 
     <section class="card">
@@ -3076,14 +3303,19 @@ async function requestHandler(req, res) {
 	      await pipeline.refresh({ day: builtDay, force: false });
 	      const curated = await pipeline.curateDay(builtDay, { force: false });
 	      const flags = getFutureImagesFlags();
-	      const yearsForward = clampYears(url.searchParams.get('years') || String(EDITION_YEARS));
-	      const prerender = prewarmRenderCacheForDay(builtDay, [yearsForward]);
-	      const heroes = flags.imagesEnabled && flags.storyHeroEnabled
-	        ? await enqueueSectionHeroJobs({ day: builtDay, pipeline, yearsForward, force: false, includeGlobalHero: true })
-	        : { ok: true, skipped: true, reason: 'story_heroes_disabled' };
+	      // Without ?years= every configured horizon gets prewarmed and its section heroes queued.
+	      const horizons = url.searchParams.get('years') ? [clampYears(url.searchParams.get('years'))] : getEditionHorizons();
+	      const prerender = prewarmRenderCacheForDay(builtDay, horizons);
+	      const heroes = {};
+	      for (const yearsForward of horizons) {
+	        heroes[String(yearsForward)] = flags.imagesEnabled && flags.storyHeroEnabled
+	          ? await enqueueSectionHeroJobs({ day: builtDay, pipeline, yearsForward, force: false, includeGlobalHero: true })
+	          : { ok: true, skipped: true, reason: 'story_heroes_disabled' };
+	      }
 	      const heroWorker = flags.imagesEnabled && flags.storyHeroEnabled
 	        ? await runImageWorker({
 	            day: builtDay,
+	            pipeline,
 	            limit: Number(url.searchParams.get('heroWorkerLimit') || 3),
 	            maxMs: Number(url.searchParams.get('heroWorkerMaxMs') || 220000)
 	          })
@@ -3123,7 +3355,7 @@ async function requestHandler(req, res) {
 	      const builtDay = await pipeline.ensureDayBuilt(requestedDay);
 	      const limit = Number(url.searchParams.get('limit') || 3);
 	      const maxMs = Number(url.searchParams.get('maxMs') || 220000);
-	      const result = await runImageWorker({ day: builtDay, limit, maxMs });
+	      const result = await runImageWorker({ day: builtDay, pipeline, limit, maxMs });
 	      sendJson(res, { day: builtDay, ...result });
 	      return;
 	    }
@@ -3162,8 +3394,8 @@ async function requestHandler(req, res) {
         const imageFlags = getFutureImagesFlags();
 	      sendJson(res, {
 	        provider: {
-	          mode: 'anthropic',
-	          articleModel: 'claude-sonnet-4-6'
+	          mode: getLlmBackendName(),
+	          articleModel: curatorConfig.model
         },
         curator: {
           mode: String(curatorConfig.mode || 'mock').toLowerCase(),
@@ -3198,6 +3430,17 @@ async function requestHandler(req, res) {
       return;
     }
 
+    if (pathname === '/api/edition-horizons') {
+      if (req.method !== 'GET') return send405(res, 'GET');
+      sendJson(res, {
+        ok: true,
+        horizons: getEditionHorizons(),
+        defaultYears: EDITION_YEARS,
+        prewriteHorizons: getSonnetCurationConfigFromEnv().prewriteHorizons
+      });
+      return;
+    }
+
     if (pathname === '/api/edition-days') {
       if (req.method !== 'GET') return send405(res, 'GET');
       const yearsForward = clampYears(url.searchParams.get('years') || String(EDITION_YEARS));
@@ -3224,7 +3467,7 @@ async function requestHandler(req, res) {
       let rows = queryDays();
       let days = (rows || []).map((row) => String(row?.day || '').trim()).filter(Boolean);
 
-      if (yearsForward === EDITION_YEARS && days.length < 3) {
+      if (getEditionHorizons().includes(yearsForward) && days.length < 3) {
         const warmTargets = [today, shiftDay(today, -1), shiftDay(today, -2)].filter(Boolean);
         for (const candidateDay of warmTargets) {
           if (days.includes(candidateDay)) continue;
@@ -3250,7 +3493,8 @@ async function requestHandler(req, res) {
 
     if (pathname === '/api/pipeline/sources') {
       if (req.method !== 'GET') return send405(res, 'GET');
-      sendJson(res, { sources: pipeline.listSources() });
+      const timeline = Number(url.searchParams.get('timeline') ?? 20);
+      sendJson(res, { sources: pipeline.listSources({ timeline }) });
       return;
     }
 
@@ -3262,6 +3506,28 @@ async function requestHandler(req, res) {
       return;
     }
 
+    if (pathname === '/api/pipeline/econ-indicators') {
+      if (req.method !== 'GET') return send405(res, 'GET');
+      const indicatorDay = day || pipeline.getLatestDay() || formatDay();
+      sendJson(res, { day: indicatorDay, indicators: pipeline.getEconIndicators(indicatorDay) });
+      return;
+    }
+
+    if (pathname === '/api/pipeline/market-movers') {
+      if (req.method !== 'GET') return send405(res, 'GET');
+      const moversDay = day || pipeline.getLatestDay() || formatDay();
+      const windowParam = String(url.searchParams.get('window') || '24h').trim().toLowerCase();
+      const windowHours = windowParam === '7d' ? 24 * 7 : windowParam === '24h' ? 24 : null;
+      if (!windowHours) {
+        sendJson(res, { ok: false, error: 'invalid_window', window: windowParam }, 400);
+        return;
+      }
+      const limit = Math.max(1, Math.min(50, Number(url.searchParams.get('limit') || 10) || 10));
+      const movers = pipeline.getMarketMovers({ day: moversDay, windowHours, limit });
+      sendJson(res, { day: moversDay, window: windowParam, movers });
+      return;
+    }
+
     if (pathname === '/api/pipeline/evidence-summary') {
       if (req.method !== 'GET') return send405(res, 'GET');
       const evidenceDay = day || pipeline.getLatestDay() || formatDay();
@@ -3280,6 +3546,16 @@ async function requestHandler(req, res) {
       return;
     }
 
+    if (pathname === '/api/pipeline/topic-trends') {
+      if (req.method !== 'GET') return send405(res, 'GET');
+      const trendDay = day || pipeline.getLatestDay() || formatDay();
+      const topicKey = url.searchParams.get('topic_key') || '';
+      const section = url.searchParams.get('section') || '';
+      const trends = pipeline.getTopicTrends(trendDay, { topicKey, section });
+      sendJson(res, { day: trendDay, trends });
+      return;
+    }
+
     // ── Future Images (admin-only) ──
     if (pathname === '/api/admin/images') {
       if (req.method !== 'GET') return send405(res, 'GET');
@@ -3351,7 +3627,7 @@ async function requestHandler(req, res) {
       const requestedDay = day || pipeline.getLatestDay() || formatDay();
       const limit = Number(url.searchParams.get('limit') || 3);
       const maxMs = Number(url.searchParams.get('maxMs') || 220000);
-      const result = await runImageWorker({ day: requestedDay, limit, maxMs });
+      const result = await runImageWorker({ day: requestedDay, pipeline, limit, maxMs });
       sendJson(res, result, result && result.ok ? 200 : 400);
       return;
     }
@@ -3425,7 +3701,10 @@ async function requestHandler(req, res) {
             mode: config.mode,
             model: config.model,
             hasApiKey: Boolean(config.apiKey),
+            credentialsMissing: config.credentialsMissing,
             keyStoriesPerEdition: config.keyStoriesPerEdition,
+            prewriteHorizons: config.prewriteHorizons,
+            backfillLimit: config.backfillLimit,
             systemPrompt: config.systemPrompt,
             autoCurate: String(process.env.SONNET_AUTO_CURATE || '').trim()
               ? String(process.env.SONNET_AUTO_CURATE).toLowerCase() !== 'false'
@@ -3442,6 +3721,10 @@ async function requestHandler(req, res) {
         const systemPrompt = body?.systemPrompt != null ? String(body.systemPrompt || '').trim() : null;
         const keyStories = body?.keyStoriesPerEdition != null ? Number(body.keyStoriesPerEdition) : null;
         const autoCurate = body?.autoCurate != null ? Boolean(body.autoCurate) : null;
+        const prewriteHorizons = body?.prewriteHorizons != null
+          ? (Array.isArray(body.prewriteHorizons) ? body.prewriteHorizons.join(',') : String(body.prewriteHorizons || '').trim().toLowerCase())
+          : null;
+        const backfillLimit = body?.backfillLimit != null ? Number(body.backfillLimit) : null;
 
         if (mode !== null) process.env.SONNET_MODE = mode;
         if (model !== null) process.env.SONNET_MODEL = model;
@@ -3465,6 +3748,16 @@ async function requestHandler(req, res) {
         if (autoCurate !== null) {
           process.env.SONNET_AUTO_CURATE = autoCurate ? 'true' : 'false';
         }
+        if (prewriteHorizons !== null) {
+          if (!prewriteHorizons) {
+            delete process.env.SONNET_PREWRITE_HORIZONS;
+          } else {
+            process.env.SONNET_PREWRITE_HORIZONS = prewriteHorizons;
+          }
+        }
+        if (backfillLimit !== null && Number.isFinite(backfillLimit)) {
+          process.env.SONNET_BACKFILL_LIMIT = String(Math.max(0, Math.min(40, Math.round(backfillLimit))));
+        }
 
         // Persist to a local runtime config file (outside the web-served project directory).
         try {
@@ -3474,6 +3767,8 @@ async function requestHandler(req, res) {
           if (apiKey !== null) patch.apiKey = apiKey || null;
           if (systemPrompt !== null) patch.systemPrompt = systemPrompt || null;
           if (keyStories !== null && Number.isFinite(keyStories)) patch.keyStoriesPerEdition = Math.max(0, Math.min(7, Math.round(keyStories)));
+          if (prewriteHorizons !== null) patch.prewriteHorizons = prewriteHorizons || null;
+          if (backfillLimit !== null && Number.isFinite(backfillLimit)) patch.backfillLimit = Math.max(0, Math.min(40, Math.round(backfillLimit)));
           updateSonnetRuntimeConfig(patch);
         } catch (err) {
           // Persistence is best-effort; still return current runtime state.
@@ -3489,7 +3784,10 @@ async function requestHandler(req, res) {
             mode: config.mode,
             model: config.model,
             hasApiKey: Boolean(config.apiKey),
+            credentialsMissing: config.credentialsMissing,
             keyStoriesPerEdition: config.keyStoriesPerEdition,
+            prewriteHorizons: config.prewriteHorizons,
+            backfillLimit: config.backfillLimit,
             systemPrompt: config.systemPrompt,
             autoCurate: String(process.env.SONNET_AUTO_CURATE || '').trim()
               ? String(process.env.SONNET_AUTO_CURATE).toLowerCase() !== 'false'
@@ -3516,7 +3814,7 @@ async function requestHandler(req, res) {
       }
       await pipeline.refresh({ day: builtDay, force: forceRefresh });
       const result = await pipeline.curateDay(builtDay, { force: forceCuration });
-      const prerender = prewarmRenderCacheForDay(builtDay, [EDITION_YEARS]);
+      const prerender = prewarmRenderCacheForDay(builtDay, getEditionHorizons());
       sendJson(res, { ok: true, day: builtDay, refreshed: true, curated: result, prerender });
       return;
     }
@@ -3547,6 +3845,7 @@ async function requestHandler(req, res) {
       const trace = pipeline.getDayEventTrace(builtDay, traceLimit);
       const dayCuration = pipeline.getDayCuration(builtDay);
       const storyCurations = pipeline.listStoryCurations(builtDay, { yearsForward });
+      const progress = pipeline.getCurationProgress(builtDay);
       const format = String(url.searchParams.get('format') || '').trim().toLowerCase();
       const wantsHtml = format === 'html' || (!format && clientAcceptsHtml(req));
       if (wantsHtml) {
@@ -3559,12 +3858,13 @@ async function requestHandler(req, res) {
             snapshot,
             trace,
             dayCuration,
-            storyCurations
+            storyCurations,
+            progress
           })
         );
         return;
       }
-      sendJson(res, { ok: true, day: builtDay, trace, dayCuration, storyCurations });
+      sendJson(res, { ok: true, day: builtDay, progress, trace, dayCuration, storyCurations });
       return;
     }
 
@@ -3572,7 +3872,7 @@ async function requestHandler(req, res) {
       if (req.method !== 'GET') return send405(res, 'GET');
       const requestedDay = day || pipeline.getLatestDay() || formatDay();
       const builtDay = await pipeline.ensureDayBuilt(requestedDay);
-      const yearsForward = clampYears(url.searchParams.get('years') || '5');
+      const yearsForward = clampYears(url.searchParams.get('years') || String(EDITION_YEARS));
       const edition = pipeline.getEdition(builtDay, yearsForward, { applyCuration: false });
       if (!edition) {
         sendJson(res, { ok: false, error: 'edition_not_found', day: builtDay, years: yearsForward }, 404);
@@ -3589,7 +3889,8 @@ async function requestHandler(req, res) {
         editionDate,
         candidates,
         snapshot,
-        keyCount
+        keyCount,
+        canon: pipeline.getCanonForEdition(builtDay, yearsForward)
       });
       sendJson(res, {
         ok: true,
@@ -3621,7 +3922,7 @@ async function requestHandler(req, res) {
       const body = await readJsonBody(req);
       const requestedDay = normalizeDay(body?.day) || day || pipeline.getLatestDay() || formatDay();
       const builtDay = await pipeline.ensureDayBuilt(requestedDay);
-      const yearsForward = clampYears(body?.yearsForward ?? body?.years ?? url.searchParams.get('years') ?? '5');
+      const yearsForward = clampYears(body?.yearsForward ?? body?.years ?? url.searchParams.get('years') ?? String(EDITION_YEARS));
       const prompt = String(body?.prompt || '').trim();
       const systemPrompt = body?.systemPrompt != null ? String(body.systemPrompt) : undefined;
       const keyCount = body?.keyCount;
@@ -3644,17 +3945,127 @@ async function requestHandler(req, res) {
       return;
     }
 
+    if (pathname === '/api/admin/sources/enable') {
+      if (req.method !== 'POST') return send405(res, 'POST');
+      const body = await readJsonBody(req);
+      const sourceId = String(body?.sourceId || url.searchParams.get('sourceId') || '').trim();
+      if (!sourceId) {
+        sendJson(res, { ok: false, error: 'sourceId_required' }, 400);
+        return;
+      }
+      const result = pipeline.reenableSource(sourceId);
+      sendJson(res, result, result.ok ? 200 : 404);
+      return;
+    }
+
+    if (pathname === '/api/admin/world-facts') {
+      if (req.method === 'GET') {
+        const year = url.searchParams.get('year');
+        const facts = pipeline.listWorldFacts({
+          status: url.searchParams.get('status') || 'all',
+          targetYear: year ? Number(year) : null,
+          limit: url.searchParams.get('limit')
+        });
+        sendJson(res, { ok: true, facts });
+        return;
+      }
+      if (req.method === 'POST') {
+        const body = await readJsonBody(req);
+        const result = pipeline.upsertWorldFact(body || {});
+        sendJson(res, result, result.ok ? 200 : result.error === 'fact_not_found' ? 404 : 400);
+        return;
+      }
+      return send405(res, 'GET, POST');
+    }
+
+    if (pathname === '/api/admin/standing-topics') {
+      if (req.method === 'GET') {
+        sendJson(res, { ok: true, sections: SECTION_ORDER, topics: pipeline.listStandingTopics({ section: url.searchParams.get('section') || '' }) });
+        return;
+      }
+      if (req.method === 'POST') {
+        const body = (await readJsonBody(req)) || {};
+        const result = body.action === 'reset' ? pipeline.resetStandingTopic(body.topic_key) : pipeline.upsertStandingTopic(body);
+        sendJson(res, result, result.ok ? 200 : result.error === 'topic_not_found' ? 404 : 400);
+        return;
+      }
+      return send405(res, 'GET, POST');
+    }
+
+    if (pathname === '/api/admin/render-revisions') {
+      if (req.method === 'GET') {
+        const storyId = String(url.searchParams.get('story_id') || '').trim();
+        if (!storyId) {
+          sendJson(res, { ok: false, error: 'story_id_required' }, 400);
+          return;
+        }
+        sendJson(res, { ok: true, ...pipeline.listRenderRevisions(storyId, { limit: url.searchParams.get('limit') }) });
+        return;
+      }
+      if (req.method === 'POST') {
+        const body = (await readJsonBody(req)) || {};
+        const storyId = String(body.storyId || '').trim();
+        if (!storyId) {
+          sendJson(res, { ok: false, error: 'story_id_required' }, 400);
+          return;
+        }
+        const result = body.action === 'unpin'
+          ? pipeline.unpinRenderRevision(storyId)
+          : pipeline.pinRenderRevision(storyId, body.revisionId, { note: body.note });
+        sendJson(res, result, result.ok ? 200 : 404);
+        return;
+      }
+      return send405(res, 'GET, POST');
+    }
+
+    if (pathname === '/api/admin/render-revisions/diff') {
+      if (req.method !== 'GET') return send405(res, 'GET');
+      const result = pipeline.diffRenderRevisions(url.searchParams.get('story_id') || '', {
+        from: url.searchParams.get('from'),
+        to: url.searchParams.get('to')
+      });
+      sendJson(res, result, result.ok ? 200 : 404);
+      return;
+    }
+
+    if (pathname === '/api/admin/calibration') {
+      if (req.method !== 'GET') return send405(res, 'GET');
+      const report = pipeline.getCalibrationReport({ recent: url.searchParams.get('recent'), upcoming: url.searchParams.get('upcoming') });
+      const format = String(url.searchParams.get('format') || '').trim().toLowerCase();
+      if (format === 'html' || (!format && clientAcceptsHtml(req))) {
+        sendHtml(res, renderAdminCalibrationHtml(report));
+        return;
+      }
+      sendJson(res, { ok: true, ...report });
+      return;
+    }
+
+    if (pathname === '/api/admin/calibration/resolve') {
+      if (req.method !== 'POST') return send405(res, 'POST');
+      sendJson(res, { ok: true, ...(await pipeline.resolveForecasts()) });
+      return;
+    }
+
+    if (pathname === '/api/admin/usage') {
+      if (req.method !== 'GET') return send405(res, 'GET');
+      const requestedDay = day || pipeline.getLatestDay() || formatDay();
+      const usage = pipeline.getModelUsageSummary(requestedDay, { days: url.searchParams.get('days') });
+      sendJson(res, { ok: true, ...usage });
+      return;
+    }
+
     if (pathname === '/api/admin/dashboard') {
       if (req.method !== 'GET') return send405(res, 'GET');
       const requestedDay = day || pipeline.getLatestDay() || formatDay();
       const builtDay = await pipeline.ensureDayBuilt(requestedDay);
-      const yearsForward = clampYears(url.searchParams.get('years') || '5');
+      const yearsForward = clampYears(url.searchParams.get('years') || String(EDITION_YEARS));
       const previewUrl = `/api/admin/curation/preview?day=${encodeURIComponent(builtDay)}&years=${encodeURIComponent(String(yearsForward))}`;
       const curationUrl = `/api/admin/curation?day=${encodeURIComponent(builtDay)}&format=json`;
       const curationHtmlUrl = `/api/admin/curation?day=${encodeURIComponent(builtDay)}&format=html`;
       const traceUrl = `/api/admin/trace?day=${encodeURIComponent(builtDay)}&format=json`;
       const traceHtmlUrl = `/api/admin/trace?day=${encodeURIComponent(builtDay)}&format=html`;
       const frontHref = `/index.html?years=${encodeURIComponent(String(yearsForward))}&day=${encodeURIComponent(builtDay)}`;
+      const usage = pipeline.getModelUsageSummary(builtDay);
       const html = `<!doctype html>
 <html lang="en">
 <head>
@@ -3688,6 +4099,7 @@ async function requestHandler(req, res) {
     <a href="${escapeHtml(curationUrl)}" target="_blank" rel="noopener">Curation (JSON)</a>
     <a href="${escapeHtml(previewUrl)}" target="_blank" rel="noopener">Prompt preview JSON (+${escapeHtml(String(yearsForward))}y)</a>
     <a href="/api/day-signal?day=${escapeHtml(encodeURIComponent(builtDay))}&format=html" target="_blank" rel="noopener">Day signal pack</a>
+    <a href="/api/admin/calibration?format=html" target="_blank" rel="noopener">Forecast calibration</a>
     <a href="/api/admin/polymarket?day=${escapeHtml(encodeURIComponent(builtDay))}&format=html" target="_blank" rel="noopener" style="color:#6f42c1;font-weight:600">Polymarket Outcomes</a>
   </div>
 
@@ -3712,6 +4124,11 @@ async function requestHandler(req, res) {
     <div class="muted">Edit the prompt, then click Apply. This updates story curations for the edition.</div>
     <div class="muted" style="margin-top:8px">System prompt (provider-level):</div>
     <textarea id="systemPromptBox" style="min-height:110px" placeholder="Loading system prompt..."></textarea>
+    <div class="muted" style="margin-top:8px">Curation mode:</div>
+    <select id="modeSelect" style="padding:6px">
+      <option value="anthropic">anthropic (live model)</option>
+      <option value="mock">mock (offline templates, no API key)</option>
+    </select>
     <div class="muted" style="margin-top:8px">Anthropic model:</div>
     <input id="modelBox" placeholder="e.g. claude-sonnet-4-6 (falls back if unavailable)" style="width:100%;padding:8px"/>
     <div class="muted" style="margin-top:8px">Anthropic API key (runtime only, not displayed):</div>
@@ -3730,6 +4147,83 @@ async function requestHandler(req, res) {
     </div>
   </div>
 
+  <div class="card">
+    <strong>Model usage &amp; cost</strong>
+    <div class="muted">Estimated spend for ${escapeHtml(builtDay)}: <strong>$${escapeHtml(usage.totals.costUsd.toFixed(4))}</strong>${usage.budget.capUsd ? ` of $${escapeHtml(usage.budget.capUsd.toFixed(2))} (${escapeHtml(usage.budget.state)})` : ' (no daily budget set)'} · ${escapeHtml(String(usage.totals.calls))} calls · ${escapeHtml(String(usage.totals.inputTokens))} in / ${escapeHtml(String(usage.totals.outputTokens))} out tokens${usage.totals.images ? ` · ${escapeHtml(String(usage.totals.images))} images` : ''}. <a href="/api/admin/usage?day=${escapeHtml(encodeURIComponent(builtDay))}" target="_blank" rel="noopener">JSON</a></div>
+    <table class="small" style="width:100%;border-collapse:collapse;margin-top:8px">
+      <thead><tr style="text-align:left"><th>Stage</th><th>Calls</th><th>Failed</th><th>Input</th><th>Output</th><th>Images</th><th>Cost</th></tr></thead>
+      <tbody>${usage.byStage.map((r) => `<tr><td>${escapeHtml(r.stage)}</td><td>${r.calls}</td><td>${r.failed}</td><td>${r.inputTokens}</td><td>${r.outputTokens}</td><td>${r.images}</td><td>$${escapeHtml(r.costUsd.toFixed(4))}</td></tr>`).join('') || '<tr><td colspan="7">No model calls recorded for this day.</td></tr>'}</tbody>
+    </table>
+    <table class="small" style="width:100%;border-collapse:collapse;margin-top:8px">
+      <thead><tr style="text-align:left"><th>Model</th><th>Backend</th><th>Calls</th><th>Input</th><th>Output</th><th>Cost</th></tr></thead>
+      <tbody>${usage.byModel.map((r) => `<tr><td>${escapeHtml(r.model || '(unknown)')}${r.priced ? '' : ' <span class="muted">(no price)</span>'}</td><td>${escapeHtml(r.backend)}</td><td>${r.calls}</td><td>${r.inputTokens}</td><td>${r.outputTokens}</td><td>$${escapeHtml(r.costUsd.toFixed(4))}</td></tr>`).join('')}</tbody>
+    </table>
+    <div class="small" style="margin-top:8px">Recent days: ${usage.recentDays.map((r) => `${escapeHtml(r.day)} $${escapeHtml(r.costUsd.toFixed(2))}`).join(' · ') || 'none'}</div>
+  </div>
+
+  <div class="card">
+    <strong>Future world canon</strong>
+    <div class="muted">Facts established by published editions. Active facts up to an edition's target year are given to curation and article prompts as constraints. Editing an extracted fact keeps it when its edition is re-curated; retire a fact to drop it from prompts.</div>
+    <div class="row" style="margin-top:8px">
+      <input id="factYear" type="number" placeholder="Year" style="width:80px;padding:6px"/>
+      <input id="factEntity" placeholder="Entity" style="width:200px;padding:6px"/>
+      <input id="factClaim" placeholder="Claim (one declarative sentence)" style="flex:1;min-width:260px;padding:6px"/>
+      <button id="factSaveBtn">Add fact</button>
+      <button id="factClearBtn">Clear</button>
+      <span id="factStatus" class="small"></span>
+    </div>
+    <table id="factsTable" class="small" style="width:100%;border-collapse:collapse;margin-top:8px">
+      <thead><tr style="text-align:left"><th>Year</th><th>Entity</th><th>Claim</th><th>Source</th><th>Status</th><th></th></tr></thead>
+      <tbody><tr><td colspan="6">Loading canon...</td></tr></tbody>
+    </table>
+  </div>
+
+  <div class="card">
+    <strong>Standing topics</strong>
+    <div class="muted">Persistent topics per section, with extrapolation axes and milestones. Signals matched to a topic attach its context to that section's curation prompt. Saving here overrides <code>config/standing-topics.json</code> for that topic until it is reset.</div>
+    <div class="row" style="margin-top:8px">
+      <select id="topicSectionFilter" style="padding:6px"><option value="">All sections</option></select>
+      <button id="topicNewBtn">New topic</button>
+      <span id="topicStatus" class="small"></span>
+    </div>
+    <table id="topicsTable" class="small" style="width:100%;border-collapse:collapse;margin-top:8px">
+      <thead><tr style="text-align:left"><th>Section</th><th>Topic</th><th>Axes</th><th>Milestones</th><th>Source</th><th>Status</th><th></th></tr></thead>
+      <tbody><tr><td colspan="7">Loading standing topics...</td></tr></tbody>
+    </table>
+    <textarea id="topicEditor" style="min-height:220px;margin-top:8px" placeholder="Select a topic to edit, or click New topic."></textarea>
+    <div class="row" style="margin-top:8px">
+      <button id="topicSaveBtn">Save topic</button>
+    </div>
+  </div>
+
+  <div class="card">
+    <strong>Article revisions</strong>
+    <div class="muted">Every article written to the render cache (drafts, backfill, editor rewrites, on-click renders) is kept with its stage, model and prompt hash. Pinning a revision serves it for that story until it is unpinned.</div>
+    <div class="row" style="margin-top:8px">
+      <input id="revStoryId" placeholder="Story id (ft-YYYY-MM-DD-y5-...)" style="flex:1;min-width:260px;padding:6px"/>
+      <button id="revLoadBtn">Load</button>
+      <input id="revFrom" placeholder="from" style="width:70px;padding:6px"/>
+      <input id="revTo" placeholder="to" style="width:70px;padding:6px"/>
+      <button id="revDiffBtn">Diff</button>
+      <button id="revUnpinBtn">Unpin</button>
+      <span id="revStatus" class="small"></span>
+    </div>
+    <table id="revTable" class="small" style="width:100%;border-collapse:collapse;margin-top:8px">
+      <thead><tr style="text-align:left"><th>Rev</th><th>Stage</th><th>Model</th><th>Prompt</th><th>Created</th><th>Title</th><th>Chars</th><th></th></tr></thead>
+      <tbody><tr><td colspan="8">Enter a story id.</td></tr></tbody>
+    </table>
+    <div id="revDiff" class="small" style="margin-top:8px"></div>
+  </div>
+
+  <div class="card">
+    <strong>Source health</strong>
+    <div class="muted">Failing sources back off exponentially and are quarantined after repeated failures. Timeline is newest first.</div>
+    <table id="sourcesTable" class="small" style="width:100%;border-collapse:collapse;margin-top:8px">
+      <thead><tr style="text-align:left"><th>Source</th><th>Type</th><th>Last</th><th>Fails</th><th>Interval</th><th>Score</th><th>Timeline</th><th></th></tr></thead>
+      <tbody><tr><td colspan="8">Loading sources...</td></tr></tbody>
+    </table>
+  </div>
+
   <div class="card">
     <strong>Latest trace (tail)</strong>
     <pre id="traceBox">Loading trace...</pre>
@@ -3745,6 +4239,7 @@ async function requestHandler(req, res) {
     const modelBox = document.getElementById('modelBox');
     const promptBox = document.getElementById('promptBox');
     const apiKeyBox = document.getElementById('apiKeyBox');
+    const modeSelect = document.getElementById('modeSelect');
     const traceBox = document.getElementById('traceBox');
     async function load() {
       const preview = await fetch(${JSON.stringify(previewUrl)}).then(r => r.json());
@@ -3752,8 +4247,9 @@ async function requestHandler(req, res) {
       systemPromptBox.value = (preview && preview.config && preview.config.systemPrompt) ? preview.config.systemPrompt : '';
       const runtime = await fetch('/api/admin/curator/runtime').then(r => r.json());
       if (runtime && runtime.curator) {
-        runtimeStatusEl.textContent = 'Curator: mode=' + runtime.curator.mode + ' model=' + runtime.curator.model + ' hasKey=' + runtime.curator.hasApiKey;
-        modelBox.value = runtime.curator.model || '';
+        runtimeStatusEl.textContent = 'Curator: mode=' + runtime.curator.mode + ' model=' + runtime.curator.model + ' hasKey=' + runtime.curator.hasApiKey + (runtime.curator.credentialsMissing ? ' (no credentials: curation is skipped)' : '');
+        modelBox.value = runtime.curator.mode === 'mock' ? '' : (runtime.curator.model || '');
+        modeSelect.value = runtime.curator.mode === 'mock' ? 'mock' : 'anthropic';
       }
       if (runtime && runtime.persisted && persistStatusEl) {
         persistStatusEl.textContent =
@@ -3763,13 +4259,275 @@ async function requestHandler(req, res) {
       const trace = await fetch(${JSON.stringify(traceUrl + '&limit=80')} ).then(r => r.json());
       const events = (trace && trace.events) ? trace.events : [];
       traceBox.textContent = JSON.stringify(events.slice(-40), null, 2);
+      await loadSources();
+      await loadFacts();
+      await loadTopics();
+    }
+    function esc(value) {
+      return String(value == null ? '' : value).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+    async function loadSources() {
+      const data = await fetch('/api/pipeline/sources?timeline=16').then(r => r.json());
+      const tbody = document.querySelector('#sourcesTable tbody');
+      const rows = (data && data.sources) ? data.sources : [];
+      tbody.innerHTML = rows.map((s) => {
+        const h = s.health || {};
+        const state = h.quarantined ? '<strong style="color:#b00020">quarantined</strong>' : (!s.enabled ? 'disabled' : (s.last_error ? '<span style="color:#b00020">error</span>' : (s.last_status || '—')));
+        const dots = (h.timeline || []).map((t) =>
+          '<span title="' + esc(t.fetchedAt + ' ' + (t.error || t.status) + ' (' + (t.itemCount || 0) + ' items)') + '" style="display:inline-block;width:8px;height:8px;margin-right:2px;border-radius:50%;background:' + (t.ok ? (t.status === 304 ? '#9bbcd6' : '#2e7d32') : '#c62828') + '"></span>'
+        ).join('');
+        const action = h.quarantined || h.consecutiveFailures ? '<button data-source="' + esc(s.source_id) + '">Re-enable</button>' : '';
+        return '<tr style="border-top:1px solid #eee">' +
+          '<td title="' + esc(h.quarantineReason || s.last_error || '') + '">' + esc(s.name) + '</td>' +
+          '<td><code>' + esc(s.type) + '</code></td>' +
+          '<td>' + state + '</td>' +
+          '<td>' + esc(h.consecutiveFailures || 0) + '</td>' +
+          '<td>' + esc(h.effectiveIntervalMinutes) + 'm' + (h.backedOff ? ' (backoff)' : '') + '</td>' +
+          '<td>' + (h.score == null ? '—' : esc(h.score)) + '</td>' +
+          '<td>' + dots + '</td>' +
+          '<td>' + action + '</td></tr>';
+      }).join('') || '<tr><td colspan="8">No sources.</td></tr>';
+    }
+    let facts = [];
+    let editingFactId = '';
+    const factYear = document.getElementById('factYear');
+    const factEntity = document.getElementById('factEntity');
+    const factClaim = document.getElementById('factClaim');
+    const factSaveBtn = document.getElementById('factSaveBtn');
+    const factStatus = document.getElementById('factStatus');
+    function resetFactForm() {
+      editingFactId = '';
+      factYear.value = '';
+      factEntity.value = '';
+      factClaim.value = '';
+      factSaveBtn.textContent = 'Add fact';
+    }
+    async function loadFacts() {
+      const data = await fetch('/api/admin/world-facts?limit=300').then(r => r.json());
+      facts = (data && data.facts) ? data.facts : [];
+      const tbody = document.querySelector('#factsTable tbody');
+      tbody.innerHTML = facts.map((f) => {
+        const source = f.sourceStoryId ? esc(f.sourceDay + ' +' + f.yearsForward + 'y ' + f.sourceStoryId) : '';
+        const toggle = f.status === 'active' ? 'retired' : 'active';
+        return '<tr style="border-top:1px solid #eee' + (f.status === 'active' ? '' : ';color:#999') + '">' +
+          '<td>' + esc(f.targetYear) + '</td>' +
+          '<td>' + esc(f.entity) + '</td>' +
+          '<td>' + esc(f.claim) + '</td>' +
+          '<td>' + source + (f.origin === 'admin' ? ' <em>(admin)</em>' : '') + '</td>' +
+          '<td>' + esc(f.status) + '</td>' +
+          '<td><button data-edit="' + esc(f.factId) + '">Edit</button> <button data-fact="' + esc(f.factId) + '" data-status="' + toggle + '">' + (toggle === 'retired' ? 'Retire' : 'Restore') + '</button></td></tr>';
+      }).join('') || '<tr><td colspan="6">No canon facts yet.</td></tr>';
+    }
+    async function saveFact(payload) {
+      const resp = await fetch('/api/admin/world-facts', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(payload)
+      }).then(r => r.json());
+      factStatus.textContent = resp && resp.ok ? 'Saved.' : ('Error: ' + (resp.error || 'failed'));
+      await loadFacts();
+      return resp && resp.ok;
+    }
+    factSaveBtn.addEventListener('click', async () => {
+      const payload = { targetYear: Number(factYear.value), entity: factEntity.value, claim: factClaim.value };
+      if (editingFactId) payload.factId = editingFactId;
+      if (await saveFact(payload)) resetFactForm();
+    });
+    document.getElementById('factClearBtn').addEventListener('click', resetFactForm);
+    document.getElementById('factsTable').addEventListener('click', async (event) => {
+      const edit = event.target.closest('button[data-edit]');
+      if (edit) {
+        const fact = facts.find((f) => f.factId === edit.getAttribute('data-edit'));
+        if (!fact) return;
+        editingFactId = fact.factId;
+        factYear.value = fact.targetYear;
+        factEntity.value = fact.entity;
+        factClaim.value = fact.claim;
+        factSaveBtn.textContent = 'Save fact';
+        return;
+      }
+      const btn = event.target.closest('button[data-fact]');
+      if (!btn) return;
+      btn.disabled = true;
+      await saveFact({ factId: btn.getAttribute('data-fact'), status: btn.getAttribute('data-status') });
+    });
+    let standingTopics = [];
+    const topicSectionFilter = document.getElementById('topicSectionFilter');
+    const topicEditor = document.getElementById('topicEditor');
+    const topicStatus = document.getElementById('topicStatus');
+    async function loadTopics() {
+      const data = await fetch('/api/admin/standing-topics').then(r => r.json());
+      standingTopics = (data && data.topics) ? data.topics : [];
+      if (topicSectionFilter.options.length === 1) {
+        (data.sections || []).forEach((section) => topicSectionFilter.add(new Option(section, section)));
+      }
+      const section = topicSectionFilter.value;
+      const tbody = document.querySelector('#topicsTable tbody');
+      tbody.innerHTML = standingTopics.filter((t) => !section || t.section === section).map((t) => {
+        const source = t.origin === 'admin' ? '<em>admin</em>' + (t.inConfig ? ' <button data-reset="' + esc(t.topic_key) + '">Reset</button>' : '') : 'config';
+        return '<tr style="border-top:1px solid #eee' + (t.enabled ? '' : ';color:#999') + '">' +
+          '<td>' + esc(t.section) + '</td>' +
+          '<td title="' + esc(t.topic_key) + '">' + esc(t.label) + '</td>' +
+          '<td>' + esc(t.extrapolation_axes.map((a) => a.axis).join(', ')) + '</td>' +
+          '<td>' + esc(t.milestones.map((m) => m.year).join(', ')) + '</td>' +
+          '<td>' + source + '</td>' +
+          '<td>' + (t.enabled ? 'enabled' : 'disabled') + '</td>' +
+          '<td><button data-topic="' + esc(t.topic_key) + '">Edit</button> <button data-toggle="' + esc(t.topic_key) + '">' + (t.enabled ? 'Disable' : 'Enable') + '</button></td></tr>';
+      }).join('') || '<tr><td colspan="7">No standing topics.</td></tr>';
+    }
+    function editableTopic(t) {
+      return {
+        topic_key: t.topic_key,
+        section: t.section,
+        category: t.category,
+        label: t.label,
+        description: t.description,
+        extrapolation_axes: t.extrapolation_axes,
+        keywords: t.keywords,
+        milestones: t.milestones,
+        enabled: t.enabled
+      };
     }
+    async function saveTopic(payload) {
+      const resp = await fetch('/api/admin/standing-topics', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(payload)
+      }).then(r => r.json());
+      topicStatus.textContent = resp && resp.ok ? 'Saved.' : ('Error: ' + (resp.error || 'failed'));
+      await loadTopics();
+      return resp && resp.ok;
+    }
+    topicSectionFilter.addEventListener('change', loadTopics);
+    const revStoryId = document.getElementById('revStoryId');
+    const revStatus = document.getElementById('revStatus');
+    async function loadRevisions() {
+      const storyId = revStoryId.value.trim();
+      if (!storyId) return;
+      const data = await fetch('/api/admin/render-revisions?story_id=' + encodeURIComponent(storyId)).then(r => r.json());
+      const revisions = (data && data.revisions) ? data.revisions : [];
+      revStatus.textContent = data && data.pinned ? 'Pinned: revision ' + data.pinned.revisionId : 'Not pinned (serving latest).';
+      document.querySelector('#revTable tbody').innerHTML = revisions.map((r) =>
+        '<tr style="border-top:1px solid #eee' + (r.pinned ? ';font-weight:bold' : '') + '">' +
+        '<td>' + esc(r.revisionId) + (r.latest ? ' (latest)' : '') + '</td>' +
+        '<td>' + esc(r.stage) + '</td>' +
+        '<td>' + esc(r.model || '') + '</td>' +
+        '<td><code>' + esc(r.promptHash || '') + '</code></td>' +
+        '<td>' + esc(r.createdAt) + '</td>' +
+        '<td>' + esc(r.title) + '</td>' +
+        '<td>' + esc(r.bodyChars) + (r.blocks ? ' / ' + esc(r.blocks) + ' blocks' : '') + '</td>' +
+        '<td><button data-rev-diff="' + esc(r.revisionId) + '">Diff</button> ' +
+        (r.pinned ? '' : '<button data-rev-pin="' + esc(r.revisionId) + '">Pin</button>') + '</td></tr>'
+      ).join('') || '<tr><td colspan="8">No revisions for this story.</td></tr>';
+    }
+    async function showDiff(from, to) {
+      const params = new URLSearchParams({ story_id: revStoryId.value.trim() });
+      if (from) params.set('from', from);
+      if (to) params.set('to', to);
+      const diff = await fetch('/api/admin/render-revisions/diff?' + params.toString()).then(r => r.json());
+      const box = document.getElementById('revDiff');
+      if (!diff || !diff.ok) {
+        box.textContent = 'Error: ' + ((diff && diff.error) || 'failed');
+        return;
+      }
+      const colors = { add: '#e6f4ea', remove: '#fde8e8', same: 'transparent' };
+      const marks = { add: '+ ', remove: '- ', same: '  ' };
+      box.innerHTML =
+        '<div><strong>Revision ' + esc(diff.from.revisionId) + ' (' + esc(diff.from.stage) + ') → ' + esc(diff.to.revisionId) + ' (' + esc(diff.to.stage) + ')</strong> · ' +
+        esc(diff.added) + ' added, ' + esc(diff.removed) + ' removed, ' + esc(diff.unchanged) + ' unchanged paragraphs</div>' +
+        diff.fields.map((f) => '<div><em>' + esc(f.field) + '</em>: <del>' + esc(f.from) + '</del> → <ins>' + esc(f.to) + '</ins></div>').join('') +
+        diff.body.map((d) => '<pre style="white-space:pre-wrap;margin:4px 0;padding:4px;background:' + colors[d.op] + '">' + marks[d.op] + esc(d.text) + '</pre>').join('');
+    }
+    document.getElementById('revLoadBtn').addEventListener('click', loadRevisions);
+    document.getElementById('revDiffBtn').addEventListener('click', () => showDiff(document.getElementById('revFrom').value.trim(), document.getElementById('revTo').value.trim()));
+    document.getElementById('revUnpinBtn').addEventListener('click', async () => {
+      const resp = await fetch('/api/admin/render-revisions', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ action: 'unpin', storyId: revStoryId.value.trim() })
+      }).then(r => r.json());
+      revStatus.textContent = resp && resp.ok ? (resp.unpinned ? 'Unpinned.' : 'Was not pinned.') : ('Error: ' + (resp.error || 'failed'));
+      await loadRevisions();
+    });
+    document.getElementById('revTable').addEventListener('click', async (event) => {
+      const diffBtn = event.target.closest('button[data-rev-diff]');
+      if (diffBtn) {
+        await showDiff('', diffBtn.getAttribute('data-rev-diff'));
+        return;
+      }
+      const pinBtn = event.target.closest('button[data-rev-pin]');
+      if (!pinBtn) return;
+      pinBtn.disabled = true;
+      const resp = await fetch('/api/admin/render-revisions', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ storyId: revStoryId.value.trim(), revisionId: Number(pinBtn.getAttribute('data-rev-pin')) })
+      }).then(r => r.json());
+      if (!resp || !resp.ok) revStatus.textContent = 'Error: ' + ((resp && resp.error) || 'failed');
+      await loadRevisions();
+    });
+    document.getElementById('topicNewBtn').addEventListener('click', () => {
+      const section = topicSectionFilter.value || 'World';
+      topicEditor.value = JSON.stringify({
+        topic_key: section.toLowerCase().replace(/[^a-z0-9]+/g, '') + '/new-topic',
+        section,
+        category: '',
+        label: '',
+        description: '',
+        extrapolation_axes: [{ axis: '', description: '' }],
+        keywords: [],
+        milestones: [{ year: new Date().getFullYear() + 2, event: '' }],
+        enabled: true
+      }, null, 2);
+    });
+    document.getElementById('topicSaveBtn').addEventListener('click', async () => {
+      let payload;
+      try {
+        payload = JSON.parse(topicEditor.value);
+      } catch {
+        topicStatus.textContent = 'Error: topic is not valid JSON';
+        return;
+      }
+      await saveTopic(payload);
+    });
+    document.getElementById('topicsTable').addEventListener('click', async (event) => {
+      const edit = event.target.closest('button[data-topic]');
+      if (edit) {
+        const topic = standingTopics.find((t) => t.topic_key === edit.getAttribute('data-topic'));
+        if (topic) topicEditor.value = JSON.stringify(editableTopic(topic), null, 2);
+        return;
+      }
+      const toggle = event.target.closest('button[data-toggle]');
+      if (toggle) {
+        const topic = standingTopics.find((t) => t.topic_key === toggle.getAttribute('data-toggle'));
+        if (!topic) return;
+        toggle.disabled = true;
+        await saveTopic({ topic_key: topic.topic_key, enabled: !topic.enabled });
+        return;
+      }
+      const reset = event.target.closest('button[data-reset]');
+      if (!reset) return;
+      reset.disabled = true;
+      await saveTopic({ action: 'reset', topic_key: reset.getAttribute('data-reset') });
+    });
+    document.getElementById('sourcesTable').addEventListener('click', async (event) => {
+      const btn = event.target.closest('button[data-source]');
+      if (!btn) return;
+      btn.disabled = true;
+      btn.textContent = 'Re-enabling...';
+      await fetch('/api/admin/sources/enable', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ sourceId: btn.getAttribute('data-source') })
+      });
+      await loadSources();
+    });
     document.getElementById('saveRuntimeBtn').addEventListener('click', async () => {
       runtimeStatusEl.textContent = 'Saving...';
       const apiKey = apiKeyBox.value || '';
       const systemPrompt = systemPromptBox.value || '';
       const model = modelBox.value || '';
-      const payload = { mode: 'anthropic', systemPrompt };
+      const payload = { mode: modeSelect.value || 'anthropic', systemPrompt };
       if (model.trim()) payload.model = model.trim();
       // Do not clear the existing key if the box is empty.
       if (apiKey.trim()) payload.apiKey = apiKey.trim();
@@ -3822,27 +4580,43 @@ async function requestHandler(req, res) {
       const format = String(url.searchParams.get('format') || '').trim().toLowerCase();
       const wantsHtml = format === 'html' || (!format && clientAcceptsHtml(req));
 
-      // Fetch LIVE Polymarket data to get current probabilities
+      // Prefer the probability history recorded at each refresh; hit the live API only when
+      // asked (?live=1) or when nothing has been recorded yet.
+      const wantsLive = ['1', 'true', 'yes'].includes(String(url.searchParams.get('live') || '').trim().toLowerCase());
       let liveMarkets = [];
-      try {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 12000);
-        const polyResp = await fetch(
-          'https://gamma-api.polymarket.com/markets?active=true&closed=false&limit=200&order=volume&ascending=false',
-          { headers: { 'user-agent': 'FutureTimesBot/1.0', accept: 'application/json' }, signal: controller.signal }
-        ).finally(() => clearTimeout(timeout));
-        if (polyResp.ok) {
-          const polyData = await polyResp.json();
-          liveMarkets = Array.isArray(polyData) ? polyData : Array.isArray(polyData?.markets) ? polyData.markets : [];
+      let marketSource = 'ticks';
+      if (!wantsLive) {
+        liveMarkets = pipeline.getLatestMarketTicks({ day: builtDay }).map((t) => ({
+          question: t.question,
+          endDate: t.closeDate || '',
+          volumeNum: t.volume,
+          slug: t.slug,
+          _prob: t.yesProb
+        }));
+      }
+      if (!liveMarkets.length) {
+        marketSource = 'live';
+        try {
+          const controller = new AbortController();
+          const timeout = setTimeout(() => controller.abort(), 12000);
+          const polyResp = await fetch(
+            'https://gamma-api.polymarket.com/markets?active=true&closed=false&limit=200&order=volume&ascending=false',
+            { headers: { 'user-agent': 'FutureTimesBot/1.0', accept: 'application/json' }, signal: controller.signal }
+          ).finally(() => clearTimeout(timeout));
+          if (polyResp.ok) {
+            const polyData = await polyResp.json();
+            liveMarkets = Array.isArray(polyData) ? polyData : Array.isArray(polyData?.markets) ? polyData.markets : [];
+          }
+        } catch (err) {
+          // Fall back to DB data if live fetch fails
         }
-      } catch (err) {
-        // Fall back to DB data if live fetch fails
       }
 
       // If live fetch failed, use DB data
       if (!liveMarkets.length) {
+        marketSource = 'signals';
         const rows = pipeline.db.prepare(
-          `SELECT title, summary, canonical_url FROM signals WHERE signal_type='market' AND day=? ORDER BY score DESC`
+          `SELECT title, summary, canonical_url FROM signals WHERE signal_type='market' AND day=? AND canonical_url LIKE 'https://polymarket.com/%' ORDER BY score DESC`
         ).all(builtDay);
         liveMarkets = rows.map((r) => ({
           question: r.title,
@@ -3853,6 +4627,10 @@ async function requestHandler(req, res) {
         }));
       }
 
+      const dayChange = new Map(
+        pipeline.getMarketMovers({ day: builtDay, windowHours: 24, limit: 100, minDelta: 0 }).map((m) => [m.slug, m.delta])
+      );
+
       // Parse and group by year
       function parseYesProbability(m) {
         let outcomes = m?.outcomes;
@@ -3872,7 +4650,7 @@ async function requestHandler(req, res) {
       for (const m of liveMarkets) {
         const question = String(m.question || m.title || '').trim();
         if (!question) continue;
-        const prob = parseYesProbability(m);
+        const prob = Number.isFinite(m._prob) ? m._prob : parseYesProbability(m);
         const endDate = String(m.endDate || '').trim();
         const closesMatch = endDate.match(/(\d{4})-(\d{2})-(\d{2})/);
         const closeYear = closesMatch ? Number(closesMatch[1]) : null;
@@ -3890,7 +4668,8 @@ async function requestHandler(req, res) {
           closeYear,
           volume,
           url: marketUrl,
-          endDate
+          endDate,
+          change24h: dayChange.has(slug) ? dayChange.get(slug) : null
         };
         allMarkets.push(entry);
 
@@ -3918,6 +4697,7 @@ async function requestHandler(req, res) {
               <td style="max-width:400px"><a href="${escapeHtml(m.url)}" target="_blank" rel="noopener">${escapeHtml(m.title)}</a></td>
               <td style="text-align:center;font-weight:600;color:${probColor}">${escapeHtml(m.probDisplay)}</td>
               <td style="text-align:center;color:${probColor}">${escapeHtml(outcomeLabel)}</td>
+              <td style="text-align:center;color:${m.change24h > 0 ? '#1a7f37' : m.change24h < 0 ? '#cf222e' : '#999'}">${m.change24h === null ? '&mdash;' : escapeHtml(`${m.change24h > 0 ? '+' : ''}${(m.change24h * 100).toFixed(0)} pts`)}</td>
               <td style="text-align:right;color:#555">$${m.volume.toLocaleString('en-US')}</td>
               <td style="color:#555">${escapeHtml(m.closeDate || '?')}</td>
             </tr>`;
@@ -3931,6 +4711,7 @@ async function requestHandler(req, res) {
                   <th style="padding:6px 8px">Question</th>
                   <th style="padding:6px 8px;text-align:center">Prob</th>
                   <th style="padding:6px 8px;text-align:center">Implied Outcome</th>
+                  <th style="padding:6px 8px;text-align:center">24h</th>
                   <th style="padding:6px 8px;text-align:right">Volume</th>
                   <th style="padding:6px 8px">Closes</th>
                 </tr>
@@ -3974,7 +4755,7 @@ async function requestHandler(req, res) {
   </div>
 
   <div class="muted" style="margin-bottom:12px">
-    Markets are pulled from the <a href="https://gamma-api.polymarket.com" target="_blank">Polymarket Gamma API</a> (top 200 by volume).
+    Markets are pulled from the <a href="https://gamma-api.polymarket.com" target="_blank">Polymarket Gamma API</a> (top 200 by volume)${marketSource === 'ticks' ? ' and show the last probability recorded at or before this day' : marketSource === 'live' ? ' live, right now' : ''}.
     The "Implied Outcome" column shows the most likely resolution based on current odds. Use these as inputs for forecasting — they represent the market's current best guess.
     Low-volume markets (&lt;$500) are hidden.
   </div>
@@ -3986,7 +4767,7 @@ async function requestHandler(req, res) {
         return;
       }
 
-      sendJson(res, { day: builtDay, totalMarkets: allMarkets.length, byYear, sortedYears });
+      sendJson(res, { day: builtDay, source: marketSource, totalMarkets: allMarkets.length, byYear, sortedYears });
       return;
     }
 
@@ -4013,6 +4794,20 @@ async function requestHandler(req, res) {
       return;
     }
 
+    if (pathname.startsWith('/api/threads/')) {
+      if (req.method !== 'GET') return send405(res, 'GET');
+      const threadId = decodeURIComponent(pathname.slice('/api/threads/'.length)).trim();
+      const timeline = threadId
+        ? pipeline.getThreadTimeline(threadId, { yearsForward: url.searchParams.has('years') ? years : null })
+        : null;
+      if (!timeline) {
+        sendJson(res, { ok: false, error: 'thread_not_found', threadId }, 404);
+        return;
+      }
+      sendJson(res, timeline);
+      return;
+    }
+
     if (pathname.startsWith('/api/edition')) {
       if (req.method !== 'GET') return send405(res, 'GET');
       const requestedDay = day || pipeline.getLatestDay() || formatDay();
@@ -4031,10 +4826,77 @@ async function requestHandler(req, res) {
       return;
     }
 
-    // Real-time expansion is disabled. Articles must be pre-rendered.
+    // Starts (or joins) a live render of a story that was not prewritten; progress and chunks
+    // stream to sockets subscribed with a render.article message. On Vercel nothing runs after
+    // the response is sent, so there the request waits for the render and answers with it.
     if (pathname.match(/^\/api\/article\/.+\/expand$/)) {
       if (req.method !== 'POST') return send405(res, 'POST');
-      sendJson(res, { ok: false, error: 'realtime_expand_disabled' }, 410);
+      if (!realtimeRenderEnabled()) {
+        sendJson(res, { ok: false, error: 'realtime_render_unavailable' }, 503);
+        return;
+      }
+      const storyId = parseStoryIdFromPath(pathname);
+      const story = await resolveStoryForRender(storyId);
+      if (!story) {
+        sendJson(res, { ok: false, storyId, error: 'story_not_found' }, 404);
+        return;
+      }
+      if (!isStoryFuturePublishable(story)) {
+        sendJson(res, { ok: false, status: 'filtered', storyId, error: 'story_not_future_aligned' }, 410);
+        return;
+      }
+      const result = startRenderJob(storyId, story, { clientIp: clientIpOf(req) });
+      if (result.status === 'cached') {
+        sendJson(res, { ok: true, status: 'ready', storyId, article: withStoryThread(result.article, storyId) });
+      } else if (result.status === 'rate_limited') {
+        sendJson(res, { ok: false, storyId, error: 'rate_limited', retryAfterMs: result.retryAfterMs }, 429);
+      } else if (result.status === 'queue_full') {
+        sendJson(res, { ok: false, storyId, error: 'render_queue_full' }, 503);
+      } else if (result.status === 'not_found') {
+        sendJson(res, { ok: false, storyId, error: 'story_not_found' }, 404);
+      } else if (process.env.VERCEL) {
+        const done = await waitForRenderJob(result.job, 280000);
+        if (done.status === 'ready') sendJson(res, { ok: true, status: 'ready', storyId, article: withStoryThread(done.article, storyId) });
+        else sendJson(res, { ok: false, storyId, error: done.status === 'timeout' ? 'render_timeout' : done.error }, done.status === 'timeout' ? 504 : 502);
+      } else {
+        sendJson(res, { ok: true, status: result.status, storyId, position: result.position || 0 }, 202);
+      }
+      return;
+    }
+
+    // Server-sent events twin of the render.article socket message, for hosts without WebSocket
+    // upgrades (Vercel) and clients that cannot hold a socket. Failures arrive as render.error
+    // events so EventSource clients can read them. The render runs on the instance serving the
+    // stream and the handler stays open until it ends; a reconnect that reaches another instance
+    // starts the render there and replays it from the beginning.
+    if (pathname.match(/^\/api\/article\/.+\/stream$/)) {
+      if (req.method !== 'GET') return send405(res, 'GET');
+      const storyId = parseStoryIdFromPath(pathname);
+      openSseStream(req, res);
+      const fail = (error, extra = {}) => {
+        writeSseEvent(res, { type: 'render.error', articleId: storyId, error, ...extra });
+        closeSseStream(res);
+      };
+      if (!realtimeRenderEnabled()) return fail('realtime_render_unavailable');
+      let story = null;
+      try {
+        story = await resolveStoryForRender(storyId);
+      } catch {
+        story = null;
+      }
+      if (!story) return fail('story_not_found');
+      if (!isStoryFuturePublishable(story)) return fail('story_not_future_aligned');
+      const result = startRenderJob(storyId, story, { clientIp: clientIpOf(req) });
+      if (result.status === 'cached') {
+        writeSseEvent(res, { type: 'render.complete', articleId: storyId, article: withStoryThread(result.article, storyId) });
+        closeSseStream(res);
+        return;
+      }
+      if (!result.job) {
+        const error = result.status === 'queue_full' ? 'render_queue_full' : result.status === 'rate_limited' ? 'rate_limited' : 'story_not_found';
+        return fail(error, { retryAfterMs: result.retryAfterMs });
+      }
+      await subscribeStreamToJob(result.job, res, req.headers['last-event-id'] || url.searchParams.get('last_event_id') || '');
       return;
     }
 
@@ -4100,17 +4962,32 @@ async function requestHandler(req, res) {
       }
 
       const preRendered = getPreRenderedArticle(storyId, story);
+      if (!preRendered && awaitsLiveRender(story)) {
+        const seed = buildSeedArticleFromStory(story);
+        sendJson(res, {
+          status: 'renderable',
+          storyId,
+          article: withStoryThread({ ...seed, body: '' }, storyId),
+          render: {
+            ...getArticleStatus(storyId, story),
+            expand: `/api/article/${encodeURIComponent(storyId)}/expand`,
+            stream: `/api/article/${encodeURIComponent(storyId)}/stream`,
+            socket: process.env.VERCEL ? null : '/ws'
+          }
+        }, 202);
+        return;
+      }
       if (!preRendered) {
         const seed = buildSeedArticleFromStory(story);
         if (isPublishReadyArticle(seed) && isStoryFuturePublishable(story, seed)) {
-          pipeline.storeRendered(storyId, seed, { curationGeneratedAt: story?.curation?.generatedAt || null });
+          pipeline.storeRendered(storyId, seed, { curationGeneratedAt: story?.curation?.generatedAt || null, stage: 'seed' });
           let article = seed;
           try {
             article = await decorateArticlePayload(seed, { day: story.day, yearsForward: story.yearsForward, storyId });
           } catch {
             // best effort
           }
-          sendJson(res, { status: 'ready', article });
+          sendJson(res, { status: 'ready', article: withStoryThread(article, storyId) });
           return;
         }
         const replacement = await resolveReplacementArticle({
@@ -4156,7 +5033,7 @@ async function requestHandler(req, res) {
       } catch {
         // best effort
       }
-      sendJson(res, { status: 'ready', article });
+      sendJson(res, { status: 'ready', article: withStoryThread(article, storyId) });
       return;
     }
 
@@ -4177,7 +5054,23 @@ async function requestHandler(req, res) {
   }
 }
 
-function socketHandler(socket) {
+async function resolveStoryForRender(storyId) {
+  const id = String(storyId || '').trim();
+  if (!id) return null;
+  let story = pipeline.getStory(id);
+  if (!story) {
+    // Shared links can name a day whose edition is not built yet.
+    const match = id.match(/^ft-(\d{4}-\d{2}-\d{2})-y(\d+)/);
+    if (match) {
+      await pipeline.ensureDayBuilt(match[1]);
+      story = pipeline.getStory(id);
+    }
+  }
+  return story || null;
+}
+
+function socketHandler(socket, req) {
+  const clientIp = clientIpOf(req);
   socket.on('message', async (raw) => {
     let message;
     try {
@@ -4192,7 +5085,46 @@ function socketHandler(socket) {
       return;
     }
     const requestId = message.requestId || `req-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
-    safeSend(socket, { type: 'render.error', requestId, error: 'realtime_render_disabled' });
+    const storyId = String(message.articleId || message.storyId || '').trim();
+    if (!realtimeRenderEnabled()) {
+      safeSend(socket, { type: 'render.error', requestId, articleId: storyId, error: 'realtime_render_unavailable' });
+      return;
+    }
+    let story = null;
+    try {
+      story = await resolveStoryForRender(storyId);
+    } catch {
+      story = null;
+    }
+    if (!story) {
+      safeSend(socket, { type: 'render.error', requestId, articleId: storyId, error: 'story_not_found' });
+      return;
+    }
+    if (!isStoryFuturePublishable(story)) {
+      safeSend(socket, { type: 'render.error', requestId, articleId: storyId, error: 'story_not_future_aligned' });
+      return;
+    }
+
+    const result = startRenderJob(storyId, story, { clientIp });
+    if (result.status === 'cached') {
+      safeSend(socket, { type: 'render.complete', requestId, articleId: storyId, article: withStoryThread(result.article, storyId) });
+      return;
+    }
+    if (!result.job) {
+      const error = result.status === 'queue_full' ? 'render_queue_full' : result.status === 'rate_limited' ? 'rate_limited' : 'story_not_found';
+      safeSend(socket, { type: 'render.error', requestId, articleId: storyId, error, retryAfterMs: result.retryAfterMs });
+      return;
+    }
+    subscribeSocketToJob(result.job, socket, requestId);
+    if (result.job.partialBody) {
+      // Joined a render already in progress: catch up on the text streamed so far.
+      safeSend(socket, { type: 'render.chunk', requestId, articleId: storyId, delta: result.job.partialBody });
+    }
+    if (result.position) {
+      safeSend(socket, { type: 'render.queued', requestId, articleId: storyId, position: result.position });
+    } else {
+      safeSend(socket, { type: 'render.progress', requestId, articleId: storyId, phase: 'Rendering...', percent: 10 });
+    }
   });
 
   socket.on('close', () => {
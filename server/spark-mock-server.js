@@ -0,0 +1,104 @@
+import { WebSocketServer } from 'ws';
+
+// Local stand-in for an external Spark renderer. Answers each render.article request with a
+// deterministic article built from the seed's title and dek, streamed as provider frames:
+//
+//   node server/spark-mock-server.js --port 8788
+//   SPARK_WS_URL=ws://127.0.0.1:8788 FT_RENDERER_CHAIN=spark,template npm start
+//
+// --format events|sse  frame shape: bare JSON events or "data:" lines
+// --fail-after N        send an error after N chunks, to exercise the fallback chain
+// --drop-after N        drop the connection after N chunks, without an error or completion
+// --token T             reject connections without "Authorization: Bearer T"
+// --delay MS            pause between frames (default 40)
+// --port 0              listen on a free port; the listening line names it
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+  }
+  return args;
+}
+
+function articleText(article) {
+  const title = String(article?.title || 'The story').trim();
+  const dek = String(article?.dek || '').trim();
+  return [
+    dek || title,
+    `Officials confirmed the details of ${title} on ${article?.editionDate || 'the edition date'}, closing a chapter that had been building for several years.`,
+    'Analysts said the shift was less a surprise than the end point of trends visible for a long time, and that the next months would show whether it holds.',
+    'Those affected described a mix of relief and caution as the changes took effect.'
+  ].join('\n\n');
+}
+
+function chunks(text) {
+  const out = [];
+  for (let i = 0; i < text.length; i += 80) out.push(text.slice(i, i + 80));
+  return out;
+}
+
+function frame(format, kind, value) {
+  const payload =
+    kind === 'progress' ? { type: 'progress', phase: value, percent: 20 }
+    : kind === 'chunk' ? { type: 'chunk', delta: value }
+    : kind === 'error' ? { type: 'error', error: value }
+    : { type: 'complete' };
+  return format === 'sse' ? `data: ${JSON.stringify(payload)}` : JSON.stringify(payload);
+}
+
+const args = parseArgs(process.argv.slice(2));
+const port = Number(args.port || process.env.SPARK_MOCK_PORT || 8788);
+const host = String(args.host || '127.0.0.1');
+const format = ['events', 'sse'].includes(args.format) ? args.format : 'events';
+const failAfter = args['fail-after'] === undefined ? Infinity : Number(args['fail-after']);
+const dropAfter = args['drop-after'] === undefined ? Infinity : Number(args['drop-after']);
+const delayMs = Number(args.delay ?? 40);
+const token = args.token ? String(args.token) : '';
+
+const wss = new WebSocketServer({
+  host,
+  port,
+  verifyClient: ({ req }) => !token || req.headers.authorization === `Bearer ${token}`
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+wss.on('connection', (socket) => {
+  socket.on('message', async (raw) => {
+    let request;
+    try {
+      request = JSON.parse(raw.toString());
+    } catch {
+      socket.send(frame(format, 'error', 'invalid JSON'));
+      return;
+    }
+    if (request.type !== 'render.article') {
+      socket.send(frame(format, 'error', `unknown request type: ${request.type}`));
+      return;
+    }
+    socket.send(frame(format, 'progress', 'Spark mock writing'));
+    let sent = 0;
+    for (const part of chunks(articleText(request.article))) {
+      if (sent >= failAfter) {
+        socket.send(frame(format, 'error', 'spark mock failure'));
+        return;
+      }
+      if (sent >= dropAfter) {
+        socket.terminate();
+        return;
+      }
+      await sleep(delayMs);
+      socket.send(frame(format, 'chunk', part));
+      sent++;
+    }
+    socket.send(frame(format, 'complete'));
+  });
+});
+
+wss.on('listening', () => {
+  const { port } = wss.address();
+  console.log(`Spark mock renderer on ws://${host}:${port} (format: ${format})`);
+  console.log(`  SPARK_WS_URL=ws://${host}:${port}${token ? ` SPARK_AUTH_TOKEN=${token}` : ''}`);
+});
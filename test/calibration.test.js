@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveMarketPrediction } from '../server/pipeline/calibration.js';
+import { fetchMarketSettlement, marketRefOf } from '../server/pipeline/market-settlement.js';
+
+// A fetch stand-in answering each URL from a table and recording what was asked.
+function stubFetch(responses) {
+  const calls = [];
+  const fetchImpl = async (url) => {
+    calls.push(url);
+    const body = responses[url];
+    return new Response(JSON.stringify(body ?? {}), { status: body === undefined ? 404 : 200 });
+  };
+  return { fetchImpl, calls };
+}
+
+const POLY_URL = 'https://gamma-api.polymarket.com/markets?slug=fed-cut-december-2026&closed=true';
+const KALSHI_URL = 'https://api.elections.kalshi.com/trade-api/v2/markets/KXFEDDECISION-26DEC-C25';
+
+test('marketRefOf: canonical market URLs map to exchange ids', () => {
+  assert.deepEqual(marketRefOf('https://polymarket.com/market/fed-cut-december-2026'), { exchange: 'polymarket', id: 'fed-cut-december-2026' });
+  assert.deepEqual(marketRefOf('https://kalshi.com/markets/kxfeddecision-26dec-c25'), { exchange: 'kalshi', id: 'KXFEDDECISION-26DEC-C25' });
+  assert.equal(marketRefOf('https://example.com/market/x'), null);
+});
+
+test('polymarket: a closed market pinned to one side is settled', async () => {
+  const { fetchImpl, calls } = stubFetch({
+    [POLY_URL]: [{ slug: 'fed-cut-december-2026', closed: true, outcomes: '["Yes","No"]', outcomePrices: '["0","1"]' }]
+  });
+  const settlement = await fetchMarketSettlement('https://polymarket.com/market/fed-cut-december-2026', { fetchImpl });
+  assert.deepEqual(calls, [POLY_URL]);
+  assert.deepEqual(settlement, { settled: true, outcome: 0, value: 0 });
+});
+
+test('polymarket: no closed market yet means unsettled', async () => {
+  const { fetchImpl } = stubFetch({ [POLY_URL]: [] });
+  assert.deepEqual(await fetchMarketSettlement('https://polymarket.com/market/fed-cut-december-2026', { fetchImpl }), { settled: false });
+});
+
+test('kalshi: the determined result settles the market, HTTP errors throw', async () => {
+  const { fetchImpl } = stubFetch({ [KALSHI_URL]: { market: { ticker: 'KXFEDDECISION-26DEC-C25', status: 'finalized', result: 'yes' } } });
+  const settlement = await fetchMarketSettlement('https://kalshi.com/markets/kxfeddecision-26dec-c25', { fetchImpl });
+  assert.deepEqual(settlement, { settled: true, outcome: 1, value: 1 });
+  await assert.rejects(fetchMarketSettlement('https://kalshi.com/markets/unknown', { fetchImpl }), /Kalshi settlement fetch failed 404/);
+});
+
+test('resolveMarketPrediction: exchange settlement wins, unsettled markets void after 45 days', () => {
+  const prediction = { resolutionDate: '2026-12-17' };
+  const openTick = { yes_prob: 0.55 };
+  assert.deepEqual(resolveMarketPrediction(prediction, openTick, '2026-12-20', { settled: true, outcome: 1, value: 1 }), { outcome: 1, value: 1 });
+  assert.equal(resolveMarketPrediction(prediction, openTick, '2026-12-20', { settled: false }), null);
+  assert.deepEqual(resolveMarketPrediction(prediction, openTick, '2027-02-15', { settled: false }), { void: true });
+});
+
+test('resolveMarketPrediction: a pinned price counts only when observed after the close date', () => {
+  const prediction = { resolutionDate: '2026-12-17' };
+  assert.equal(resolveMarketPrediction(prediction, { yes_prob: 0.99, observed_at: '2026-12-01T12:00:00Z' }, '2026-12-01'), null);
+  assert.equal(resolveMarketPrediction(prediction, { yes_prob: 0.01, observed_at: '2026-12-17T09:00:00Z' }, '2026-12-18'), null);
+  assert.deepEqual(resolveMarketPrediction(prediction, { yes_prob: 0.99, observed_at: '2026-12-18T09:00:00Z' }, '2026-12-18'), { outcome: 1, value: 0.99 });
+  assert.equal(resolveMarketPrediction(prediction, { yes_prob: 0.6, observed_at: '2026-12-18T09:00:00Z' }, '2026-12-18'), null);
+});
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { extractClaims, findConflicts } from '../server/pipeline/consistency.js';
+
+function statuses(body) {
+  const claims = extractClaims({ storyId: 's1', body }).filter((c) => c.kind === 'status');
+  return Object.fromEntries(claims.map((c) => [c.entity, c.status]));
+}
+
+test('status: a departure word marks only the person it is attached to', () => {
+  assert.deepEqual(statuses('CEO Jane Doe, who replaced former chairman Bob Smith, unveiled the plan.'), {
+    'Jane Doe': 'active',
+    'Bob Smith': 'departed'
+  });
+});
+
+test('status: departures before the name, after it and in the role phrase', () => {
+  assert.deepEqual(statuses('The late chairman Carl Weber left a long shadow.'), { 'Carl Weber': 'departed' });
+  assert.deepEqual(statuses('Jane Doe, the chief executive, resigned on Monday.'), { 'Jane Doe': 'departed' });
+  assert.deepEqual(statuses('The state governor Ana Ruiz was abruptly dismissed after the vote.'), { 'Ana Ruiz': 'departed' });
+  assert.deepEqual(statuses('Lee Park, the former president of Acme, spoke first.'), { 'Lee Park': 'departed' });
+  assert.deepEqual(statuses('Trade minister Tom Hale praised the deal, days after rivals were arrested.'), { 'Tom Hale': 'active' });
+});
+
+test('findConflicts: the same person active in one story and departed in another', () => {
+  const conflicts = findConflicts([
+    { storyId: 'a', body: 'CEO Jane Doe unveiled the plan in Berlin.' },
+    { storyId: 'b', body: 'Jane Doe, the chief executive, stepped down in March.' }
+  ]);
+  const status = conflicts.filter((c) => c.kind === 'status');
+  assert.equal(status.length, 1);
+  assert.deepEqual(status[0].storyIds.sort(), ['a', 'b']);
+});
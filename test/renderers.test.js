@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { runRendererChain } from '../server/renderers.js';
+
+const MOCK_SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'server', 'spark-mock-server.js');
+
+const REQUEST = {
+  storyId: 'story-1',
+  prompt: 'Write the article.',
+  seedArticle: { title: 'Grid storage passes gas', dek: 'Batteries now outbid peakers.', editionDate: '2031-10-18', body: 'Template body.' }
+};
+
+// Runs `fn(url)` against a spark-mock-server started with `args` on a free port.
+async function withSparkMock(args, fn) {
+  const child = spawn(process.execPath, [MOCK_SERVER, '--port', '0', '--delay', '0', ...args], { stdio: ['ignore', 'pipe', 'inherit'] });
+  try {
+    const url = await new Promise((resolve, reject) => {
+      let out = '';
+      child.stdout.on('data', (data) => {
+        out += data;
+        const match = out.match(/ws:\/\/[\d.]+:\d+/);
+        if (match) resolve(match[0]);
+      });
+      child.on('exit', (code) => reject(new Error(`spark mock exited with ${code}`)));
+    });
+    process.env.SPARK_WS_URL = url;
+    return await fn(url);
+  } finally {
+    delete process.env.SPARK_WS_URL;
+    child.kill();
+  }
+}
+
+async function render(args) {
+  const events = [];
+  const result = await withSparkMock(args, () => runRendererChain(['spark', 'template'], REQUEST, { emit: (e) => events.push(e) }));
+  return { result, events };
+}
+
+test('spark: a completed stream is the article', async () => {
+  for (const format of ['events', 'sse']) {
+    const { result, events } = await render(['--format', format]);
+    assert.equal(result.renderer, 'spark');
+    assert.match(result.body, /^Batteries now outbid peakers\.\n\nOfficials confirmed the details of Grid storage passes gas on 2031-10-18/);
+    assert.deepEqual(result.failures, []);
+    assert.equal(events.filter((e) => e.type === 'render.chunk').map((e) => e.delta).join('').trim(), result.body);
+  }
+});
+
+test('spark: an error frame falls back to the template and resets the body', async () => {
+  const { result, events } = await render(['--fail-after', '1']);
+  assert.equal(result.renderer, 'template');
+  assert.equal(result.body, 'Template body.');
+  assert.deepEqual(result.failures, ['spark: spark mock failure']);
+  assert.equal(events.find((e) => e.reset)?.phase, 'spark failed, falling back to template...');
+});
+
+test('spark: a connection dropped mid-stream is a failure, not a partial article', async () => {
+  const { result, events } = await render(['--drop-after', '2']);
+  assert.equal(result.renderer, 'template');
+  assert.deepEqual(result.failures, ['spark: connection closed before the render completed']);
+  assert.ok(events.some((e) => e.reset));
+});
@@ -0,0 +1,134 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { collectSourceItems, listSourceAdapterTypes, resolveSourceAdapter } from '../server/pipeline/sources/index.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sources');
+const FETCHED_AT = '2026-10-18T12:00:00.000Z';
+
+const text = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+const json = (name) => JSON.parse(text(name));
+
+async function parseFixture(source, body) {
+  const result = await collectSourceItems(source, { payload: { body }, fetchedAt: FETCHED_AT });
+  return result.items;
+}
+
+test('every built-in adapter is registered and legacy types still resolve', () => {
+  assert.deepEqual(listSourceAdapterTypes(), ['fred_csv', 'github_releases', 'hn_json', 'jsonl_dir', 'kalshi', 'polymarket', 'rss']);
+  assert.equal(resolveSourceAdapter({ type: 'api_json', source_id: 'polymarket-top' })?.type, 'polymarket');
+  assert.equal(resolveSourceAdapter({ type: 'csv', source_id: 'fred-unrate' })?.type, 'fred_csv');
+  assert.equal(resolveSourceAdapter({ type: 'csv', source_id: 'other' }), null);
+});
+
+test('polymarket: markets with a question become market ticks', async () => {
+  const items = await parseFixture({ type: 'polymarket', url: 'https://gamma-api.polymarket.com/markets' }, json('polymarket-markets.json'));
+  assert.deepEqual(items.map((i) => i.market.slug), ['fed-cut-december-2026', 'humanoid-marathon-2027', 'no-outcomes']);
+  const [fed, humanoid, noOutcomes] = items;
+  assert.equal(fed.summary, 'Yes: 62% • Closes: 2026-12-17 • Volume: $1,250,000');
+  assert.equal(fed.canonicalUrl, 'https://polymarket.com/market/fed-cut-december-2026');
+  assert.deepEqual(fed.market, {
+    exchange: 'polymarket',
+    slug: 'fed-cut-december-2026',
+    question: 'Will the Fed cut rates in December 2026?',
+    yesProb: 0.62,
+    volume: 1250000.4,
+    closeDate: '2026-12-17',
+    url: 'https://polymarket.com/market/fed-cut-december-2026'
+  });
+  assert.equal(humanoid.market.yesProb, 0.15);
+  assert.equal(humanoid.market.volume, 20400);
+  assert.equal(noOutcomes.market.yesProb, null);
+});
+
+test('kalshi: open markets are kept, settled ones skipped', async () => {
+  const items = await parseFixture({ type: 'kalshi', url: 'https://api.elections.kalshi.com/trade-api/v2/markets' }, json('kalshi-markets.json'));
+  assert.equal(items.length, 1);
+  assert.equal(items[0].market.exchange, 'kalshi');
+  assert.equal(items[0].market.slug, 'KXFEDDECISION-26DEC-C25');
+  assert.equal(items[0].market.yesProb, 0.62);
+  assert.equal(items[0].market.closeDate, '2026-12-17');
+  assert.equal(items[0].summary, 'Yes: 62% • Closes: 2026-12-17 • Volume: 18,234 contracts');
+});
+
+test('fred_csv: full history goes to econ_series and missing values are skipped', async () => {
+  const items = await parseFixture({ type: 'fred_csv', url: 'https://fred.stlouisfed.org/graph/fredgraph.csv?id=UNRATE' }, text('fred-unrate.csv'));
+  assert.equal(items.length, 1);
+  const [item] = items;
+  assert.equal(item.title, 'Economic indicator UNRATE');
+  assert.equal(item.summary, '2026-08-01: 4.1 • 30-step delta: -0.10');
+  assert.equal(item.canonicalUrl, 'https://fred.stlouisfed.org/series/UNRATE');
+  assert.equal(item.sectionHint, 'Business');
+  assert.deepEqual(item.series, {
+    seriesId: 'UNRATE',
+    observations: [
+      { date: '2026-05-01', value: 4.2 },
+      { date: '2026-06-01', value: 4.3 },
+      { date: '2026-08-01', value: 4.1 }
+    ]
+  });
+});
+
+test('fred_csv: a series with no numeric points is an error', async () => {
+  await assert.rejects(
+    parseFixture({ type: 'fred_csv', url: 'https://fred.stlouisfed.org/graph/fredgraph.csv?id=X' }, 'observation_date,X\n2026-01-01,.\n'),
+    /no numeric points/
+  );
+});
+
+test('rss: items keep authors, categories and images, untitled items are dropped', async () => {
+  const items = await parseFixture({ type: 'rss', url: 'https://example.com/feed.xml', section: 'Energy' }, text('feed-rss.xml'));
+  assert.deepEqual(items.map((i) => i.title), ['Grid operators & the storage boom', 'Untitled — second story']);
+  const [grid, second] = items;
+  assert.equal(grid.summary, 'Batteries now outbid gas peakers.');
+  assert.equal(grid.canonicalUrl, 'https://example.com/grid-storage');
+  assert.equal(grid.publishedAt, '2026-10-13T08:00:00.000Z');
+  assert.equal(grid.sectionHint, 'Energy');
+  assert.deepEqual(grid.payloadJson.authors, ['Ana Ruiz']);
+  assert.deepEqual(grid.payloadJson.categories, ['Energy', 'Grid']);
+  assert.equal(grid.payloadJson.images[0].url, 'https://example.com/img/grid.jpg');
+  assert.equal(second.canonicalUrl, 'https://example.com/second');
+  assert.deepEqual(second.payloadJson, { guid: 'https://example.com/second' });
+});
+
+test('rss: atom entries use the html alternate link and category labels', async () => {
+  const items = await parseFixture({ type: 'rss', url: 'https://example.com/atom.xml' }, text('feed-atom.xml'));
+  assert.equal(items.length, 1);
+  const [entry] = items;
+  assert.equal(entry.title, 'Chip exports tighten');
+  assert.equal(entry.canonicalUrl, 'https://example.com/chips');
+  assert.equal(entry.publishedAt, '2026-10-12T10:30:00.000Z');
+  assert.equal(entry.payloadJson.guid, 'tag:example.com,2026:chips');
+  assert.deepEqual(entry.payloadJson.authors, ['Lee Park']);
+  assert.deepEqual(entry.payloadJson.categories, ['Trade']);
+});
+
+test('hn_json: hits link to the story, or to the discussion for Ask HN', async () => {
+  const items = await parseFixture({ type: 'hn_json', url: 'https://hn.algolia.com/api/v1/search' }, json('hn-search.json'));
+  assert.equal(items.length, 2);
+  assert.equal(items[0].canonicalUrl, 'https://example.com/vec');
+  assert.equal(items[0].summary, 'Hacker News: 212 points • 48 comments');
+  assert.equal(items[0].sectionHint, 'Technology');
+  assert.equal(items[1].canonicalUrl, 'https://news.ycombinator.com/item?id=4102');
+  assert.equal(items[1].publishedAt, '2026-10-14T17:46:40.000Z');
+});
+
+test('github_releases: drafts are skipped and notes lose their markdown', async () => {
+  const items = await parseFixture({ type: 'github_releases', url: 'https://github.com/acme/widget', name: 'acme/widget' }, json('github-releases.json'));
+  assert.equal(items.length, 1);
+  assert.equal(items[0].title, 'acme/widget v2.4.0');
+  assert.equal(items[0].summary, 'Highlights Faster builds');
+  assert.deepEqual(items[0].payloadJson, { repo: 'acme/widget', tag: 'v2.4.0', prerelease: false, author: 'octo' });
+});
+
+test('jsonl_dir: one item per valid line with its file and line number', async () => {
+  const items = await parseFixture({ type: 'jsonl_dir', url: 'data/drop' }, [{ file: 'drop.jsonl', text: text('drop.jsonl') }]);
+  assert.deepEqual(items.map((i) => i.title), ['Local note one', 'Local note two']);
+  assert.equal(items[0].sectionHint, 'World');
+  assert.equal(items[0].publishedAt, '2026-10-15T00:00:00.000Z');
+  assert.equal(items[0].payloadJson._line, 1);
+  assert.equal(items[1].canonicalUrl, 'https://example.com/note-2');
+  assert.equal(items[1].payloadJson._line, 5);
+});
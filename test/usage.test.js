@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateCostUsd, getModelPricing } from '../server/pipeline/usage.js';
+
+test('getModelPricing: each Opus release has its own rate, snapshots and pins included', () => {
+  assert.deepEqual(getModelPricing('claude-opus-4-6'), { input: 5, output: 25 });
+  assert.deepEqual(getModelPricing('claude-opus-4-5-20251101'), { input: 5, output: 25 });
+  assert.deepEqual(getModelPricing('claude-opus-4-1@20250805'), { input: 15, output: 75 });
+  assert.deepEqual(getModelPricing('claude-opus-4-20250514'), { input: 15, output: 75 });
+  assert.deepEqual(getModelPricing('gpt-4o-2024-08-06'), { input: 2.5, output: 10 });
+  assert.deepEqual(getModelPricing('gpt-4o-mini'), { input: 0.15, output: 0.6 });
+});
+
+test('getModelPricing: a version with no entry is unpriced, not priced as an older one', () => {
+  assert.equal(getModelPricing('claude-opus-4-7'), null);
+  assert.equal(getModelPricing('claude-opus-4-10'), null);
+  assert.equal(getModelPricing('claude-sonnet-4-9'), null);
+  assert.equal(estimateCostUsd({ backend: 'anthropic', model: 'claude-opus-4-7', inputTokens: 1e6, outputTokens: 1e6 }), 0);
+  assert.equal(estimateCostUsd({ backend: 'anthropic', model: 'claude-opus-4-6', inputTokens: 1e6, outputTokens: 1e6 }), 30);
+});
+
+test('getModelPricing: LLM_PRICING_JSON adds a release', () => {
+  process.env.LLM_PRICING_JSON = JSON.stringify({ 'claude-opus-4-7': { input: 5, output: 25 } });
+  try {
+    assert.deepEqual(getModelPricing('claude-opus-4-7-20261001'), { input: 5, output: 25 });
+  } finally {
+    delete process.env.LLM_PRICING_JSON;
+  }
+});